@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 const axios = require('axios');
+const crypto = require('crypto');
 const readline = require('readline');
 const fs = require('fs');
 const path = require('path');
@@ -8,10 +9,20 @@ const path = require('path');
 // Configuration file path
 const CONFIG_FILE = path.join(process.env.HOME || process.env.USERPROFILE, '.standup-tracker-config.json');
 
+// Attempts per submission; retries reuse the idempotency key so the API never saves twice
+const SUBMIT_ATTEMPTS = 3;
+
+// Long-polls of the status endpoint (up to 20s each) before giving up on a queued standup
+const STATUS_POLLS = 6;
+
+// Marker shown before a follow-up question of each priority
+const PRIORITY_ICONS = { high: '🔴', medium: '🟡', low: '🟢' };
+
 // Default configuration
 const DEFAULT_CONFIG = {
     apiEndpoint: 'https://your-api-gateway-url.amazonaws.com/dev',
     teamMemberName: '',
+    apiToken: '',
     autoSubmit: false
 };
 
@@ -48,13 +59,23 @@ class StandupCLI {
      */
     saveConfig() {
         try {
-            fs.writeFileSync(CONFIG_FILE, JSON.stringify(this.config, null, 2));
+            // The file holds the API token, so keep it readable by the owner only
+            fs.writeFileSync(CONFIG_FILE, JSON.stringify(this.config, null, 2), { mode: 0o600 });
+            fs.chmodSync(CONFIG_FILE, 0o600);
             console.log('✅ Configuration saved successfully!');
         } catch (error) {
             console.error('❌ Failed to save configuration:', error.message);
         }
     }
 
+    /**
+     * Authorization header for API calls; STANDUP_API_TOKEN overrides the configured token
+     */
+    authHeaders() {
+        const token = process.env.STANDUP_API_TOKEN || this.config.apiToken;
+        return token ? { Authorization: `Bearer ${token}` } : {};
+    }
+
     /**
      * Prompt user for input
      */
@@ -77,17 +98,20 @@ USAGE:
   standup-cli [command]
 
 COMMANDS:
-  submit          Submit your daily standup
+  submit          Submit your daily standup (offers to resume a saved draft)
+  draft           Save a partial standup to finish later
   status          View team status
-  metrics         View team metrics
+  metrics [team]  View team metrics (defaults to the team your role covers)
   config          Configure settings
   chat            Interactive chat mode
   help            Show this help message
 
 EXAMPLES:
   standup-cli submit
+  standup-cli draft
   standup-cli status
   standup-cli metrics
+  standup-cli metrics payments
   standup-cli config
   standup-cli chat
 
@@ -97,6 +121,7 @@ CONFIGURATION:
   Required settings:
   - apiEndpoint: Your AWS Lambda API Gateway URL
   - teamMemberName: Your name for standup submissions
+  - apiToken: Your personal API token (or set STANDUP_API_TOKEN)
 
 For more information, visit: https://github.com/your-repo/standup-tracker-v2
         `);
@@ -111,6 +136,7 @@ For more information, visit: https://github.com/your-repo/standup-tracker-v2
         console.log('Current configuration:');
         console.log(`  API Endpoint: ${this.config.apiEndpoint}`);
         console.log(`  Team Member Name: ${this.config.teamMemberName}`);
+        console.log(`  API Token: ${this.config.apiToken ? 'configured' : 'not set'}`);
         console.log(`  Auto Submit: ${this.config.autoSubmit}\n`);
 
         const apiEndpoint = await this.prompt(`Enter API Endpoint (${this.config.apiEndpoint}): `);
@@ -123,6 +149,11 @@ For more information, visit: https://github.com/your-repo/standup-tracker-v2
             this.config.teamMemberName = teamMemberName;
         }
 
+        const apiToken = await this.prompt('Enter your API token (leave blank to keep the current one): ');
+        if (apiToken) {
+            this.config.apiToken = apiToken;
+        }
+
         const autoSubmit = await this.prompt(`Enable auto-submit? (y/n) [${this.config.autoSubmit ? 'y' : 'n'}]: `);
         if (autoSubmit.toLowerCase() === 'y' || autoSubmit.toLowerCase() === 'yes') {
             this.config.autoSubmit = true;
@@ -149,19 +180,23 @@ For more information, visit: https://github.com/your-repo/standup-tracker-v2
 
         console.log('\n📝 Submit Daily Standup\n');
 
-        const yesterday = await this.prompt('What did you work on yesterday? ');
+        const draft = await this.offerDraft();
+        const current = draft || {};
+
+        const yesterday = await this.promptWithDefault('What did you work on yesterday?', current.yesterday);
         if (!yesterday) {
             console.log('❌ Yesterday\'s work is required.');
             return;
         }
 
-        const today = await this.prompt('What will you work on today? ');
+        const today = await this.promptWithDefault('What will you work on today?', current.today);
         if (!today) {
             console.log('❌ Today\'s work is required.');
+            await this.offerToSaveDraft({ yesterday, today, blockers: current.blockers });
             return;
         }
 
-        const blockers = await this.prompt('Any blockers? (or "None"): ') || 'None';
+        const blockers = await this.promptWithDefault('Any blockers? (or "None"):', current.blockers) || 'None';
 
         const standupData = {
             teamMemberName: this.config.teamMemberName,
@@ -173,8 +208,11 @@ For more information, visit: https://github.com/your-repo/standup-tracker-v2
         try {
             console.log('\n⏳ Submitting standup...');
             
-            const response = await axios.post(`${this.config.apiEndpoint}/standup`, standupData);
-            const result = response.data;
+            // A resumed draft is submitted through the draft endpoint so it is cleared afterwards
+            const response = draft
+                ? await this.postSubmission(`${this.draftUrl()}/submit`, { yesterday, today, blockers })
+                : await this.postSubmission(`${this.config.apiEndpoint}/standup`, standupData);
+            const result = await this.waitForProcessing(response);
 
             console.log('\n✅ Standup submitted successfully!\n');
             console.log(`📊 Summary:`);
@@ -186,7 +224,7 @@ For more information, visit: https://github.com/your-repo/standup-tracker-v2
             if (result.data.followUpQuestions && result.data.followUpQuestions.length > 0) {
                 console.log('\n🤔 Follow-up Questions:');
                 result.data.followUpQuestions.forEach((question, index) => {
-                    console.log(`   ${index + 1}. ${question}`);
+                    console.log(`   ${index + 1}. ${PRIORITY_ICONS[question.priority] || '⚪'} ${question.question}`);
                 });
             }
 
@@ -203,12 +241,184 @@ For more information, visit: https://github.com/your-repo/standup-tracker-v2
             if (error.response) {
                 console.error(`   Status: ${error.response.status}`);
                 console.error(`   Message: ${error.response.data?.error || error.message}`);
+                if (error.response.status === 401) {
+                    console.error('   Set your API token with: standup-cli config');
+                }
             } else {
                 console.error(`   Error: ${error.message}`);
             }
         }
     }
 
+    /**
+     * POST a submission with an idempotency key, retrying dropped connections and server errors
+     */
+    async postSubmission(url, data) {
+        const idempotencyKey = crypto.randomUUID();
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await axios.post(url, data, {
+                    headers: { ...this.authHeaders(), 'Idempotency-Key': idempotencyKey, Prefer: 'respond-async' }
+                });
+            } catch (error) {
+                // IDEMPOTENCY_KEY_IN_USE means the first attempt is still running; the retry will get its
+                // response. Other 409s, such as DUPLICATE_STANDUP, are final
+                const retryable = !error.response || error.response.status >= 500 ||
+                    error.response.data?.code === 'IDEMPOTENCY_KEY_IN_USE';
+                if (!retryable || attempt >= SUBMIT_ATTEMPTS) {
+                    throw error;
+                }
+
+                console.log(`⚠️  Submission failed (${error.message}), retrying...`);
+                await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
+            }
+        }
+    }
+
+    /**
+     * Body of a submission's response; a queued standup (202) is polled until its follow-up
+     * questions are ready
+     */
+    async waitForProcessing(response) {
+        if (response.status !== 202) {
+            return response.data;
+        }
+
+        console.log('⏳ Standup saved, generating follow-up questions...');
+        const statusUrl = `${this.config.apiEndpoint}${response.data.data.statusUrl}`;
+
+        for (let poll = 1; poll <= STATUS_POLLS; poll++) {
+            const result = (await axios.get(statusUrl, { headers: this.authHeaders(), params: { wait: 20 } })).data;
+
+            if (result.data.status === 'completed') {
+                return result;
+            }
+            if (result.data.status === 'failed') {
+                throw new Error(`Standup saved, but follow-up questions could not be generated (${result.data.error})`);
+            }
+        }
+
+        throw new Error(`Standup ${response.data.data.standupId} saved; its follow-up questions are still being generated`);
+    }
+
+    /**
+     * Save a partial standup as a draft to finish later
+     */
+    async saveDraft() {
+        if (!this.config.teamMemberName) {
+            console.log('❌ Team member name not configured. Run: standup-cli config');
+            return;
+        }
+
+        if (!this.config.apiEndpoint || this.config.apiEndpoint === DEFAULT_CONFIG.apiEndpoint) {
+            console.log('❌ API endpoint not configured. Run: standup-cli config');
+            return;
+        }
+
+        console.log('\n📝 Save Standup Draft');
+        console.log('Leave any answer blank to fill it in later.\n');
+
+        const current = await this.fetchDraft() || {};
+
+        const yesterday = await this.promptWithDefault('What did you work on yesterday?', current.yesterday);
+        const today = await this.promptWithDefault('What will you work on today?', current.today);
+        const blockers = await this.promptWithDefault('Any blockers? (or "None"):', current.blockers);
+
+        await this.storeDraft({ yesterday, today, blockers });
+    }
+
+    /**
+     * Draft endpoint for the configured team member
+     */
+    draftUrl() {
+        return `${this.config.apiEndpoint}/standup/draft/${encodeURIComponent(this.config.teamMemberName)}`;
+    }
+
+    /**
+     * Fetch the saved draft, or null if there is none
+     */
+    async fetchDraft() {
+        try {
+            const response = await axios.get(this.draftUrl(), { headers: this.authHeaders() });
+            return response.data.data.draft;
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                return null;
+            }
+            console.warn(`⚠️  Could not check for a saved draft: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Ask whether to resume a saved draft; returns the draft, or null to start fresh
+     */
+    async offerDraft() {
+        const draft = await this.fetchDraft();
+        if (!draft) {
+            return null;
+        }
+
+        console.log(`📄 You have a draft saved ${new Date(draft.updatedAt).toLocaleString()}:`);
+        console.log(`   Yesterday: ${draft.yesterday || '(empty)'}`);
+        console.log(`   Today: ${draft.today || '(empty)'}`);
+        console.log(`   Blockers: ${draft.blockers || '(empty)'}\n`);
+
+        const resume = await this.prompt('Resume this draft? (y/n) [y]: ');
+        if (resume.toLowerCase() === 'n' || resume.toLowerCase() === 'no') {
+            return null;
+        }
+
+        console.log('Press Enter to keep the saved answer.\n');
+        return draft;
+    }
+
+    /**
+     * Offer to keep partial answers as a draft when a submission is abandoned
+     */
+    async offerToSaveDraft(fields) {
+        if (!Object.values(fields).some(value => value)) {
+            return;
+        }
+
+        const save = await this.prompt('Save your answers as a draft? (y/n) [y]: ');
+        if (save.toLowerCase() !== 'n' && save.toLowerCase() !== 'no') {
+            await this.storeDraft(fields);
+        }
+    }
+
+    /**
+     * Send non-empty answers to the draft endpoint
+     */
+    async storeDraft(fields) {
+        const draftFields = Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
+
+        if (Object.keys(draftFields).length === 0) {
+            console.log('❌ Nothing to save.');
+            return;
+        }
+
+        try {
+            await axios.put(this.draftUrl(), draftFields, { headers: this.authHeaders() });
+            console.log('✅ Draft saved. Run "standup-cli submit" to finish it.');
+        } catch (error) {
+            console.error('❌ Failed to save draft:', error.response?.data?.error || error.message);
+        }
+    }
+
+    /**
+     * Prompt with a saved answer that is kept when the user presses Enter
+     */
+    async promptWithDefault(question, defaultValue) {
+        if (!defaultValue) {
+            return this.prompt(`${question} `);
+        }
+
+        const answer = await this.prompt(`${question} [${defaultValue}] `);
+        return answer || defaultValue;
+    }
+
     /**
      * View team status
      */
@@ -225,7 +435,7 @@ For more information, visit: https://github.com/your-repo/standup-tracker-v2
                 message: 'What\'s the team status?',
                 teamMember: this.config.teamMemberName,
                 intent: 'team_metrics'
-            });
+            }, { headers: this.authHeaders() });
 
             const result = response.data;
 
@@ -268,7 +478,7 @@ For more information, visit: https://github.com/your-repo/standup-tracker-v2
     /**
      * View team metrics
      */
-    async viewMetrics() {
+    async viewMetrics(team) {
         if (!this.config.apiEndpoint || this.config.apiEndpoint === DEFAULT_CONFIG.apiEndpoint) {
             console.log('❌ API endpoint not configured. Run: standup-cli config');
             return;
@@ -277,7 +487,10 @@ For more information, visit: https://github.com/your-repo/standup-tracker-v2
         try {
             console.log('\n⏳ Fetching team metrics...');
 
-            const response = await axios.get(`${this.config.apiEndpoint}/data/history/metrics`);
+            const response = await axios.get(`${this.config.apiEndpoint}/data/metrics`, {
+                params: team ? { team } : undefined,
+                headers: this.authHeaders()
+            });
             const metrics = response.data.data.metrics;
 
             console.log('\n📈 Team Metrics\n');
@@ -349,7 +562,7 @@ For more information, visit: https://github.com/your-repo/standup-tracker-v2
                     message,
                     teamMember: this.config.teamMemberName,
                     intent: 'general_query'
-                });
+                }, { headers: this.authHeaders() });
 
                 const result = response.data;
                 console.log(`\n🤖 Assistant: ${result.message || 'I can help you with standup tracking, team status, and metrics.'}\n`);
@@ -383,11 +596,14 @@ For more information, visit: https://github.com/your-repo/standup-tracker-v2
                 case 'submit':
                     await this.submitStandup();
                     break;
+                case 'draft':
+                    await this.saveDraft();
+                    break;
                 case 'status':
                     await this.viewStatus();
                     break;
                 case 'metrics':
-                    await this.viewMetrics();
+                    await this.viewMetrics(args[1]);
                     break;
                 case 'config':
                     await this.configure();
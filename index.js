@@ -0,0 +1,110 @@
+/**
+ * Local HTTP server
+ * Serves the Lambda handlers with Express for offline development. Requests are turned into
+ * API Gateway proxy events and the handler's { statusCode, headers, body } is sent back as is,
+ * so the CLI and VS Code extension can point at http://localhost:3000 unchanged.
+ *
+ * Usage: npm start (or npm run dev to restart on changes)
+ */
+require('dotenv').config();
+
+// Readable log lines when run directly; LOG_FORMAT=json shows what CloudWatch receives
+if (require.main === module && !process.env.LOG_FORMAT) {
+  process.env.LOG_FORMAT = 'pretty';
+}
+
+// EMF metric lines are only read by CloudWatch; request logs still carry the timings
+if (require.main === module && !process.env.METRICS_ENABLED) {
+  process.env.METRICS_ENABLED = 'false';
+}
+
+const crypto = require('crypto');
+const express = require('express');
+const { ROUTES, resolveHandler } = require('./src/routes');
+const { CORS_HEADERS } = require('./src/middleware/http');
+const { logger } = require('./src/services/logger');
+
+const PORT = parseInt(process.env.PORT) || 3000;
+
+/**
+ * Express app with every route in src/routes.js mounted
+ */
+function createApp(routes = ROUTES) {
+  const app = express();
+
+  // Flat string query values, like API Gateway's queryStringParameters
+  app.set('query parser', 'simple');
+
+  // Handlers parse their own bodies, as they do behind API Gateway
+  app.use(express.text({ type: '*/*', limit: '1mb' }));
+
+  app.options('*', (req, res) => {
+    res.set(CORS_HEADERS).sendStatus(204);
+  });
+
+  routes.forEach(route => {
+    const handler = resolveHandler(route);
+    const expressPath = route.path.replace(/\{(\w+)\}/g, ':$1');
+
+    app[route.method.toLowerCase()](expressPath, async (req, res) => {
+      try {
+        const result = await handler(toLambdaEvent(req, route), toLambdaContext(route));
+        res.status(result.statusCode).set(result.headers || {}).send(result.body);
+      } catch (error) {
+        logger.error(`Unhandled error in ${route.handler}`, { error });
+        res.status(500).set(CORS_HEADERS).json({ success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' });
+      }
+    });
+  });
+
+  app.use((req, res) => {
+    res.status(404).set(CORS_HEADERS).json({ success: false, error: `No route for ${req.method} ${req.path}`, code: 'NOT_FOUND' });
+  });
+
+  return app;
+}
+
+/**
+ * API Gateway proxy event for an Express request
+ */
+function toLambdaEvent(req, route) {
+  // API Gateway keeps the last value of a repeated query parameter
+  const query = Object.fromEntries(Object.entries(req.query).map(([name, value]) => [name, Array.isArray(value) ? value[value.length - 1] : value]));
+  const hasParams = Object.keys(req.params).length > 0;
+
+  return {
+    resource: route.path,
+    path: req.path,
+    httpMethod: req.method,
+    headers: req.headers,
+    queryStringParameters: Object.keys(query).length > 0 ? query : null,
+    pathParameters: hasParams ? req.params : null,
+    body: typeof req.body === 'string' && req.body.length > 0 ? req.body : null,
+    isBase64Encoded: false,
+    requestContext: {
+      requestId: crypto.randomUUID(),
+      httpMethod: req.method,
+      resourcePath: route.path,
+      stage: 'local'
+    }
+  };
+}
+
+function toLambdaContext(route) {
+  return {
+    functionName: route.handler,
+    awsRequestId: crypto.randomUUID(),
+    getRemainingTimeInMillis: () => 30000
+  };
+}
+
+if (require.main === module) {
+  createApp().listen(PORT, () => {
+    console.log(`Standup Tracker API listening on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = {
+  createApp,
+  toLambdaEvent
+};
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+
+/**
+ * API token issuer
+ * Signs a token for a team member with AUTH_SECRET. Hand the printed token to the member to
+ * store in the CLI (standup-cli config) or the VS Code extension (Set API Token).
+ *
+ * Usage: node scripts/issue-token.js "<team member name>" [--admin] [--days <n>]
+ */
+require('dotenv').config();
+
+const { issueToken } = require('../src/services/authService');
+const { getMember } = require('../src/services/teamRegistry');
+
+const args = process.argv.slice(2);
+const admin = args.includes('--admin');
+const daysIndex = args.indexOf('--days');
+const expiresInDays = daysIndex >= 0 ? parseInt(args[daysIndex + 1], 10) : undefined;
+const subject = args.find((arg, index) => !arg.startsWith('--') && index !== daysIndex + 1);
+
+if (!subject || (daysIndex >= 0 && !(expiresInDays > 0))) {
+  console.error('Usage: node scripts/issue-token.js "<team member name>" [--admin] [--days <n>]');
+  process.exit(1);
+}
+
+try {
+  if (!admin && !getMember(subject)) {
+    console.warn(`⚠️  ${subject} is not in the team registry; the token will only reach their own standups.`);
+  }
+
+  console.log(issueToken(subject, { admin, expiresInDays }));
+} catch (error) {
+  console.error('❌ Could not issue token:', error.message);
+  process.exit(1);
+}
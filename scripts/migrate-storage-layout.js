@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+
+/**
+ * Storage layout migration
+ * Rewrites an existing bucket (or local storage directory) so every standup lives once in its
+ * day file, with id lookups served from standups/index/.
+ *
+ * Usage: node scripts/migrate-storage-layout.js [--dry-run]
+ */
+require('dotenv').config();
+
+const { migrateStorageLayout } = require('../src/services/storageService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+migrateStorageLayout({ dryRun })
+  .then(summary => {
+    console.log(dryRun ? '🔍 Dry run finished, no objects were changed.' : '✅ Migration finished.');
+    console.log(JSON.stringify(summary, null, 2));
+  })
+  .catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  });
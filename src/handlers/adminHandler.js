@@ -0,0 +1,58 @@
+const { getTeamMembers, getMemberNames, getMemberTeams } = require('../services/teamRegistry');
+const { getIdentity } = require('../services/identityService');
+const { checkJiraIdentity } = require('../services/jiraService');
+const { checkBitbucketIdentity } = require('../services/bitbucketService');
+const { mapWithConcurrency } = require('../services/concurrency');
+const { authenticate } = require('../services/authService');
+const { authorize } = require('../services/accessPolicy');
+const { httpHandler } = require('../middleware/http');
+
+// Identity check outcomes that mean a member's tasks or PRs are likely missing
+const FLAGGED_STATUSES = ['unresolved', 'unmapped', 'error'];
+// Members whose Jira and Bitbucket lookups run at the same time
+const IDENTITY_CHECK_CONCURRENCY = 5;
+
+/**
+ * Admin Handler
+ * Operational endpoints for keeping the team registry healthy
+ */
+
+exports.checkIdentities = httpHandler({ operationId: 'checkIdentities', failureMessage: 'Failed to check member identities' }, async (event) => {
+  authorize(authenticate(event), 'admin');
+
+  const team = event.queryStringParameters?.team;
+
+  const members = team ? getTeamMembers(team) : getMemberNames().sort();
+
+  const results = await mapWithConcurrency(members, IDENTITY_CHECK_CONCURRENCY, async (member) => {
+    const identity = getIdentity(member);
+    const [jira, bitbucket] = await Promise.all([checkJiraIdentity(member), checkBitbucketIdentity(member)]);
+
+    return {
+      name: member,
+      registered: identity.registered,
+      teams: getMemberTeams(member),
+      email: identity.email,
+      jira,
+      bitbucket,
+      flagged: !identity.registered || FLAGGED_STATUSES.includes(jira.status) || FLAGGED_STATUSES.includes(bitbucket.status)
+    };
+  });
+
+  const flagged = results.filter(result => result.flagged);
+
+  return {
+    success: true,
+    team: team || null,
+    timestamp: new Date().toISOString(),
+    data: {
+      members: results,
+      flagged: flagged.map(result => result.name),
+      summary: {
+        checked: results.length,
+        flagged: flagged.length,
+        unregistered: results.filter(result => !result.registered).map(result => result.name)
+      }
+    }
+  };
+});
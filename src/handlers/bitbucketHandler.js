@@ -1,280 +1,247 @@
 const { getPRStatus, getRepositoryPRs, getPRDetails, getTeamMemberPRActivity, getRepositoryStats, getTeamPRWorkload, getWorkspaceRepositories } = require('../services/bitbucketService');
+const { authenticate } = require('../services/authService');
+const { authorize } = require('../services/accessPolicy');
+const { httpHandler, HttpError } = require('../middleware/http');
+const { logger } = require('../services/logger');
 
 /**
  * Bitbucket Integration Handler
  * Provides endpoints for PR management, repository analysis, and team collaboration insights
  */
 
-exports.getPRStatus = async (event, context) => {
-  try {
-    console.log('Fetching Bitbucket PR status:', JSON.stringify(event, null, 2));
-    
-    const teamMember = event.pathParameters?.teamMember;
-    
-    if (!teamMember) {
-      return createErrorResponse(400, 'Team member name is required');
-    }
+exports.getPRStatus = httpHandler({ operationId: 'getPRStatus', failureMessage: 'Failed to fetch PR status' }, async (event) => {
+  const principal = authenticate(event);
+  
+  const teamMember = event.pathParameters?.teamMember;
+  
+  if (!teamMember) {
+    throw new HttpError(400, 'Team member name is required');
+  }
+
+  authorize(principal, 'member.integrations', { teamMember: teamMember });
 
-    console.log(`Fetching PR status for: ${teamMember}`);
-    
-    const prs = await getPRStatus(teamMember);
-    
-    // Analyze PRs for insights
-    const prAnalysis = analyzePRs(prs);
-    
-    const response = {
-      success: true,
-      teamMember,
-      timestamp: new Date().toISOString(),
-      data: {
-        prs,
-        analysis: prAnalysis,
-        summary: {
-          totalPRs: prs.length,
-          openPRs: prs.filter(pr => pr.state === 'OPEN').length,
-          mergedPRs: prs.filter(pr => pr.state === 'MERGED').length,
-          declinedPRs: prs.filter(pr => pr.state === 'DECLINED').length,
-          stalePRs: prs.filter(pr => pr.isStale).length,
-          needsReview: prs.filter(pr => pr.needsReview).length,
-          averageComments: prs.length > 0 ? Math.round(prs.reduce((sum, pr) => sum + pr.commentCount, 0) / prs.length) : 0
-        }
+  logger.info(`Fetching PR status for: ${teamMember}`);
+  
+  const prs = await getPRStatus(teamMember);
+  
+  // Analyze PRs for insights
+  const prAnalysis = analyzePRs(prs);
+  
+  const response = {
+    success: true,
+    teamMember,
+    timestamp: new Date().toISOString(),
+    data: {
+      prs,
+      analysis: prAnalysis,
+      summary: {
+        totalPRs: prs.length,
+        openPRs: prs.filter(pr => pr.state === 'OPEN').length,
+        mergedPRs: prs.filter(pr => pr.state === 'MERGED').length,
+        declinedPRs: prs.filter(pr => pr.state === 'DECLINED').length,
+        stalePRs: prs.filter(pr => pr.isStale).length,
+        needsReview: prs.filter(pr => pr.needsReview).length,
+        averageComments: prs.length > 0 ? Math.round(prs.reduce((sum, pr) => sum + pr.commentCount, 0) / prs.length) : 0
       }
-    };
+    }
+  };
 
-    return createSuccessResponse(response);
+  return response;
+});
 
-  } catch (error) {
-    console.error('Error fetching Bitbucket PR status:', error);
-    return createErrorResponse(500, 'Failed to fetch PR status', error.message);
+exports.getRepositoryPRs = httpHandler({ operationId: 'getRepositoryPRs', failureMessage: 'Failed to fetch repository PRs' }, async (event) => {
+  authenticate(event);
+  
+  const repositoryName = event.pathParameters?.repositoryName;
+  const authorName = event.queryStringParameters?.author;
+  
+  if (!repositoryName) {
+    throw new HttpError(400, 'Repository name is required');
   }
-};
-
-exports.getRepositoryPRs = async (event, context) => {
-  try {
-    console.log('Fetching repository PRs:', JSON.stringify(event, null, 2));
-    
-    const repositoryName = event.pathParameters?.repositoryName;
-    const authorName = event.queryStringParameters?.author;
-    
-    if (!repositoryName) {
-      return createErrorResponse(400, 'Repository name is required');
-    }
 
-    console.log(`Fetching PRs for repository: ${repositoryName}${authorName ? ` by author: ${authorName}` : ''}`);
-    
-    const prs = await getRepositoryPRs(repositoryName, authorName);
-    
-    // Analyze repository PR patterns
-    const repoAnalysis = analyzeRepositoryPRs(prs);
-    
-    const response = {
-      success: true,
-      repositoryName,
-      authorName,
-      timestamp: new Date().toISOString(),
-      data: {
-        prs,
-        analysis: repoAnalysis,
-        summary: {
-          totalPRs: prs.length,
-          openPRs: prs.filter(pr => pr.state === 'OPEN').length,
-          mergedPRs: prs.filter(pr => pr.state === 'MERGED').length,
-          averageDaysOpen: calculateAverageDaysOpen(prs.filter(pr => pr.state === 'OPEN')),
-          topContributors: getTopContributors(prs)
-        }
+  logger.info(`Fetching PRs for repository: ${repositoryName}${authorName ? ` by author: ${authorName}` : ''}`);
+  
+  const prs = await getRepositoryPRs(repositoryName, authorName);
+  
+  // Analyze repository PR patterns
+  const repoAnalysis = analyzeRepositoryPRs(prs);
+  
+  const response = {
+    success: true,
+    repositoryName,
+    authorName,
+    timestamp: new Date().toISOString(),
+    data: {
+      prs,
+      analysis: repoAnalysis,
+      summary: {
+        totalPRs: prs.length,
+        openPRs: prs.filter(pr => pr.state === 'OPEN').length,
+        mergedPRs: prs.filter(pr => pr.state === 'MERGED').length,
+        averageDaysOpen: calculateAverageDaysOpen(prs.filter(pr => pr.state === 'OPEN')),
+        topContributors: getTopContributors(prs)
       }
-    };
+    }
+  };
 
-    return createSuccessResponse(response);
+  return response;
+});
 
-  } catch (error) {
-    console.error('Error fetching repository PRs:', error);
-    return createErrorResponse(500, 'Failed to fetch repository PRs', error.message);
+exports.getPRDetails = httpHandler({ operationId: 'getPRDetails', failureMessage: 'Failed to fetch PR details' }, async (event) => {
+  authenticate(event);
+  
+  const repositoryName = event.pathParameters?.repositoryName;
+  const prId = event.pathParameters?.prId;
+  
+  if (!repositoryName || !prId) {
+    throw new HttpError(400, 'Repository name and PR ID are required');
   }
-};
-
-exports.getPRDetails = async (event, context) => {
-  try {
-    console.log('Fetching PR details:', JSON.stringify(event, null, 2));
-    
-    const repositoryName = event.pathParameters?.repositoryName;
-    const prId = event.pathParameters?.prId;
-    
-    if (!repositoryName || !prId) {
-      return createErrorResponse(400, 'Repository name and PR ID are required');
-    }
 
-    console.log(`Fetching details for PR ${prId} in repository: ${repositoryName}`);
-    
-    const prDetails = await getPRDetails(repositoryName, prId);
-    
-    if (!prDetails) {
-      return createErrorResponse(404, `PR ${prId} not found in repository ${repositoryName}`);
-    }
+  logger.info(`Fetching details for PR ${prId} in repository: ${repositoryName}`);
+  
+  const prDetails = await getPRDetails(repositoryName, prId);
+  
+  if (!prDetails) {
+    throw new HttpError(404, `PR ${prId} not found in repository ${repositoryName}`);
+  }
 
-    const response = {
-      success: true,
-      repositoryName,
-      prId,
-      timestamp: new Date().toISOString(),
-      data: prDetails
-    };
+  const response = {
+    success: true,
+    repositoryName,
+    prId,
+    timestamp: new Date().toISOString(),
+    data: prDetails
+  };
 
-    return createSuccessResponse(response);
+  return response;
+});
 
-  } catch (error) {
-    console.error('Error fetching PR details:', error);
-    return createErrorResponse(500, 'Failed to fetch PR details', error.message);
+exports.getTeamMemberPRActivity = httpHandler({ operationId: 'getTeamMemberPRActivity', failureMessage: 'Failed to fetch PR activity' }, async (event) => {
+  const principal = authenticate(event);
+  
+  const teamMember = event.pathParameters?.teamMember;
+  const days = parseInt(event.queryStringParameters?.days) || 7;
+  
+  if (!teamMember) {
+    throw new HttpError(400, 'Team member name is required');
   }
-};
 
-exports.getTeamMemberPRActivity = async (event, context) => {
-  try {
-    console.log('Fetching team member PR activity:', JSON.stringify(event, null, 2));
-    
-    const teamMember = event.pathParameters?.teamMember;
-    const days = parseInt(event.queryStringParameters?.days) || 7;
-    
-    if (!teamMember) {
-      return createErrorResponse(400, 'Team member name is required');
-    }
+  authorize(principal, 'member.integrations', { teamMember: teamMember });
 
-    console.log(`Fetching ${days} days of PR activity for: ${teamMember}`);
-    
-    const activity = await getTeamMemberPRActivity(teamMember, days);
-    
-    const response = {
-      success: true,
-      teamMember,
-      days,
-      timestamp: new Date().toISOString(),
-      data: {
-        activity,
-        summary: {
-          createdPRs: activity.createdPRs.length,
-          reviewedPRs: activity.reviewedPRs.length,
-          mergedPRs: activity.mergedPRs.length,
-          totalActivity: activity.totalActivity
-        },
-        insights: generateActivityInsights(activity, days)
-      }
-    };
+  logger.info(`Fetching ${days} days of PR activity for: ${teamMember}`);
+  
+  const activity = await getTeamMemberPRActivity(teamMember, days);
+  
+  const response = {
+    success: true,
+    teamMember,
+    days,
+    timestamp: new Date().toISOString(),
+    data: {
+      activity,
+      summary: {
+        createdPRs: activity.createdPRs.length,
+        reviewedPRs: activity.reviewedPRs.length,
+        mergedPRs: activity.mergedPRs.length,
+        totalActivity: activity.totalActivity
+      },
+      insights: generateActivityInsights(activity, days)
+    }
+  };
 
-    return createSuccessResponse(response);
+  return response;
+});
 
-  } catch (error) {
-    console.error('Error fetching team member PR activity:', error);
-    return createErrorResponse(500, 'Failed to fetch PR activity', error.message);
+exports.getRepositoryStats = httpHandler({ operationId: 'getRepositoryStats', failureMessage: 'Failed to fetch repository statistics' }, async (event) => {
+  authenticate(event);
+  
+  const repositoryName = event.pathParameters?.repositoryName;
+  
+  if (!repositoryName) {
+    throw new HttpError(400, 'Repository name is required');
   }
-};
 
-exports.getRepositoryStats = async (event, context) => {
-  try {
-    console.log('Fetching repository statistics:', JSON.stringify(event, null, 2));
-    
-    const repositoryName = event.pathParameters?.repositoryName;
-    
-    if (!repositoryName) {
-      return createErrorResponse(400, 'Repository name is required');
-    }
+  logger.info(`Fetching statistics for repository: ${repositoryName}`);
+  
+  const repoStats = await getRepositoryStats(repositoryName);
+  
+  if (!repoStats) {
+    throw new HttpError(404, `Repository ${repositoryName} not found`);
+  }
 
-    console.log(`Fetching statistics for repository: ${repositoryName}`);
-    
-    const repoStats = await getRepositoryStats(repositoryName);
-    
-    if (!repoStats) {
-      return createErrorResponse(404, `Repository ${repositoryName} not found`);
+  const response = {
+    success: true,
+    repositoryName,
+    timestamp: new Date().toISOString(),
+    data: {
+      ...repoStats,
+      healthScore: calculateRepositoryHealthScore(repoStats),
+      recommendations: generateRepositoryRecommendations(repoStats)
     }
+  };
 
-    const response = {
-      success: true,
-      repositoryName,
-      timestamp: new Date().toISOString(),
-      data: {
-        ...repoStats,
-        healthScore: calculateRepositoryHealthScore(repoStats),
-        recommendations: generateRepositoryRecommendations(repoStats)
-      }
-    };
-
-    return createSuccessResponse(response);
+  return response;
+});
 
-  } catch (error) {
-    console.error('Error fetching repository statistics:', error);
-    return createErrorResponse(500, 'Failed to fetch repository statistics', error.message);
+exports.getTeamPRWorkload = httpHandler({ operationId: 'getTeamPRWorkload', failureMessage: 'Failed to calculate team PR workload' }, async (event, context, { body }) => {
+  const principal = authenticate(event);
+  
+  const { teamMembers } = body;
+  
+  if (!teamMembers || !Array.isArray(teamMembers) || teamMembers.length === 0) {
+    throw new HttpError(400, 'Team members array is required');
   }
-};
 
-exports.getTeamPRWorkload = async (event, context) => {
-  try {
-    console.log('Calculating team PR workload:', JSON.stringify(event, null, 2));
-    
-    const body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
-    const { teamMembers } = body;
-    
-    if (!teamMembers || !Array.isArray(teamMembers) || teamMembers.length === 0) {
-      return createErrorResponse(400, 'Team members array is required');
-    }
+  teamMembers.forEach(member => authorize(principal, 'member.integrations', { teamMember: member }));
 
-    console.log(`Calculating PR workload for team members: ${teamMembers.join(', ')}`);
-    
-    const workload = await getTeamPRWorkload(teamMembers);
-    
-    // Calculate team statistics
-    const teamStats = calculateTeamPRStats(workload);
-    
-    const response = {
-      success: true,
-      teamMembers,
-      timestamp: new Date().toISOString(),
-      data: {
-        workload,
-        teamStats,
-        insights: generatePRWorkloadInsights(workload),
-        recommendations: generateTeamRecommendations(workload)
-      }
-    };
+  logger.info(`Calculating PR workload for team members: ${teamMembers.join(', ')}`);
+  
+  const workload = await getTeamPRWorkload(teamMembers);
+  
+  // Calculate team statistics
+  const teamStats = calculateTeamPRStats(workload);
+  
+  const response = {
+    success: true,
+    teamMembers,
+    timestamp: new Date().toISOString(),
+    data: {
+      workload,
+      teamStats,
+      insights: generatePRWorkloadInsights(workload),
+      recommendations: generateTeamRecommendations(workload)
+    }
+  };
 
-    return createSuccessResponse(response);
-
-  } catch (error) {
-    console.error('Error calculating team PR workload:', error);
-    return createErrorResponse(500, 'Failed to calculate team PR workload', error.message);
-  }
-};
-
-exports.getWorkspaceRepositories = async (event, context) => {
-  try {
-    console.log('Fetching workspace repositories:', JSON.stringify(event, null, 2));
-    
-    const repositories = await getWorkspaceRepositories();
-    
-    const response = {
-      success: true,
-      timestamp: new Date().toISOString(),
-      data: {
-        repositories,
-        summary: {
-          totalRepositories: repositories.length,
-          privateRepositories: repositories.filter(repo => repo.isPrivate).length,
-          publicRepositories: repositories.filter(repo => !repo.isPrivate).length,
-          languages: [...new Set(repositories.map(repo => repo.language).filter(Boolean))],
-          recentlyUpdated: repositories.filter(repo => {
-            const updatedDate = new Date(repo.updatedOn);
-            const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-            return updatedDate > oneWeekAgo;
-          }).length
-        }
+  return response;
+});
+
+exports.getWorkspaceRepositories = httpHandler({ operationId: 'getWorkspaceRepositories', failureMessage: 'Failed to fetch workspace repositories' }, async (event) => {
+  authenticate(event);
+  
+  const repositories = await getWorkspaceRepositories();
+  
+  const response = {
+    success: true,
+    timestamp: new Date().toISOString(),
+    data: {
+      repositories,
+      summary: {
+        totalRepositories: repositories.length,
+        privateRepositories: repositories.filter(repo => repo.isPrivate).length,
+        publicRepositories: repositories.filter(repo => !repo.isPrivate).length,
+        languages: [...new Set(repositories.map(repo => repo.language).filter(Boolean))],
+        recentlyUpdated: repositories.filter(repo => {
+          const updatedDate = new Date(repo.updatedOn);
+          const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+          return updatedDate > oneWeekAgo;
+        }).length
       }
-    };
-
-    return createSuccessResponse(response);
+    }
+  };
 
-  } catch (error) {
-    console.error('Error fetching workspace repositories:', error);
-    return createErrorResponse(500, 'Failed to fetch workspace repositories', error.message);
-  }
-};
+  return response;
+});
 
 /**
  * Analyze PRs to provide insights
@@ -633,37 +600,3 @@ function generateTeamRecommendations(workload) {
 
   return recommendations;
 }
-
-/**
- * Helper functions for response formatting
- */
-function createSuccessResponse(data) {
-  return {
-    statusCode: 200,
-    headers: {
-      'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'Access-Control-Allow-Methods': 'POST, GET, OPTIONS'
-    },
-    body: JSON.stringify(data)
-  };
-}
-
-function createErrorResponse(statusCode, message, details = null) {
-  return {
-    statusCode,
-    headers: {
-      'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'Access-Control-Allow-Methods': 'POST, GET, OPTIONS'
-    },
-    body: JSON.stringify({
-      success: false,
-      error: message,
-      details,
-      timestamp: new Date().toISOString()
-    })
-  };
-}
@@ -2,6 +2,23 @@ const { generateFollowUpQuestions, analyzeStandupPatterns } = require('../servic
 const { getPreviousUpdates, getStandupHistory, getTeamMetrics } = require('../services/storageService');
 const { getTeamMemberTasks } = require('../services/jiraService');
 const { getPRStatus } = require('../services/bitbucketService');
+const { getTeam } = require('../services/teamRegistry');
+const { authenticate } = require('../services/authService');
+const { authorize, resolveTeamScope, applyDecision } = require('../services/accessPolicy');
+const { httpHandler, HttpError } = require('../middleware/http');
+const { logger } = require('../services/logger');
+
+// Access policy action each intent needs about the member; team metrics are scoped separately
+const INTENT_ACTIONS = {
+  standup_status: 'member.summary',
+  team_metrics: null,
+  general_help: null,
+  task_status: 'member.integrations',
+  pr_status: 'member.integrations',
+  blocker_help: 'member.blockers',
+  history_query: 'member.history',
+  general_query: 'member.summary'
+};
 
 /**
  * VS Code GitHub Copilot Chat Integration Handler
@@ -9,70 +26,73 @@ const { getPRStatus } = require('../services/bitbucketService');
  * based on standup data, team metrics, and AI analysis
  */
 
-exports.handleChatInteraction = async (event, context) => {
-  try {
-    console.log('Processing Copilot Chat interaction:', JSON.stringify(event, null, 2));
-    
-    // Parse request body
-    const body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
-    const { 
-      message, 
-      teamMember, 
-      context: chatContext, 
-      conversationId,
-      intent 
-    } = body;
-
-    if (!message) {
-      return createErrorResponse(400, 'Message is required');
-    }
-
-    console.log(`Processing chat message: "${message}" for team member: ${teamMember}`);
-
-    // Determine the intent of the message if not provided
-    const detectedIntent = intent || await detectIntent(message);
-    console.log(`Detected intent: ${detectedIntent}`);
-
-    let response;
-
-    switch (detectedIntent) {
-      case 'standup_status':
-        response = await handleStandupStatusQuery(teamMember, message);
-        break;
-      case 'team_metrics':
-        response = await handleTeamMetricsQuery(message);
-        break;
-      case 'task_status':
-        response = await handleTaskStatusQuery(teamMember, message);
-        break;
-      case 'pr_status':
-        response = await handlePRStatusQuery(teamMember, message);
-        break;
-      case 'blocker_help':
-        response = await handleBlockerHelpQuery(teamMember, message);
-        break;
-      case 'history_query':
-        response = await handleHistoryQuery(teamMember, message);
-        break;
-      case 'general_help':
-        response = await handleGeneralHelpQuery(message);
-        break;
-      default:
-        response = await handleGeneralQuery(teamMember, message, chatContext);
-    }
+exports.handleChatInteraction = httpHandler({ operationId: 'handleChatInteraction', failureMessage: 'Failed to process chat interaction' }, async (event, context, { body }) => {
+  const principal = authenticate(event);
+  
+  const { 
+    message, 
+    context: chatContext, 
+    conversationId,
+    intent,
+    team
+  } = body;
+
+  if (!message) {
+    throw new HttpError(400, 'Message is required');
+  }
 
-    // Add conversation context
-    response.conversationId = conversationId || require('uuid').v4();
-    response.timestamp = new Date().toISOString();
-    response.intent = detectedIntent;
+  // Questions are about the caller unless they ask about someone they can see
+  const teamMember = body.teamMember || principal.name;
+
+  logger.info('Processing chat message', { teamMember, messageLength: message.length });
+
+  // Determine the intent of the message if not provided
+  const detectedIntent = intent || await detectIntent(message);
+  logger.info(`Detected intent: ${detectedIntent}`);
+
+  const action = detectedIntent in INTENT_ACTIONS ? INTENT_ACTIONS[detectedIntent] : INTENT_ACTIONS.general_query;
+  const decision = action && teamMember
+    ? authorize(principal, action, { teamMember })
+    : { redactBlockers: false };
+
+  let response;
+
+  switch (detectedIntent) {
+    case 'standup_status':
+      response = await handleStandupStatusQuery(teamMember, message, decision);
+      break;
+    case 'team_metrics':
+      response = await handleTeamMetricsQuery(message, team, principal);
+      break;
+    case 'task_status':
+      response = await handleTaskStatusQuery(teamMember, message);
+      break;
+    case 'pr_status':
+      response = await handlePRStatusQuery(teamMember, message);
+      break;
+    case 'blocker_help':
+      response = await handleBlockerHelpQuery(teamMember, message, decision);
+      break;
+    case 'history_query':
+      response = await handleHistoryQuery(teamMember, message, decision);
+      break;
+    case 'general_help':
+      response = await handleGeneralHelpQuery(message);
+      break;
+    default:
+      response = await handleGeneralQuery(teamMember, message, chatContext);
+  }
 
-    return createSuccessResponse(response);
+  // Add conversation context
+  response.conversationId = conversationId || require('uuid').v4();
+  response.timestamp = new Date().toISOString();
+  response.intent = detectedIntent;
 
-  } catch (error) {
-    console.error('Error processing Copilot Chat interaction:', error);
-    return createErrorResponse(500, 'Failed to process chat interaction', error.message);
-  }
-};
+  return {
+    success: true,
+    ...response
+  };
+});
 
 /**
  * Detect the intent of the user's message
@@ -115,7 +135,7 @@ async function detectIntent(message) {
 /**
  * Handle standup status queries
  */
-async function handleStandupStatusQuery(teamMember, message) {
+async function handleStandupStatusQuery(teamMember, message, decision) {
   try {
     if (!teamMember) {
       return {
@@ -135,7 +155,7 @@ async function handleStandupStatusQuery(teamMember, message) {
       getPRStatus(teamMember)
     ]);
 
-    const recentUpdates = previousUpdates.status === 'fulfilled' ? previousUpdates.value : [];
+    const recentUpdates = previousUpdates.status === 'fulfilled' ? applyDecision(decision, previousUpdates.value) : [];
     const currentTasks = tasks.status === 'fulfilled' ? tasks.value : [];
     const currentPRs = prs.status === 'fulfilled' ? prs.value : [];
 
@@ -190,7 +210,7 @@ async function handleStandupStatusQuery(teamMember, message) {
     };
 
   } catch (error) {
-    console.error('Error handling standup status query:', error);
+    logger.error('Error handling standup status query', { error });
     return {
       message: `Sorry, I encountered an error while fetching standup status for ${teamMember}.`,
       type: 'error',
@@ -202,9 +222,29 @@ async function handleStandupStatusQuery(teamMember, message) {
 /**
  * Handle team metrics queries
  */
-async function handleTeamMetricsQuery(message) {
+async function handleTeamMetricsQuery(message, teamId, principal) {
   try {
-    const metrics = await getTeamMetrics();
+    let scope;
+    try {
+      scope = resolveTeamScope(principal, 'team.metrics', teamId);
+    } catch (authError) {
+      return {
+        message: `${authError.message}.`,
+        type: 'error',
+        suggestions: ["What's my standup status?", 'Show my task status']
+      };
+    }
+    
+    const team = scope.team ? getTeam(scope.team) : null;
+    if (team === undefined) {
+      return {
+        message: 'That team is not in the team registry.',
+        type: 'error',
+        suggestions: ['Show me the team metrics']
+      };
+    }
+    
+    const metrics = applyDecision(scope, await getTeamMetrics(undefined, undefined, team ? team.members.map(member => member.name) : null));
     
     if (metrics.totalStandups === 0) {
       return {
@@ -233,9 +273,10 @@ async function handleTeamMetricsQuery(message) {
     }
 
     return {
-      message: "Here are the current team metrics:",
+      message: team ? `Here are the current metrics for ${team.name}:` : "Here are the current team metrics:",
       type: 'team_metrics',
       data: {
+        team: team ? { id: team.id, name: team.name } : null,
         overview: {
           totalStandups: metrics.totalStandups,
           activeMembers: metrics.activeMembers,
@@ -260,7 +301,7 @@ async function handleTeamMetricsQuery(message) {
     };
 
   } catch (error) {
-    console.error('Error handling team metrics query:', error);
+    logger.error('Error handling team metrics query', { error });
     return {
       message: "Sorry, I encountered an error while fetching team metrics.",
       type: 'error',
@@ -325,7 +366,7 @@ async function handleTaskStatusQuery(teamMember, message) {
     };
 
   } catch (error) {
-    console.error('Error handling task status query:', error);
+    logger.error('Error handling task status query', { error });
     return {
       message: `Sorry, I encountered an error while fetching task status for ${teamMember}.`,
       type: 'error',
@@ -400,7 +441,7 @@ async function handlePRStatusQuery(teamMember, message) {
     };
 
   } catch (error) {
-    console.error('Error handling PR status query:', error);
+    logger.error('Error handling PR status query', { error });
     return {
       message: `Sorry, I encountered an error while fetching PR status for ${teamMember}.`,
       type: 'error',
@@ -412,7 +453,7 @@ async function handlePRStatusQuery(teamMember, message) {
 /**
  * Handle blocker help queries
  */
-async function handleBlockerHelpQuery(teamMember, message) {
+async function handleBlockerHelpQuery(teamMember, message, decision) {
   try {
     if (!teamMember) {
       return {
@@ -421,7 +462,7 @@ async function handleBlockerHelpQuery(teamMember, message) {
       };
     }
 
-    const recentUpdates = await getPreviousUpdates(teamMember, 5);
+    const recentUpdates = applyDecision(decision, await getPreviousUpdates(teamMember, 5));
     
     if (recentUpdates.length === 0) {
       return {
@@ -435,7 +476,7 @@ async function handleBlockerHelpQuery(teamMember, message) {
       .filter(update => update.blockers && update.blockers.toLowerCase() !== 'none')
       .map(update => ({
         date: update.timestamp,
-        blocker: update.blocker,
+        blocker: update.blockers,
         followUpQuestions: update.followUpQuestions || []
       }));
 
@@ -487,7 +528,7 @@ async function handleBlockerHelpQuery(teamMember, message) {
     };
 
   } catch (error) {
-    console.error('Error handling blocker help query:', error);
+    logger.error('Error handling blocker help query', { error });
     return {
       message: `Sorry, I encountered an error while analyzing blockers for ${teamMember}.`,
       type: 'error',
@@ -499,7 +540,7 @@ async function handleBlockerHelpQuery(teamMember, message) {
 /**
  * Handle history queries
  */
-async function handleHistoryQuery(teamMember, message) {
+async function handleHistoryQuery(teamMember, message, decision) {
   try {
     if (!teamMember) {
       return {
@@ -508,7 +549,7 @@ async function handleHistoryQuery(teamMember, message) {
       };
     }
 
-    const history = await getStandupHistory(teamMember);
+    const history = applyDecision(decision, await getStandupHistory(teamMember));
     
     if (history.length === 0) {
       return {
@@ -546,7 +587,7 @@ async function handleHistoryQuery(teamMember, message) {
     };
 
   } catch (error) {
-    console.error('Error handling history query:', error);
+    logger.error('Error handling history query', { error });
     return {
       message: `Sorry, I encountered an error while fetching history for ${teamMember}.`,
       type: 'error',
@@ -595,7 +636,7 @@ async function handleGeneralHelpQuery(message) {
 async function handleGeneralQuery(teamMember, message, chatContext) {
   try {
     // Use AI to generate a contextual response
-    const followUpQuestions = await generateFollowUpQuestions({
+    const { questions: followUpQuestions } = await generateFollowUpQuestions({
       standupData: { teamMemberName: teamMember, yesterday: '', today: message, blockers: '' },
       previousUpdates: [],
       tasks: [],
@@ -609,7 +650,7 @@ async function handleGeneralQuery(teamMember, message, chatContext) {
         originalQuery: message,
         teamMember,
         context: chatContext,
-        suggestions: followUpQuestions.slice(0, 3)
+        suggestions: followUpQuestions.slice(0, 3).map(question => question.question)
       },
       suggestions: [
         "Can you be more specific about what you need?",
@@ -619,7 +660,7 @@ async function handleGeneralQuery(teamMember, message, chatContext) {
     };
 
   } catch (error) {
-    console.error('Error handling general query:', error);
+    logger.error('Error handling general query', { error });
     return {
       message: "I'm not sure how to help with that specific request. Could you please rephrase or ask about standup status, team metrics, tasks, or PRs?",
       type: 'clarification',
@@ -631,40 +672,3 @@ async function handleGeneralQuery(teamMember, message, chatContext) {
     };
   }
 }
-
-/**
- * Helper functions for response formatting
- */
-function createSuccessResponse(data) {
-  return {
-    statusCode: 200,
-    headers: {
-      'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'Access-Control-Allow-Methods': 'POST, GET, OPTIONS'
-    },
-    body: JSON.stringify({
-      success: true,
-      ...data
-    })
-  };
-}
-
-function createErrorResponse(statusCode, message, details = null) {
-  return {
-    statusCode,
-    headers: {
-      'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'Access-Control-Allow-Methods': 'POST, GET, OPTIONS'
-    },
-    body: JSON.stringify({
-      success: false,
-      error: message,
-      details,
-      timestamp: new Date().toISOString()
-    })
-  };
-}
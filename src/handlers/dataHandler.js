@@ -1,273 +1,263 @@
 const { getStandupHistory, getTeamMetrics, getPreviousUpdates } = require('../services/storageService');
 const { analyzeStandupPatterns } = require('../services/aiService');
+const { latestPerDay } = require('../services/standupPolicy');
+const { getTeamMembers } = require('../services/teamRegistry');
+const { authenticate } = require('../services/authService');
+const { authorize, resolveTeamScope, applyDecision } = require('../services/accessPolicy');
+const { httpHandler, HttpError } = require('../middleware/http');
+const { logger } = require('../services/logger');
 
 /**
  * Data Retrieval Handler
  * Provides endpoints for accessing standup history, team metrics, and analytics
  */
 
-exports.getStandupHistory = async (event, context) => {
-  try {
-    console.log('Fetching standup history:', JSON.stringify(event, null, 2));
-    
-    const teamMember = event.pathParameters?.teamMember;
-    const startDate = event.queryStringParameters?.startDate;
-    const endDate = event.queryStringParameters?.endDate;
-    const format = event.queryStringParameters?.format || 'json';
-    const limit = parseInt(event.queryStringParameters?.limit) || 50;
-    
-    if (!teamMember) {
-      return createErrorResponse(400, 'Team member name is required');
-    }
-
-    console.log(`Fetching standup history for ${teamMember} from ${startDate || 'beginning'} to ${endDate || 'now'} in ${format} format`);
-    
-    const history = await getStandupHistory(teamMember, startDate, endDate, format);
-    
-    if (history.length === 0) {
-      return createSuccessResponse({
-        success: true,
-        teamMember,
-        message: `No standup history found for ${teamMember}`,
-        data: {
-          history: [],
-          summary: {
-            totalEntries: 0,
-            dateRange: null,
-            patterns: null
-          }
-        }
-      });
-    }
+exports.getStandupHistory = httpHandler({ operationId: 'getStandupHistory', failureMessage: 'Failed to fetch standup history' }, async (event) => {
+  const principal = authenticate(event);
+  const teamMember = event.pathParameters?.teamMember;
+  const startDate = event.queryStringParameters?.startDate;
+  const endDate = event.queryStringParameters?.endDate;
+  const format = event.queryStringParameters?.format || 'json';
+  const limit = parseInt(event.queryStringParameters?.limit) || 50;
+  
+  if (!teamMember) {
+    throw new HttpError(400, 'Team member name is required');
+  }
 
-    // Limit results if requested
-    const limitedHistory = history.slice(0, limit);
-    
-    // Generate analytics if we have JSON data
-    let patterns = null;
-    let analytics = null;
-    
-    if (format === 'json' && limitedHistory.length > 0) {
-      try {
-        patterns = await analyzeStandupPatterns(teamMember, limitedHistory[0], limitedHistory);
-        analytics = generateHistoryAnalytics(limitedHistory);
-      } catch (analysisError) {
-        console.warn('Error generating patterns analysis:', analysisError);
-      }
-    }
+  authorize(principal, 'member.history', { teamMember });
 
-    const response = {
+  logger.info(`Fetching standup history for ${teamMember} from ${startDate || 'beginning'} to ${endDate || 'now'} in ${format} format`);
+  
+  const history = await getStandupHistory(teamMember, startDate, endDate, format);
+  
+  if (history.length === 0) {
+    return {
       success: true,
       teamMember,
-      format,
-      timestamp: new Date().toISOString(),
+      message: `No standup history found for ${teamMember}`,
       data: {
-        history: limitedHistory,
+        history: [],
         summary: {
-          totalEntries: limitedHistory.length,
-          totalAvailable: history.length,
-          dateRange: limitedHistory.length > 0 ? {
-            from: limitedHistory[limitedHistory.length - 1].timestamp || limitedHistory[limitedHistory.length - 1].date,
-            to: limitedHistory[0].timestamp || limitedHistory[0].date
-          } : null,
-          patterns,
-          analytics
+          totalEntries: 0,
+          dateRange: null,
+          patterns: null
         }
       }
     };
+  }
 
-    return createSuccessResponse(response);
-
-  } catch (error) {
-    console.error('Error fetching standup history:', error);
-    return createErrorResponse(500, 'Failed to fetch standup history', error.message);
+  // Limit results if requested
+  const limitedHistory = history.slice(0, limit);
+  
+  // Generate analytics if we have JSON data
+  let patterns = null;
+  let analytics = null;
+  
+  if (format === 'json' && limitedHistory.length > 0) {
+    try {
+      patterns = await analyzeStandupPatterns(teamMember, limitedHistory[0], limitedHistory);
+      analytics = generateHistoryAnalytics(latestPerDay(limitedHistory));
+    } catch (analysisError) {
+      logger.warn('Error generating patterns analysis', { error: analysisError });
+    }
   }
-};
 
-exports.getTeamMetrics = async (event, context) => {
-  try {
-    console.log('Fetching team metrics:', JSON.stringify(event, null, 2));
-    
-    const startDate = event.queryStringParameters?.startDate;
-    const endDate = event.queryStringParameters?.endDate;
-    const includeDetails = event.queryStringParameters?.includeDetails === 'true';
-    
-    console.log(`Fetching team metrics from ${startDate || 'beginning'} to ${endDate || 'now'}`);
-    
-    const metrics = await getTeamMetrics(startDate, endDate);
-    
-    // Generate additional insights
-    const insights = generateTeamInsights(metrics);
-    const recommendations = generateTeamRecommendations(metrics);
-    
-    const response = {
-      success: true,
-      timestamp: new Date().toISOString(),
-      dateRange: {
-        from: startDate || 'All time',
-        to: endDate || 'Present'
-      },
-      data: {
-        metrics,
-        insights,
-        recommendations,
-        // Include detailed member stats only if requested
-        memberDetails: includeDetails ? metrics.memberStats : null
+  const response = {
+    success: true,
+    teamMember,
+    format,
+    timestamp: new Date().toISOString(),
+    data: {
+      history: limitedHistory,
+      summary: {
+        totalEntries: limitedHistory.length,
+        totalAvailable: history.length,
+        dateRange: limitedHistory.length > 0 ? {
+          from: limitedHistory[limitedHistory.length - 1].timestamp || limitedHistory[limitedHistory.length - 1].date,
+          to: limitedHistory[0].timestamp || limitedHistory[0].date
+        } : null,
+        patterns,
+        analytics
       }
-    };
-
-    return createSuccessResponse(response);
+    }
+  };
 
-  } catch (error) {
-    console.error('Error fetching team metrics:', error);
-    return createErrorResponse(500, 'Failed to fetch team metrics', error.message);
-  }
-};
+  return response;
+});
 
-exports.getTeamMemberSummary = async (event, context) => {
-  try {
-    console.log('Fetching team member summary:', JSON.stringify(event, null, 2));
-    
-    const teamMember = event.pathParameters?.teamMember;
-    const days = parseInt(event.queryStringParameters?.days) || 30;
-    
-    if (!teamMember) {
-      return createErrorResponse(400, 'Team member name is required');
+exports.getTeamMetrics = httpHandler({ operationId: 'getTeamMetrics', failureMessage: 'Failed to fetch team metrics' }, async (event) => {
+  const startDate = event.queryStringParameters?.startDate;
+  const endDate = event.queryStringParameters?.endDate;
+  const includeDetails = event.queryStringParameters?.includeDetails === 'true';
+  
+  // Leads and viewers default to their own team; viewers get blocker text hidden
+  const scope = resolveTeamScope(authenticate(event), 'team.metrics', event.queryStringParameters?.team);
+  const team = scope.team;
+  
+  logger.info(`Fetching ${team || 'all'} team metrics from ${startDate || 'beginning'} to ${endDate || 'now'}`);
+  
+  const metrics = applyDecision(scope, await getTeamMetrics(startDate, endDate, team ? getTeamMembers(team) : null));
+  
+  // Generate additional insights
+  const insights = generateTeamInsights(metrics);
+  const recommendations = generateTeamRecommendations(metrics);
+  
+  const response = {
+    success: true,
+    team: team || null,
+    timestamp: new Date().toISOString(),
+    dateRange: {
+      from: startDate || 'All time',
+      to: endDate || 'Present'
+    },
+    data: {
+      metrics,
+      insights,
+      recommendations,
+      // Include detailed member stats only if requested
+      memberDetails: includeDetails ? metrics.memberStats : null
     }
+  };
 
-    console.log(`Fetching ${days} days summary for ${teamMember}`);
-    
-    // Get recent updates
-    const recentUpdates = await getPreviousUpdates(teamMember, Math.min(days, 50));
-    
-    if (recentUpdates.length === 0) {
-      return createSuccessResponse({
-        success: true,
-        teamMember,
-        message: `No recent activity found for ${teamMember}`,
-        data: {
-          summary: {
-            totalStandups: 0,
-            averageTasksPerStandup: 0,
-            averagePRsPerStandup: 0,
-            blockerFrequency: 0,
-            productivity: 'No data'
-          }
-        }
-      });
-    }
+  return response;
+});
 
-    // Calculate summary statistics
-    const summary = calculateMemberSummary(recentUpdates, days);
-    
-    // Generate member-specific insights
-    const memberInsights = generateMemberInsights(recentUpdates, summary);
-    
-    const response = {
+exports.getTeamMemberSummary = httpHandler({ operationId: 'getTeamMemberSummary', failureMessage: 'Failed to fetch team member summary' }, async (event) => {
+  const teamMember = event.pathParameters?.teamMember;
+  const days = parseInt(event.queryStringParameters?.days) || 30;
+  
+  if (!teamMember) {
+    throw new HttpError(400, 'Team member name is required');
+  }
+
+  const decision = authorize(authenticate(event), 'member.summary', { teamMember });
+
+  logger.info(`Fetching ${days} days summary for ${teamMember}`);
+  
+  // Get recent updates, one per day so repeat submissions do not skew the averages
+  const recentUpdates = applyDecision(decision, latestPerDay(await getPreviousUpdates(teamMember, Math.min(days, 50))));
+  
+  if (recentUpdates.length === 0) {
+    return {
       success: true,
       teamMember,
-      days,
-      timestamp: new Date().toISOString(),
+      message: `No recent activity found for ${teamMember}`,
       data: {
-        summary,
-        insights: memberInsights,
-        recentActivity: recentUpdates.slice(0, 5).map(update => ({
-          date: update.timestamp,
-          yesterday: update.yesterday?.substring(0, 100) + (update.yesterday?.length > 100 ? '...' : ''),
-          today: update.today?.substring(0, 100) + (update.today?.length > 100 ? '...' : ''),
-          blockers: update.blockers,
-          tasksCount: update.jiraTasks?.length || 0,
-          prsCount: update.bitbucketPRs?.length || 0
-        })),
-        trends: analyzeMemberTrends(recentUpdates)
+        summary: {
+          totalStandups: 0,
+          averageTasksPerStandup: 0,
+          averagePRsPerStandup: 0,
+          blockerFrequency: 0,
+          productivity: 'No data'
+        }
       }
     };
-
-    return createSuccessResponse(response);
-
-  } catch (error) {
-    console.error('Error fetching team member summary:', error);
-    return createErrorResponse(500, 'Failed to fetch team member summary', error.message);
   }
-};
 
-exports.getBlockerAnalysis = async (event, context) => {
-  try {
-    console.log('Fetching blocker analysis:', JSON.stringify(event, null, 2));
-    
-    const teamMember = event.pathParameters?.teamMember;
-    const days = parseInt(event.queryStringParameters?.days) || 30;
-    
-    console.log(`Analyzing blockers for ${teamMember || 'all team members'} over ${days} days`);
-    
-    let blockerData;
-    
-    if (teamMember) {
-      // Analyze blockers for specific team member
-      const recentUpdates = await getPreviousUpdates(teamMember, days);
-      blockerData = analyzeIndividualBlockers(teamMember, recentUpdates);
-    } else {
-      // Analyze blockers across the team
-      const teamMetrics = await getTeamMetrics();
-      blockerData = analyzeTeamBlockers(teamMetrics);
+  // Calculate summary statistics
+  const summary = calculateMemberSummary(recentUpdates, days);
+  
+  // Generate member-specific insights
+  const memberInsights = generateMemberInsights(recentUpdates, summary);
+  
+  const response = {
+    success: true,
+    teamMember,
+    days,
+    timestamp: new Date().toISOString(),
+    data: {
+      summary,
+      insights: memberInsights,
+      recentActivity: recentUpdates.slice(0, 5).map(update => ({
+        date: update.timestamp,
+        yesterday: update.yesterday?.substring(0, 100) + (update.yesterday?.length > 100 ? '...' : ''),
+        today: update.today?.substring(0, 100) + (update.today?.length > 100 ? '...' : ''),
+        blockers: update.blockers,
+        tasksCount: update.jiraTasks?.length || 0,
+        prsCount: update.bitbucketPRs?.length || 0
+      })),
+      trends: analyzeMemberTrends(recentUpdates)
     }
-    
-    const response = {
-      success: true,
-      teamMember: teamMember || 'All team members',
-      days,
-      timestamp: new Date().toISOString(),
-      data: blockerData
-    };
+  };
 
-    return createSuccessResponse(response);
+  return response;
+});
 
-  } catch (error) {
-    console.error('Error fetching blocker analysis:', error);
-    return createErrorResponse(500, 'Failed to fetch blocker analysis', error.message);
+exports.getBlockerAnalysis = httpHandler({ operationId: (event) => (event.pathParameters?.teamMember ? 'getBlockerAnalysis' : 'getTeamBlockerAnalysis'), failureMessage: 'Failed to fetch blocker analysis' }, async (event) => {
+  const teamMember = event.pathParameters?.teamMember;
+  const days = parseInt(event.queryStringParameters?.days) || 30;
+  
+  // Blocker text is redacted before analysis, so nothing derived from it leaks to viewers
+  const principal = authenticate(event);
+  const decision = teamMember
+    ? authorize(principal, 'member.blockers', { teamMember })
+    : resolveTeamScope(principal, 'team.blockers', event.queryStringParameters?.team);
+  const team = decision.team;
+  
+  logger.info(`Analyzing blockers for ${teamMember || team || 'all team members'} over ${days} days`);
+  
+  let blockerData;
+  
+  if (teamMember) {
+    // Analyze blockers for specific team member
+    const recentUpdates = applyDecision(decision, latestPerDay(await getPreviousUpdates(teamMember, days)));
+    blockerData = analyzeIndividualBlockers(teamMember, recentUpdates);
+  } else {
+    // Analyze blockers across the team, or the whole deployment without one
+    const teamMetrics = applyDecision(decision, await getTeamMetrics(undefined, undefined, team ? getTeamMembers(team) : null));
+    blockerData = analyzeTeamBlockers(teamMetrics);
   }
-};
-
-exports.getProductivityMetrics = async (event, context) => {
-  try {
-    console.log('Fetching productivity metrics:', JSON.stringify(event, null, 2));
-    
-    const startDate = event.queryStringParameters?.startDate;
-    const endDate = event.queryStringParameters?.endDate;
-    const teamMember = event.queryStringParameters?.teamMember;
-    
-    console.log(`Fetching productivity metrics for ${teamMember || 'team'} from ${startDate || 'beginning'} to ${endDate || 'now'}`);
-    
-    let productivityData;
-    
-    if (teamMember) {
-      // Individual productivity metrics
-      const history = await getStandupHistory(teamMember, startDate, endDate);
-      productivityData = calculateIndividualProductivity(teamMember, history);
-    } else {
-      // Team productivity metrics
-      const teamMetrics = await getTeamMetrics(startDate, endDate);
-      productivityData = calculateTeamProductivity(teamMetrics);
-    }
-    
-    const response = {
-      success: true,
-      scope: teamMember || 'Team',
-      dateRange: {
-        from: startDate || 'All time',
-        to: endDate || 'Present'
-      },
-      timestamp: new Date().toISOString(),
-      data: productivityData
-    };
+  
+  const response = {
+    success: true,
+    teamMember: teamMember || (team ? `Team ${team}` : 'All team members'),
+    days,
+    timestamp: new Date().toISOString(),
+    data: blockerData
+  };
 
-    return createSuccessResponse(response);
+  return response;
+});
 
-  } catch (error) {
-    console.error('Error fetching productivity metrics:', error);
-    return createErrorResponse(500, 'Failed to fetch productivity metrics', error.message);
+exports.getProductivityMetrics = httpHandler({ operationId: 'getProductivityMetrics', failureMessage: 'Failed to fetch productivity metrics' }, async (event) => {
+  const startDate = event.queryStringParameters?.startDate;
+  const endDate = event.queryStringParameters?.endDate;
+  const teamMember = event.queryStringParameters?.teamMember;
+  
+  // Members see only their own score; leads see everyone on their team
+  const principal = authenticate(event);
+  const decision = teamMember
+    ? authorize(principal, 'member.productivity', { teamMember })
+    : resolveTeamScope(principal, 'team.productivity', event.queryStringParameters?.team);
+  const team = decision.team;
+  
+  logger.info(`Fetching productivity metrics for ${teamMember || team || 'team'} from ${startDate || 'beginning'} to ${endDate || 'now'}`);
+  
+  let productivityData;
+  
+  if (teamMember) {
+    // Individual productivity metrics
+    const history = latestPerDay(await getStandupHistory(teamMember, startDate, endDate));
+    productivityData = calculateIndividualProductivity(teamMember, history);
+  } else {
+    // Team productivity metrics
+    const teamMetrics = applyDecision(decision, await getTeamMetrics(startDate, endDate, team ? getTeamMembers(team) : null));
+    productivityData = calculateTeamProductivity(teamMetrics);
   }
-};
+  
+  const response = {
+    success: true,
+    scope: teamMember || team || 'Team',
+    dateRange: {
+      from: startDate || 'All time',
+      to: endDate || 'Present'
+    },
+    timestamp: new Date().toISOString(),
+    data: productivityData
+  };
+
+  return response;
+});
 
 /**
  * Generate analytics from standup history
@@ -353,9 +343,9 @@ function generateTeamInsights(metrics) {
     return insights;
   }
 
-  // Participation insights
+  // Participation insights, counting days with a standup rather than submissions
   if (metrics.activeMembers > 0) {
-    const avgStandupsPerMember = metrics.totalStandups / metrics.activeMembers;
+    const avgStandupsPerMember = (metrics.totalStandupDays ?? metrics.totalStandups) / metrics.activeMembers;
     if (avgStandupsPerMember < 5) {
       insights.push({
         type: 'concern',
@@ -694,6 +684,7 @@ function calculateTeamProductivity(teamMetrics) {
     metrics: {
       totalMembers: teamMetrics.activeMembers,
       totalStandups: teamMetrics.totalStandups,
+      totalStandupDays: teamMetrics.totalStandupDays,
       averageTasksPerMember: teamMetrics.averageTasksPerMember,
       averagePRsPerMember: teamMetrics.averagePRsPerMember
     }
@@ -716,37 +707,3 @@ function calculateProductivityScore(tasks, prs, blockers, standups) {
   if (score > 3) return 'Medium';
   return 'Low';
 }
-
-/**
- * Helper functions for response formatting
- */
-function createSuccessResponse(data) {
-  return {
-    statusCode: 200,
-    headers: {
-      'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'Access-Control-Allow-Methods': 'POST, GET, OPTIONS'
-    },
-    body: JSON.stringify(data)
-  };
-}
-
-function createErrorResponse(statusCode, message, details = null) {
-  return {
-    statusCode,
-    headers: {
-      'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'Access-Control-Allow-Methods': 'POST, GET, OPTIONS'
-    },
-    body: JSON.stringify({
-      success: false,
-      error: message,
-      details,
-      timestamp: new Date().toISOString()
-    })
-  };
-}
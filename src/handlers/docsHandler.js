@@ -0,0 +1,10 @@
+const { openApiDocument } = require('../schemas/openapi');
+const { httpHandler } = require('../middleware/http');
+
+/**
+ * API Documentation Handler
+ * Serves the OpenAPI document built from src/schemas/openapi.js. It describes the API
+ * rather than any team's data, so like GET /health it needs no bearer token.
+ */
+
+exports.getOpenApiSpec = httpHandler({ operationId: 'getOpenApiSpec', failureMessage: 'Failed to serve OpenAPI document' }, async () => openApiDocument);
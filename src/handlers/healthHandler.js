@@ -0,0 +1,86 @@
+const { httpHandler, respond } = require('../middleware/http');
+const { checkStorage } = require('../services/storageService');
+const { checkJiraConnection } = require('../services/jiraService');
+const { checkBitbucketConnection } = require('../services/bitbucketService');
+const { isRegistryConfigured, getTeams } = require('../services/teamRegistry');
+const { getAiProvider } = require('../services/aiService');
+const { telemetry, describeError } = require('../services/telemetry');
+const { version } = require('../../package.json');
+
+/**
+ * Health Handler
+ * Checks each dependency the API calls and reports it as ok, error, not_configured or
+ * unchecked, with how long the check took. It needs no bearer token so uptime checks can call
+ * it, and reports statuses only: no standup data, credentials or upstream error messages.
+ */
+
+// A check that has not answered in this long counts as failed
+const CHECK_TIMEOUT_MS = 3000;
+
+// Without these no request succeeds (503); Jira, Bitbucket and the AI provider only enrich standups
+const CRITICAL_DEPENDENCIES = ['storage', 'teamRegistry'];
+
+const CHECKS = {
+  storage: checkStorage,
+  teamRegistry: async () => (isRegistryConfigured() ? { teams: getTeams().length } : { status: 'not_configured' }),
+  jira: checkJiraConnection,
+  bitbucket: checkBitbucketConnection,
+  ai: checkAiProvider
+};
+
+exports.getHealth = httpHandler({ operationId: 'getHealth', failureMessage: 'Health check failed' }, async () => {
+  const names = Object.keys(CHECKS);
+  const results = await Promise.all(names.map(name => runCheck(CHECKS[name])));
+  const dependencies = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+  const failing = names.filter(name => dependencies[name].status === 'error');
+  let status = 'ok';
+  if (failing.some(name => CRITICAL_DEPENDENCIES.includes(name))) {
+    status = 'down';
+  } else if (failing.length > 0) {
+    status = 'degraded';
+  }
+
+  return respond(status === 'down' ? 503 : 200, {
+    success: status !== 'down',
+    status,
+    version,
+    timestamp: new Date().toISOString(),
+    dependencies
+  });
+});
+
+/**
+ * Run one check with a time limit; a check reports ok unless it says otherwise or throws
+ */
+async function runCheck(check) {
+  const startedAt = Date.now();
+  let timer;
+
+  try {
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(Object.assign(new Error('Health check timed out'), { code: 'TIMEOUT' })), CHECK_TIMEOUT_MS);
+    });
+    const result = await Promise.race([check(), timeout]);
+
+    return { status: 'ok', ...result, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { status: 'error', error: describeError(error), latencyMs: Date.now() - startedAt };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Invoking a model costs money, so the AI provider is judged by the last call this instance made
+ */
+async function checkAiProvider() {
+  const provider = getAiProvider().name;
+  const lastCall = telemetry.getLastCall(provider);
+
+  if (!lastCall) {
+    return { status: 'unchecked', provider };
+  }
+
+  return { status: lastCall.outcome, provider, lastCallAt: lastCall.at, ...(lastCall.error ? { error: lastCall.error } : {}) };
+}
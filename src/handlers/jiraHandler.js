@@ -1,235 +1,207 @@
 const { getTeamMemberTasks, getTaskDetails, getTeamMemberActivity, getProjectStats, searchIssues, getTeamWorkload } = require('../services/jiraService');
+const { authenticate } = require('../services/authService');
+const { authorize } = require('../services/accessPolicy');
+const { httpHandler, HttpError } = require('../middleware/http');
+const { logger } = require('../services/logger');
 
 /**
  * Jira Integration Handler
  * Provides endpoints for Jira task management and team workload analysis
  */
 
-exports.getTeamMemberTasks = async (event, context) => {
-  try {
-    console.log('Fetching Jira tasks for team member:', JSON.stringify(event, null, 2));
-    
-    const teamMember = event.pathParameters?.teamMember;
-    
-    if (!teamMember) {
-      return createErrorResponse(400, 'Team member name is required');
-    }
+exports.getTeamMemberTasks = httpHandler({ operationId: 'getTeamMemberTasks', failureMessage: 'Failed to fetch Jira tasks' }, async (event) => {
+  const principal = authenticate(event);
+  
+  const teamMember = event.pathParameters?.teamMember;
+  
+  if (!teamMember) {
+    throw new HttpError(400, 'Team member name is required');
+  }
+
+  authorize(principal, 'member.integrations', { teamMember: teamMember });
 
-    console.log(`Fetching Jira tasks for: ${teamMember}`);
-    
-    const tasks = await getTeamMemberTasks(teamMember);
-    
-    // Categorize tasks for better insights
-    const taskAnalysis = analyzeTasks(tasks);
-    
-    const response = {
-      success: true,
-      teamMember,
-      timestamp: new Date().toISOString(),
-      data: {
-        tasks,
-        analysis: taskAnalysis,
-        summary: {
-          totalTasks: tasks.length,
-          highPriorityTasks: tasks.filter(task => 
-            task.priority.name === 'High' || task.priority.name === 'Highest'
-          ).length,
-          inProgressTasks: tasks.filter(task => 
-            task.status.category === 'In Progress'
-          ).length,
-          todoTasks: tasks.filter(task => 
-            task.status.category === 'To Do'
-          ).length,
-          doneTasks: tasks.filter(task => 
-            task.status.category === 'Done'
-          ).length
-        }
+  logger.info(`Fetching Jira tasks for: ${teamMember}`);
+  
+  const tasks = await getTeamMemberTasks(teamMember);
+  
+  // Categorize tasks for better insights
+  const taskAnalysis = analyzeTasks(tasks);
+  
+  const response = {
+    success: true,
+    teamMember,
+    timestamp: new Date().toISOString(),
+    data: {
+      tasks,
+      analysis: taskAnalysis,
+      summary: {
+        totalTasks: tasks.length,
+        highPriorityTasks: tasks.filter(task => 
+          task.priority.name === 'High' || task.priority.name === 'Highest'
+        ).length,
+        inProgressTasks: tasks.filter(task => 
+          task.status.category === 'In Progress'
+        ).length,
+        todoTasks: tasks.filter(task => 
+          task.status.category === 'To Do'
+        ).length,
+        doneTasks: tasks.filter(task => 
+          task.status.category === 'Done'
+        ).length
       }
-    };
+    }
+  };
 
-    return createSuccessResponse(response);
+  return response;
+});
 
-  } catch (error) {
-    console.error('Error fetching Jira tasks:', error);
-    return createErrorResponse(500, 'Failed to fetch Jira tasks', error.message);
+exports.getTaskDetails = httpHandler({ operationId: 'getTaskDetails', failureMessage: 'Failed to fetch task details' }, async (event) => {
+  authenticate(event);
+  
+  const taskKey = event.pathParameters?.taskKey;
+  
+  if (!taskKey) {
+    throw new HttpError(400, 'Task key is required');
   }
-};
-
-exports.getTaskDetails = async (event, context) => {
-  try {
-    console.log('Fetching Jira task details:', JSON.stringify(event, null, 2));
-    
-    const taskKey = event.pathParameters?.taskKey;
-    
-    if (!taskKey) {
-      return createErrorResponse(400, 'Task key is required');
-    }
 
-    console.log(`Fetching details for Jira task: ${taskKey}`);
-    
-    const taskDetails = await getTaskDetails(taskKey);
-    
-    if (!taskDetails) {
-      return createErrorResponse(404, `Task ${taskKey} not found`);
-    }
+  logger.info(`Fetching details for Jira task: ${taskKey}`);
+  
+  const taskDetails = await getTaskDetails(taskKey);
+  
+  if (!taskDetails) {
+    throw new HttpError(404, `Task ${taskKey} not found`);
+  }
 
-    const response = {
-      success: true,
-      taskKey,
-      timestamp: new Date().toISOString(),
-      data: taskDetails
-    };
+  const response = {
+    success: true,
+    taskKey,
+    timestamp: new Date().toISOString(),
+    data: taskDetails
+  };
 
-    return createSuccessResponse(response);
+  return response;
+});
 
-  } catch (error) {
-    console.error('Error fetching Jira task details:', error);
-    return createErrorResponse(500, 'Failed to fetch task details', error.message);
+exports.getTeamMemberActivity = httpHandler({ operationId: 'getTeamMemberActivity', failureMessage: 'Failed to fetch Jira activity' }, async (event) => {
+  const principal = authenticate(event);
+  
+  const teamMember = event.pathParameters?.teamMember;
+  const days = parseInt(event.queryStringParameters?.days) || 7;
+  
+  if (!teamMember) {
+    throw new HttpError(400, 'Team member name is required');
   }
-};
-
-exports.getTeamMemberActivity = async (event, context) => {
-  try {
-    console.log('Fetching team member Jira activity:', JSON.stringify(event, null, 2));
-    
-    const teamMember = event.pathParameters?.teamMember;
-    const days = parseInt(event.queryStringParameters?.days) || 7;
-    
-    if (!teamMember) {
-      return createErrorResponse(400, 'Team member name is required');
-    }
 
-    console.log(`Fetching ${days} days of Jira activity for: ${teamMember}`);
-    
-    const activity = await getTeamMemberActivity(teamMember, days);
-    
-    const response = {
-      success: true,
-      teamMember,
-      days,
-      timestamp: new Date().toISOString(),
-      data: {
-        activity,
-        summary: {
-          updatedIssues: activity.updatedIssues.length,
-          createdIssues: activity.createdIssues.length,
-          resolvedIssues: activity.resolvedIssues.length,
-          totalActivity: activity.updatedIssues.length + activity.createdIssues.length + activity.resolvedIssues.length
-        }
+  authorize(principal, 'member.integrations', { teamMember: teamMember });
+
+  logger.info(`Fetching ${days} days of Jira activity for: ${teamMember}`);
+  
+  const activity = await getTeamMemberActivity(teamMember, days);
+  
+  const response = {
+    success: true,
+    teamMember,
+    days,
+    timestamp: new Date().toISOString(),
+    data: {
+      activity,
+      summary: {
+        updatedIssues: activity.updatedIssues.length,
+        createdIssues: activity.createdIssues.length,
+        resolvedIssues: activity.resolvedIssues.length,
+        totalActivity: activity.updatedIssues.length + activity.createdIssues.length + activity.resolvedIssues.length
       }
-    };
+    }
+  };
 
-    return createSuccessResponse(response);
+  return response;
+});
 
-  } catch (error) {
-    console.error('Error fetching team member Jira activity:', error);
-    return createErrorResponse(500, 'Failed to fetch Jira activity', error.message);
+exports.getProjectStats = httpHandler({ operationId: 'getProjectStats', failureMessage: 'Failed to fetch project statistics' }, async (event) => {
+  authenticate(event);
+  
+  const projectKey = event.pathParameters?.projectKey;
+  
+  if (!projectKey) {
+    throw new HttpError(400, 'Project key is required');
   }
-};
-
-exports.getProjectStats = async (event, context) => {
-  try {
-    console.log('Fetching Jira project statistics:', JSON.stringify(event, null, 2));
-    
-    const projectKey = event.pathParameters?.projectKey;
-    
-    if (!projectKey) {
-      return createErrorResponse(400, 'Project key is required');
-    }
 
-    console.log(`Fetching statistics for Jira project: ${projectKey}`);
-    
-    const projectStats = await getProjectStats(projectKey);
-    
-    if (!projectStats) {
-      return createErrorResponse(404, `Project ${projectKey} not found`);
-    }
+  logger.info(`Fetching statistics for Jira project: ${projectKey}`);
+  
+  const projectStats = await getProjectStats(projectKey);
+  
+  if (!projectStats) {
+    throw new HttpError(404, `Project ${projectKey} not found`);
+  }
 
-    const response = {
-      success: true,
-      projectKey,
-      timestamp: new Date().toISOString(),
-      data: projectStats
-    };
+  const response = {
+    success: true,
+    projectKey,
+    timestamp: new Date().toISOString(),
+    data: projectStats
+  };
 
-    return createSuccessResponse(response);
+  return response;
+});
 
-  } catch (error) {
-    console.error('Error fetching Jira project statistics:', error);
-    return createErrorResponse(500, 'Failed to fetch project statistics', error.message);
+exports.searchIssues = httpHandler({ operationId: 'searchIssues', failureMessage: 'Failed to search Jira issues' }, async (event, context, { body }) => {
+  authenticate(event);
+  
+  const { jql, maxResults = 50 } = body;
+  
+  if (!jql) {
+    throw new HttpError(400, 'JQL query is required');
   }
-};
-
-exports.searchIssues = async (event, context) => {
-  try {
-    console.log('Searching Jira issues:', JSON.stringify(event, null, 2));
-    
-    const body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
-    const { jql, maxResults = 50 } = body;
-    
-    if (!jql) {
-      return createErrorResponse(400, 'JQL query is required');
-    }
 
-    console.log(`Searching Jira issues with JQL: ${jql}`);
-    
-    const issues = await searchIssues(jql, maxResults);
-    
-    const response = {
-      success: true,
-      jql,
-      maxResults,
-      timestamp: new Date().toISOString(),
-      data: {
-        issues,
-        count: issues.length
-      }
-    };
+  logger.info(`Searching Jira issues with JQL: ${jql}`);
+  
+  const issues = await searchIssues(jql, maxResults);
+  
+  const response = {
+    success: true,
+    jql,
+    maxResults,
+    timestamp: new Date().toISOString(),
+    data: {
+      issues,
+      count: issues.length
+    }
+  };
 
-    return createSuccessResponse(response);
+  return response;
+});
 
-  } catch (error) {
-    console.error('Error searching Jira issues:', error);
-    return createErrorResponse(500, 'Failed to search Jira issues', error.message);
+exports.getTeamWorkload = httpHandler({ operationId: 'getTeamWorkload', failureMessage: 'Failed to calculate team workload' }, async (event, context, { body }) => {
+  const principal = authenticate(event);
+  
+  const { teamMembers } = body;
+  
+  if (!teamMembers || !Array.isArray(teamMembers) || teamMembers.length === 0) {
+    throw new HttpError(400, 'Team members array is required');
   }
-};
-
-exports.getTeamWorkload = async (event, context) => {
-  try {
-    console.log('Calculating team Jira workload:', JSON.stringify(event, null, 2));
-    
-    const body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
-    const { teamMembers } = body;
-    
-    if (!teamMembers || !Array.isArray(teamMembers) || teamMembers.length === 0) {
-      return createErrorResponse(400, 'Team members array is required');
-    }
 
-    console.log(`Calculating workload for team members: ${teamMembers.join(', ')}`);
-    
-    const workload = await getTeamWorkload(teamMembers);
-    
-    // Calculate team statistics
-    const teamStats = calculateTeamStats(workload);
-    
-    const response = {
-      success: true,
-      teamMembers,
-      timestamp: new Date().toISOString(),
-      data: {
-        workload,
-        teamStats,
-        insights: generateWorkloadInsights(workload)
-      }
-    };
+  teamMembers.forEach(member => authorize(principal, 'member.integrations', { teamMember: member }));
 
-    return createSuccessResponse(response);
+  logger.info(`Calculating workload for team members: ${teamMembers.join(', ')}`);
+  
+  const workload = await getTeamWorkload(teamMembers);
+  
+  // Calculate team statistics
+  const teamStats = calculateTeamStats(workload);
+  
+  const response = {
+    success: true,
+    teamMembers,
+    timestamp: new Date().toISOString(),
+    data: {
+      workload,
+      teamStats,
+      insights: generateWorkloadInsights(workload)
+    }
+  };
 
-  } catch (error) {
-    console.error('Error calculating team Jira workload:', error);
-    return createErrorResponse(500, 'Failed to calculate team workload', error.message);
-  }
-};
+  return response;
+});
 
 /**
  * Analyze tasks to provide insights
@@ -388,37 +360,3 @@ function generateWorkloadInsights(workload) {
 
   return insights;
 }
-
-/**
- * Helper functions for response formatting
- */
-function createSuccessResponse(data) {
-  return {
-    statusCode: 200,
-    headers: {
-      'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'Access-Control-Allow-Methods': 'POST, GET, OPTIONS'
-    },
-    body: JSON.stringify(data)
-  };
-}
-
-function createErrorResponse(statusCode, message, details = null) {
-  return {
-    statusCode,
-    headers: {
-      'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type',
-      'Access-Control-Allow-Methods': 'POST, GET, OPTIONS'
-    },
-    body: JSON.stringify({
-      success: false,
-      error: message,
-      details,
-      timestamp: new Date().toISOString()
-    })
-  };
-}
@@ -1,191 +1,619 @@
-const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
-const { getTeamMemberTasks } = require('../services/jiraService');
-const { getPRStatus } = require('../services/bitbucketService');
-const { saveStandupData, getPreviousUpdates } = require('../services/storageService');
-const { generateFollowUpQuestions } = require('../services/aiService');
-
-const bedrockClient = new BedrockRuntimeClient({
-  region: process.env.BEDROCK_REGION || 'us-east-1'
-});
+const crypto = require('crypto');
+const {
+  saveStandupData,
+  updateStandupData,
+  updateStandupEnrichment,
+  deleteStandupData,
+  getStandupById,
+  getStandupProcessing,
+  findDailyStandup,
+  getDraft,
+  saveDraft,
+  deleteDraft,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+} = require('../services/storageService');
+const {
+  PROCESSING_STATUSES,
+  waitForProcessing,
+  describeProcessingStatus,
+  unenrichedFields,
+  enrichStandup,
+  enrichedFields,
+  describeStandup,
+  generateInsights
+} = require('../services/standupProcessor');
+const { enqueueStandupProcessing } = require('../services/standupQueue');
+const { CURRENT_SCHEMA_VERSION } = require('../schemas/standupRecord');
+const { DAILY_POLICIES, DuplicateStandupError, getDailyPolicy } = require('../services/standupPolicy');
+const { getMemberTimezone, localDate, standupDate } = require('../services/timezoneService');
+const { authenticate } = require('../services/authService');
+const { authorize } = require('../services/accessPolicy');
+const { httpHandler, HttpError, respond } = require('../middleware/http');
+const { logger } = require('../services/logger');
 
-exports.processStandup = async (event, context) => {
-  try {
-    console.log('Processing standup request:', JSON.stringify(event, null, 2));
-    
-    // Parse request body
-    const body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
-    const { teamMemberName, yesterday, today, blockers } = body;
-
-    // Validate required fields
-    if (!teamMemberName || !yesterday || !today || !blockers) {
-      return {
-        statusCode: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type',
-          'Access-Control-Allow-Methods': 'POST, GET, OPTIONS'
-        },
-        body: JSON.stringify({
-          error: 'Missing required fields',
-          required: ['teamMemberName', 'yesterday', 'today', 'blockers']
-        })
-      };
-    }
+// Text fields a team member fills in for each standup
+const STANDUP_FIELDS = ['yesterday', 'today', 'blockers'];
+
+// Client-generated keys (UUIDs or similar) that are safe to use in storage keys
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
 
-    const standupData = {
-      teamMemberName,
-      yesterday,
-      today,
-      blockers,
-      timestamp: new Date().toISOString(),
-      id: require('uuid').v4()
-    };
-
-    console.log('Standup data prepared:', standupData);
-
-    // Get previous updates for context awareness
-    const previousUpdates = await getPreviousUpdates(teamMemberName);
-    console.log(`Found ${previousUpdates.length} previous updates for ${teamMemberName}`);
-
-    // Get Jira tasks and Bitbucket PRs in parallel
-    const [jiraTasks, bitbucketPRs] = await Promise.allSettled([
-      getTeamMemberTasks(teamMemberName),
-      getPRStatus(teamMemberName)
-    ]);
-
-    const tasks = jiraTasks.status === 'fulfilled' ? jiraTasks.value : [];
-    const prs = bitbucketPRs.status === 'fulfilled' ? bitbucketPRs.value : [];
-
-    console.log(`Retrieved ${tasks.length} Jira tasks and ${prs.length} PRs`);
-
-    // Generate AI-powered follow-up questions using Amazon Bedrock
-    const followUpQuestions = await generateFollowUpQuestions({
-      standupData,
-      previousUpdates,
-      tasks,
-      prs
+exports.processStandup = httpHandler({ operationId: 'processStandup', failureMessage: 'Failed to process standup' }, async (event, context, { body }) => {
+  const principal = authenticate(event);
+  
+  const { yesterday, today, blockers } = body;
+  const teamMemberName = body.teamMemberName || principal.name;
+
+  // Validate required fields
+  if (!teamMemberName || !yesterday || !today || !blockers) {
+    throw new HttpError(400, 'Missing required fields', {
+      details: { required: ['teamMemberName', 'yesterday', 'today', 'blockers'] }
     });
+  }
 
-    // Prepare complete standup record
-    const completeStandupRecord = {
-      ...standupData,
-      jiraTasks: tasks,
-      bitbucketPRs: prs,
-      followUpQuestions,
-      previousUpdatesCount: previousUpdates.length,
-      analysisMetadata: {
-        tasksAnalyzed: tasks.length,
-      prsAnalyzed: prs.length,
-        questionsGenerated: followUpQuestions.length,
-        contextFromPreviousUpdates: previousUpdates.length > 0
-      }
-    };
-
-    // Save to storage (JSON/CSV based on configuration)
-    await saveStandupData(completeStandupRecord);
-    console.log('Standup data saved successfully');
-
-    // Return response for VS Code Copilot Chat integration
-    const response = {
-      success: true,
-      message: `Standup processed successfully for ${teamMemberName}`,
-      data: {
-        standupId: standupData.id,
-        teamMember: teamMemberName,
-        timestamp: standupData.timestamp,
-        summary: {
-          yesterday: yesterday.substring(0, 100) + (yesterday.length > 100 ? '...' : ''),
-          today: today.substring(0, 100) + (today.length > 100 ? '...' : ''),
-          blockers: blockers.substring(0, 100) + (blockers.length > 100 ? '...' : ''),
-          jiraTasksCount: tasks.length,
-          openPRsCount: prs.filter(pr => pr.state === 'OPEN').length,
-          followUpQuestionsCount: followUpQuestions.length
-        },
-        followUpQuestions,
-        insights: await generateInsights(completeStandupRecord, previousUpdates)
+  authorize(principal, 'standup.write', { teamMember: teamMemberName });
+
+  // Retries carrying the same idempotency key get the stored response instead of a new record
+  const idempotencyKey = getIdempotencyKey(event, body);
+  const respondAsync = prefersAsync(event);
+  const request = { teamMemberName, yesterday, today, blockers, ...(respondAsync ? { respondAsync } : {}) };
+
+  return await runIdempotent(principal, idempotencyKey, request, async () => {
+    const standupData = buildStandupData(teamMemberName, { yesterday, today, blockers });
+
+    return respondAsync ? await queueStandup(standupData) : await completeStandup(standupData);
+  }, respondAsync ? 202 : 200);
+});
+
+exports.updateStandup = httpHandler({ operationId: 'updateStandup', failureMessage: 'Failed to update standup' }, async (event, context, { body }) => {
+  const principal = authenticate(event);
+  const standupId = event.pathParameters?.id;
+  const { reason } = body;
+  const editedBy = principal.name || body.editedBy;
+  
+  if (!standupId) {
+    throw new HttpError(400, 'Standup ID is required');
+  }
+  
+  if (!editedBy) {
+    throw new HttpError(400, 'editedBy is required to record who changed the standup');
+  }
+  
+  const changes = {};
+  for (const field of STANDUP_FIELDS) {
+    if (body[field] !== undefined) {
+      if (typeof body[field] !== 'string' || body[field].trim() === '') {
+        throw new HttpError(400, `${field} must be a non-empty string`);
       }
-    };
-
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, GET, OPTIONS'
+      changes[field] = body[field];
+    }
+  }
+  
+  if (Object.keys(changes).length === 0) {
+    throw new HttpError(400, 'At least one of yesterday, today or blockers is required');
+  }
+  
+  const existing = await getStandupById(standupId);
+  
+  if (!existing) {
+    throw new HttpError(404, `Standup ${standupId} not found`);
+  }
+  
+  authorize(principal, 'standup.write', { teamMember: existing.teamMemberName });
+  
+  const updated = await updateStandupData(standupId, changes, editedBy, reason);
+  
+  if (!updated) {
+    throw new HttpError(404, `Standup ${standupId} not found`);
+  }
+  
+  return {
+    success: true,
+    message: `Standup ${standupId} updated`,
+    data: {
+      standupId,
+      teamMember: updated.teamMemberName,
+      updatedAt: updated.updatedAt,
+      standup: {
+        yesterday: updated.yesterday,
+        today: updated.today,
+        blockers: updated.blockers
       },
-      body: JSON.stringify(response)
-    };
+      editHistory: updated.editHistory || []
+    }
+  };
+});
 
-  } catch (error) {
-    console.error('Error processing standup:', error);
+exports.deleteStandup = httpHandler({ operationId: 'deleteStandup', failureMessage: 'Failed to delete standup' }, async (event, context, { body }) => {
+  const principal = authenticate(event);
+  const standupId = event.pathParameters?.id;
+  const deletedBy = principal.name || body.deletedBy || event.queryStringParameters?.deletedBy;
+  const reason = body.reason || event.queryStringParameters?.reason;
+  
+  if (!standupId) {
+    throw new HttpError(400, 'Standup ID is required');
+  }
+  
+  if (!deletedBy) {
+    throw new HttpError(400, 'deletedBy is required to record who deleted the standup');
+  }
+  
+  const existing = await getStandupById(standupId);
+  
+  if (!existing) {
+    throw new HttpError(404, `Standup ${standupId} not found`);
+  }
+  
+  authorize(principal, 'standup.write', { teamMember: existing.teamMemberName });
+  
+  const deleted = await deleteStandupData(standupId, deletedBy, reason);
+  
+  if (!deleted) {
+    throw new HttpError(410, `Standup ${standupId} was already deleted`);
+  }
+  
+  return {
+    success: true,
+    message: `Standup ${standupId} deleted`,
+    data: {
+      standupId,
+      teamMember: deleted.teamMemberName,
+      deletedAt: deleted.deletedAt,
+      deletedBy: deleted.deletedBy,
+      editHistory: deleted.editHistory
+    }
+  };
+});
+
+exports.saveDraft = httpHandler({ operationId: 'saveDraft', failureMessage: 'Failed to save standup draft' }, async (event, context, { body }) => {
+  const principal = authenticate(event);
+  const teamMemberName = event.pathParameters?.teamMember;
+  
+  if (!teamMemberName) {
+    throw new HttpError(400, 'Team member name is required');
+  }
+  
+  authorize(principal, 'standup.write', { teamMember: teamMemberName });
+  
+  const fields = {};
+  for (const field of STANDUP_FIELDS) {
+    if (body[field] !== undefined) {
+      if (typeof body[field] !== 'string') {
+        throw new HttpError(400, `${field} must be a string`);
+      }
+      fields[field] = body[field];
+    }
+  }
+  
+  if (Object.keys(fields).length === 0) {
+    throw new HttpError(400, 'At least one of yesterday, today or blockers is required');
+  }
+  
+  // Drafts are stored as typed; no Jira, Bitbucket or Bedrock calls until submit
+  const draft = await saveDraft(teamMemberName, fields);
+  
+  return {
+    success: true,
+    message: `Draft saved for ${teamMemberName}`,
+    data: {
+      draft,
+      missingFields: missingStandupFields(draft)
+    }
+  };
+});
+
+exports.getDraft = httpHandler({ operationId: 'getDraft', failureMessage: 'Failed to retrieve standup draft' }, async (event) => {
+  const principal = authenticate(event);
+  const teamMemberName = event.pathParameters?.teamMember;
+  
+  if (!teamMemberName) {
+    throw new HttpError(400, 'Team member name is required');
+  }
+  
+  authorize(principal, 'standup.write', { teamMember: teamMemberName });
+  
+  const draft = await getDraft(teamMemberName);
+  
+  if (!draft) {
+    throw new HttpError(404, `No draft found for ${teamMemberName}`);
+  }
+  
+  return {
+    success: true,
+    data: {
+      draft,
+      missingFields: missingStandupFields(draft)
+    }
+  };
+});
+
+exports.discardDraft = httpHandler({ operationId: 'discardDraft', failureMessage: 'Failed to discard standup draft' }, async (event) => {
+  const principal = authenticate(event);
+  const teamMemberName = event.pathParameters?.teamMember;
+  
+  if (!teamMemberName) {
+    throw new HttpError(400, 'Team member name is required');
+  }
+  
+  authorize(principal, 'standup.write', { teamMember: teamMemberName });
+  
+  const discarded = await deleteDraft(teamMemberName);
+  
+  if (!discarded) {
+    throw new HttpError(404, `No draft found for ${teamMemberName}`);
+  }
+  
+  return {
+    success: true,
+    message: `Draft discarded for ${teamMemberName}`
+  };
+});
+
+exports.submitDraft = httpHandler({ operationId: 'submitDraft', failureMessage: 'Failed to submit standup draft' }, async (event, context, { body }) => {
+  const principal = authenticate(event);
+  const teamMemberName = event.pathParameters?.teamMember;
+  
+  if (!teamMemberName) {
+    throw new HttpError(400, 'Team member name is required');
+  }
+  
+  authorize(principal, 'standup.write', { teamMember: teamMemberName });
+  
+  // The draft is gone after a successful submit, so a retry must be answered from the key
+  const idempotencyKey = getIdempotencyKey(event, body);
+  const respondAsync = prefersAsync(event);
+  const request = { teamMemberName, draft: true, ...(respondAsync ? { respondAsync } : {}) };
+  STANDUP_FIELDS.forEach(field => { request[field] = body[field]; });
+  
+  return await runIdempotent(principal, idempotencyKey, request, async () => {
+    const draft = await getDraft(teamMemberName);
     
-    return {
-      statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, GET, OPTIONS'
-      },
-      body: JSON.stringify({
-        error: 'Internal server error',
-        message: error.message,
-        timestamp: new Date().toISOString()
-      })
-    };
-  }
-};
-
-// Helper function to generate insights
-async function generateInsights(currentStandup, previousUpdates) {
-  const insights = [];
-
-  // Analyze task completion patterns
-  if (previousUpdates.length > 0) {
-    const lastUpdate = previousUpdates[previousUpdates.length - 1];
+    if (!draft) {
+      throw new HttpError(404, `No draft found for ${teamMemberName}`);
+    }
+    
+    // Values sent with the submit request finish off the draft
+    const fields = { ...draft };
+    STANDUP_FIELDS.forEach(field => {
+      if (typeof body[field] === 'string') {
+        fields[field] = body[field];
+      }
+    });
+    
+    const missingFields = missingStandupFields(fields);
+    if (missingFields.length > 0) {
+      throw new HttpError(400, 'Draft is missing required fields', { code: 'DRAFT_INCOMPLETE', details: { missingFields } });
+    }
     
-    // Check for recurring blockers
-    if (lastUpdate.blockers && currentStandup.blockers) {
-      const currentBlockersLower = currentStandup.blockers.toLowerCase();
-      const lastBlockersLower = lastUpdate.blockers.toLowerCase();
-      
-      if (currentBlockersLower.includes(lastBlockersLower.substring(0, 20)) || 
-          lastBlockersLower.includes(currentBlockersLower.substring(0, 20))) {
-        insights.push({
-          type: 'recurring_blocker',
-          message: 'Similar blockers detected from previous standup. Consider escalating or seeking additional help.',
-          priority: 'high'
-        });
+    const standupData = buildStandupData(teamMemberName, fields);
+    let response;
+    try {
+      response = respondAsync ? await queueStandup(standupData) : await completeStandup(standupData);
+    } catch (error) {
+      // A standup that was saved but not queued no longer needs its draft
+      if (error.acceptedResponse) {
+        await deleteDraft(teamMemberName);
+      }
+      throw error;
+    }
+    
+    await deleteDraft(teamMemberName);
+    
+    return response;
+  }, respondAsync ? 202 : 200);
+});
+
+exports.getStandupStatus = httpHandler({ operationId: 'getStandupStatus', failureMessage: 'Failed to retrieve standup status' }, async (event) => {
+  const principal = authenticate(event);
+  const standupId = event.pathParameters?.id;
+  const waitSeconds = parseInt(event.queryStringParameters?.wait) || 0;
+  
+  // Authorize on the owner from the status entry before anything else: callers who may not
+  // read the standup get the same 404 as for an unknown id, and never learn it was deleted
+  let status = await getStandupProcessing(standupId);
+  if (status) {
+    try {
+      authorize(principal, 'member.history', { teamMember: status.teamMemberName });
+    } catch (error) {
+      if (error.statusCode !== 403) {
+        throw error;
       }
+      status = null;
     }
   }
+  
+  // Long poll on the status entry alone: answer as soon as processing finishes, or with the
+  // current status once the wait is up
+  status = await waitForProcessing(status, () => getStandupProcessing(standupId), waitSeconds);
+  
+  if (!status) {
+    throw new HttpError(404, `Standup ${standupId} not found`);
+  }
+  
+  return {
+    success: true,
+    data: describeProcessing(await findActiveStandup(standupId))
+  };
+});
 
-  // Analyze PR status
-  const openPRs = currentStandup.bitbucketPRs.filter(pr => pr.state === 'OPEN');
-  if (openPRs.length > 3) {
-    insights.push({
-      type: 'high_pr_count',
-      message: `You have ${openPRs.length} open PRs. Consider prioritizing reviews and merges.`,
-      priority: 'medium'
-    });
+/**
+ * Idempotency key from the Idempotency-Key header or the idempotencyKey body field
+ */
+function getIdempotencyKey(event, body) {
+  const headers = event.headers || {};
+  const headerName = Object.keys(headers).find(name => name.toLowerCase() === 'idempotency-key');
+
+  return (headerName && headers[headerName]) || body.idempotencyKey || null;
+}
+
+/**
+ * Run a submission at most once per idempotency key, answering with statusCode.
+ * Repeats within the window replay the stored response; a key reused for a different request
+ * is rejected. Without a key the submission simply runs. A submission that throws releases
+ * the key so the caller can retry. Keys are scoped to the principal, so one caller can neither
+ * replay nor block another caller's key.
+ */
+async function runIdempotent(principal, clientKey, request, submit, statusCode = 200) {
+  if (!clientKey) {
+    return withStatus(statusCode, await submit());
+  }
+
+  if (!IDEMPOTENCY_KEY_PATTERN.test(clientKey)) {
+    throw new HttpError(400, 'Idempotency key must be 8-128 letters, digits, dashes or underscores');
   }
 
-  // Check for PRs with many comments (indicating potential issues)
-  const prsWithManyComments = openPRs.filter(pr => pr.comment_count && pr.comment_count > 10);
-  if (prsWithManyComments.length > 0) {
-    insights.push({
-      type: 'pr_review_issues',
-      message: `${prsWithManyComments.length} PR(s) have extensive review comments. These may need immediate attention.`,
-      priority: 'high',
-      details: prsWithManyComments.map(pr => ({
-        title: pr.title,
-        comments: pr.comment_count,
-        url: pr.links?.html?.href
-      }))
+  // With auth disabled every caller is the same anonymous principal
+  const idempotencyKey = `${principal.name || 'anonymous'}/${clientKey}`;
+
+  const fingerprint = crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+  const claim = await claimIdempotencyKey(idempotencyKey, fingerprint);
+
+  if (claim.status === 'completed') {
+    logger.info(`Replaying stored response for idempotency key ${idempotencyKey}`);
+    await requeueUnqueuedStandup(claim.response);
+    return respond(statusCode, claim.response, { 'Idempotent-Replayed': 'true' });
+  }
+
+  if (claim.status === 'in_progress') {
+    throw new HttpError(409, 'A request with this idempotency key is still being processed', { code: 'IDEMPOTENCY_KEY_IN_USE' });
+  }
+
+  if (claim.status === 'mismatch') {
+    throw new HttpError(422, 'Idempotency key was already used for a different request', { code: 'IDEMPOTENCY_KEY_REUSED' });
+  }
+
+  let result;
+  let queueFailure = null;
+  try {
+    result = await submit();
+  } catch (error) {
+    if (!error.acceptedResponse) {
+      await releaseIdempotencyKey(idempotencyKey);
+      throw error;
+    }
+
+    // The standup was saved before the queue failed; keep the key so a retry requeues it instead of saving another
+    result = error.acceptedResponse;
+    queueFailure = error;
+  }
+
+  try {
+    await completeIdempotencyKey(idempotencyKey, fingerprint, result);
+  } catch (error) {
+    // The standup itself was handled; a lost key only means a retry could process it again
+    logger.error(`Failed to record idempotency key ${idempotencyKey}`, { error });
+  }
+
+  if (queueFailure) {
+    throw queueFailure;
+  }
+
+  return withStatus(statusCode, result);
+}
+
+function withStatus(statusCode, data) {
+  return statusCode === 200 ? data : respond(statusCode, data);
+}
+
+/**
+ * New standup fields, filed under the member's local calendar day
+ */
+function buildStandupData(teamMemberName, fields) {
+  const timestamp = new Date().toISOString();
+  const timeZone = getMemberTimezone(teamMemberName);
+
+  return {
+    teamMemberName,
+    yesterday: fields.yesterday,
+    today: fields.today,
+    blockers: fields.blockers,
+    timestamp,
+    timeZone,
+    standupDate: localDate(timestamp, timeZone),
+    id: require('uuid').v4()
+  };
+}
+
+/**
+ * Gather context, generate follow-up questions and save a full standup record.
+ * Shared by direct submissions and submitted drafts; returns the API response payload.
+ */
+async function completeStandup(standupData) {
+  const { teamMemberName } = standupData;
+
+  logger.debug('Standup data prepared', { standupData });
+
+  await rejectDuplicate(standupData);
+
+  const context = await enrichStandup(standupData);
+
+  // Save to storage (JSON/CSV based on configuration); under the amend policy this may
+  // merge into the day's existing record, so report what was actually stored
+  let savedRecord = await saveStandupData({
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    ...standupData,
+    ...enrichedFields(context)
+  });
+  const amended = savedRecord.id !== standupData.id;
+  if (amended) {
+    // The merge only takes the text; the context gathered for it replaces the day's old one
+    savedRecord = await updateStandupEnrichment(savedRecord.id, enrichedFields(context)) || savedRecord;
+  }
+  logger.info(amended ? `Standup merged into ${savedRecord.id}` : 'Standup data saved successfully');
+
+  // Return response for VS Code Copilot Chat integration
+  return {
+    success: true,
+    message: amended
+      ? `Standup amended for ${teamMemberName}`
+      : `Standup processed successfully for ${teamMemberName}`,
+    data: describeStandup(savedRecord, { amended, insights: generateInsights(savedRecord, context.previousUpdates) })
+  };
+}
+
+/**
+ * Store a standup as submitted and queue its enrichment, for Prefer: respond-async.
+ * Returns the 202 payload pointing at the status endpoint.
+ */
+async function queueStandup(standupData) {
+  const { teamMemberName } = standupData;
+
+  await rejectDuplicate(standupData);
+
+  const processing = { status: PROCESSING_STATUSES.QUEUED, queuedAt: new Date().toISOString() };
+  let savedRecord = await saveStandupData({
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    ...standupData,
+    ...unenrichedFields(),
+    processing
+  });
+  const amended = savedRecord.id !== standupData.id;
+  if (amended) {
+    // The merge only takes the text; queue the day's record to be enriched again for it
+    savedRecord = await updateStandupEnrichment(savedRecord.id, { processing }) || savedRecord;
+  }
+
+  const accepted = {
+    success: true,
+    message: amended
+      ? `Standup amended for ${teamMemberName}; follow-up questions are being generated`
+      : `Standup received for ${teamMemberName}; follow-up questions are being generated`,
+    data: {
+      standupId: savedRecord.id,
+      teamMember: teamMemberName,
+      timestamp: savedRecord.timestamp,
+      amended,
+      status: PROCESSING_STATUSES.QUEUED,
+      statusUrl: `/standup/${encodeURIComponent(savedRecord.id)}/status`
+    }
+  };
+
+  await enqueueSavedStandup(savedRecord, accepted);
+
+  return accepted;
+}
+
+/**
+ * Queue a saved standup for enrichment. If the queue is down the 503 carries the
+ * 202 response, which an idempotent submit stores so its retry can queue this record.
+ */
+async function enqueueSavedStandup(record, accepted) {
+  try {
+    await enqueueStandupProcessing(record.id);
+  } catch (error) {
+    // The text is stored either way; the status endpoint reports that no questions are coming
+    logger.error(`Failed to queue standup ${record.id}`, { error });
+    await updateStandupEnrichment(record.id, {
+      processing: { ...record.processing, status: PROCESSING_STATUSES.FAILED, error: 'QUEUE_UNAVAILABLE' }
     });
+    throw Object.assign(new HttpError(503, 'Standup was saved but could not be queued for follow-up questions', {
+      code: 'QUEUE_UNAVAILABLE',
+      details: { standupId: record.id }
+    }), { acceptedResponse: accepted });
+  }
+
+  logger.info(`Standup ${record.id} queued for processing`);
+}
+
+/**
+ * A replayed 202 whose standup never reached the queue queues it now
+ */
+async function requeueUnqueuedStandup(response) {
+  const standupId = response?.data?.status === PROCESSING_STATUSES.QUEUED && response.data.standupId;
+  if (!standupId) {
+    return;
+  }
+
+  const standup = await getStandupById(standupId);
+  if (standup?.processing?.status !== PROCESSING_STATUSES.FAILED || standup.processing.error !== 'QUEUE_UNAVAILABLE') {
+    return;
   }
 
-  return insights;
+  const processing = { status: PROCESSING_STATUSES.QUEUED, queuedAt: new Date().toISOString() };
+  const requeued = await updateStandupEnrichment(standupId, { processing });
+  if (requeued) {
+    await enqueueSavedStandup(requeued, response);
+  }
+}
+
+/**
+ * Refuse a second standup before spending Jira, Bitbucket and Bedrock calls on it
+ */
+async function rejectDuplicate(standupData) {
+  if (getDailyPolicy() === DAILY_POLICIES.REJECT_DUPLICATES) {
+    const existing = await findDailyStandup(standupData.teamMemberName, standupDate(standupData));
+    if (existing) {
+      throw new DuplicateStandupError(existing);
+    }
+  }
+}
+
+/**
+ * A standup by id; 404 if there is none and 410 if it was deleted
+ */
+async function findActiveStandup(standupId) {
+  const standup = await getStandupById(standupId);
+  
+  if (!standup) {
+    throw new HttpError(404, `Standup ${standupId} not found`);
+  }
+  if (standup.deletedAt) {
+    throw new HttpError(410, `Standup ${standupId} was deleted`);
+  }
+  
+  return standup;
+}
+
+/**
+ * Status payload for a standup; once processed it also has everything a synchronous submit returns
+ */
+function describeProcessing(standup) {
+  const status = {
+    standupId: standup.id,
+    teamMember: standup.teamMemberName,
+    ...describeProcessingStatus(standup.processing)
+  };
+  
+  if (status.status !== PROCESSING_STATUSES.COMPLETED) {
+    return status;
+  }
+  
+  const amended = (standup.editHistory || []).some(entry => entry.action === 'amend');
+  return { ...status, ...describeStandup(standup, { amended, insights: standup.processing?.insights || [] }) };
+}
+
+/**
+ * True when the client sent Prefer: respond-async (RFC 7240)
+ */
+function prefersAsync(event) {
+  const headers = event.headers || {};
+  const headerName = Object.keys(headers).find(name => name.toLowerCase() === 'prefer');
+
+  return Boolean(headerName) && String(headers[headerName]).split(',').some(preference => preference.trim().toLowerCase() === 'respond-async');
+}
+
+// Fields a draft still needs before it can be submitted
+function missingStandupFields(fields) {
+  return STANDUP_FIELDS.filter(field => !fields[field] || !fields[field].trim());
 }
@@ -0,0 +1,331 @@
+const { v4: uuidv4 } = require('uuid');
+const { getTeams, getTeam, getMember, isRegistryConfigured } = require('../services/teamRegistry');
+const {
+  getTeamStandupHistory,
+  getTeamDigest,
+  saveTeamDigest,
+  getRetrospective,
+  saveRetrospective
+} = require('../services/storageService');
+const { PROCESSING_STATUSES, waitForProcessing, describeProcessingStatus } = require('../services/standupProcessor');
+const { enqueueTeamDigest, enqueueRetrospective } = require('../services/standupQueue');
+const { getRetrospectiveStandups } = require('../services/retrospectiveService');
+const { getSprint } = require('../services/jiraService');
+const { latestPerDay } = require('../services/standupPolicy');
+const { getMemberTimezone, localDate, shiftDate } = require('../services/timezoneService');
+const { authenticate } = require('../services/authService');
+const { authorize } = require('../services/accessPolicy');
+const { logger } = require('../services/logger');
+const { httpHandler, HttpError, respond } = require('../middleware/http');
+
+/**
+ * Team Registry Handler
+ * Provides endpoints for listing teams, their members and roles, team-scoped history, the
+ * leads' daily digest and sprint retrospective drafts
+ */
+
+// Longest range a retrospective covers, so the prompt stays within the model's context
+const MAX_RETROSPECTIVE_DAYS = 31;
+
+exports.listTeams = httpHandler({ operationId: 'listTeams', failureMessage: 'Failed to list teams' }, async (event) => {
+  authenticate(event);
+
+  const teams = getTeams().map(team => ({
+    id: team.id,
+    name: team.name,
+    memberCount: team.members.length,
+    leads: team.members.filter(member => member.role === 'lead').map(member => member.name)
+  }));
+
+  return {
+    success: true,
+    registryConfigured: isRegistryConfigured(),
+    timestamp: new Date().toISOString(),
+    data: {
+      teams
+    }
+  };
+});
+
+exports.getTeam = httpHandler({ operationId: 'getTeam', failureMessage: 'Failed to fetch team' }, async (event) => {
+  const teamId = event.pathParameters?.teamId;
+
+  if (!teamId) {
+    throw new HttpError(400, 'Team ID is required');
+  }
+
+  // Authorize before the lookup so a 404 only tells callers who may see the team that it is gone
+  authorize(authenticate(event), 'team.roster', { team: teamId });
+
+  const team = getTeam(teamId);
+
+  if (!team) {
+    throw new HttpError(404, `Team ${teamId} not found`);
+  }
+
+  const members = team.members.map(member => {
+    const profile = getMember(member.name);
+    return {
+      name: member.name,
+      role: member.role,
+      timezone: profile.timezone,
+      jiraAccountId: profile.jiraAccountId,
+      bitbucketUuid: profile.bitbucketUuid,
+      bitbucketUsername: profile.bitbucketUsername
+    };
+  });
+
+  return {
+    success: true,
+    timestamp: new Date().toISOString(),
+    data: {
+      id: team.id,
+      name: team.name,
+      members
+    }
+  };
+});
+
+exports.getTeamHistory = httpHandler({ operationId: 'getTeamHistory', failureMessage: 'Failed to fetch team standup history' }, async (event) => {
+  const teamId = event.pathParameters?.teamId;
+  const startDate = event.queryStringParameters?.startDate;
+  const endDate = event.queryStringParameters?.endDate;
+  const limit = parseInt(event.queryStringParameters?.limit) || 100;
+
+  if (!teamId) {
+    throw new HttpError(400, 'Team ID is required');
+  }
+
+  // Authorize before the lookup so a 404 only tells callers who may see the team that it is gone
+  authorize(authenticate(event), 'team.history', { team: teamId });
+
+  const team = getTeam(teamId);
+
+  if (!team) {
+    throw new HttpError(404, `Team ${teamId} not found`);
+  }
+
+  const members = team.members.map(member => member.name);
+  const history = await getTeamStandupHistory(members, startDate, endDate);
+  const limitedHistory = history.slice(0, limit);
+
+  // Who has and has not posted, counting one standup per member per day
+  const standupsByMember = {};
+  members.forEach(member => { standupsByMember[member] = 0; });
+  latestPerDay(history).forEach(standup => {
+    standupsByMember[standup.teamMemberName]++;
+  });
+
+  return {
+    success: true,
+    teamId,
+    dateRange: {
+      from: startDate || 'All time',
+      to: endDate || 'Present'
+    },
+    timestamp: new Date().toISOString(),
+    data: {
+      history: limitedHistory,
+      summary: {
+        totalEntries: limitedHistory.length,
+        totalAvailable: history.length,
+        standupsByMember,
+        membersWithoutStandups: members.filter(member => standupsByMember[member] === 0)
+      }
+    }
+  };
+});
+
+exports.createTeamDigest = httpHandler({ operationId: 'createTeamDigest', failureMessage: 'Failed to generate team digest' }, async (event) => {
+  const { team, principal, date } = resolveDigestRequest(event);
+
+  // Writing the digest can take longer than API Gateway waits, so the worker does it. The pending
+  // digest replaces the day's earlier one at once, and GET /teams/{teamId}/digest reports progress.
+  const digest = await saveTeamDigest({
+    id: uuidv4(),
+    teamId: team.id,
+    teamName: team.name,
+    date,
+    generatedBy: principal.name,
+    processing: { status: PROCESSING_STATUSES.QUEUED, queuedAt: new Date().toISOString() }
+  });
+
+  try {
+    await enqueueTeamDigest(digest);
+  } catch (error) {
+    logger.error(`Failed to queue digest ${digest.id}`, { error });
+    await saveTeamDigest({ ...digest, processing: { ...digest.processing, status: PROCESSING_STATUSES.FAILED, error: 'QUEUE_UNAVAILABLE' } });
+    throw new HttpError(503, 'The digest could not be queued for generation', {
+      code: 'QUEUE_UNAVAILABLE',
+      details: { digestId: digest.id }
+    });
+  }
+
+  logger.info(`Digest ${digest.id} for team ${team.id} on ${date} queued for generation`);
+
+  return respond(202, {
+    success: true,
+    message: `Digest for ${team.name} on ${date} is being generated`,
+    timestamp: new Date().toISOString(),
+    data: {
+      digestId: digest.id,
+      teamId: team.id,
+      date,
+      status: PROCESSING_STATUSES.QUEUED,
+      statusUrl: `/teams/${encodeURIComponent(team.id)}/digest?date=${date}`
+    }
+  });
+});
+
+exports.getTeamDigest = httpHandler({ operationId: 'getTeamDigest', failureMessage: 'Failed to fetch team digest' }, async (event) => {
+  const { team, date } = resolveDigestRequest(event);
+  const waitSeconds = parseInt(event.queryStringParameters?.wait) || 0;
+
+  // Long poll while the digest is being written: answer as soon as it is ready, or with its
+  // current status once the wait is up
+  const digest = await waitForProcessing(await getTeamDigest(team.id, date), () => getTeamDigest(team.id, date), waitSeconds);
+
+  if (!digest) {
+    throw new HttpError(404, `No digest for team ${team.id} on ${date}`);
+  }
+
+  // Digests written before generation was queued have no processing status and are complete
+  const { processing, ...fields } = digest;
+
+  return {
+    success: true,
+    timestamp: new Date().toISOString(),
+    data: { ...fields, ...describeProcessingStatus(processing) }
+  };
+});
+
+exports.createRetrospective = httpHandler({ operationId: 'createRetrospective', failureMessage: 'Failed to generate sprint retrospective' }, async (event, context, { body }) => {
+  const { team, principal } = resolveTeamRequest(event, 'team.retrospective');
+
+  let { startDate, endDate } = body;
+  let sprint = null;
+
+  if (body.sprintId) {
+    sprint = await getSprint(body.sprintId);
+
+    if (!sprint) {
+      throw new HttpError(404, `Sprint ${body.sprintId} not found`);
+    }
+    if (!sprint.startDate) {
+      throw new HttpError(400, `Sprint ${sprint.name} has not started`);
+    }
+
+    // A closed sprint ends when it was completed, which may be before its planned end
+    const timeZone = getMemberTimezone(principal.name);
+    startDate = localDate(sprint.startDate, timeZone);
+    endDate = localDate(sprint.completeDate || sprint.endDate || new Date().toISOString(), timeZone);
+  }
+
+  if (endDate < startDate) {
+    throw new HttpError(400, 'endDate must not be before startDate');
+  }
+  if (shiftDate(startDate, MAX_RETROSPECTIVE_DAYS - 1) < endDate) {
+    throw new HttpError(400, `A retrospective covers at most ${MAX_RETROSPECTIVE_DAYS} days`);
+  }
+
+  if ((await getRetrospectiveStandups(team, startDate, endDate)).length === 0) {
+    throw new HttpError(404, `No standups for team ${team.id} between ${startDate} and ${endDate}`);
+  }
+
+  // Drafting from a whole sprint of standups takes longer than API Gateway waits, so the worker
+  // does it and GET /teams/{teamId}/retrospectives/{retrospectiveId} reports progress
+  const retrospective = await saveRetrospective({
+    id: uuidv4(),
+    teamId: team.id,
+    teamName: team.name,
+    sprint: sprint ? { id: sprint.id, name: sprint.name, state: sprint.state, goal: sprint.goal } : null,
+    startDate,
+    endDate,
+    generatedBy: principal.name,
+    processing: { status: PROCESSING_STATUSES.QUEUED, queuedAt: new Date().toISOString() }
+  });
+
+  try {
+    await enqueueRetrospective(retrospective);
+  } catch (error) {
+    logger.error(`Failed to queue retrospective ${retrospective.id}`, { error });
+    await saveRetrospective({ ...retrospective, processing: { ...retrospective.processing, status: PROCESSING_STATUSES.FAILED, error: 'QUEUE_UNAVAILABLE' } });
+    throw new HttpError(503, 'The retrospective could not be queued for drafting', {
+      code: 'QUEUE_UNAVAILABLE',
+      details: { retrospectiveId: retrospective.id }
+    });
+  }
+
+  logger.info(`Retrospective ${retrospective.id} for team ${team.id} queued for drafting`);
+
+  return respond(202, {
+    success: true,
+    message: `Retrospective for ${team.name} from ${startDate} to ${endDate} is being drafted`,
+    timestamp: new Date().toISOString(),
+    data: {
+      retrospectiveId: retrospective.id,
+      teamId: team.id,
+      startDate,
+      endDate,
+      status: PROCESSING_STATUSES.QUEUED,
+      statusUrl: `/teams/${encodeURIComponent(team.id)}/retrospectives/${retrospective.id}`
+    }
+  });
+});
+
+exports.getRetrospective = httpHandler({ operationId: 'getRetrospective', failureMessage: 'Failed to fetch sprint retrospective' }, async (event) => {
+  const { team } = resolveTeamRequest(event, 'team.retrospective');
+  const retrospectiveId = event.pathParameters?.retrospectiveId;
+  const waitSeconds = parseInt(event.queryStringParameters?.wait) || 0;
+
+  // Long poll while the draft is being written, as for digests
+  const read = () => getRetrospective(team.id, retrospectiveId);
+  const retrospective = await waitForProcessing(await read(), read, waitSeconds);
+
+  if (!retrospective) {
+    throw new HttpError(404, `Retrospective ${retrospectiveId} not found`);
+  }
+
+  const { processing, ...fields } = retrospective;
+
+  return {
+    success: true,
+    timestamp: new Date().toISOString(),
+    data: { ...fields, ...describeProcessingStatus(processing) }
+  };
+});
+
+/**
+ * The team, authorized caller and day a digest request is for; the day defaults to today in the
+ * caller's timezone
+ */
+function resolveDigestRequest(event) {
+  const { team, principal } = resolveTeamRequest(event, 'team.digest');
+
+  const date = event.queryStringParameters?.date || localDate(new Date().toISOString(), getMemberTimezone(principal.name));
+
+  return { team, principal, date };
+}
+
+/**
+ * The team a request is for and the caller, once authorized for action on it
+ */
+function resolveTeamRequest(event, action) {
+  const teamId = event.pathParameters?.teamId;
+
+  if (!teamId) {
+    throw new HttpError(400, 'Team ID is required');
+  }
+
+  // Authorize before the lookup so a 404 only tells callers who may see the team that it is gone
+  const principal = authenticate(event);
+  authorize(principal, action, { team: teamId });
+
+  const team = getTeam(teamId);
+
+  if (!team) {
+    throw new HttpError(404, `Team ${teamId} not found`);
+  }
+
+  return { team, principal };
+}
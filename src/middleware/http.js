@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const { validateRequest } = require('../services/requestValidator');
+const { logger, runWithContext } = require('../services/logger');
+const { telemetry } = require('../services/telemetry');
+
+/**
+ * HTTP Middleware
+ * Wraps every Lambda handler with the API Gateway plumbing they used to repeat: request IDs,
+ * OpenAPI request validation, JSON body parsing, CORS headers, and turning thrown errors into
+ * one error body with a stable code. Handlers return plain data (sent as a 200) or throw.
+ * The request ID is set as the logging context, so every entry the handler and the services it
+ * calls write while handling the request can be correlated. Calls to Jira, Bitbucket, Bedrock and
+ * storage are summed per dependency in the completion log, and logged early if Lambda is about
+ * to time the request out.
+ */
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Api-Key, X-Amz-Date, X-Amz-Security-Token, Idempotency-Key, Prefer, X-Request-Id',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Expose-Headers': 'X-Request-Id, Idempotent-Replayed'
+};
+
+// Codes clients can branch on; the message alongside is for people
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'GONE',
+  422: 'UNPROCESSABLE_ENTITY',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// How long before the Lambda timeout the time spent so far is logged
+const TIMEOUT_WARNING_MS = 2000;
+
+// Caller-supplied request IDs are echoed back, so keep them to something safe to log
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * An error whose status, code and message are safe to send to the caller
+ */
+class HttpError extends Error {
+  constructor(statusCode, message, { code = ERROR_CODES[statusCode] || 'ERROR', details = null } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * A handler result that needs a status or headers other than a plain 200
+ */
+class HttpResponse {
+  constructor(statusCode, data, headers = {}) {
+    this.statusCode = statusCode;
+    this.data = data;
+    this.headers = headers;
+  }
+}
+
+// Errors raised by services that map onto a client error; null leaves the error a 500
+const ERROR_CLASSIFIERS = {
+  HttpError: (error) => error,
+  AuthError: (error) => new HttpError(error.statusCode, error.message),
+  RequestValidationError: (error) => new HttpError(400, error.message, { code: 'VALIDATION_FAILED', details: { errors: error.errors } }),
+  DuplicateStandupError: (error) => new HttpError(409, error.message, { code: 'DUPLICATE_STANDUP', details: { existingStandupId: error.existingStandupId } }),
+  TeamRegistryError: (error) => (error.statusCode === 404 ? new HttpError(404, error.message, { code: 'TEAM_NOT_FOUND' }) : null)
+};
+
+/**
+ * Wrap a handler as an API Gateway Lambda.
+ * operationId names the OpenAPI operation the request is validated against (or a function of
+ * the event when one handler serves several); failureMessage is what a 500 tells the caller.
+ * The handler is called as handler(event, context, { body, requestId }).
+ */
+function httpHandler({ operationId, failureMessage = 'Internal server error' }, handler) {
+  return async (event, context) => {
+    const requestId = getRequestId(event, context);
+    const resolvedOperationId = typeof operationId === 'function' ? operationId(event) : operationId;
+
+    return runWithContext({ requestId, operationId: resolvedOperationId }, () => telemetry.runRequest(async () => {
+      const startedAt = Date.now();
+
+      logger.info('Request received', {
+        httpMethod: event.httpMethod,
+        path: event.path,
+        pathParameters: event.pathParameters,
+        queryStringParameters: event.queryStringParameters
+      });
+      logger.debug('Request event', { event: { ...event, body: bodyForLog(event) } });
+
+      const cancelTimeoutWarning = warnBeforeTimeout(context);
+      const response = await handle(handler, event, context, { requestId, operationId: resolvedOperationId, failureMessage });
+      const durationMs = Date.now() - startedAt;
+      cancelTimeoutWarning();
+
+      telemetry.recordRequest({ operationId: resolvedOperationId, statusCode: response.statusCode, durationMs });
+      logger.info('Request completed', { statusCode: response.statusCode, durationMs, dependencies: telemetry.summarize().dependencies });
+      return response;
+    }));
+  };
+}
+
+/**
+ * Run the handler and turn its result, or what it threw, into an API Gateway response
+ */
+async function handle(handler, event, context, { requestId, operationId, failureMessage }) {
+  try {
+    validateRequest(event, operationId);
+
+    const result = await handler(event, context, { body: parseBody(event), requestId });
+
+    return result instanceof HttpResponse
+      ? jsonResponse(result.statusCode, result.data, requestId, result.headers)
+      : jsonResponse(200, result, requestId);
+
+  } catch (error) {
+    const classify = ERROR_CLASSIFIERS[error.name];
+    const httpError = classify ? classify(error) : null;
+
+    if (httpError) {
+      logger.warn('Request rejected', { statusCode: httpError.statusCode, code: httpError.code, reason: httpError.message });
+      return errorResponse(httpError.statusCode, httpError.code, httpError.message, httpError.details, requestId);
+    }
+
+    // Anything else is a bug or an outage; the details stay in the logs
+    logger.error(failureMessage, { error });
+    return errorResponse(500, ERROR_CODES[500], failureMessage, null, requestId);
+  }
+}
+
+/**
+ * Log the time spent per dependency and the calls still waiting shortly before Lambda's timeout,
+ * since a request it kills never logs its completion; returns a function that cancels the warning
+ */
+function warnBeforeTimeout(context) {
+  const remainingMs = context?.getRemainingTimeInMillis?.();
+
+  if (!remainingMs || remainingMs <= TIMEOUT_WARNING_MS) {
+    return () => {};
+  }
+
+  const timer = setTimeout(() => {
+    logger.warn('Request close to timeout', { remainingMs: TIMEOUT_WARNING_MS, ...telemetry.summarize() });
+  }, remainingMs - TIMEOUT_WARNING_MS);
+  timer.unref();
+
+  return () => clearTimeout(timer);
+}
+
+/**
+ * Non-200 or extra-header result for a handler to return
+ */
+function respond(statusCode, data, headers = {}) {
+  return new HttpResponse(statusCode, data, headers);
+}
+
+/**
+ * The caller's X-Request-Id when it is usable, otherwise API Gateway's or Lambda's request ID
+ */
+function getRequestId(event, context) {
+  const headers = event.headers || {};
+  const headerName = Object.keys(headers).find(name => name.toLowerCase() === 'x-request-id');
+  const supplied = headerName ? headers[headerName] : null;
+
+  if (supplied && REQUEST_ID_PATTERN.test(supplied)) {
+    return supplied;
+  }
+
+  return event.requestContext?.requestId || context?.awsRequestId || crypto.randomUUID();
+}
+
+/**
+ * Request body as an object; validation has already rejected malformed JSON for operations
+ * that take a body, so anything unparseable left here is a stray body on a GET
+ */
+function parseBody(event) {
+  if (event.body === undefined || event.body === null || event.body === '') {
+    return {};
+  }
+
+  if (typeof event.body !== 'string') {
+    return event.body;
+  }
+
+  try {
+    return JSON.parse(event.body);
+  } catch (error) {
+    throw new HttpError(400, 'Request body must be valid JSON', { code: 'INVALID_JSON' });
+  }
+}
+
+/**
+ * The body as an object so its standup fields can be redacted; raw text is never logged
+ */
+function bodyForLog(event) {
+  try {
+    return parseBody(event);
+  } catch (error) {
+    return '[unparseable body]';
+  }
+}
+
+function jsonResponse(statusCode, data, requestId, headers = {}) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      ...CORS_HEADERS,
+      'X-Request-Id': requestId,
+      ...headers
+    },
+    body: JSON.stringify(data)
+  };
+}
+
+function errorResponse(statusCode, code, message, details, requestId) {
+  return jsonResponse(statusCode, {
+    success: false,
+    error: message,
+    code,
+    details,
+    requestId,
+    timestamp: new Date().toISOString()
+  }, requestId);
+}
+
+module.exports = {
+  CORS_HEADERS,
+  ERROR_CODES,
+  HttpError,
+  HttpResponse,
+  httpHandler,
+  respond
+};
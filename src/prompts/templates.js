@@ -0,0 +1,164 @@
+/**
+ * Built-in prompt templates
+ * {{name}} placeholders are filled in when a prompt is rendered. Variables the template lists
+ * have defaults a team can override; the rest (context, currentStandup, history, teamMemberName,
+ * teamName, and date, metrics, missingMembers, startDate, endDate and sprintName for team-wide
+ * prompts) are computed for each request. A published version never changes: edit a template
+ * by adding it again with the next version number.
+ *
+ * From version 2 the templates leave the reply format out; aiService appends the instructions
+ * for the purpose's output schema (src/schemas/aiOutput.js) to every prompt.
+ */
+
+const FOLLOW_UP_GUIDELINES = `Generate questions that are:
+- Specific and actionable
+- Professional and supportive
+- Focused on removing blockers
+- Aimed at improving team productivity`;
+
+// Reply formats the version 1 templates asked for themselves
+const V1_FORMATS = {
+  followUpQuestions: '\n\nReturn only the questions as a JSON array of strings, no additional text.',
+  standupPatterns: '\n\nReturn insights as a JSON object with categories: trends, concerns, recommendations.'
+};
+
+const STRUCTURED_TEMPLATES = [
+  {
+    id: 'follow-up-default',
+    purpose: 'followUpQuestions',
+    description: 'Balanced questions a scrum master or team lead would ask',
+    variables: { questionCount: '3-5', historyWindow: 3 },
+    text: `You are an AI assistant helping with daily standup meetings. Based on the following information, generate {{questionCount}} intelligent follow-up questions that a scrum master or team lead would ask.
+
+Context:
+{{context}}
+
+Focus on:
+1. Incomplete or delayed tasks
+2. Unmerged PRs with many comments
+3. Recurring blockers
+4. Dependencies between team members
+5. Risk identification
+6. Progress tracking
+
+${FOLLOW_UP_GUIDELINES}`
+  },
+  {
+    id: 'follow-up-dependencies',
+    purpose: 'followUpQuestions',
+    description: 'Emphasizes hand-offs and dependencies on other people and teams',
+    variables: { questionCount: '3-5', historyWindow: 3 },
+    text: `You are an AI assistant helping {{teamName}} run its daily standup. Based on the following information, generate {{questionCount}} follow-up questions that uncover dependencies before they turn into blockers.
+
+Context:
+{{context}}
+
+Focus on:
+1. Work waiting on other teams, services or approvals
+2. Other teams waiting on this person's work
+3. PRs that need reviewers from outside the team
+4. Shared infrastructure, migrations or releases this work touches
+5. Blockers that have lasted more than a day
+
+${FOLLOW_UP_GUIDELINES}`
+  },
+  {
+    id: 'follow-up-customer-impact',
+    purpose: 'followUpQuestions',
+    description: 'Emphasizes customer-facing outcomes, releases and support load',
+    variables: { questionCount: '3-5', historyWindow: 3 },
+    text: `You are an AI assistant helping {{teamName}} run its daily standup. Based on the following information, generate {{questionCount}} follow-up questions about how this work affects customers.
+
+Context:
+{{context}}
+
+Focus on:
+1. Which customers or users the work is for, and when they will see it
+2. Delays or blockers that push back a customer-facing release
+3. Open bugs, incidents or support tickets involved
+4. How success will be measured once the work ships
+5. Feedback or validation still needed from customers or product
+
+${FOLLOW_UP_GUIDELINES}`
+  },
+  {
+    id: 'standup-patterns-default',
+    purpose: 'standupPatterns',
+    description: 'Trends, concerns and recommendations across recent standups',
+    variables: { historyWindow: 5 },
+    text: `Analyze the standup patterns for team member {{teamMemberName}} and provide insights.
+
+Current Standup:
+{{currentStandup}}
+
+Historical Data (last {{historyWindow}} standups):
+{{history}}
+
+Provide analysis on:
+1. Productivity trends
+2. Recurring blockers
+3. Task completion patterns
+4. PR merge patterns
+5. Areas for improvement`
+  }
+];
+
+const BUILT_IN_TEMPLATES = [
+  ...STRUCTURED_TEMPLATES.map(template => ({ ...template, version: 1, text: template.text + V1_FORMATS[template.purpose] })),
+  ...STRUCTURED_TEMPLATES.map(template => ({ ...template, version: 2 })),
+  {
+    id: 'team-digest-default',
+    version: 1,
+    purpose: 'teamDigest',
+    description: 'Morning digest of a team\'s standups for its leads',
+    variables: {},
+    text: `You are an AI assistant writing the morning standup digest of {{teamName}} for its leads, covering {{date}}.
+
+Team metrics for the day:
+{{metrics}}
+
+Standups, one per member, with the Jira tasks and pull requests each had when they posted:
+{{context}}
+Members who have not posted yet: {{missingMembers}}
+
+Write:
+1. A short narrative of the team's day for a lead who missed standup
+2. What shipped: work finished, merged or released
+3. What is at risk: slipping tasks, stalled or heavily discussed PRs, blockers that keep coming back
+4. Dependencies between members, or on people and teams outside {{teamName}}
+5. Blockers that need a lead to make a decision, and the decision needed
+
+Only report what the standups, tasks and pull requests say.`
+  },
+  {
+    id: 'sprint-retrospective-default',
+    version: 1,
+    purpose: 'sprintRetrospective',
+    description: 'Draft of a sprint retrospective from the team\'s standups',
+    variables: {},
+    text: `You are an AI assistant drafting the retrospective of {{teamName}} for {{sprintName}}, which ran from {{startDate}} to {{endDate}}.
+
+Every standup the team posted during the sprint, oldest first, each headed by its id:
+{{context}}
+Draft:
+1. What went well: work that was finished, unblocked or moved steadily
+2. What didn't go well: slipped work, long-running tasks, plans that changed
+3. Recurring blockers: the same blocker, or the same kind of blocker, reported on more than one day or by more than one member
+4. Suggested action items the team could agree on to avoid the problems next sprint
+
+Only draw conclusions the standups support, and cite the standups each one comes from.`
+  }
+];
+
+// Template each purpose uses when a member's teams do not choose one
+const DEFAULT_TEMPLATES = {
+  followUpQuestions: 'follow-up-default',
+  standupPatterns: 'standup-patterns-default',
+  teamDigest: 'team-digest-default',
+  sprintRetrospective: 'sprint-retrospective-default'
+};
+
+module.exports = {
+  BUILT_IN_TEMPLATES,
+  DEFAULT_TEMPLATES
+};
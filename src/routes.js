@@ -0,0 +1,72 @@
+/**
+ * REST routes
+ * Every exported handler and the path it is served on. serverless.yml declares the same
+ * routes for API Gateway, and index.js mounts this table for local development.
+ * Paths use API Gateway's {param} syntax; handler is "<file in src/handlers>.<export>".
+ */
+const ROUTES = [
+  // Standups and drafts
+  { method: 'POST', path: '/standup', handler: 'standupHandler.processStandup' },
+  { method: 'PUT', path: '/standup/{id}', handler: 'standupHandler.updateStandup' },
+  { method: 'DELETE', path: '/standup/{id}', handler: 'standupHandler.deleteStandup' },
+  { method: 'PUT', path: '/standup/draft/{teamMember}', handler: 'standupHandler.saveDraft' },
+  { method: 'GET', path: '/standup/draft/{teamMember}', handler: 'standupHandler.getDraft' },
+  { method: 'DELETE', path: '/standup/draft/{teamMember}', handler: 'standupHandler.discardDraft' },
+  { method: 'POST', path: '/standup/draft/{teamMember}/submit', handler: 'standupHandler.submitDraft' },
+  { method: 'GET', path: '/standup/{id}/status', handler: 'standupHandler.getStandupStatus' },
+
+  // Standup data and analytics
+  { method: 'GET', path: '/data/history/{teamMember}', handler: 'dataHandler.getStandupHistory' },
+  { method: 'GET', path: '/data/summary/{teamMember}', handler: 'dataHandler.getTeamMemberSummary' },
+  { method: 'GET', path: '/data/metrics', handler: 'dataHandler.getTeamMetrics' },
+  { method: 'GET', path: '/data/blockers', handler: 'dataHandler.getBlockerAnalysis' },
+  { method: 'GET', path: '/data/blockers/{teamMember}', handler: 'dataHandler.getBlockerAnalysis' },
+  { method: 'GET', path: '/data/productivity', handler: 'dataHandler.getProductivityMetrics' },
+
+  // Teams and administration
+  { method: 'GET', path: '/teams', handler: 'teamHandler.listTeams' },
+  { method: 'GET', path: '/teams/{teamId}', handler: 'teamHandler.getTeam' },
+  { method: 'GET', path: '/teams/{teamId}/history', handler: 'teamHandler.getTeamHistory' },
+  { method: 'POST', path: '/teams/{teamId}/digest', handler: 'teamHandler.createTeamDigest' },
+  { method: 'GET', path: '/teams/{teamId}/digest', handler: 'teamHandler.getTeamDigest' },
+  { method: 'POST', path: '/teams/{teamId}/retrospectives', handler: 'teamHandler.createRetrospective' },
+  { method: 'GET', path: '/teams/{teamId}/retrospectives/{retrospectiveId}', handler: 'teamHandler.getRetrospective' },
+  { method: 'GET', path: '/admin/identities', handler: 'adminHandler.checkIdentities' },
+
+  // Jira
+  { method: 'GET', path: '/jira/tasks/{teamMember}', handler: 'jiraHandler.getTeamMemberTasks' },
+  { method: 'GET', path: '/jira/activity/{teamMember}', handler: 'jiraHandler.getTeamMemberActivity' },
+  { method: 'GET', path: '/jira/issues/{taskKey}', handler: 'jiraHandler.getTaskDetails' },
+  { method: 'GET', path: '/jira/projects/{projectKey}/stats', handler: 'jiraHandler.getProjectStats' },
+  { method: 'POST', path: '/jira/search', handler: 'jiraHandler.searchIssues' },
+  { method: 'POST', path: '/jira/workload', handler: 'jiraHandler.getTeamWorkload' },
+
+  // Bitbucket
+  { method: 'GET', path: '/bitbucket/prs/{teamMember}', handler: 'bitbucketHandler.getPRStatus' },
+  { method: 'GET', path: '/bitbucket/activity/{teamMember}', handler: 'bitbucketHandler.getTeamMemberPRActivity' },
+  { method: 'GET', path: '/bitbucket/repositories', handler: 'bitbucketHandler.getWorkspaceRepositories' },
+  { method: 'GET', path: '/bitbucket/repositories/{repositoryName}/prs', handler: 'bitbucketHandler.getRepositoryPRs' },
+  { method: 'GET', path: '/bitbucket/repositories/{repositoryName}/prs/{prId}', handler: 'bitbucketHandler.getPRDetails' },
+  { method: 'GET', path: '/bitbucket/repositories/{repositoryName}/stats', handler: 'bitbucketHandler.getRepositoryStats' },
+  { method: 'POST', path: '/bitbucket/workload', handler: 'bitbucketHandler.getTeamPRWorkload' },
+
+  // Copilot chat
+  { method: 'POST', path: '/copilot-chat', handler: 'copilotHandler.handleChatInteraction' },
+
+  // API documentation and health
+  { method: 'GET', path: '/openapi.json', handler: 'docsHandler.getOpenApiSpec' },
+  { method: 'GET', path: '/health', handler: 'healthHandler.getHealth' }
+];
+
+/**
+ * The handler function a route points at
+ */
+function resolveHandler(route) {
+  const [file, name] = route.handler.split('.');
+  return require(`./handlers/${file}`)[name];
+}
+
+module.exports = {
+  ROUTES,
+  resolveHandler
+};
@@ -0,0 +1,256 @@
+const { validateSchema } = require('./jsonSchema');
+
+/**
+ * AI Output Schemas
+ * The JSON the model must reply with for each prompt purpose, the instructions appended to the
+ * prompt describing it, and validation of a reply against it. Replies are also checked against
+ * the context they were asked about, so a question, digest or retrospective cannot cite a Jira
+ * task, PR, standup or member that was not in it.
+ */
+
+const QUESTION_CATEGORIES = ['blocker', 'task', 'pull_request', 'dependency', 'risk', 'progress', 'customer_impact', 'general'];
+const QUESTION_PRIORITIES = ['high', 'medium', 'low'];
+const TARGET_TYPES = ['task', 'pull_request', 'blocker'];
+
+const FOLLOW_UP_QUESTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    question: { type: 'string', minLength: 5 },
+    category: { type: 'string', enum: QUESTION_CATEGORIES },
+    target: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        type: { type: 'string', enum: TARGET_TYPES },
+        ref: { type: 'string', minLength: 1 }
+      },
+      required: ['type', 'ref'],
+      additionalProperties: false
+    },
+    priority: { type: 'string', enum: QUESTION_PRIORITIES }
+  },
+  required: ['question', 'category', 'target', 'priority'],
+  additionalProperties: false
+};
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+/**
+ * Schema for a list of digest entries with the given string fields, plus the Jira keys and PR
+ * ids each entry is based on
+ */
+function digestEntries(...fields) {
+  return {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        ...Object.fromEntries(fields.map(field => [field, { type: 'string', minLength: 1 }])),
+        refs: STRING_LIST
+      },
+      required: [...fields, 'refs'],
+      additionalProperties: false
+    }
+  };
+}
+
+/**
+ * Schema for a list of retrospective claims with the given fields, each citing the ids of the
+ * standups it is drawn from
+ */
+function citedEntries(properties) {
+  return {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        ...properties,
+        standupIds: { ...STRING_LIST, minItems: 1 }
+      },
+      required: [...Object.keys(properties), 'standupIds'],
+      additionalProperties: false
+    }
+  };
+}
+
+const OUTPUT_SCHEMAS = {
+  followUpQuestions: {
+    type: 'object',
+    properties: {
+      questions: { type: 'array', minItems: 1, items: FOLLOW_UP_QUESTION_SCHEMA }
+    },
+    required: ['questions'],
+    additionalProperties: false
+  },
+  standupPatterns: {
+    type: 'object',
+    properties: {
+      trends: STRING_LIST,
+      concerns: STRING_LIST,
+      recommendations: STRING_LIST
+    },
+    required: ['trends', 'concerns', 'recommendations'],
+    additionalProperties: false
+  },
+  sprintRetrospective: {
+    type: 'object',
+    properties: {
+      wentWell: citedEntries({ point: { type: 'string', minLength: 1 } }),
+      didntGoWell: citedEntries({ point: { type: 'string', minLength: 1 } }),
+      recurringBlockers: citedEntries({ blocker: { type: 'string', minLength: 1 }, members: { ...STRING_LIST, minItems: 1 } }),
+      actionItems: citedEntries({ action: { type: 'string', minLength: 1 }, owner: { type: 'string', nullable: true } })
+    },
+    required: ['wentWell', 'didntGoWell', 'recurringBlockers', 'actionItems'],
+    additionalProperties: false
+  },
+  teamDigest: {
+    type: 'object',
+    properties: {
+      narrative: { type: 'string', minLength: 1 },
+      shipped: digestEntries('member', 'summary'),
+      atRisk: digestEntries('member', 'summary'),
+      dependencies: digestEntries('member', 'dependsOn', 'summary'),
+      decisionsNeeded: digestEntries('member', 'blocker', 'decision')
+    },
+    required: ['narrative', 'shipped', 'atRisk', 'dependencies', 'decisionsNeeded'],
+    additionalProperties: false
+  }
+};
+
+const OUTPUT_INSTRUCTIONS = {
+  followUpQuestions: `Reply with only a JSON object, no other text, in this form:
+{"questions": [{"question": "...", "category": "...", "target": {"type": "...", "ref": "..."}, "priority": "..."}]}
+- category is one of: ${QUESTION_CATEGORIES.join(', ')}
+- target is what the question is about: {"type": "task", "ref": "<Jira key>"}, {"type": "pull_request", "ref": "<PR id>"} or {"type": "blocker", "ref": "<the blocker, quoted briefly>"}; use null when it is about none of these
+- Only use Jira keys and PR ids listed in the context
+- priority is one of: ${QUESTION_PRIORITIES.join(', ')}`,
+  standupPatterns: `Reply with only a JSON object, no other text, in this form:
+{"trends": ["..."], "concerns": ["..."], "recommendations": ["..."]}`,
+  sprintRetrospective: `Reply with only a JSON object, no other text, in this form:
+{"wentWell": [{"point": "...", "standupIds": ["..."]}],
+ "didntGoWell": [{"point": "...", "standupIds": ["..."]}],
+ "recurringBlockers": [{"blocker": "...", "members": ["..."], "standupIds": ["..."]}],
+ "actionItems": [{"action": "...", "owner": "...", "standupIds": ["..."]}]}
+- Every entry cites in standupIds the ids of the standups it is drawn from, exactly as listed in the context
+- members and owner are names of team members exactly as given; owner is null when the team as a whole owns the action
+- Use an empty list for a section with nothing to report`,
+  teamDigest: `Reply with only a JSON object, no other text, in this form:
+{"narrative": "...",
+ "shipped": [{"member": "...", "summary": "...", "refs": ["..."]}],
+ "atRisk": [{"member": "...", "summary": "...", "refs": ["..."]}],
+ "dependencies": [{"member": "...", "dependsOn": "...", "summary": "...", "refs": ["..."]}],
+ "decisionsNeeded": [{"member": "...", "blocker": "...", "decision": "...", "refs": ["..."]}]}
+- member is the name of a team member who posted a standup, exactly as given
+- dependsOn is the teammate or outside team or person the member is waiting on
+- refs are the Jira keys and PR ids the entry is based on, only ones listed in the context; use [] when there are none
+- Use an empty list for a section with nothing to report`
+};
+
+/**
+ * Parse a model reply as JSON, allowing a surrounding markdown code fence.
+ * Returns { value } or { errors }.
+ */
+function parseModelJson(text) {
+  const trimmed = String(text ?? '').trim();
+  const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+
+  try {
+    return { value: JSON.parse(fenced ? fenced[1] : trimmed) };
+  } catch (error) {
+    return { errors: [`reply is not valid JSON (${error.message})`] };
+  }
+}
+
+/**
+ * Parse and validate a reply for purpose; context ({ tasks, prs, members, standupIds }) checks
+ * the tasks, PRs, members and standups it cites. Returns { value, errors }, with errors empty
+ * when the reply is usable.
+ */
+function validateModelOutput(purpose, text, context = {}) {
+  const parsed = parseModelJson(text);
+  if (parsed.errors) {
+    return { value: null, errors: parsed.errors };
+  }
+
+  const errors = validateSchema(OUTPUT_SCHEMAS[purpose], parsed.value, { path: 'reply' });
+  if (errors.length === 0 && CONTEXT_CHECKS[purpose]) {
+    errors.push(...CONTEXT_CHECKS[purpose](parsed.value, context));
+  }
+
+  return { value: parsed.value, errors };
+}
+
+// Checks of a schema-valid reply against the context it was generated from
+const CONTEXT_CHECKS = {
+  followUpQuestions: unknownTargets,
+  sprintRetrospective: unknownCitations,
+  teamDigest: unknownDigestReferences
+};
+
+/**
+ * Task and PR targets that are not in the member's context
+ */
+function unknownTargets({ questions }, { tasks = [], prs = [] }) {
+  const known = {
+    task: new Set(tasks.map(task => task.key)),
+    pull_request: new Set(prs.map(pr => String(pr.id)))
+  };
+
+  return questions
+    .map((question, index) => ({ target: question.target, index }))
+    .filter(({ target }) => target && known[target.type] && !known[target.type].has(target.ref))
+    .map(({ target, index }) => `reply.questions[${index}].target.ref ${target.ref} is not a ${target.type === 'task' ? 'Jira key' : 'PR id'} from the context`);
+}
+
+/**
+ * Digest entries about someone who is not a team member, or citing a task or PR no member has
+ */
+function unknownDigestReferences(digest, { tasks = [], prs = [], members = [] }) {
+  const knownRefs = new Set([...tasks.map(task => task.key), ...prs.map(pr => String(pr.id))]);
+  const errors = [];
+
+  ['shipped', 'atRisk', 'dependencies', 'decisionsNeeded'].forEach(section => {
+    digest[section].forEach((entry, index) => {
+      if (!members.includes(entry.member)) {
+        errors.push(`reply.${section}[${index}].member ${entry.member} is not a member of the team`);
+      }
+      entry.refs
+        .filter(ref => !knownRefs.has(ref))
+        .forEach(ref => errors.push(`reply.${section}[${index}].refs ${ref} is not a Jira key or PR id from the context`));
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Retrospective entries citing a standup that is not in the context, or naming someone who is
+ * not a team member
+ */
+function unknownCitations(retrospective, { standupIds = [], members = [] }) {
+  const errors = [];
+
+  ['wentWell', 'didntGoWell', 'recurringBlockers', 'actionItems'].forEach(section => {
+    retrospective[section].forEach((entry, index) => {
+      entry.standupIds
+        .filter(standupId => !standupIds.includes(standupId))
+        .forEach(standupId => errors.push(`reply.${section}[${index}].standupIds ${standupId} is not a standup from the context`));
+      [...(entry.members || []), ...(entry.owner ? [entry.owner] : [])]
+        .filter(member => !members.includes(member))
+        .forEach(member => errors.push(`reply.${section}[${index}] names ${member}, who is not a member of the team`));
+    });
+  });
+
+  return errors;
+}
+
+module.exports = {
+  QUESTION_CATEGORIES,
+  QUESTION_PRIORITIES,
+  TARGET_TYPES,
+  FOLLOW_UP_QUESTION_SCHEMA,
+  OUTPUT_SCHEMAS,
+  OUTPUT_INSTRUCTIONS,
+  parseModelJson,
+  validateModelOutput
+};
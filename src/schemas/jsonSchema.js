@@ -0,0 +1,171 @@
+/**
+ * JSON Schema Validator
+ * Checks values against the subset of JSON Schema that OpenAPI 3.0 uses in openapi.js:
+ * type, nullable, enum, format, string and number bounds, pattern, items, properties,
+ * required, additionalProperties, oneOf and local $refs. Errors are readable paths such as
+ * "body.teamMembers[0] must be a string".
+ */
+
+const FORMATS = {
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  'date-time': (value) => /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)),
+  uuid: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+
+/**
+ * Validate a value, returning a list of error messages (empty when valid).
+ * root is the document that "#/..." references resolve against.
+ */
+function validateSchema(schema, value, { root = schema, path = 'value' } = {}) {
+  const errors = [];
+  checkValue(resolveRef(schema, root), value, path, root, errors);
+  return errors;
+}
+
+/**
+ * Follow a local "$ref" such as "#/components/schemas/Error". nullable beside a $ref is kept,
+ * so { $ref, nullable: true } accepts null as well as the referenced shape.
+ */
+function resolveRef(schema, root) {
+  let resolved = schema;
+
+  while (resolved && resolved.$ref) {
+    if (!resolved.$ref.startsWith('#/')) {
+      throw new Error(`Only local schema references are supported: ${resolved.$ref}`);
+    }
+
+    const target = resolved.$ref.substring(2).split('/').reduce((node, key) => (node ? node[key] : undefined), root);
+    if (!target) {
+      throw new Error(`Unresolved schema reference ${resolved.$ref}`);
+    }
+    resolved = target;
+  }
+
+  return schema && schema.$ref && schema.nullable && !resolved.nullable ? { ...resolved, nullable: true } : resolved;
+}
+
+function checkValue(schema, value, path, root, errors) {
+  if (value === null) {
+    if (!schema.nullable && schema.type !== undefined) {
+      errors.push(`${path} must not be null`);
+    }
+    return;
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => validateSchema(option, value, { root, path }).length === 0);
+    if (matches.length !== 1) {
+      errors.push(`${path} must match exactly one of its allowed shapes`);
+    }
+    return;
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push(`${path} must be ${article(schema.type)} ${schema.type}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'string') {
+    checkString(schema, value, path, errors);
+  } else if (typeof value === 'number') {
+    checkNumber(schema, value, path, errors);
+  } else if (Array.isArray(value)) {
+    checkArray(schema, value, path, root, errors);
+  } else if (typeof value === 'object') {
+    checkObject(schema, value, path, root, errors);
+  }
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    default:
+      throw new Error(`Unsupported schema type ${type}`);
+  }
+}
+
+function checkString(schema, value, path, errors) {
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(schema.minLength === 1 ? `${path} must not be empty` : `${path} must be at least ${schema.minLength} characters`);
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push(`${path} must be at most ${schema.maxLength} characters`);
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path} must match ${schema.pattern}`);
+  }
+  if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+    errors.push(`${path} must be a valid ${schema.format}`);
+  }
+}
+
+function checkNumber(schema, value, path, errors) {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path} must be at most ${schema.maximum}`);
+  }
+}
+
+function checkArray(schema, value, path, root, errors) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push(`${path} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push(`${path} must have at most ${schema.maxItems} items`);
+  }
+  if (schema.items) {
+    const itemSchema = resolveRef(schema.items, root);
+    value.forEach((item, index) => checkValue(itemSchema, item, `${path}[${index}]`, root, errors));
+  }
+}
+
+function checkObject(schema, value, path, root, errors) {
+  const properties = schema.properties || {};
+
+  (schema.required || []).forEach(field => {
+    if (value[field] === undefined) {
+      errors.push(`${path}.${field} is required`);
+    }
+  });
+
+  Object.entries(value).forEach(([field, fieldValue]) => {
+    if (fieldValue === undefined) {
+      return;
+    }
+
+    if (properties[field]) {
+      checkValue(resolveRef(properties[field], root), fieldValue, `${path}.${field}`, root, errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push(`${path}.${field} is not allowed`);
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      checkValue(resolveRef(schema.additionalProperties, root), fieldValue, `${path}.${field}`, root, errors);
+    }
+  });
+}
+
+function article(type) {
+  return /^[aeiou]/.test(type) ? 'an' : 'a';
+}
+
+module.exports = {
+  validateSchema,
+  resolveRef
+};
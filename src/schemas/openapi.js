@@ -0,0 +1,1238 @@
+/**
+ * OpenAPI Document
+ * Machine-readable description of every route in src/routes.js: parameters, request bodies
+ * and the response shapes handlers return. Served at GET /openapi.json and used by
+ * requestValidator to reject bad input before a handler does any work.
+ */
+const { ROUTES } = require('../routes');
+const { version } = require('../../package.json');
+const { QUESTION_CATEGORIES, QUESTION_PRIORITIES, TARGET_TYPES } = require('./aiOutput');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+
+const STRING = { type: 'string' };
+const TEXT = { type: 'string', minLength: 1 };
+const OPTIONAL_STRING = { type: 'string', nullable: true };
+const COUNT = { type: 'integer', minimum: 0 };
+const NUMBER = { type: 'number' };
+const BOOLEAN = { type: 'boolean' };
+const DATE_TIME = { type: 'string', format: 'date-time' };
+const STRINGS = { type: 'array', items: STRING };
+const OBJECT = { type: 'object' };
+
+// Client-generated keys that are safe to use in storage keys
+const IDEMPOTENCY_KEY = { type: 'string', pattern: '^[A-Za-z0-9_-]{8,128}$' };
+
+const CHAT_INTENTS = ['standup_status', 'team_metrics', 'task_status', 'pr_status', 'blocker_help', 'history_query', 'general_help', 'general_query'];
+
+/**
+ * Successful response envelope: { success: true, ...fields }
+ */
+function success(properties, required = []) {
+  return {
+    type: 'object',
+    required: ['success', ...required],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      timestamp: DATE_TIME,
+      message: STRING,
+      ...properties
+    }
+  };
+}
+
+function object(properties, required = []) {
+  return { type: 'object', required, properties };
+}
+
+function arrayOf(items) {
+  return { type: 'array', items };
+}
+
+function mapOf(values) {
+  return { type: 'object', additionalProperties: values };
+}
+
+/**
+ * Processing status fields of a record the queue worker processes
+ */
+function processingFields(statusDescription) {
+  return {
+    status: { type: 'string', enum: ['queued', 'processing', 'completed', 'failed'], description: statusDescription },
+    queuedAt: { ...DATE_TIME, nullable: true },
+    startedAt: { ...DATE_TIME, nullable: true },
+    completedAt: { ...DATE_TIME, nullable: true },
+    attempts: COUNT,
+    error: { ...OPTIONAL_STRING, description: 'Why the last attempt failed, e.g. ECONNRESET or QUEUE_UNAVAILABLE' }
+  };
+}
+
+const ERROR_DESCRIPTIONS = {
+  400: 'The request does not match this operation',
+  401: 'Missing, invalid or expired bearer token',
+  403: "The caller's role does not allow this request",
+  404: 'Not found',
+  409: 'Conflicts with an existing standup or an in-flight request',
+  410: 'Already deleted',
+  422: 'Idempotency key reused for a different request',
+  500: 'Unexpected server error',
+  503: 'Saved, but could not be queued for processing'
+};
+
+/**
+ * An operation with its responses; every operation can fail with 400, 401 and 500.
+ * otherResponses declares non-error statuses besides 200; operations that never answer 200,
+ * such as queued ones, leave out response.
+ */
+function operation({ operationId, tag, summary, parameters = [], requestBody, response, errors = [], security, otherResponses = {} }) {
+  const responses = {
+    ...(response ? { 200: { description: 'Success', content: { 'application/json': { schema: response } } } } : {}),
+    ...otherResponses
+  };
+
+  [400, 401, ...errors, 500].forEach(statusCode => {
+    responses[statusCode] = { $ref: `#/components/responses/Error${statusCode}` };
+  });
+
+  return {
+    operationId,
+    tags: [tag],
+    summary,
+    ...(parameters.length > 0 ? { parameters } : {}),
+    ...(requestBody ? { requestBody: { required: requestBody.required !== false, content: { 'application/json': { schema: requestBody.schema } } } } : {}),
+    responses,
+    ...(security ? { security } : {})
+  };
+}
+
+const SCHEMAS = {
+  Error: object({
+    success: { type: 'boolean', enum: [false] },
+    error: STRING,
+    code: { ...STRING, description: 'Stable error code, e.g. VALIDATION_FAILED, FORBIDDEN, DUPLICATE_STANDUP' },
+    details: { description: 'Extra context, such as the validation errors for a 400' },
+    requestId: { ...STRING, description: 'Also sent as the X-Request-Id header; quote it when reporting a problem' },
+    timestamp: DATE_TIME
+  }, ['success', 'error', 'code', 'requestId']),
+
+  Insight: object({
+    type: STRING,
+    message: STRING,
+    priority: { type: 'string', enum: ['low', 'medium', 'high'] },
+    details: arrayOf(OBJECT)
+  }, ['type', 'message', 'priority']),
+
+  StandupSubmission: object({
+    teamMemberName: { ...TEXT, description: "Defaults to the token's member" },
+    yesterday: TEXT,
+    today: TEXT,
+    blockers: { ...TEXT, description: 'Use "None" when there are no blockers' },
+    idempotencyKey: { ...IDEMPOTENCY_KEY, description: 'Alternative to the Idempotency-Key header' }
+  }, ['yesterday', 'today', 'blockers']),
+
+  StandupEdit: object({
+    yesterday: TEXT,
+    today: TEXT,
+    blockers: TEXT,
+    reason: STRING,
+    editedBy: { ...TEXT, description: "Only used with authentication disabled; otherwise the token's member" }
+  }),
+
+  StandupDeletion: object({
+    reason: STRING,
+    deletedBy: { ...TEXT, description: "Only used with authentication disabled; otherwise the token's member" }
+  }),
+
+  DraftFields: object({
+    yesterday: STRING,
+    today: STRING,
+    blockers: STRING
+  }),
+
+  DraftSubmission: object({
+    yesterday: STRING,
+    today: STRING,
+    blockers: STRING,
+    idempotencyKey: IDEMPOTENCY_KEY
+  }),
+
+  Draft: object({
+    teamMemberName: STRING,
+    yesterday: STRING,
+    today: STRING,
+    blockers: STRING,
+    createdAt: DATE_TIME,
+    updatedAt: DATE_TIME
+  }, ['teamMemberName', 'updatedAt']),
+
+  EditHistoryEntry: object({
+    action: { type: 'string', enum: ['update', 'delete'] },
+    editedAt: DATE_TIME,
+    editedBy: STRING,
+    reason: OPTIONAL_STRING,
+    changes: mapOf(object({ from: OPTIONAL_STRING, to: OPTIONAL_STRING }))
+  }, ['action', 'editedAt', 'editedBy', 'changes']),
+
+  PromptTemplateRef: object({ id: STRING, version: COUNT, teamId: OPTIONAL_STRING }, ['id', 'version']),
+
+  FollowUpQuestion: object({
+    question: STRING,
+    category: { type: 'string', enum: QUESTION_CATEGORIES },
+    target: {
+      ...object({ type: { type: 'string', enum: TARGET_TYPES }, ref: STRING }, ['type', 'ref']),
+      nullable: true,
+      description: 'What the question is about: a Jira task key, a PR id or an excerpt of the blocker'
+    },
+    priority: { type: 'string', enum: QUESTION_PRIORITIES }
+  }, ['question', 'category', 'target', 'priority']),
+
+  StandupRecord: object({
+    id: STRING,
+    schemaVersion: COUNT,
+    teamMemberName: STRING,
+    timestamp: DATE_TIME,
+    standupDate: { type: 'string', format: 'date' },
+    timeZone: STRING,
+    yesterday: STRING,
+    today: STRING,
+    blockers: STRING,
+    jiraTasks: arrayOf(OBJECT),
+    bitbucketPRs: arrayOf(OBJECT),
+    followUpQuestions: arrayOf(ref('FollowUpQuestion')),
+    previousUpdatesCount: COUNT,
+    analysisMetadata: OBJECT,
+    promptTemplate: {
+      ...ref('PromptTemplateRef'),
+      nullable: true,
+      description: 'Prompt template version that produced followUpQuestions; null for rule-based fallback questions'
+    },
+    editHistory: arrayOf(ref('EditHistoryEntry')),
+    updatedAt: DATE_TIME
+  }, ['id', 'teamMemberName', 'timestamp', 'yesterday', 'today', 'blockers']),
+
+  CsvHistoryDay: object({
+    date: { type: 'string', format: 'date' },
+    data: { type: 'string', description: 'The day file as CSV' }
+  }, ['date', 'data']),
+
+  StandupSummary: object({
+    yesterday: STRING,
+    today: STRING,
+    blockers: STRING,
+    jiraTasksCount: COUNT,
+    openPRsCount: COUNT,
+    followUpQuestionsCount: COUNT
+  }, ['yesterday', 'today', 'blockers', 'jiraTasksCount', 'openPRsCount', 'followUpQuestionsCount']),
+
+  StandupResult: success({
+    data: object({
+      standupId: STRING,
+      teamMember: STRING,
+      timestamp: DATE_TIME,
+      amended: { type: 'boolean', description: 'True when merged into the day\'s existing standup' },
+      summary: ref('StandupSummary'),
+      followUpQuestions: arrayOf(ref('FollowUpQuestion')),
+      insights: arrayOf(ref('Insight'))
+    }, ['standupId', 'teamMember', 'timestamp', 'amended', 'summary', 'followUpQuestions', 'insights'])
+  }, ['message', 'data']),
+
+  StandupAccepted: success({
+    data: object({
+      standupId: STRING,
+      teamMember: STRING,
+      timestamp: DATE_TIME,
+      amended: BOOLEAN,
+      status: { type: 'string', enum: ['queued'] },
+      statusUrl: { ...STRING, description: 'Poll this (with ?wait=20 to long-poll) for the follow-up questions' }
+    }, ['standupId', 'teamMember', 'timestamp', 'amended', 'status', 'statusUrl'])
+  }, ['message', 'data']),
+
+  StandupStatus: success({
+    data: object({
+      standupId: STRING,
+      teamMember: STRING,
+      ...processingFields('Standups submitted without Prefer: respond-async are completed'),
+      timestamp: DATE_TIME,
+      amended: BOOLEAN,
+      summary: ref('StandupSummary'),
+      followUpQuestions: arrayOf(ref('FollowUpQuestion')),
+      insights: arrayOf(ref('Insight'))
+    }, ['standupId', 'teamMember', 'status', 'attempts'])
+  }, ['data']),
+
+  TopBlocker: object({
+    blocker: STRING,
+    count: COUNT
+  }, ['blocker', 'count']),
+
+  MemberStats: object({
+    standupCount: COUNT,
+    standupDays: COUNT,
+    totalTasks: COUNT,
+    totalPRs: COUNT,
+    blockers: STRINGS
+  }, ['standupCount', 'totalTasks', 'totalPRs']),
+
+  TeamMetrics: object({
+    totalStandups: COUNT,
+    totalStandupDays: COUNT,
+    activeMembers: COUNT,
+    averageTasksPerMember: NUMBER,
+    averagePRsPerMember: NUMBER,
+    topBlockers: arrayOf(ref('TopBlocker')),
+    memberStats: mapOf(ref('MemberStats'))
+  }, ['totalStandups', 'activeMembers', 'averageTasksPerMember', 'averagePRsPerMember', 'topBlockers']),
+
+  DigestEntry: object({
+    member: STRING,
+    summary: STRING,
+    dependsOn: { ...STRING, description: 'dependencies only: the teammate, team or person the member is waiting on' },
+    blocker: { ...STRING, description: 'decisionsNeeded only' },
+    decision: { ...STRING, description: 'decisionsNeeded only: the decision a lead has to make' },
+    refs: { ...STRINGS, description: 'Jira keys and PR ids the entry is based on' }
+  }, ['member', 'refs']),
+
+  TeamDigestAccepted: success({
+    data: object({
+      digestId: STRING,
+      teamId: STRING,
+      date: { type: 'string', format: 'date' },
+      status: { type: 'string', enum: ['queued'] },
+      statusUrl: { ...STRING, description: 'Poll this (with &wait=20 to long-poll) for the digest' }
+    }, ['digestId', 'teamId', 'date', 'status', 'statusUrl'])
+  }, ['message', 'data']),
+
+  TeamDigest: object({
+    id: STRING,
+    teamId: STRING,
+    teamName: STRING,
+    date: { type: 'string', format: 'date' },
+    ...processingFields('The generated fields below are present once completed'),
+    generatedAt: DATE_TIME,
+    generatedBy: { ...STRING, description: 'The lead who requested the digest' },
+    standupIds: { ...STRINGS, description: 'The standups the digest was written from, one per member who posted' },
+    membersReported: STRINGS,
+    membersMissing: STRINGS,
+    metrics: object({
+      totalStandups: COUNT,
+      activeMembers: COUNT,
+      averageTasksPerMember: NUMBER,
+      averagePRsPerMember: NUMBER,
+      topBlockers: arrayOf(ref('TopBlocker'))
+    }, ['totalStandups', 'activeMembers']),
+    narrative: STRING,
+    shipped: arrayOf(ref('DigestEntry')),
+    atRisk: arrayOf(ref('DigestEntry')),
+    dependencies: arrayOf(ref('DigestEntry')),
+    decisionsNeeded: arrayOf(ref('DigestEntry')),
+    promptTemplate: {
+      ...ref('PromptTemplateRef'),
+      nullable: true,
+      description: 'Prompt template version that wrote the digest; null when the AI failed and only reported blockers are listed'
+    }
+  }, ['id', 'teamId', 'date', 'status', 'attempts']),
+
+  RetrospectiveRequest: {
+    oneOf: [
+      { ...object({ sprintId: { type: 'integer', minimum: 1, description: 'Jira sprint whose dates the retrospective covers' } }, ['sprintId']), additionalProperties: false },
+      { ...object({ startDate: { type: 'string', format: 'date' }, endDate: { type: 'string', format: 'date' } }, ['startDate', 'endDate']), additionalProperties: false }
+    ]
+  },
+
+  RetrospectiveItem: object({
+    point: { ...STRING, description: 'wentWell and didntGoWell only' },
+    blocker: { ...STRING, description: 'recurringBlockers only' },
+    members: { ...STRINGS, description: 'recurringBlockers only: the members who reported it' },
+    action: { ...STRING, description: 'actionItems only' },
+    owner: { ...OPTIONAL_STRING, description: 'actionItems only: the member suggested to own it; null for the whole team' },
+    standupIds: { ...STRINGS, description: 'The standups the entry is drawn from' }
+  }, ['standupIds']),
+
+  RetrospectiveAccepted: success({
+    data: object({
+      retrospectiveId: STRING,
+      teamId: STRING,
+      startDate: { type: 'string', format: 'date' },
+      endDate: { type: 'string', format: 'date' },
+      status: { type: 'string', enum: ['queued'] },
+      statusUrl: { ...STRING, description: 'Poll this (with ?wait=20 to long-poll) for the draft' }
+    }, ['retrospectiveId', 'teamId', 'startDate', 'endDate', 'status', 'statusUrl'])
+  }, ['message', 'data']),
+
+  SprintRetrospective: object({
+    id: STRING,
+    teamId: STRING,
+    teamName: STRING,
+    sprint: {
+      ...object({ id: COUNT, name: STRING, state: STRING, goal: OPTIONAL_STRING }, ['id', 'name']),
+      nullable: true,
+      description: 'The Jira sprint the dates came from; null for a plain date range'
+    },
+    startDate: { type: 'string', format: 'date' },
+    endDate: { type: 'string', format: 'date' },
+    ...processingFields('The generated fields below are present once completed'),
+    generatedAt: DATE_TIME,
+    generatedBy: { ...STRING, description: 'The lead who requested the draft' },
+    standupIds: { ...STRINGS, description: 'Every standup the draft was written from, oldest first' },
+    wentWell: arrayOf(ref('RetrospectiveItem')),
+    didntGoWell: arrayOf(ref('RetrospectiveItem')),
+    recurringBlockers: arrayOf(ref('RetrospectiveItem')),
+    actionItems: arrayOf(ref('RetrospectiveItem')),
+    promptTemplate: {
+      ...ref('PromptTemplateRef'),
+      nullable: true,
+      description: 'Prompt template version that wrote the draft; null when the AI failed and only recurring blockers are listed'
+    }
+  }, ['id', 'teamId', 'sprint', 'startDate', 'endDate', 'status', 'attempts']),
+
+  DateRange: object({
+    from: STRING,
+    to: STRING
+  }, ['from', 'to']),
+
+  JiraTask: object({
+    key: STRING,
+    id: STRING,
+    summary: STRING,
+    status: object({ name: STRING, category: STRING, id: STRING }, ['name', 'category']),
+    priority: object({ name: STRING, id: STRING }, ['name']),
+    issueType: OBJECT,
+    project: OBJECT,
+    assignee: OBJECT,
+    reporter: OBJECT,
+    created: STRING,
+    updated: STRING,
+    labels: STRINGS,
+    components: STRINGS,
+    fixVersions: STRINGS,
+    timeTracking: OBJECT,
+    progress: OBJECT,
+    url: STRING
+  }, ['key', 'summary', 'status', 'priority']),
+
+  JiraIssue: object({
+    key: STRING,
+    summary: STRING,
+    status: STRING,
+    priority: STRING,
+    assignee: STRING,
+    created: STRING,
+    updated: STRING,
+    url: STRING
+  }, ['key', 'summary', 'status']),
+
+  BitbucketUser: object({
+    username: STRING,
+    nickname: STRING,
+    displayName: STRING,
+    uuid: STRING
+  }),
+
+  PullRequest: object({
+    id: COUNT,
+    title: STRING,
+    description: STRING,
+    state: { type: 'string', enum: ['OPEN', 'MERGED', 'DECLINED', 'SUPERSEDED'] },
+    author: ref('BitbucketUser'),
+    source: OBJECT,
+    destination: OBJECT,
+    repository: OBJECT,
+    createdOn: STRING,
+    updatedOn: STRING,
+    commentCount: COUNT,
+    taskCount: COUNT,
+    approvalCount: COUNT,
+    reviewerCount: COUNT,
+    participants: arrayOf(OBJECT),
+    links: OBJECT,
+    daysSinceCreated: COUNT,
+    daysSinceUpdated: COUNT,
+    isStale: BOOLEAN,
+    needsReview: BOOLEAN
+  }, ['id', 'title', 'state', 'author']),
+
+  Repository: object({
+    name: STRING,
+    fullName: STRING,
+    description: STRING,
+    language: STRING,
+    size: COUNT,
+    isPrivate: BOOLEAN,
+    createdOn: STRING,
+    updatedOn: STRING,
+    url: STRING
+  }, ['name', 'fullName']),
+
+  IdentityCheck: object({
+    status: { type: 'string', enum: ['resolved', 'unresolved', 'unmapped', 'not_configured', 'error'] },
+    matchedBy: STRING,
+    problem: STRING,
+    hint: STRING
+  }, ['status']),
+
+  TeamMembersRequest: object({
+    teamMembers: { type: 'array', items: TEXT, minItems: 1 }
+  }, ['teamMembers']),
+
+  ChatRequest: object({
+    message: TEXT,
+    teamMember: { ...TEXT, description: 'Member the question is about; defaults to the caller' },
+    team: { ...TEXT, description: 'Team for team_metrics questions' },
+    intent: { type: 'string', enum: CHAT_INTENTS, description: 'Detected from the message when omitted' },
+    conversationId: STRING,
+    context: { description: 'Free-form context from the chat client' }
+  }, ['message']),
+
+  DependencyHealth: object({
+    status: { type: 'string', enum: ['ok', 'error', 'not_configured', 'unchecked'] },
+    latencyMs: COUNT,
+    error: { ...STRING, description: 'Upstream HTTP status, network error code or AWS error name' },
+    backend: { ...STRING, description: 'Storage backend (s3, local or sqlite)' },
+    teams: COUNT,
+    provider: { ...STRING, description: 'AI provider (bedrock, openai or stub)' },
+    lastCallAt: { ...DATE_TIME, description: 'AI provider: when this instance last called the model' }
+  }, ['status', 'latencyMs']),
+
+  HealthReport: object({
+    success: BOOLEAN,
+    status: { type: 'string', enum: ['ok', 'degraded', 'down'], description: 'down when storage or the team registry fails; degraded when Jira, Bitbucket or the AI provider does' },
+    version: STRING,
+    timestamp: DATE_TIME,
+    dependencies: object({
+      storage: ref('DependencyHealth'),
+      teamRegistry: ref('DependencyHealth'),
+      jira: ref('DependencyHealth'),
+      bitbucket: ref('DependencyHealth'),
+      ai: ref('DependencyHealth')
+    }, ['storage', 'teamRegistry', 'jira', 'bitbucket', 'ai'])
+  }, ['success', 'status', 'version', 'timestamp', 'dependencies']),
+
+  ChatResponse: success({
+    type: { type: 'string', description: 'Shape of data, e.g. standup_summary, team_metrics, blocker_analysis, info or error' },
+    intent: { type: 'string', enum: CHAT_INTENTS },
+    conversationId: STRING,
+    data: { ...OBJECT, description: 'Depends on type; team_metrics has overview, topBlockers and insights' },
+    suggestions: STRINGS,
+    error: STRING
+  }, ['message', 'type', 'intent', 'conversationId'])
+};
+
+const PARAMETERS = {
+  TeamMember: { name: 'teamMember', in: 'path', required: true, schema: TEXT },
+  StandupId: { name: 'id', in: 'path', required: true, schema: TEXT },
+  TeamId: { name: 'teamId', in: 'path', required: true, schema: TEXT },
+  RetrospectiveId: { name: 'retrospectiveId', in: 'path', required: true, schema: { type: 'string', pattern: '^[0-9a-f-]{36}$' } },
+  RepositoryName: { name: 'repositoryName', in: 'path', required: true, schema: TEXT },
+  StartDate: { name: 'startDate', in: 'query', schema: { type: 'string', format: 'date' }, description: 'First local day included (YYYY-MM-DD)' },
+  Date: { name: 'date', in: 'query', schema: { type: 'string', format: 'date' }, description: "Local day (YYYY-MM-DD); defaults to today in the caller's timezone" },
+  EndDate: { name: 'endDate', in: 'query', schema: { type: 'string', format: 'date' }, description: 'Last local day included (YYYY-MM-DD)' },
+  Team: { name: 'team', in: 'query', schema: TEXT, description: "Team id; defaults to the team the caller's role covers" },
+  Days: { name: 'days', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 365 } },
+  Limit: { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 1000 } },
+  Wait: { name: 'wait', in: 'query', schema: { type: 'integer', minimum: 0, maximum: 20 }, description: 'Seconds to wait for processing to finish before answering' },
+  IdempotencyKey: { name: 'Idempotency-Key', in: 'header', schema: IDEMPOTENCY_KEY, description: 'Retries with the same key replay the first response' },
+  Prefer: { name: 'Prefer', in: 'header', schema: STRING, description: 'respond-async stores the standup and answers 202 at once; follow-up questions come from its statusUrl' }
+};
+
+const STANDUP_ACCEPTED = {
+  202: { description: 'Stored and queued for processing (Prefer: respond-async)', content: { 'application/json': { schema: ref('StandupAccepted') } } }
+};
+
+const RESPONSES = Object.fromEntries(Object.entries(ERROR_DESCRIPTIONS).map(([statusCode, description]) => [
+  `Error${statusCode}`,
+  { description, content: { 'application/json': { schema: ref('Error') } } }
+]));
+
+const DRAFT_RESPONSE = success({
+  data: object({ draft: ref('Draft'), missingFields: STRINGS }, ['draft', 'missingFields'])
+}, ['data']);
+
+const BLOCKER_ANALYSIS_RESPONSE = success({
+  teamMember: STRING,
+  days: COUNT,
+  data: object({
+    teamMember: STRING,
+    scope: STRING,
+    totalBlockers: COUNT,
+    blockerFrequency: COUNT,
+    totalMembers: COUNT,
+    recentBlockers: arrayOf(object({ date: STRING, blocker: STRING, followUpQuestions: arrayOf(ref('FollowUpQuestion')) }, ['blocker'])),
+    recurringBlockers: arrayOf(object({ blocker: STRING, occurrences: COUNT }, ['blocker', 'occurrences'])),
+    topBlockers: arrayOf(ref('TopBlocker')),
+    recommendations: STRINGS
+  }, ['recommendations'])
+}, ['teamMember', 'days', 'data']);
+
+/**
+ * Operations keyed by "METHOD path", matching src/routes.js
+ */
+const OPERATIONS = {
+  'GET /openapi.json': operation({
+    operationId: 'getOpenApiSpec',
+    tag: 'Documentation',
+    summary: 'This OpenAPI document',
+    response: OBJECT,
+    security: []
+  }),
+
+  'GET /health': operation({
+    operationId: 'getHealth',
+    tag: 'Health',
+    summary: 'Status of storage, the team registry, Jira, Bitbucket and Bedrock',
+    response: ref('HealthReport'),
+    otherResponses: {
+      503: { description: 'Storage or the team registry is failing', content: { 'application/json': { schema: ref('HealthReport') } } }
+    },
+    security: []
+  }),
+
+  'POST /standup': operation({
+    operationId: 'processStandup',
+    tag: 'Standups',
+    summary: 'Submit a standup; Jira tasks, PRs and follow-up questions are added before it is stored',
+    parameters: [param('IdempotencyKey'), param('Prefer')],
+    requestBody: { schema: ref('StandupSubmission') },
+    response: ref('StandupResult'),
+    otherResponses: STANDUP_ACCEPTED,
+    errors: [403, 409, 422, 503]
+  }),
+
+  'GET /standup/{id}/status': operation({
+    operationId: 'getStandupStatus',
+    tag: 'Standups',
+    summary: 'Processing status of a standup, with its follow-up questions and insights once ready',
+    parameters: [param('StandupId'), param('Wait')],
+    response: ref('StandupStatus'),
+    errors: [403, 404, 410]
+  }),
+  'PUT /standup/{id}': operation({
+    operationId: 'updateStandup',
+    tag: 'Standups',
+    summary: 'Edit a submitted standup, keeping the previous text in its edit history',
+    parameters: [param('StandupId')],
+    requestBody: { schema: ref('StandupEdit') },
+    response: success({
+      data: object({
+        standupId: STRING,
+        teamMember: STRING,
+        updatedAt: DATE_TIME,
+        standup: object({ yesterday: STRING, today: STRING, blockers: STRING }, ['yesterday', 'today', 'blockers']),
+        editHistory: arrayOf(ref('EditHistoryEntry'))
+      }, ['standupId', 'teamMember', 'standup', 'editHistory'])
+    }, ['data']),
+    errors: [403, 404]
+  }),
+  'DELETE /standup/{id}': operation({
+    operationId: 'deleteStandup',
+    tag: 'Standups',
+    summary: 'Soft-delete a standup with an audit entry',
+    parameters: [
+      param('StandupId'),
+      { name: 'reason', in: 'query', schema: STRING },
+      { name: 'deletedBy', in: 'query', schema: TEXT, description: 'Only used with authentication disabled' }
+    ],
+    requestBody: { schema: ref('StandupDeletion'), required: false },
+    response: success({
+      data: object({
+        standupId: STRING,
+        teamMember: STRING,
+        deletedAt: DATE_TIME,
+        deletedBy: STRING,
+        editHistory: arrayOf(ref('EditHistoryEntry'))
+      }, ['standupId', 'teamMember', 'deletedAt', 'deletedBy'])
+    }, ['data']),
+    errors: [403, 404, 410]
+  }),
+  'PUT /standup/draft/{teamMember}': operation({
+    operationId: 'saveDraft',
+    tag: 'Drafts',
+    summary: "Merge fields into the member's draft",
+    parameters: [param('TeamMember')],
+    requestBody: { schema: ref('DraftFields') },
+    response: DRAFT_RESPONSE,
+    errors: [403]
+  }),
+  'GET /standup/draft/{teamMember}': operation({
+    operationId: 'getDraft',
+    tag: 'Drafts',
+    summary: "The member's saved draft",
+    parameters: [param('TeamMember')],
+    response: DRAFT_RESPONSE,
+    errors: [403, 404]
+  }),
+  'DELETE /standup/draft/{teamMember}': operation({
+    operationId: 'discardDraft',
+    tag: 'Drafts',
+    summary: "Discard the member's draft",
+    parameters: [param('TeamMember')],
+    response: success({}, ['message']),
+    errors: [403, 404]
+  }),
+  'POST /standup/draft/{teamMember}/submit': operation({
+    operationId: 'submitDraft',
+    tag: 'Drafts',
+    summary: 'Submit the draft as a standup; fields in the body fill in or override it',
+    parameters: [param('TeamMember'), param('IdempotencyKey'), param('Prefer')],
+    requestBody: { schema: ref('DraftSubmission'), required: false },
+    response: ref('StandupResult'),
+    otherResponses: STANDUP_ACCEPTED,
+    errors: [403, 404, 409, 422, 503]
+  }),
+
+  'GET /data/history/{teamMember}': operation({
+    operationId: 'getStandupHistory',
+    tag: 'Standup data',
+    summary: "A member's standups, newest first",
+    parameters: [
+      param('TeamMember'),
+      param('StartDate'),
+      param('EndDate'),
+      { name: 'format', in: 'query', schema: { type: 'string', enum: ['json', 'csv'] } },
+      param('Limit')
+    ],
+    response: success({
+      teamMember: STRING,
+      format: STRING,
+      data: object({
+        history: arrayOf({ oneOf: [ref('StandupRecord'), ref('CsvHistoryDay')] }),
+        summary: object({
+          totalEntries: COUNT,
+          totalAvailable: COUNT,
+          dateRange: { ...ref('DateRange'), nullable: true },
+          patterns: { nullable: true },
+          analytics: { ...OBJECT, nullable: true }
+        }, ['totalEntries'])
+      }, ['history', 'summary'])
+    }, ['teamMember', 'data']),
+    errors: [403]
+  }),
+  'GET /data/summary/{teamMember}': operation({
+    operationId: 'getTeamMemberSummary',
+    tag: 'Standup data',
+    summary: "A member's recent averages, insights and trends; viewers see blockers hidden",
+    parameters: [param('TeamMember'), param('Days')],
+    response: success({
+      teamMember: STRING,
+      days: COUNT,
+      data: object({
+        summary: object({
+          totalStandups: COUNT,
+          averageTasksPerStandup: NUMBER,
+          averagePRsPerStandup: NUMBER,
+          blockerFrequency: COUNT,
+          productivity: STRING,
+          consistency: STRING
+        }, ['totalStandups', 'productivity']),
+        insights: STRINGS,
+        recentActivity: arrayOf(object({
+          date: STRING,
+          yesterday: STRING,
+          today: STRING,
+          blockers: STRING,
+          tasksCount: COUNT,
+          prsCount: COUNT
+        })),
+        trends: OBJECT
+      }, ['summary'])
+    }, ['teamMember', 'data']),
+    errors: [403]
+  }),
+  'GET /data/metrics': operation({
+    operationId: 'getTeamMetrics',
+    tag: 'Standup data',
+    summary: 'Team metrics, insights and recommendations',
+    parameters: [
+      param('StartDate'),
+      param('EndDate'),
+      param('Team'),
+      { name: 'includeDetails', in: 'query', schema: BOOLEAN, description: 'Include per-member stats as memberDetails' }
+    ],
+    response: success({
+      team: OPTIONAL_STRING,
+      dateRange: ref('DateRange'),
+      data: object({
+        metrics: ref('TeamMetrics'),
+        insights: arrayOf(ref('Insight')),
+        recommendations: STRINGS,
+        memberDetails: { ...mapOf(ref('MemberStats')), nullable: true }
+      }, ['metrics', 'insights', 'recommendations'])
+    }, ['team', 'data']),
+    errors: [403, 404]
+  }),
+  'GET /data/blockers': operation({
+    operationId: 'getTeamBlockerAnalysis',
+    tag: 'Standup data',
+    summary: 'Most common blockers across a team',
+    parameters: [param('Team'), param('Days')],
+    response: BLOCKER_ANALYSIS_RESPONSE,
+    errors: [403, 404]
+  }),
+  'GET /data/blockers/{teamMember}': operation({
+    operationId: 'getBlockerAnalysis',
+    tag: 'Standup data',
+    summary: "A member's recent and recurring blockers",
+    parameters: [param('TeamMember'), param('Days')],
+    response: BLOCKER_ANALYSIS_RESPONSE,
+    errors: [403]
+  }),
+  'GET /data/productivity': operation({
+    operationId: 'getProductivityMetrics',
+    tag: 'Standup data',
+    summary: 'Productivity for one member, or for a team without teamMember',
+    parameters: [
+      param('StartDate'),
+      param('EndDate'),
+      { name: 'teamMember', in: 'query', schema: TEXT },
+      param('Team')
+    ],
+    response: success({
+      scope: STRING,
+      dateRange: ref('DateRange'),
+      data: object({
+        teamMember: STRING,
+        scope: STRING,
+        productivity: STRING,
+        metrics: OBJECT
+      }, ['productivity', 'metrics'])
+    }, ['scope', 'data']),
+    errors: [403, 404]
+  }),
+
+  'GET /teams': operation({
+    operationId: 'listTeams',
+    tag: 'Teams',
+    summary: 'Teams in the registry',
+    response: success({
+      registryConfigured: BOOLEAN,
+      data: object({
+        teams: arrayOf(object({ id: STRING, name: STRING, memberCount: COUNT, leads: STRINGS }, ['id', 'name', 'memberCount', 'leads']))
+      }, ['teams'])
+    }, ['registryConfigured', 'data'])
+  }),
+  'GET /teams/{teamId}': operation({
+    operationId: 'getTeam',
+    tag: 'Teams',
+    summary: 'Team members, roles and Jira/Bitbucket identifiers',
+    parameters: [param('TeamId')],
+    response: success({
+      data: object({
+        id: STRING,
+        name: STRING,
+        members: arrayOf(object({
+          name: STRING,
+          role: { type: 'string', enum: ['lead', 'member', 'viewer'] },
+          timezone: STRING,
+          jiraAccountId: OPTIONAL_STRING,
+          bitbucketUuid: OPTIONAL_STRING,
+          bitbucketUsername: OPTIONAL_STRING
+        }, ['name', 'role']))
+      }, ['id', 'name', 'members'])
+    }, ['data']),
+    errors: [403, 404]
+  }),
+  'GET /teams/{teamId}/history': operation({
+    operationId: 'getTeamHistory',
+    tag: 'Teams',
+    summary: "Standups from every member of a team, and who hasn't posted",
+    parameters: [param('TeamId'), param('StartDate'), param('EndDate'), param('Limit')],
+    response: success({
+      teamId: STRING,
+      dateRange: ref('DateRange'),
+      data: object({
+        history: arrayOf(ref('StandupRecord')),
+        summary: object({
+          totalEntries: COUNT,
+          totalAvailable: COUNT,
+          standupsByMember: mapOf(COUNT),
+          membersWithoutStandups: STRINGS
+        }, ['totalEntries', 'totalAvailable', 'standupsByMember', 'membersWithoutStandups'])
+      }, ['history', 'summary'])
+    }, ['teamId', 'data']),
+    errors: [403, 404]
+  }),
+  'POST /teams/{teamId}/digest': operation({
+    operationId: 'createTeamDigest',
+    tag: 'Teams',
+    summary: "Queue the leads' AI digest of a team's standups for a day, replacing an earlier one",
+    parameters: [param('TeamId'), param('Date')],
+    otherResponses: {
+      202: { description: 'Queued for generation; the digest comes from its statusUrl', content: { 'application/json': { schema: ref('TeamDigestAccepted') } } }
+    },
+    errors: [403, 404, 503]
+  }),
+  'GET /teams/{teamId}/digest': operation({
+    operationId: 'getTeamDigest',
+    tag: 'Teams',
+    summary: "A team's digest for a day, or its generation status while it is queued",
+    parameters: [param('TeamId'), param('Date'), param('Wait')],
+    response: success({ data: ref('TeamDigest') }, ['data']),
+    errors: [403, 404]
+  }),
+  'POST /teams/{teamId}/retrospectives': operation({
+    operationId: 'createRetrospective',
+    tag: 'Teams',
+    summary: "Queue a retrospective draft from a team's standups over a Jira sprint or a date range",
+    parameters: [param('TeamId')],
+    requestBody: { schema: ref('RetrospectiveRequest') },
+    otherResponses: {
+      202: { description: 'Queued for drafting; the draft comes from its statusUrl', content: { 'application/json': { schema: ref('RetrospectiveAccepted') } } }
+    },
+    errors: [403, 404, 503]
+  }),
+  'GET /teams/{teamId}/retrospectives/{retrospectiveId}': operation({
+    operationId: 'getRetrospective',
+    tag: 'Teams',
+    summary: 'A retrospective draft, or its drafting status while it is queued',
+    parameters: [param('TeamId'), param('RetrospectiveId'), param('Wait')],
+    response: success({ data: ref('SprintRetrospective') }, ['data']),
+    errors: [403, 404]
+  }),
+  'GET /admin/identities': operation({
+    operationId: 'checkIdentities',
+    tag: 'Admin',
+    summary: 'Flag members whose Jira or Bitbucket identities do not resolve',
+    parameters: [{ name: 'team', in: 'query', schema: TEXT }],
+    response: success({
+      team: OPTIONAL_STRING,
+      data: object({
+        members: arrayOf(object({
+          name: STRING,
+          registered: BOOLEAN,
+          teams: STRINGS,
+          email: STRING,
+          jira: ref('IdentityCheck'),
+          bitbucket: ref('IdentityCheck'),
+          flagged: BOOLEAN
+        }, ['name', 'registered', 'teams', 'jira', 'bitbucket', 'flagged'])),
+        flagged: STRINGS,
+        summary: object({ checked: COUNT, flagged: COUNT, unregistered: STRINGS }, ['checked', 'flagged', 'unregistered'])
+      }, ['members', 'flagged', 'summary'])
+    }, ['data']),
+    errors: [403, 404]
+  }),
+
+  'GET /jira/tasks/{teamMember}': operation({
+    operationId: 'getTeamMemberTasks',
+    tag: 'Jira',
+    summary: "A member's unresolved Jira tasks",
+    parameters: [param('TeamMember')],
+    response: success({
+      teamMember: STRING,
+      data: object({
+        tasks: arrayOf(ref('JiraTask')),
+        analysis: OBJECT,
+        summary: object({
+          totalTasks: COUNT,
+          highPriorityTasks: COUNT,
+          inProgressTasks: COUNT,
+          todoTasks: COUNT,
+          doneTasks: COUNT
+        }, ['totalTasks'])
+      }, ['tasks', 'analysis', 'summary'])
+    }, ['teamMember', 'data']),
+    errors: [403]
+  }),
+  'GET /jira/activity/{teamMember}': operation({
+    operationId: 'getTeamMemberActivity',
+    tag: 'Jira',
+    summary: 'Issues a member updated, created or resolved recently',
+    parameters: [param('TeamMember'), param('Days')],
+    response: success({
+      teamMember: STRING,
+      days: COUNT,
+      data: object({
+        activity: object({
+          updatedIssues: arrayOf(OBJECT),
+          createdIssues: arrayOf(OBJECT),
+          resolvedIssues: arrayOf(OBJECT)
+        }, ['updatedIssues', 'createdIssues', 'resolvedIssues']),
+        summary: object({
+          updatedIssues: COUNT,
+          createdIssues: COUNT,
+          resolvedIssues: COUNT,
+          totalActivity: COUNT
+        }, ['totalActivity'])
+      }, ['activity', 'summary'])
+    }, ['teamMember', 'days', 'data']),
+    errors: [403]
+  }),
+  'GET /jira/issues/{taskKey}': operation({
+    operationId: 'getTaskDetails',
+    tag: 'Jira',
+    summary: 'One Jira issue',
+    parameters: [{ name: 'taskKey', in: 'path', required: true, schema: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9_]*-\\d+$' } }],
+    response: success({
+      taskKey: STRING,
+      data: object({
+        key: STRING,
+        summary: STRING,
+        description: {},
+        status: STRING,
+        priority: STRING,
+        assignee: STRING,
+        created: STRING,
+        updated: STRING,
+        comments: COUNT,
+        worklogEntries: COUNT,
+        url: STRING
+      }, ['key', 'summary', 'status'])
+    }, ['taskKey', 'data']),
+    errors: [404]
+  }),
+  'GET /jira/projects/{projectKey}/stats': operation({
+    operationId: 'getProjectStats',
+    tag: 'Jira',
+    summary: 'Jira project details and issue count',
+    parameters: [{ name: 'projectKey', in: 'path', required: true, schema: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9_]*$' } }],
+    response: success({
+      projectKey: STRING,
+      data: object({
+        key: STRING,
+        name: STRING,
+        description: STRING,
+        lead: STRING,
+        totalIssues: COUNT,
+        url: STRING
+      }, ['key', 'name'])
+    }, ['projectKey', 'data']),
+    errors: [404]
+  }),
+  'POST /jira/search': operation({
+    operationId: 'searchIssues',
+    tag: 'Jira',
+    summary: 'Search Jira issues with JQL',
+    requestBody: {
+      schema: object({
+        jql: TEXT,
+        maxResults: { type: 'integer', minimum: 1, maximum: 100 }
+      }, ['jql'])
+    },
+    response: success({
+      jql: STRING,
+      maxResults: COUNT,
+      data: object({ issues: arrayOf(ref('JiraIssue')), count: COUNT }, ['issues', 'count'])
+    }, ['jql', 'data'])
+  }),
+  'POST /jira/workload': operation({
+    operationId: 'getTeamWorkload',
+    tag: 'Jira',
+    summary: 'Jira task load per member',
+    requestBody: { schema: ref('TeamMembersRequest') },
+    response: success({
+      teamMembers: STRINGS,
+      data: object({
+        workload: mapOf(object({
+          totalTasks: COUNT,
+          inProgress: COUNT,
+          todo: COUNT,
+          done: COUNT,
+          highPriority: COUNT,
+          tasks: arrayOf(ref('JiraTask'))
+        }, ['totalTasks'])),
+        teamStats: OBJECT,
+        insights: STRINGS
+      }, ['workload', 'teamStats', 'insights'])
+    }, ['teamMembers', 'data']),
+    errors: [403]
+  }),
+
+  'GET /bitbucket/prs/{teamMember}': operation({
+    operationId: 'getPRStatus',
+    tag: 'Bitbucket',
+    summary: "A member's pull requests",
+    parameters: [param('TeamMember')],
+    response: success({
+      teamMember: STRING,
+      data: object({
+        prs: arrayOf(ref('PullRequest')),
+        analysis: OBJECT,
+        summary: object({
+          totalPRs: COUNT,
+          openPRs: COUNT,
+          mergedPRs: COUNT,
+          declinedPRs: COUNT,
+          stalePRs: COUNT,
+          needsReview: COUNT,
+          averageComments: COUNT
+        }, ['totalPRs', 'openPRs'])
+      }, ['prs', 'analysis', 'summary'])
+    }, ['teamMember', 'data']),
+    errors: [403]
+  }),
+  'GET /bitbucket/activity/{teamMember}': operation({
+    operationId: 'getTeamMemberPRActivity',
+    tag: 'Bitbucket',
+    summary: 'PRs a member created, reviewed or merged recently',
+    parameters: [param('TeamMember'), param('Days')],
+    response: success({
+      teamMember: STRING,
+      days: COUNT,
+      data: object({
+        activity: object({
+          createdPRs: arrayOf(ref('PullRequest')),
+          reviewedPRs: arrayOf(ref('PullRequest')),
+          mergedPRs: arrayOf(ref('PullRequest')),
+          totalActivity: COUNT
+        }, ['createdPRs', 'reviewedPRs', 'mergedPRs', 'totalActivity']),
+        summary: object({
+          createdPRs: COUNT,
+          reviewedPRs: COUNT,
+          mergedPRs: COUNT,
+          totalActivity: COUNT
+        }, ['createdPRs', 'reviewedPRs', 'mergedPRs', 'totalActivity']),
+        insights: STRINGS
+      }, ['activity', 'summary', 'insights'])
+    }, ['teamMember', 'days', 'data']),
+    errors: [403]
+  }),
+  'GET /bitbucket/repositories': operation({
+    operationId: 'getWorkspaceRepositories',
+    tag: 'Bitbucket',
+    summary: 'Repositories in the workspace',
+    response: success({
+      data: object({
+        repositories: arrayOf(ref('Repository')),
+        summary: object({
+          totalRepositories: COUNT,
+          privateRepositories: COUNT,
+          publicRepositories: COUNT,
+          languages: STRINGS,
+          recentlyUpdated: COUNT
+        }, ['totalRepositories'])
+      }, ['repositories', 'summary'])
+    }, ['data'])
+  }),
+  'GET /bitbucket/repositories/{repositoryName}/prs': operation({
+    operationId: 'getRepositoryPRs',
+    tag: 'Bitbucket',
+    summary: "A repository's pull requests",
+    parameters: [param('RepositoryName'), { name: 'author', in: 'query', schema: TEXT, description: 'Team member name' }],
+    response: success({
+      repositoryName: STRING,
+      authorName: STRING,
+      data: object({
+        prs: arrayOf(ref('PullRequest')),
+        analysis: OBJECT,
+        summary: object({
+          totalPRs: COUNT,
+          openPRs: COUNT,
+          mergedPRs: COUNT,
+          averageDaysOpen: NUMBER,
+          topContributors: arrayOf(OBJECT)
+        }, ['totalPRs'])
+      }, ['prs', 'analysis', 'summary'])
+    }, ['repositoryName', 'data'])
+  }),
+  'GET /bitbucket/repositories/{repositoryName}/prs/{prId}': operation({
+    operationId: 'getPRDetails',
+    tag: 'Bitbucket',
+    summary: "A pull request's comments, commits and diffstat",
+    parameters: [param('RepositoryName'), { name: 'prId', in: 'path', required: true, schema: { type: 'string', pattern: '^\\d+$' } }],
+    response: success({
+      repositoryName: STRING,
+      prId: STRING,
+      data: object({
+        detailedComments: arrayOf(OBJECT),
+        commits: arrayOf(OBJECT),
+        filesChanged: COUNT,
+        linesAdded: COUNT,
+        linesRemoved: COUNT,
+        diffstat: arrayOf(OBJECT)
+      })
+    }, ['repositoryName', 'prId', 'data']),
+    errors: [404]
+  }),
+  'GET /bitbucket/repositories/{repositoryName}/stats': operation({
+    operationId: 'getRepositoryStats',
+    tag: 'Bitbucket',
+    summary: 'Repository PR statistics and health score',
+    parameters: [param('RepositoryName')],
+    response: success({
+      repositoryName: STRING,
+      data: object({
+        ...SCHEMAS.Repository.properties,
+        statistics: OBJECT,
+        healthScore: NUMBER,
+        recommendations: STRINGS
+      }, ['name', 'statistics', 'healthScore', 'recommendations'])
+    }, ['repositoryName', 'data']),
+    errors: [404]
+  }),
+  'POST /bitbucket/workload': operation({
+    operationId: 'getTeamPRWorkload',
+    tag: 'Bitbucket',
+    summary: 'Open, stale and awaiting-review PRs per member',
+    requestBody: { schema: ref('TeamMembersRequest') },
+    response: success({
+      teamMembers: STRINGS,
+      data: object({
+        workload: mapOf(object({
+          totalPRs: COUNT,
+          openPRs: COUNT,
+          mergedPRs: COUNT,
+          needsReview: COUNT,
+          stalePRs: COUNT,
+          averageComments: COUNT,
+          recentPRs: arrayOf(ref('PullRequest'))
+        }, ['totalPRs', 'openPRs'])),
+        teamStats: OBJECT,
+        insights: STRINGS,
+        recommendations: STRINGS
+      }, ['workload', 'teamStats', 'insights', 'recommendations'])
+    }, ['teamMembers', 'data']),
+    errors: [403]
+  }),
+
+  'POST /copilot-chat': operation({
+    operationId: 'handleChatInteraction',
+    tag: 'Chat',
+    summary: 'Answer a chat question about standups, tasks, PRs, blockers or team metrics',
+    requestBody: { schema: ref('ChatRequest') },
+    response: ref('ChatResponse'),
+    errors: [403]
+  })
+};
+
+/**
+ * The OpenAPI document; throws if a route has no operation so the two cannot drift apart
+ */
+function buildOpenApiDocument(routes = ROUTES) {
+  const paths = {};
+
+  routes.forEach(route => {
+    const key = `${route.method} ${route.path}`;
+    if (!OPERATIONS[key]) {
+      throw new Error(`No OpenAPI operation for ${key}`);
+    }
+    paths[route.path] = { ...paths[route.path], [route.method.toLowerCase()]: OPERATIONS[key] };
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Daily Standup Tracker API',
+      version,
+      description: 'Standup submission, history and analytics with Jira, Bitbucket and AI follow-ups.'
+    },
+    servers: [{ url: '/', description: 'API Gateway stage or the local server' }],
+    security: [{ bearerAuth: [] }],
+    tags: [...new Set(Object.values(OPERATIONS).map(entry => entry.tags[0]))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Issued with npm run token:issue' }
+      },
+      parameters: PARAMETERS,
+      responses: RESPONSES,
+      schemas: SCHEMAS
+    }
+  };
+}
+
+const openApiDocument = buildOpenApiDocument();
+
+module.exports = {
+  openApiDocument,
+  buildOpenApiDocument
+};
@@ -0,0 +1,231 @@
+/**
+ * Standup Record Schema
+ * Defines the stored standup record shape, validates records before they are written and
+ * upgrades records saved under older schema versions to the current shape on read.
+ */
+
+const CURRENT_SCHEMA_VERSION = 3;
+
+/**
+ * Field rules for the current schema version
+ */
+const STANDUP_RECORD_SCHEMA = {
+  id: { type: 'string', required: true },
+  schemaVersion: { type: 'number', required: true },
+  teamMemberName: { type: 'string', required: true },
+  timestamp: { type: 'string', format: 'date-time', required: true },
+  yesterday: { type: 'string', required: true },
+  today: { type: 'string', required: true },
+  blockers: { type: 'string', required: true },
+  jiraTasks: { type: 'array', items: { type: 'object' }, required: true },
+  bitbucketPRs: { type: 'array', items: { type: 'object' }, required: true },
+  // { question, category, target, priority } objects; see FOLLOW_UP_QUESTION_SCHEMA in aiOutput.js
+  followUpQuestions: { type: 'array', items: { type: 'object' }, required: true },
+  // Prompt template version that produced followUpQuestions; null when fallback questions were used
+  promptTemplate: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', required: true },
+      version: { type: 'number', required: true },
+      teamId: { type: 'string' }
+    }
+  },
+  previousUpdatesCount: { type: 'number', required: true },
+  analysisMetadata: {
+    type: 'object',
+    required: true,
+    properties: {
+      tasksAnalyzed: { type: 'number', required: true },
+      prsAnalyzed: { type: 'number', required: true },
+      questionsGenerated: { type: 'number', required: true },
+      contextFromPreviousUpdates: { type: 'boolean', required: true }
+    }
+  },
+  // Member-local day the standup was filed under and the timezone used to work it out
+  standupDate: { type: 'string', format: 'date' },
+  timeZone: { type: 'string' },
+  // Audit trail written by edits and deletes; absent on records that were never changed
+  editHistory: { type: 'array', items: { type: 'object' } },
+  updatedAt: { type: 'string', format: 'date-time' },
+  deletedAt: { type: 'string', format: 'date-time' },
+  deletedBy: { type: 'string' },
+  // Background processing of an asynchronous submission; absent on standups processed inline
+  processing: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', required: true },
+      queuedAt: { type: 'string', format: 'date-time', required: true },
+      startedAt: { type: 'string', format: 'date-time' },
+      completedAt: { type: 'string', format: 'date-time' },
+      attempts: { type: 'number' },
+      error: { type: 'string' },
+      insights: { type: 'array', items: { type: 'object' } }
+    }
+  }
+};
+
+/**
+ * Upgrade steps keyed by the version they upgrade from.
+ * Each step takes a record at version N and returns it at version N + 1.
+ */
+const UPGRADES = {
+  // v1: records saved before schemaVersion existed; optional fields could be missing
+  1: (record) => {
+    const jiraTasks = Array.isArray(record.jiraTasks) ? record.jiraTasks : [];
+    const bitbucketPRs = Array.isArray(record.bitbucketPRs) ? record.bitbucketPRs : [];
+    const followUpQuestions = Array.isArray(record.followUpQuestions) ? record.followUpQuestions : [];
+    const previousUpdatesCount = Number(record.previousUpdatesCount) || 0;
+    const metadata = record.analysisMetadata || {};
+
+    return {
+      ...record,
+      schemaVersion: 2,
+      yesterday: record.yesterday || '',
+      today: record.today || '',
+      blockers: record.blockers || 'None',
+      jiraTasks,
+      bitbucketPRs,
+      followUpQuestions,
+      previousUpdatesCount,
+      analysisMetadata: {
+        tasksAnalyzed: Number(metadata.tasksAnalyzed ?? jiraTasks.length),
+        prsAnalyzed: Number(metadata.prsAnalyzed ?? bitbucketPRs.length),
+        questionsGenerated: Number(metadata.questionsGenerated ?? followUpQuestions.length),
+        contextFromPreviousUpdates: Boolean(metadata.contextFromPreviousUpdates ?? previousUpdatesCount > 0)
+      }
+    };
+  },
+
+  // v2: follow-up questions were plain strings
+  2: (record) => ({
+    ...record,
+    schemaVersion: 3,
+    followUpQuestions: record.followUpQuestions.map(question => (typeof question === 'string'
+      ? { question, category: 'general', target: null, priority: 'medium' }
+      : question))
+  })
+};
+
+/**
+ * Raised when a standup record does not match the current schema
+ */
+class StandupValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid standup record: ${errors.join('; ')}`);
+    this.name = 'StandupValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Upgrade a record from any earlier schema version to the current one
+ */
+function upgradeStandupRecord(record) {
+  if (!record || typeof record !== 'object') {
+    return record;
+  }
+
+  let upgraded = record;
+  let version = upgraded.schemaVersion || 1;
+
+  while (version < CURRENT_SCHEMA_VERSION) {
+    const upgrade = UPGRADES[version];
+    if (!upgrade) {
+      throw new Error(`No upgrade path from standup schema version ${version}`);
+    }
+
+    upgraded = upgrade(upgraded);
+    version = upgraded.schemaVersion;
+  }
+
+  return upgraded;
+}
+
+/**
+ * Validate a record against the current schema
+ */
+function validateStandupRecord(record) {
+  const errors = [];
+
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { valid: false, errors: ['record must be an object'] };
+  }
+
+  validateFields(STANDUP_RECORD_SCHEMA, record, '', errors);
+
+  if (record.schemaVersion !== undefined && record.schemaVersion !== CURRENT_SCHEMA_VERSION) {
+    errors.push(`schemaVersion must be ${CURRENT_SCHEMA_VERSION}`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate and throw StandupValidationError on failure
+ */
+function assertValidStandupRecord(record) {
+  const { valid, errors } = validateStandupRecord(record);
+
+  if (!valid) {
+    throw new StandupValidationError(errors);
+  }
+
+  return record;
+}
+
+/**
+ * Check each field rule, collecting readable error messages
+ */
+function validateFields(rules, value, pathPrefix, errors) {
+  Object.entries(rules).forEach(([field, rule]) => {
+    const fieldPath = pathPrefix ? `${pathPrefix}.${field}` : field;
+    const fieldValue = value[field];
+
+    if (fieldValue === undefined || fieldValue === null) {
+      if (rule.required) {
+        errors.push(`${fieldPath} is required`);
+      }
+      return;
+    }
+
+    if (!matchesType(fieldValue, rule.type)) {
+      errors.push(`${fieldPath} must be ${rule.type === 'array' ? 'an array' : `a ${rule.type}`}`);
+      return;
+    }
+
+    if (rule.format === 'date-time' && Number.isNaN(Date.parse(fieldValue))) {
+      errors.push(`${fieldPath} must be an ISO date-time string`);
+    }
+
+    if (rule.format === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(fieldValue)) {
+      errors.push(`${fieldPath} must be a YYYY-MM-DD date`);
+    }
+
+    if (rule.type === 'array' && rule.items) {
+      fieldValue.forEach((item, index) => {
+        if (!matchesType(item, rule.items.type)) {
+          errors.push(`${fieldPath}[${index}] must be a ${rule.items.type}`);
+        }
+      });
+    }
+
+    if (rule.type === 'object' && rule.properties) {
+      validateFields(rule.properties, fieldValue, fieldPath, errors);
+    }
+  });
+}
+
+function matchesType(value, type) {
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return typeof value === 'object' && !Array.isArray(value);
+  return typeof value === type;
+}
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  STANDUP_RECORD_SCHEMA,
+  StandupValidationError,
+  upgradeStandupRecord,
+  validateStandupRecord,
+  assertValidStandupRecord
+};
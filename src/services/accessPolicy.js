@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { getTeam } = require('./teamRegistry');
+const { AuthError, authService } = require('./authService');
+
+/**
+ * Access Policy
+ * One table of who may do what, shared by every handler. Roles come from the team registry:
+ * a lead (scrum master) sees everything about their team, a member sees their own data, and a
+ * viewer (stakeholder) gets read-only summaries with raw blocker text hidden. "self" is the
+ * member the data belongs to. Admin tokens are allowed everything.
+ *
+ * A grant of true allows the action; REDACTED allows it with blocker text hidden.
+ */
+const REDACTED = 'redacted';
+
+const POLICIES = {
+  // Submitting, editing, deleting and drafting standups
+  'standup.write': { self: true },
+  // Raw standup records
+  'member.history': { self: true, lead: true },
+  'member.summary': { self: true, lead: true, viewer: REDACTED },
+  'member.blockers': { self: true, lead: true, viewer: REDACTED },
+  'member.productivity': { self: true, lead: true },
+  // Jira tasks and Bitbucket PRs
+  'member.integrations': { self: true, lead: true, viewer: true },
+  'team.roster': { lead: true, member: true, viewer: true },
+  'team.history': { lead: true },
+  'team.metrics': { lead: true, viewer: REDACTED },
+  'team.blockers': { lead: true, viewer: REDACTED },
+  'team.productivity': { lead: true, viewer: REDACTED },
+  // AI digests and retrospectives narrate blocker text, so there is no redacted form for viewers
+  'team.digest': { lead: true },
+  'team.retrospective': { lead: true },
+  'admin': {}
+};
+
+// Fields whose values are, or are generated from, what a member wrote as a blocker
+const BLOCKER_FIELDS = ['blockers', 'blocker'];
+const BLOCKER_DERIVED_FIELDS = ['followUpQuestions'];
+
+/**
+ * Decide whether the principal may perform an action, for one member or one team.
+ * Returns { redactBlockers } when allowed and throws a 403 AuthError otherwise.
+ */
+function authorize(principal, action, { teamMember, team } = {}) {
+  const policy = POLICIES[action];
+
+  if (!policy) {
+    throw new Error(`Unknown access policy action "${action}"`);
+  }
+
+  if (principal.admin) {
+    return { redactBlockers: false };
+  }
+
+  const grants = [];
+  if (teamMember !== undefined) {
+    if (principal.name === teamMember) {
+      grants.push(policy.self);
+    }
+    principal.teams
+      .filter(membership => getTeam(membership.teamId)?.members.some(member => member.name === teamMember))
+      .forEach(membership => grants.push(policy[membership.role]));
+  } else if (team) {
+    principal.teams
+      .filter(membership => membership.teamId === team)
+      .forEach(membership => grants.push(policy[membership.role]));
+  }
+
+  if (grants.includes(true)) {
+    return { redactBlockers: false };
+  }
+  if (grants.includes(REDACTED)) {
+    return { redactBlockers: true };
+  }
+
+  const subject = teamMember !== undefined ? teamMember : `team ${team || '(all teams)'}`;
+  throw new AuthError(403, `Your role does not allow ${action} for ${subject}`);
+}
+
+/**
+ * Team a team-wide request covers, with the decision for it. An explicit team is checked as
+ * given; without one, admins cover every member (team null) and anyone else gets the single
+ * team where their role allows the action.
+ */
+function resolveTeamScope(principal, action, team) {
+  if (team || principal.admin) {
+    return { team: team || null, ...authorize(principal, action, { team }) };
+  }
+
+  const policy = POLICIES[action] || {};
+  const eligible = principal.teams.filter(membership => policy[membership.role]);
+
+  if (eligible.length === 1) {
+    return { team: eligible[0].teamId, ...authorize(principal, action, { team: eligible[0].teamId }) };
+  }
+
+  throw new AuthError(403, eligible.length === 0
+    ? `Your role does not allow ${action}`
+    : `You can see several teams; pass team as one of ${eligible.map(membership => membership.teamId).join(', ')}`);
+}
+
+/**
+ * Apply an authorization decision to response data
+ */
+function applyDecision(decision, data) {
+  return decision.redactBlockers ? redactBlockers(data) : data;
+}
+
+/**
+ * Copy of the data with blocker text replaced by an opaque label. The same text always gets
+ * the same label, so counts and recurring-blocker detection still work on redacted data;
+ * "None" and empty blockers are kept as they are. Labels are keyed with AUTH_SECRET, so a
+ * viewer cannot confirm a guessed blocker by hashing it.
+ */
+function redactBlockers(data) {
+  if (Array.isArray(data)) {
+    return data.map(redactBlockers);
+  }
+
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+
+  return Object.fromEntries(Object.entries(data).map(([key, value]) => {
+    if (BLOCKER_FIELDS.includes(key)) {
+      return [key, redactBlockerValue(value)];
+    }
+    if (BLOCKER_DERIVED_FIELDS.includes(key)) {
+      return [key, []];
+    }
+    return [key, redactBlockers(value)];
+  }));
+}
+
+function redactBlockerValue(value) {
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (!text || text.toLowerCase() === 'none') {
+      return value;
+    }
+    if (!authService.secret) {
+      return '[hidden blocker]';
+    }
+    const label = crypto.createHmac('sha256', authService.secret).update(`blocker:${text.toLowerCase()}`).digest('hex').substring(0, 8);
+    return `[hidden blocker ${label}]`;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(redactBlockerValue);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, redactBlockerValue(nested)]));
+  }
+
+  return value;
+}
+
+module.exports = {
+  POLICIES,
+  REDACTED,
+  authorize,
+  resolveTeamScope,
+  applyDecision,
+  redactBlockers
+};
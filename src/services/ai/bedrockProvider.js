@@ -0,0 +1,48 @@
+const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
+const { trace } = require('../telemetry');
+
+const DEFAULT_MODEL_ID = 'anthropic.claude-3-sonnet-20240229-v1:0';
+
+/**
+ * Amazon Bedrock provider
+ * Invokes an Anthropic Claude model (BEDROCK_MODEL_ID) with the Messages API request body.
+ */
+class BedrockProvider {
+  constructor(options = {}) {
+    this.name = 'bedrock';
+    this.modelId = options.modelId || process.env.BEDROCK_MODEL_ID || DEFAULT_MODEL_ID;
+    this.client = new BedrockRuntimeClient({
+      region: options.region || process.env.BEDROCK_REGION || 'us-east-1'
+    });
+  }
+
+  /**
+   * Send one user prompt; resolves with the model's text reply
+   */
+  async complete({ prompt, maxTokens, temperature, topP, purpose }) {
+    const command = new InvokeModelCommand({
+      modelId: this.modelId,
+      contentType: 'application/json',
+      accept: 'application/json',
+      body: JSON.stringify({
+        anthropic_version: 'bedrock-2023-05-31',
+        max_tokens: maxTokens,
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        temperature,
+        top_p: topP
+      })
+    });
+
+    const response = await trace('bedrock', `InvokeModel ${purpose}`, () => this.client.send(command));
+    const responseBody = JSON.parse(new TextDecoder().decode(response.body));
+
+    return responseBody.content[0].text;
+  }
+}
+
+module.exports = BedrockProvider;
@@ -0,0 +1,36 @@
+const BedrockProvider = require('./bedrockProvider');
+const OpenAiProvider = require('./openAiProvider');
+const StubProvider = require('./stubProvider');
+
+/**
+ * AI provider registry
+ * Providers expose complete({ prompt, maxTokens, temperature, topP, purpose }), which resolves
+ * with the model's text reply, and name, the dependency their calls are traced under. purpose
+ * (followUpQuestions, standupPatterns, teamDigest or sprintRetrospective) labels the call in
+ * metrics.
+ */
+const PROVIDERS = {
+  bedrock: BedrockProvider,
+  openai: OpenAiProvider,
+  stub: StubProvider
+};
+
+/**
+ * Create the provider selected by AI_PROVIDER (bedrock, openai or stub)
+ */
+function createAiProvider(provider = process.env.AI_PROVIDER || 'bedrock', options = {}) {
+  const Provider = PROVIDERS[provider];
+
+  if (!Provider) {
+    throw new Error(`Unknown AI provider: ${provider}. Supported providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider(options);
+}
+
+module.exports = {
+  createAiProvider,
+  BedrockProvider,
+  OpenAiProvider,
+  StubProvider
+};
@@ -0,0 +1,55 @@
+const axios = require('axios');
+const { addCorrelationHeaders } = require('../logger');
+const { telemetry } = require('../telemetry');
+
+/**
+ * OpenAI-compatible provider
+ * Calls POST {OPENAI_BASE_URL}/chat/completions, which OpenAI and self-hosted servers such as
+ * vLLM, Ollama and llama.cpp all serve. OPENAI_API_KEY is sent as a bearer token when set.
+ */
+class OpenAiProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseURL = options.baseURL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+    this.model = options.model || process.env.OPENAI_MODEL;
+    const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+
+    this.client = axios.create({
+      baseURL: this.baseURL,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      timeout: options.timeout || parseInt(process.env.OPENAI_TIMEOUT_MS) || 60000
+    });
+
+    this.client.interceptors.request.use(addCorrelationHeaders);
+    telemetry.instrumentHttpClient(this.client, 'openai', url => url);
+  }
+
+  /**
+   * Send one user prompt; resolves with the first choice's message text
+   */
+  async complete({ prompt, maxTokens, temperature, topP }) {
+    if (!this.model) {
+      throw new Error('OPENAI_MODEL is not set');
+    }
+
+    const response = await this.client.post('/chat/completions', {
+      model: this.model,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      max_tokens: maxTokens,
+      temperature,
+      top_p: topP
+    });
+
+    return response.data.choices[0].message.content;
+  }
+}
+
+module.exports = OpenAiProvider;
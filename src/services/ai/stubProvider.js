@@ -0,0 +1,67 @@
+const { trace } = require('../telemetry');
+
+// Canned replies per purpose, matching the output schemas in src/schemas/aiOutput.js
+const DEFAULT_RESPONSES = {
+  followUpQuestions: JSON.stringify({
+    questions: [
+      { question: 'What would help you finish today\'s work sooner?', category: 'progress', target: null, priority: 'medium' },
+      { question: 'Is anyone else waiting on the work you finished yesterday?', category: 'dependency', target: null, priority: 'medium' },
+      { question: 'Who could help unblock you if your blocker is still open tomorrow?', category: 'blocker', target: null, priority: 'high' }
+    ]
+  }),
+  standupPatterns: JSON.stringify({
+    trends: ['Standups are submitted regularly'],
+    concerns: [],
+    recommendations: ['Keep blockers specific so they can be escalated']
+  }),
+  teamDigest: JSON.stringify({
+    narrative: 'The team posted its standups; nothing needs escalating today.',
+    shipped: [],
+    atRisk: [],
+    dependencies: [],
+    decisionsNeeded: []
+  }),
+  sprintRetrospective: JSON.stringify({
+    wentWell: [],
+    didntGoWell: [],
+    recurringBlockers: [],
+    actionItems: []
+  })
+};
+
+/**
+ * Deterministic stub provider
+ * Answers every prompt with a canned reply for its purpose and makes no network calls, so tests
+ * and offline demos run the full AI path without credentials. Prompts are kept in calls. A
+ * purpose's reply may be a list, answered one per call (repeating the last), to script retries.
+ */
+class StubProvider {
+  constructor(options = {}) {
+    this.name = 'stub';
+    this.responses = { ...DEFAULT_RESPONSES, ...options.responses };
+    this.calls = [];
+  }
+
+  /**
+   * Resolve with the canned reply for the request's purpose
+   */
+  async complete(request) {
+    return await trace('stub', `complete ${request.purpose}`, async () => {
+      this.calls.push(request);
+
+      if (!(request.purpose in this.responses)) {
+        throw new Error(`No stub response for ${request.purpose}`);
+      }
+
+      const reply = this.responses[request.purpose];
+      if (!Array.isArray(reply)) {
+        return reply;
+      }
+
+      const turn = this.calls.filter(call => call.purpose === request.purpose).length - 1;
+      return reply[Math.min(turn, reply.length - 1)];
+    });
+  }
+}
+
+module.exports = StubProvider;
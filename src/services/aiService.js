@@ -1,107 +1,128 @@
-const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
+const { createAiProvider } = require('./ai');
+const { selectPromptTemplate, selectTeamPromptTemplate, renderPrompt } = require('./promptLibrary');
+const { findPreviousStandupDay, standupDate } = require('./timezoneService');
+const { logger } = require('./logger');
+const { OUTPUT_INSTRUCTIONS, validateModelOutput } = require('../schemas/aiOutput');
 
-const bedrockClient = new BedrockRuntimeClient({
-  region: process.env.BEDROCK_REGION || 'us-east-1'
-});
+// Characters of a rejected reply kept in the log
+const MAX_LOGGED_OUTPUT = 2000;
+
+let aiProvider = null;
+
+/**
+ * The provider selected by AI_PROVIDER, created on first use
+ */
+function getAiProvider() {
+  if (!aiProvider) {
+    aiProvider = createAiProvider();
+  }
+  return aiProvider;
+}
 
 /**
- * Generate follow-up questions using Amazon Bedrock Claude model
+ * Generate follow-up questions with the configured AI provider, using the prompt template the
+ * member's team selected. Resolves with the questions and the template version that produced
+ * them; promptTemplate is null when the rule-based fallback questions were used instead.
  */
 async function generateFollowUpQuestions({ standupData, previousUpdates, tasks, prs }) {
   try {
-    console.log('Generating follow-up questions with AI...');
+    logger.info('Generating follow-up questions with AI...');
 
-    // Prepare context for Claude
-    const context = buildContextForAI(standupData, previousUpdates, tasks, prs);
-    
-    const prompt = `You are an AI assistant helping with daily standup meetings. Based on the following information, generate 3-5 intelligent follow-up questions that a scrum master or team lead would ask.
-
-Context:
-${context}
-
-Focus on:
-1. Incomplete or delayed tasks
-2. Unmerged PRs with many comments
-3. Recurring blockers
-4. Dependencies between team members
-5. Risk identification
-6. Progress tracking
+    const selection = selectPromptTemplate('followUpQuestions', standupData.teamMemberName);
+    const { historyWindow, questionCount } = selection.variables;
 
-Generate questions that are:
-- Specific and actionable
-- Professional and supportive
-- Focused on removing blockers
-- Aimed at improving team productivity
+    // Prepare context for the model
+    const context = buildContextForAI(standupData, previousUpdates, tasks, prs, historyWindow);
+    const prompt = renderPrompt(selection, { context, teamMemberName: standupData.teamMemberName });
 
-Return only the questions as a JSON array of strings, no additional text.`;
+    const { questions } = await completeStructured({
+      prompt,
+      maxTokens: 1000,
+      temperature: 0.7,
+      topP: 0.9,
+      purpose: 'followUpQuestions'
+    }, { tasks, prs });
 
-    const modelId = process.env.BEDROCK_MODEL_ID || 'anthropic.claude-3-sonnet-20240229-v1:0';
-    
-    const input = {
-      modelId: modelId,
-      contentType: 'application/json',
-      accept: 'application/json',
-      body: JSON.stringify({
-        anthropic_version: "bedrock-2023-05-31",
-        max_tokens: 1000,
-        messages: [
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.7,
-        top_p: 0.9
-      })
+    logger.info(`Generated ${questions.length} follow-up questions`, { promptTemplate: selection.template.id, version: selection.template.version });
+    return {
+      questions: questions.slice(0, maxQuestions(questionCount)),
+      promptTemplate: { id: selection.template.id, version: selection.template.version, teamId: selection.teamId }
     };
 
-    console.log('Invoking Bedrock model:', modelId);
-    const command = new InvokeModelCommand(input);
-    const response = await bedrockClient.send(command);
+  } catch (error) {
+    logger.error('Error generating follow-up questions', { error });
     
-    const responseBody = JSON.parse(new TextDecoder().decode(response.body));
-    console.log('Bedrock response received');
-
-    // Extract questions from Claude's response
-    let questions = [];
-    try {
-      const content = responseBody.content[0].text;
-      
-      // Try to parse as JSON first
-      try {
-        questions = JSON.parse(content);
-      } catch (parseError) {
-        // If not JSON, extract questions manually
-        questions = extractQuestionsFromText(content);
-      }
-      
-      // Ensure we have valid questions
-      if (!Array.isArray(questions) || questions.length === 0) {
-        questions = generateFallbackQuestions(standupData, tasks, prs);
-      }
-      
-    } catch (extractError) {
-      console.warn('Error extracting questions from AI response:', extractError);
-      questions = generateFallbackQuestions(standupData, tasks, prs);
+    // Return fallback questions if AI fails
+    return fallbackResult(standupData, tasks, prs);
+  }
+}
+
+/**
+ * Ask the provider for JSON matching the request purpose's output schema. A reply that fails
+ * validation is logged and sent back with its problems for the model to fix, up to
+ * AI_OUTPUT_ATTEMPTS replies in all (default 2); context ({ tasks, prs }) checks question targets.
+ */
+async function completeStructured(request, context = {}) {
+  const provider = getAiProvider();
+  const attempts = Math.max(1, parseInt(process.env.AI_OUTPUT_ATTEMPTS, 10) || 2);
+  const prompt = `${request.prompt}\n\n${OUTPUT_INSTRUCTIONS[request.purpose]}`;
+
+  logger.info('Invoking AI provider', { provider: provider.name, purpose: request.purpose });
+  let reply = await provider.complete({ ...request, prompt });
+
+  for (let attempt = 1; ; attempt++) {
+    const { value, errors } = validateModelOutput(request.purpose, reply, context);
+    if (errors.length === 0) {
+      return value;
     }
 
-    console.log(`Generated ${questions.length} follow-up questions`);
-    return questions.slice(0, 5); // Limit to 5 questions
+    logger.warn('AI output rejected', {
+      provider: provider.name,
+      purpose: request.purpose,
+      attempt,
+      errors,
+      output: String(reply).slice(0, MAX_LOGGED_OUTPUT)
+    });
 
-  } catch (error) {
-    console.error('Error generating follow-up questions with Bedrock:', error);
-    
-    // Return fallback questions if AI fails
-    return generateFallbackQuestions(standupData, tasks, prs);
+    if (attempt >= attempts) {
+      throw new Error(`AI ${request.purpose} output was invalid after ${attempts} attempts`);
+    }
+
+    reply = await provider.complete({ ...request, prompt: repairPrompt(prompt, reply, errors) });
   }
 }
 
 /**
- * Build context string for AI analysis
+ * Prompt asking the model to correct its invalid reply
+ */
+function repairPrompt(prompt, reply, errors) {
+  return `${prompt}
+
+Your previous reply was:
+${reply}
+
+It was rejected because:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with corrected JSON only.`;
+}
+
+function fallbackResult(standupData, tasks, prs) {
+  return { questions: generateFallbackQuestions(standupData, tasks, prs), promptTemplate: null };
+}
+
+// Upper bound of a questionCount such as 4 or "3-5"
+function maxQuestions(questionCount) {
+  const counts = String(questionCount).match(/\d+/g);
+  return counts ? Number(counts[counts.length - 1]) : 5;
+}
+
+/**
+ * Build context string for AI analysis; historyWindow is how many earlier standups' blockers to list
  */
-function buildContextForAI(standupData, previousUpdates, tasks, prs) {
+function buildContextForAI(standupData, previousUpdates, tasks, prs, historyWindow = 0) {
   let context = `Team Member: ${standupData.teamMemberName}\n`;
-  context += `Date: ${standupData.timestamp}\n\n`;
+  context += `Date: ${standupData.standupDate || standupData.timestamp}${standupData.timeZone ? ` (${standupData.timeZone})` : ''}\n\n`;
   
   context += `CURRENT STANDUP:\n`;
   context += `Yesterday: ${standupData.yesterday}\n`;
@@ -112,7 +133,9 @@ function buildContextForAI(standupData, previousUpdates, tasks, prs) {
   if (tasks && tasks.length > 0) {
     context += `JIRA TASKS (${tasks.length} total):\n`;
     tasks.slice(0, 5).forEach((task, index) => {
-      context += `${index + 1}. ${task.fields?.summary || task.key} - Status: ${task.fields?.status?.name || 'Unknown'}\n`;
+      const summary = task.summary || task.fields?.summary || '';
+      const status = task.status?.name || task.fields?.status?.name || 'Unknown';
+      context += `${index + 1}. ${task.key}: ${summary} - Status: ${status}\n`;
     });
     context += '\n';
   }
@@ -123,7 +146,8 @@ function buildContextForAI(standupData, previousUpdates, tasks, prs) {
     prs.slice(0, 5).forEach((pr, index) => {
       const commentCount = pr.comment_count || 0;
       const state = pr.state || 'Unknown';
-      context += `${index + 1}. ${pr.title} - State: ${state}, Comments: ${commentCount}\n`;
+      const repository = pr.repository?.name ? ` (${pr.repository.name})` : '';
+      context += `${index + 1}. PR id ${pr.id}: ${pr.title}${repository} - State: ${state}, Comments: ${commentCount}\n`;
     });
     context += '\n';
   }
@@ -131,8 +155,18 @@ function buildContextForAI(standupData, previousUpdates, tasks, prs) {
   // Add previous updates context for pattern analysis
   if (previousUpdates && previousUpdates.length > 0) {
     context += `RECENT HISTORY:\n`;
-    const recentUpdate = previousUpdates[previousUpdates.length - 1];
-    context += `Last standup blockers: ${recentUpdate.blockers || 'None'}\n`;
+    const previousDay = findPreviousStandupDay(standupData, previousUpdates);
+    if (previousDay) {
+      const label = previousDay.daysAgo === 1 ? 'Yesterday' : `Last standup (${previousDay.date})`;
+      context += `${label} blockers: ${previousDay.standup.blockers || 'None'}\n`;
+    }
+
+    const recent = [...previousUpdates]
+      .sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)))
+      .slice(0, historyWindow);
+    recent.forEach(update => {
+      context += `- ${update.standupDate || update.timestamp}: blockers: ${update.blockers || 'None'}\n`;
+    });
     context += `Previous updates count: ${previousUpdates.length}\n\n`;
   }
 
@@ -140,128 +174,232 @@ function buildContextForAI(standupData, previousUpdates, tasks, prs) {
 }
 
 /**
- * Extract questions from AI text response
- */
-function extractQuestionsFromText(text) {
-  const questions = [];
-  const lines = text.split('\n');
-  
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (trimmed.endsWith('?') && trimmed.length > 10) {
-      // Remove numbering, bullets, etc.
-      const cleaned = trimmed.replace(/^\d+\.\s*/, '').replace(/^[-*]\s*/, '').trim();
-      if (cleaned.length > 5) {
-        questions.push(cleaned);
-      }
-    }
-  }
-  
-  return questions;
-}
-
-/**
- * Generate fallback questions when AI is unavailable
+ * Generate fallback questions when AI is unavailable, in the same shape the model returns
  */
 function generateFallbackQuestions(standupData, tasks, prs) {
   const questions = [];
+  const ask = (question, category, priority, target = null) => questions.push({ question, category, target, priority });
   
   // Basic questions based on blockers
   if (standupData.blockers && standupData.blockers.toLowerCase() !== 'none' && standupData.blockers.trim() !== '') {
-    questions.push(`What specific help do you need to resolve the blocker: "${standupData.blockers.substring(0, 50)}..."?`);
-    questions.push('How long do you estimate it will take to resolve your current blockers?');
+    const blocker = { type: 'blocker', ref: standupData.blockers.substring(0, 50) };
+    ask(`What specific help do you need to resolve the blocker: "${blocker.ref}..."?`, 'blocker', 'high', blocker);
+    ask('How long do you estimate it will take to resolve your current blockers?', 'blocker', 'medium', blocker);
   }
 
   // Questions based on PR status
   const openPRs = prs.filter(pr => pr.state === 'OPEN');
   if (openPRs.length > 2) {
-    questions.push(`You have ${openPRs.length} open PRs. Which ones are priority for review and merge?`);
+    ask(`You have ${openPRs.length} open PRs. Which ones are priority for review and merge?`, 'pull_request', 'medium');
   }
 
   // Questions based on tasks
   if (tasks.length > 5) {
-    questions.push(`With ${tasks.length} assigned tasks, how are you prioritizing your work?`);
+    ask(`With ${tasks.length} assigned tasks, how are you prioritizing your work?`, 'task', 'medium');
   }
 
   // Default questions if none generated
   if (questions.length === 0) {
-    questions.push('Are there any dependencies on other team members that might affect your today\'s plan?');
-    questions.push('Do you need any additional resources or support to complete your planned work?');
-    questions.push('Are there any risks or concerns about meeting your sprint commitments?');
+    ask('Are there any dependencies on other team members that might affect your today\'s plan?', 'dependency', 'medium');
+    ask('Do you need any additional resources or support to complete your planned work?', 'general', 'low');
+    ask('Are there any risks or concerns about meeting your sprint commitments?', 'risk', 'medium');
   }
 
   return questions;
 }
 
 /**
- * Analyze standup patterns and generate insights
+ * Analyze standup patterns and generate insights: { trends, concerns, recommendations }, or null
+ * when the provider fails or never returns a valid analysis. historicalData is newest first, as
+ * getStandupHistory returns it.
  */
 async function analyzeStandupPatterns(teamMemberName, currentStandup, historicalData) {
   try {
-    const prompt = `Analyze the standup patterns for team member ${teamMemberName} and provide insights.
+    const selection = selectPromptTemplate('standupPatterns', teamMemberName);
+    const prompt = renderPrompt(selection, {
+      teamMemberName,
+      currentStandup: JSON.stringify(currentStandup, null, 2),
+      history: JSON.stringify(historicalData.slice(0, selection.variables.historyWindow || 5), null, 2)
+    });
+
+    return await completeStructured({
+      prompt,
+      maxTokens: 1500,
+      temperature: 0.5,
+      topP: 0.8,
+      purpose: 'standupPatterns'
+    });
 
-Current Standup:
-${JSON.stringify(currentStandup, null, 2)}
+  } catch (error) {
+    logger.error('Error analyzing standup patterns', { error });
+    return null;
+  }
+}
 
-Historical Data (last 5 standups):
-${JSON.stringify(historicalData.slice(-5), null, 2)}
+/**
+ * Write a team's daily digest from the day's standups (one per member, carrying the Jira tasks and
+ * PRs snapshotted when they were posted) and getTeamMetrics for the day. Resolves with the
+ * narrative, shipped, atRisk, dependencies and decisionsNeeded sections and the template that
+ * produced them; promptTemplate is null when the AI failed and only reported blockers are listed.
+ */
+async function generateTeamDigest({ team, date, standups, metrics, missingMembers }) {
+  const tasks = standups.flatMap(standup => standup.jiraTasks || []);
+  const prs = standups.flatMap(standup => standup.bitbucketPRs || []);
 
-Provide analysis on:
-1. Productivity trends
-2. Recurring blockers
-3. Task completion patterns
-4. PR merge patterns
-5. Areas for improvement
+  try {
+    logger.info(`Generating ${team.id} digest for ${date} from ${standups.length} standups`);
+
+    const selection = selectTeamPromptTemplate('teamDigest', team.id);
+    const context = standups
+      .map(standup => buildContextForAI(standup, [], standup.jiraTasks || [], standup.bitbucketPRs || []))
+      .join('---\n');
+    const prompt = renderPrompt(selection, {
+      context: context || 'No standups have been posted.\n',
+      date,
+      metrics: JSON.stringify({
+        totalStandups: metrics.totalStandups,
+        activeMembers: metrics.activeMembers,
+        averageTasksPerMember: metrics.averageTasksPerMember,
+        averagePRsPerMember: metrics.averagePRsPerMember,
+        topBlockers: metrics.topBlockers
+      }, null, 2),
+      missingMembers: missingMembers.join(', ') || 'none'
+    });
 
-Return insights as a JSON object with categories: trends, concerns, recommendations.`;
+    const digest = await completeStructured({
+      prompt,
+      maxTokens: 2000,
+      temperature: 0.4,
+      topP: 0.9,
+      purpose: 'teamDigest'
+    }, { tasks, prs, members: team.members.map(member => member.name) });
 
-    const modelId = process.env.BEDROCK_MODEL_ID || 'anthropic.claude-3-sonnet-20240229-v1:0';
-    
-    const input = {
-      modelId: modelId,
-      contentType: 'application/json',
-      accept: 'application/json',
-      body: JSON.stringify({
-        anthropic_version: "bedrock-2023-05-31",
-        max_tokens: 1500,
-        messages: [
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.5,
-        top_p: 0.8
-      })
+    return {
+      ...digest,
+      promptTemplate: { id: selection.template.id, version: selection.template.version, teamId: selection.teamId }
     };
 
-    const command = new InvokeModelCommand(input);
-    const response = await bedrockClient.send(command);
-    
-    const responseBody = JSON.parse(new TextDecoder().decode(response.body));
-    const content = responseBody.content[0].text;
-    
-    try {
-      return JSON.parse(content);
-    } catch (parseError) {
-      return {
-        trends: ['Analysis completed'],
-        concerns: [],
-        recommendations: ['Continue current work patterns']
-      };
-    }
-
   } catch (error) {
-    console.error('Error analyzing standup patterns:', error);
+    logger.error('Error generating team digest', { error });
+    return { ...generateFallbackDigest(standups, missingMembers), promptTemplate: null };
+  }
+}
+
+/**
+ * Digest listing only what was reported, for when the AI is unavailable
+ */
+function generateFallbackDigest(standups, missingMembers) {
+  const blocked = standups.filter(standup => standup.blockers && standup.blockers.toLowerCase() !== 'none' && standup.blockers.trim() !== '');
+  const missing = missingMembers.length > 0 ? ` ${missingMembers.join(', ')} ${missingMembers.length === 1 ? 'has' : 'have'} not posted yet.` : '';
+
+  return {
+    narrative: `${standups.length} ${standups.length === 1 ? 'member' : 'members'} posted a standup and ${blocked.length} reported blockers.${missing} The AI summary is unavailable, so this digest only lists the reported blockers.`,
+    shipped: [],
+    atRisk: [],
+    dependencies: [],
+    decisionsNeeded: blocked.map(standup => ({
+      member: standup.teamMemberName,
+      blocker: standup.blockers,
+      decision: 'Decide who helps resolve this blocker',
+      refs: []
+    }))
+  };
+}
+
+/**
+ * Draft a sprint retrospective of a team from every standup it posted between startDate and
+ * endDate (oldest first); sprint is the Jira sprint the range came from, if any. Resolves with
+ * the wentWell, didntGoWell, recurringBlockers and actionItems sections, each entry citing the
+ * standup ids it is drawn from, and the template that produced them; promptTemplate is null when
+ * the AI failed and only blockers reported more than once are listed.
+ */
+async function generateSprintRetrospective({ team, startDate, endDate, sprint, standups }) {
+  try {
+    logger.info(`Generating ${team.id} retrospective for ${startDate} to ${endDate} from ${standups.length} standups`);
+
+    const selection = selectTeamPromptTemplate('sprintRetrospective', team.id);
+    const prompt = renderPrompt(selection, {
+      context: standups.map(buildRetrospectiveContext).join('---\n'),
+      startDate,
+      endDate,
+      sprintName: sprint ? sprint.name : 'the sprint'
+    });
+
+    const retrospective = await completeStructured({
+      prompt,
+      maxTokens: 3000,
+      temperature: 0.4,
+      topP: 0.9,
+      purpose: 'sprintRetrospective'
+    }, { standupIds: standups.map(standup => standup.id), members: team.members.map(member => member.name) });
+
     return {
-      trends: ['Unable to analyze patterns'],
-      concerns: ['AI analysis unavailable'],
-      recommendations: ['Manual review recommended']
+      ...retrospective,
+      promptTemplate: { id: selection.template.id, version: selection.template.version, teamId: selection.teamId }
     };
+
+  } catch (error) {
+    logger.error('Error generating sprint retrospective', { error });
+    return { ...generateFallbackRetrospective(standups), promptTemplate: null };
   }
 }
 
+/**
+ * One standup as the retrospective prompt lists it: headed by the id the model cites, with the
+ * keys and statuses of its Jira tasks rather than the full task context
+ */
+function buildRetrospectiveContext(standup) {
+  const tasks = (standup.jiraTasks || [])
+    .map(task => `${task.key} (${task.status?.name || task.fields?.status?.name || 'Unknown'})`);
+
+  let context = `Standup ${standup.id}: ${standup.teamMemberName}, ${standupDate(standup)}\n`;
+  context += `Yesterday: ${standup.yesterday}\n`;
+  context += `Today: ${standup.today}\n`;
+  context += `Blockers: ${standup.blockers}\n`;
+  if (tasks.length > 0) {
+    context += `Jira tasks: ${tasks.join(', ')}\n`;
+  }
+  return context;
+}
+
+/**
+ * Retrospective listing only blockers reported on more than one standup, each with an action
+ * item to follow it up, for when the AI is unavailable
+ */
+function generateFallbackRetrospective(standups) {
+  const blockers = new Map();
+
+  standups
+    .filter(standup => standup.blockers && standup.blockers.toLowerCase() !== 'none' && standup.blockers.trim() !== '')
+    .forEach(standup => {
+      const key = standup.blockers.toLowerCase().substring(0, 50);
+      const blocker = blockers.get(key) || { blocker: standup.blockers, members: [], standupIds: [] };
+      if (!blocker.members.includes(standup.teamMemberName)) {
+        blocker.members.push(standup.teamMemberName);
+      }
+      blocker.standupIds.push(standup.id);
+      blockers.set(key, blocker);
+    });
+
+  const recurringBlockers = [...blockers.values()].filter(blocker => blocker.standupIds.length > 1);
+
+  return {
+    wentWell: [],
+    didntGoWell: [],
+    recurringBlockers,
+    actionItems: recurringBlockers.map(blocker => ({
+      action: `Agree who resolves "${blocker.blocker}" before it blocks the next sprint`,
+      owner: null,
+      standupIds: blocker.standupIds
+    }))
+  };
+}
+
 module.exports = {
+  getAiProvider,
+  buildContextForAI,
   generateFollowUpQuestions,
-  analyzeStandupPatterns
+  analyzeStandupPatterns,
+  generateTeamDigest,
+  generateSprintRetrospective
 };
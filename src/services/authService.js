@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { getMember } = require('./teamRegistry');
+const { logger } = require('./logger');
+
+// Tokens are JWTs signed with AUTH_SECRET, so every Lambda can verify them without a lookup
+const TOKEN_ALGORITHM = 'HS256';
+const TOKEN_ISSUER = 'standup-tracker';
+const DEFAULT_TOKEN_DAYS = 90;
+
+/**
+ * Raised for a missing or invalid credential (401) or a request the caller may not make (403)
+ */
+class AuthError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Auth Service
+ * Issues and verifies member tokens and turns a request into the calling principal.
+ * Team roles come from the team registry on every request, so a role change applies without
+ * reissuing tokens; what each role may do is decided by accessPolicy. Set AUTH_DISABLED=true
+ * only for local development.
+ */
+class AuthService {
+  constructor(options = {}) {
+    this.secret = options.secret || process.env.AUTH_SECRET;
+    this.disabled = options.disabled !== undefined ? options.disabled : process.env.AUTH_DISABLED === 'true';
+
+    if (this.disabled) {
+      logger.warn('AUTH_DISABLED is set; every request is treated as an admin');
+    } else if (!this.secret) {
+      logger.warn('AUTH_SECRET is not set; every authenticated request will be rejected');
+    }
+  }
+
+  /**
+   * Sign a token for a team member. Admin tokens may act for anyone and see everything.
+   */
+  issueToken(subject, { admin = false, expiresInDays = DEFAULT_TOKEN_DAYS } = {}) {
+    if (!this.secret) {
+      throw new Error('AUTH_SECRET is required to issue tokens');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+      iss: TOKEN_ISSUER,
+      sub: subject,
+      iat: now,
+      exp: now + expiresInDays * 24 * 60 * 60
+    };
+    if (admin) {
+      claims.admin = true;
+    }
+
+    const unsigned = `${encodeSegment({ alg: TOKEN_ALGORITHM, typ: 'JWT' })}.${encodeSegment(claims)}`;
+    return `${unsigned}.${this.sign(unsigned)}`;
+  }
+
+  /**
+   * Check a token's signature, issuer and expiry and return its claims
+   */
+  verifyToken(token) {
+    if (!this.secret) {
+      throw new AuthError(401, 'Authentication is not configured on this deployment');
+    }
+
+    const [header, payload, signature, ...rest] = String(token).split('.');
+    if (!header || !payload || !signature || rest.length > 0) {
+      throw new AuthError(401, 'Malformed token');
+    }
+
+    const expected = Buffer.from(this.sign(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new AuthError(401, 'Invalid token signature');
+    }
+
+    let claims;
+    try {
+      if (decodeSegment(header).alg !== TOKEN_ALGORITHM) {
+        throw new Error('unexpected algorithm');
+      }
+      claims = decodeSegment(payload);
+    } catch (error) {
+      throw new AuthError(401, 'Malformed token');
+    }
+
+    if (claims.iss !== TOKEN_ISSUER || !claims.sub) {
+      throw new AuthError(401, 'Token was not issued for this service');
+    }
+    if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+      throw new AuthError(401, 'Token has expired');
+    }
+
+    return claims;
+  }
+
+  /**
+   * The principal making a request, from its "Authorization: Bearer <token>" header
+   */
+  authenticate(event) {
+    if (this.disabled) {
+      return { name: null, admin: true, teams: [] };
+    }
+
+    const headers = event.headers || {};
+    const headerName = Object.keys(headers).find(name => name.toLowerCase() === 'authorization');
+    const match = /^Bearer\s+(\S+)$/i.exec((headerName && headers[headerName]) || '');
+
+    if (!match) {
+      throw new AuthError(401, 'Missing bearer token');
+    }
+
+    const claims = this.verifyToken(match[1]);
+
+    return {
+      name: claims.sub,
+      admin: claims.admin === true,
+      teams: getMember(claims.sub)?.teams || []
+    };
+  }
+
+  sign(data) {
+    return crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+  }
+}
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Create singleton instance
+const authService = new AuthService();
+
+module.exports = {
+  AuthError,
+  AuthService,
+  authenticate: (event) => authService.authenticate(event),
+  issueToken: (subject, options) => authService.issueToken(subject, options),
+  authService
+};
@@ -1,4 +1,13 @@
 const axios = require('axios');
+const { getIdentity, isBitbucketUser } = require('./identityService');
+const { logger, addCorrelationHeaders } = require('./logger');
+const { telemetry } = require('./telemetry');
+const { mapWithConcurrency } = require('./concurrency');
+
+// How long the workspace member list is reused for identity lookups
+const WORKSPACE_MEMBERS_TTL_MS = 5 * 60 * 1000;
+// Members whose PRs are fetched at the same time for a team workload
+const TEAM_WORKLOAD_CONCURRENCY = 5;
 
 /**
  * Bitbucket Service for fetching pull request information and repository data
@@ -11,7 +20,7 @@ class BitbucketService {
     this.baseURL = 'https://api.bitbucket.org/2.0';
     
     if (!this.workspace || !this.username || !this.appPassword) {
-      console.warn('Bitbucket configuration incomplete. Some features may not work.');
+      logger.warn('Bitbucket configuration incomplete. Some features may not work.');
     }
     
     // Create axios instance with authentication
@@ -27,6 +36,127 @@ class BitbucketService {
       },
       timeout: 10000
     });
+
+    this.client.interceptors.request.use(addCorrelationHeaders);
+    telemetry.instrumentHttpClient(this.client, 'bitbucket', bitbucketOperation);
+
+    this.workspaceMembersCache = null;
+  }
+
+  /**
+   * Members of the workspace with their account UUIDs and nicknames
+   */
+  async getWorkspaceMembers() {
+    if (this.workspaceMembersCache && Date.now() - this.workspaceMembersCache.fetchedAt < WORKSPACE_MEMBERS_TTL_MS) {
+      return this.workspaceMembersCache.members;
+    }
+
+    const members = [];
+    let url = `/workspaces/${this.workspace}/members`;
+    let params = { pagelen: 100 };
+
+    // Follow pagination, capped to avoid rate limits on very large workspaces
+    for (let page = 0; url && page < 10; page++) {
+      const response = await this.client.get(url, { params });
+      (response.data.values || []).forEach(membership => {
+        members.push({
+          uuid: membership.user?.uuid,
+          accountId: membership.user?.account_id,
+          displayName: membership.user?.display_name,
+          nickname: membership.user?.nickname
+        });
+      });
+      url = response.data.next;
+      params = undefined;
+    }
+
+    this.workspaceMembersCache = { fetchedAt: Date.now(), members };
+    return members;
+  }
+
+  /**
+   * Bitbucket account UUID for a member: from their identity profile, else found by
+   * matching their Bitbucket username against workspace member nicknames
+   */
+  async resolveUuid(teamMemberName) {
+    const identity = getIdentity(teamMemberName);
+
+    if (identity.bitbucketUuid) {
+      return identity.bitbucketUuid;
+    }
+
+    if (!identity.bitbucketUsername) {
+      return null;
+    }
+
+    try {
+      const members = await this.getWorkspaceMembers();
+      return members.find(member => member.nickname === identity.bitbucketUsername)?.uuid || null;
+    } catch (error) {
+      logger.warn(`Bitbucket workspace member lookup failed for ${teamMemberName}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Pull request query matching a member as author
+   */
+  async authorQuery(teamMemberName) {
+    const uuid = await this.resolveUuid(teamMemberName);
+
+    if (uuid) {
+      return `author.uuid="${escapeBbql(uuid)}"`;
+    }
+
+    const identity = getIdentity(teamMemberName);
+    return `author.username="${escapeBbql(identity.bitbucketUsername || teamMemberName)}"`;
+  }
+
+  /**
+   * Check that the configured credentials are accepted by Bitbucket, for the health check
+   */
+  async checkConnection() {
+    if (!this.workspace || !this.appPassword) {
+      return { status: 'not_configured' };
+    }
+
+    await this.client.get(`/workspaces/${this.workspace}`);
+    return { status: 'ok' };
+  }
+
+  /**
+   * Check that a member's identity profile resolves to a user in the workspace
+   */
+  async checkIdentity(teamMemberName) {
+    const identity = getIdentity(teamMemberName);
+
+    if (!this.workspace || !this.appPassword) {
+      return { status: 'not_configured' };
+    }
+
+    if (!identity.bitbucketUuid && !identity.bitbucketUsername) {
+      return { status: 'unmapped', problem: 'No bitbucketUuid or bitbucketUsername; PRs are matched by display name' };
+    }
+
+    try {
+      const members = await this.getWorkspaceMembers();
+
+      if (identity.bitbucketUuid) {
+        const member = members.find(candidate => candidate.uuid === identity.bitbucketUuid);
+        return member
+          ? { status: 'resolved', uuid: member.uuid, displayName: member.displayName, matchedBy: 'uuid' }
+          : { status: 'unresolved', uuid: identity.bitbucketUuid, problem: `No member of workspace ${this.workspace} has UUID ${identity.bitbucketUuid}` };
+      }
+
+      const member = members.find(candidate => candidate.nickname === identity.bitbucketUsername);
+      return member
+        ? { status: 'resolved', uuid: member.uuid, displayName: member.displayName, matchedBy: 'username', hint: `Set bitbucketUuid to ${member.uuid} to skip the username lookup` }
+        : { status: 'unresolved', problem: `No member of workspace ${this.workspace} has the username ${identity.bitbucketUsername}` };
+
+    } catch (error) {
+      logger.error(`Error checking Bitbucket identity for ${teamMemberName}`, { error: error.message });
+      return { status: 'error', problem: error.message };
+    }
   }
 
   /**
@@ -34,10 +164,10 @@ class BitbucketService {
    */
   async getPRStatus(teamMemberName) {
     try {
-      console.log(`Fetching Bitbucket PRs for ${teamMemberName}`);
+      logger.info(`Fetching Bitbucket PRs for ${teamMemberName}`);
       
       if (!this.workspace || !this.appPassword) {
-        console.warn('Bitbucket not configured, returning empty PRs');
+        logger.warn('Bitbucket not configured, returning empty PRs');
         return [];
       }
 
@@ -45,10 +175,14 @@ class BitbucketService {
       const repositories = await this.getWorkspaceRepositories();
       
       if (repositories.length === 0) {
-        console.log('No repositories found in workspace');
+        logger.info('No repositories found in workspace');
         return [];
       }
 
+      if (!(await this.resolveUuid(teamMemberName))) {
+        logger.warn(`No Bitbucket UUID for ${teamMemberName}; matching PR authors by username`);
+      }
+
       const allPRs = [];
       
       // Search PRs across all repositories
@@ -57,20 +191,20 @@ class BitbucketService {
           const repoPRs = await this.getRepositoryPRs(repo.name, teamMemberName);
           allPRs.push(...repoPRs);
         } catch (repoError) {
-          console.warn(`Error fetching PRs from repository ${repo.name}:`, repoError.message);
+          logger.warn(`Error fetching PRs from repository ${repo.name}`, { error: repoError.message });
         }
       }
 
-      console.log(`Found ${allPRs.length} PRs for ${teamMemberName} across ${repositories.length} repositories`);
+      logger.info(`Found ${allPRs.length} PRs for ${teamMemberName} across ${repositories.length} repositories`);
       
       // Sort by updated date (most recent first)
       return allPRs.sort((a, b) => new Date(b.updated_on) - new Date(a.updated_on));
 
     } catch (error) {
-      console.error('Error fetching Bitbucket PRs:', error.message);
+      logger.error('Error fetching Bitbucket PRs', { error: error.message });
       
       if (error.response) {
-        console.error('Bitbucket API Error:', {
+        logger.error('Bitbucket API Error', {
           status: error.response.status,
           statusText: error.response.statusText,
           data: error.response.data
@@ -109,7 +243,7 @@ class BitbucketService {
       })) || [];
 
     } catch (error) {
-      console.error('Error fetching workspace repositories:', error.message);
+      logger.error('Error fetching workspace repositories', { error: error.message });
       return [];
     }
   }
@@ -125,9 +259,9 @@ class BitbucketService {
         state: 'OPEN,MERGED,DECLINED'
       };
 
-      // Filter by author if specified
+      // Filter by author if specified, resolving team members through their identity profile
       if (authorName) {
-        params.q = `author.username="${authorName}"`;
+        params.q = await this.authorQuery(authorName);
       }
 
       const response = await this.client.get(`/repositories/${this.workspace}/${repositoryName}/pullrequests`, {
@@ -143,7 +277,7 @@ class BitbucketService {
             const details = await this.getPRDetails(repositoryName, pr.id);
             return { ...pr, ...details };
           } catch (detailError) {
-            console.warn(`Error fetching details for PR ${pr.id}:`, detailError.message);
+            logger.warn(`Error fetching details for PR ${pr.id}`, { error: detailError.message });
             return pr;
           }
         })
@@ -156,6 +290,7 @@ class BitbucketService {
         state: pr.state,
         author: {
           username: pr.author?.username,
+          nickname: pr.author?.nickname,
           displayName: pr.author?.display_name,
           uuid: pr.author?.uuid
         },
@@ -180,6 +315,8 @@ class BitbucketService {
         reviewerCount: pr.reviewers?.length || 0,
         participants: pr.participants?.map(p => ({
           username: p.user?.username,
+          nickname: p.user?.nickname,
+          uuid: p.user?.uuid,
           displayName: p.user?.display_name,
           role: p.role,
           approved: p.approved,
@@ -205,7 +342,7 @@ class BitbucketService {
       }));
 
     } catch (error) {
-      console.error(`Error fetching PRs for repository ${repositoryName}:`, error.message);
+      logger.error(`Error fetching PRs for repository ${repositoryName}`, { error: error.message });
       return [];
     }
   }
@@ -252,7 +389,7 @@ class BitbucketService {
       };
 
     } catch (error) {
-      console.warn(`Error fetching PR details for ${prId}:`, error.message);
+      logger.warn(`Error fetching PR details for ${prId}`, { error: error.message });
       return {};
     }
   }
@@ -262,13 +399,14 @@ class BitbucketService {
    */
   async getTeamMemberPRActivity(teamMemberName, days = 7) {
     try {
-      console.log(`Fetching recent PR activity for ${teamMemberName} (last ${days} days)`);
+      logger.info(`Fetching recent PR activity for ${teamMemberName} (last ${days} days)`);
       
       if (!this.workspace || !this.appPassword) {
         return {
           createdPRs: [],
           reviewedPRs: [],
-          mergedPRs: []
+          mergedPRs: [],
+          totalActivity: 0
         };
       }
 
@@ -277,20 +415,21 @@ class BitbucketService {
       cutoffDate.setDate(cutoffDate.getDate() - days);
 
       const recentPRs = allPRs.filter(pr => new Date(pr.updatedOn) >= cutoffDate);
+      const identity = getIdentity(teamMemberName);
 
       return {
-        createdPRs: recentPRs.filter(pr => pr.author.username === teamMemberName),
+        createdPRs: recentPRs.filter(pr => isBitbucketUser(pr.author, identity)),
         reviewedPRs: recentPRs.filter(pr => 
-          pr.participants.some(p => p.username === teamMemberName && p.approved)
+          pr.participants.some(p => isBitbucketUser(p, identity) && p.approved)
         ),
         mergedPRs: recentPRs.filter(pr => 
-          pr.state === 'MERGED' && pr.author.username === teamMemberName
+          pr.state === 'MERGED' && isBitbucketUser(pr.author, identity)
         ),
         totalActivity: recentPRs.length
       };
 
     } catch (error) {
-      console.error('Error fetching team member PR activity:', error.message);
+      logger.error('Error fetching team member PR activity', { error: error.message });
       return {
         createdPRs: [],
         reviewedPRs: [],
@@ -305,7 +444,7 @@ class BitbucketService {
    */
   async getRepositoryStats(repositoryName) {
     try {
-      console.log(`Fetching repository statistics for ${repositoryName}`);
+      logger.info(`Fetching repository statistics for ${repositoryName}`);
       
       if (!this.workspace || !this.appPassword) {
         return null;
@@ -357,7 +496,7 @@ class BitbucketService {
       };
 
     } catch (error) {
-      console.error(`Error fetching repository stats for ${repositoryName}:`, error.message);
+      logger.error(`Error fetching repository stats for ${repositoryName}`, { error: error.message });
       return null;
     }
   }
@@ -381,16 +520,17 @@ class BitbucketService {
    */
   async getTeamPRWorkload(teamMembers) {
     try {
-      console.log('Calculating team PR workload distribution');
+      logger.info('Calculating team PR workload distribution');
       
       if (!this.workspace || !this.appPassword || !teamMembers || teamMembers.length === 0) {
         return {};
       }
 
       const workload = {};
+      const memberPRs = await mapWithConcurrency(teamMembers, TEAM_WORKLOAD_CONCURRENCY, member => this.getPRStatus(member));
       
-      for (const member of teamMembers) {
-        const prs = await this.getPRStatus(member);
+      teamMembers.forEach((member, index) => {
+        const prs = memberPRs[index];
         const openPRs = prs.filter(pr => pr.state === 'OPEN');
         const needsReview = openPRs.filter(pr => pr.needsReview);
         const stalePRs = openPRs.filter(pr => pr.isStale);
@@ -404,17 +544,37 @@ class BitbucketService {
           averageComments: prs.length > 0 ? Math.round(prs.reduce((sum, pr) => sum + pr.commentCount, 0) / prs.length) : 0,
           recentPRs: prs.slice(0, 3) // Top 3 most recent PRs
         };
-      }
+      });
 
       return workload;
 
     } catch (error) {
-      console.error('Error calculating team PR workload:', error.message);
+      logger.error('Error calculating team PR workload', { error: error.message });
       return {};
     }
   }
 }
 
+/**
+ * Escape a value for use inside a double-quoted Bitbucket query string
+ */
+function escapeBbql(value) {
+  return String(value).replace(/["\\]/g, '\\$&');
+}
+
+/**
+ * Request path with the workspace, repository and PR id replaced, so spans group by endpoint.
+ * Pagination follows absolute "next" URLs, which are reduced to the same form.
+ */
+function bitbucketOperation(url) {
+  return url
+    .replace(/^https?:\/\/[^/]+\/2\.0/, '')
+    .replace(/\?.*$/, '')
+    .replace(/^\/(workspaces|repositories)\/[^/]+/, '/$1/{workspace}')
+    .replace(/^(\/repositories\/\{workspace\})\/[^/]+/, '$1/{repository}')
+    .replace(/\/pullrequests\/\d+/, '/pullrequests/{id}');
+}
+
 // Create singleton instance
 const bitbucketService = new BitbucketService();
 
@@ -427,5 +587,7 @@ module.exports = {
   getRepositoryStats: (repositoryName) => bitbucketService.getRepositoryStats(repositoryName),
   getTeamPRWorkload: (teamMembers) => bitbucketService.getTeamPRWorkload(teamMembers),
   getWorkspaceRepositories: () => bitbucketService.getWorkspaceRepositories(),
+  checkBitbucketConnection: () => bitbucketService.checkConnection(),
+  checkBitbucketIdentity: (teamMemberName) => bitbucketService.checkIdentity(teamMemberName),
   bitbucketService
 };
@@ -0,0 +1,28 @@
+/**
+ * Concurrency
+ * Runs per-member calls to Jira and Bitbucket side by side without sending a whole team's
+ * worth of requests at once, so team-wide endpoints finish within the API Gateway timeout.
+ */
+
+/**
+ * Map items through an async fn with at most limit calls in flight; results keep the input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function work() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, work));
+
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
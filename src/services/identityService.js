@@ -0,0 +1,46 @@
+/**
+ * Identity Service
+ * Maps the name a member submits standups under to their Jira account and Bitbucket user,
+ * using the identity profile in the team registry. Display names rarely match either
+ * system's identifiers, so the Jira and Bitbucket services look members up through here.
+ */
+
+const { getMember } = require('./teamRegistry');
+
+/**
+ * A member's identity profile. Unregistered members get a profile with only their name,
+ * which the integrations treat as a legacy display-name lookup.
+ */
+function getIdentity(teamMemberName) {
+  const profile = getMember(teamMemberName);
+
+  return {
+    name: teamMemberName,
+    registered: Boolean(profile),
+    email: profile?.email || null,
+    jiraAccountId: profile?.jiraAccountId || null,
+    bitbucketUuid: profile?.bitbucketUuid || null,
+    bitbucketUsername: profile?.bitbucketUsername || null
+  };
+}
+
+/**
+ * Whether a Bitbucket user (as returned by bitbucketService) is the given member
+ */
+function isBitbucketUser(user, identity) {
+  if (!user) {
+    return false;
+  }
+
+  if (identity.bitbucketUuid) {
+    return user.uuid === identity.bitbucketUuid;
+  }
+
+  const username = identity.bitbucketUsername || identity.name;
+  return user.username === username || user.nickname === username;
+}
+
+module.exports = {
+  getIdentity,
+  isBitbucketUser
+};
@@ -1,4 +1,11 @@
 const axios = require('axios');
+const { getIdentity } = require('./identityService');
+const { logger, addCorrelationHeaders } = require('./logger');
+const { telemetry } = require('./telemetry');
+const { mapWithConcurrency } = require('./concurrency');
+
+// Members whose tasks are fetched at the same time for a team workload
+const TEAM_WORKLOAD_CONCURRENCY = 5;
 
 /**
  * Jira Service for fetching team member tasks and project information
@@ -10,7 +17,7 @@ class JiraService {
     this.apiToken = process.env.JIRA_API_TOKEN;
     
     if (!this.baseURL || !this.email || !this.apiToken) {
-      console.warn('Jira configuration incomplete. Some features may not work.');
+      logger.warn('Jira configuration incomplete. Some features may not work.');
     }
     
     // Create axios instance with authentication
@@ -26,6 +33,148 @@ class JiraService {
       },
       timeout: 10000
     });
+
+    this.client.interceptors.request.use(addCorrelationHeaders);
+    telemetry.instrumentHttpClient(this.client, 'jira', jiraOperation);
+
+    // Account ids found by email lookup, per member name; misses are not cached, so an account
+    // created later is found on the next lookup
+    this.accountIdCache = new Map();
+  }
+
+  /**
+   * Jira accountId for a member: from their identity profile, else looked up by email
+   */
+  async resolveAccountId(teamMemberName) {
+    const identity = getIdentity(teamMemberName);
+
+    if (identity.jiraAccountId) {
+      return identity.jiraAccountId;
+    }
+
+    if (!identity.email) {
+      return null;
+    }
+
+    if (this.accountIdCache.has(teamMemberName)) {
+      return this.accountIdCache.get(teamMemberName);
+    }
+
+    try {
+      const accountId = await this.findAccountIdByEmail(identity.email);
+      if (accountId) {
+        this.accountIdCache.set(teamMemberName, accountId);
+      }
+      return accountId;
+    } catch (error) {
+      logger.warn(`Jira user lookup by email failed for ${teamMemberName}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * JQL condition matching a member in a user field such as assignee or reporter
+   */
+  async userClause(field, teamMemberName) {
+    const accountId = await this.resolveAccountId(teamMemberName);
+
+    if (accountId) {
+      return `${field} = "${escapeJql(accountId)}"`;
+    }
+
+    logger.warn(`No Jira accountId for ${teamMemberName}; matching ${field} by display name`);
+    return `${field} = "${escapeJql(teamMemberName)}"`;
+  }
+
+  /**
+   * A Jira user by accountId, or null if there is no such account
+   */
+  async getUserByAccountId(accountId) {
+    try {
+      const response = await this.client.get('/rest/api/3/user', {
+        params: { accountId }
+      });
+
+      return formatUser(response.data);
+
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * accountId of the only Jira user with this email address, or null
+   */
+  async findAccountIdByEmail(email) {
+    const users = await this.findUsers(email);
+    const matches = users.filter(user => user.emailAddress?.toLowerCase() === email.toLowerCase());
+    return matches.length === 1 ? matches[0].accountId : null;
+  }
+
+  /**
+   * Users matching a query against display name and email
+   */
+  async findUsers(query) {
+    const response = await this.client.get('/rest/api/3/user/search', {
+      params: { query, maxResults: 10 }
+    });
+
+    return (response.data || []).map(formatUser);
+  }
+
+  /**
+   * Check that the configured credentials are accepted by Jira, for the health check
+   */
+  async checkConnection() {
+    if (!this.baseURL || !this.apiToken) {
+      return { status: 'not_configured' };
+    }
+
+    await this.client.get('/rest/api/3/myself');
+    return { status: 'ok' };
+  }
+
+  /**
+   * Check that a member's identity profile resolves to an active Jira account
+   */
+  async checkIdentity(teamMemberName) {
+    const identity = getIdentity(teamMemberName);
+
+    if (!this.baseURL || !this.apiToken) {
+      return { status: 'not_configured' };
+    }
+
+    try {
+      if (identity.jiraAccountId) {
+        const user = await this.getUserByAccountId(identity.jiraAccountId);
+
+        if (!user) {
+          return { status: 'unresolved', accountId: identity.jiraAccountId, problem: `Jira accountId ${identity.jiraAccountId} does not exist` };
+        }
+        if (!user.active) {
+          return { status: 'unresolved', accountId: user.accountId, displayName: user.displayName, problem: 'Jira account is deactivated' };
+        }
+        return { status: 'resolved', accountId: user.accountId, displayName: user.displayName, matchedBy: 'accountId' };
+      }
+
+      if (identity.email) {
+        const accountId = await this.findAccountIdByEmail(identity.email);
+
+        if (accountId) {
+          return { status: 'resolved', accountId, matchedBy: 'email', hint: `Set jiraAccountId to ${accountId} to skip the email lookup` };
+        }
+        return { status: 'unresolved', problem: `No single Jira account has the email ${identity.email}` };
+      }
+
+      return { status: 'unmapped', problem: 'No jiraAccountId or email; tasks are matched by display name' };
+
+    } catch (error) {
+      logger.error(`Error checking Jira identity for ${teamMemberName}`, { error: error.message });
+      return { status: 'error', problem: error.message };
+    }
   }
 
   /**
@@ -33,15 +182,16 @@ class JiraService {
    */
   async getTeamMemberTasks(teamMemberName) {
     try {
-      console.log(`Fetching Jira tasks for ${teamMemberName}`);
+      logger.info(`Fetching Jira tasks for ${teamMemberName}`);
       
       if (!this.baseURL || !this.apiToken) {
-        console.warn('Jira not configured, returning empty tasks');
+        logger.warn('Jira not configured, returning empty tasks');
         return [];
       }
 
       // Search for issues assigned to the team member
-      const jql = `assignee = "${teamMemberName}" AND resolution = Unresolved ORDER BY updated DESC`;
+      const assignee = await this.userClause('assignee', teamMemberName);
+      const jql = `${assignee} AND resolution = Unresolved ORDER BY updated DESC`;
       
       const response = await this.client.get('/rest/api/3/search', {
         params: {
@@ -68,7 +218,7 @@ class JiraService {
       });
 
       const issues = response.data.issues || [];
-      console.log(`Found ${issues.length} Jira tasks for ${teamMemberName}`);
+      logger.info(`Found ${issues.length} Jira tasks for ${teamMemberName}`);
 
       // Transform issues to a more usable format
       return issues.map(issue => ({
@@ -120,10 +270,10 @@ class JiraService {
       }));
 
     } catch (error) {
-      console.error('Error fetching Jira tasks:', error.message);
+      logger.error('Error fetching Jira tasks', { error: error.message });
       
       if (error.response) {
-        console.error('Jira API Error:', {
+        logger.error('Jira API Error', {
           status: error.response.status,
           statusText: error.response.statusText,
           data: error.response.data
@@ -140,7 +290,7 @@ class JiraService {
    */
   async getTaskDetails(taskKey) {
     try {
-      console.log(`Fetching details for Jira task ${taskKey}`);
+      logger.info(`Fetching details for Jira task ${taskKey}`);
       
       if (!this.baseURL || !this.apiToken) {
         return null;
@@ -188,17 +338,49 @@ class JiraService {
       };
 
     } catch (error) {
-      console.error(`Error fetching Jira task details for ${taskKey}:`, error.message);
+      logger.error(`Error fetching Jira task details for ${taskKey}`, { error: error.message });
       return null;
     }
   }
 
+  /**
+   * A sprint's name, state and dates from the Jira Software agile API; null when Jira is not
+   * configured or there is no such sprint
+   */
+  async getSprint(sprintId) {
+    if (!this.baseURL || !this.apiToken) {
+      return null;
+    }
+
+    try {
+      logger.info(`Fetching Jira sprint ${sprintId}`);
+      const { data: sprint } = await this.client.get(`/rest/agile/1.0/sprint/${sprintId}`);
+
+      return {
+        id: sprint.id,
+        name: sprint.name,
+        state: sprint.state,
+        goal: sprint.goal || null,
+        startDate: sprint.startDate || null,
+        endDate: sprint.endDate || null,
+        completeDate: sprint.completeDate || null
+      };
+
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      logger.error(`Error fetching Jira sprint ${sprintId}`, { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get team member's recent activity
    */
   async getTeamMemberActivity(teamMemberName, days = 7) {
     try {
-      console.log(`Fetching recent activity for ${teamMemberName} (last ${days} days)`);
+      logger.info(`Fetching recent activity for ${teamMemberName} (last ${days} days)`);
       
       if (!this.baseURL || !this.apiToken) {
         return {
@@ -211,9 +393,11 @@ class JiraService {
       const dateFrom = new Date();
       dateFrom.setDate(dateFrom.getDate() - days);
       const dateString = dateFrom.toISOString().split('T')[0];
+      const assignee = await this.userClause('assignee', teamMemberName);
+      const reporter = await this.userClause('reporter', teamMemberName);
 
       // Get updated issues
-      const updatedJql = `assignee = "${teamMemberName}" AND updated >= "${dateString}" ORDER BY updated DESC`;
+      const updatedJql = `${assignee} AND updated >= "${dateString}" ORDER BY updated DESC`;
       const updatedResponse = await this.client.get('/rest/api/3/search', {
         params: {
           jql: updatedJql,
@@ -223,7 +407,7 @@ class JiraService {
       });
 
       // Get created issues
-      const createdJql = `reporter = "${teamMemberName}" AND created >= "${dateString}" ORDER BY created DESC`;
+      const createdJql = `${reporter} AND created >= "${dateString}" ORDER BY created DESC`;
       const createdResponse = await this.client.get('/rest/api/3/search', {
         params: {
           jql: createdJql,
@@ -233,7 +417,7 @@ class JiraService {
       });
 
       // Get resolved issues
-      const resolvedJql = `assignee = "${teamMemberName}" AND resolved >= "${dateString}" ORDER BY resolved DESC`;
+      const resolvedJql = `${assignee} AND resolved >= "${dateString}" ORDER BY resolved DESC`;
       const resolvedResponse = await this.client.get('/rest/api/3/search', {
         params: {
           jql: resolvedJql,
@@ -264,7 +448,7 @@ class JiraService {
       };
 
     } catch (error) {
-      console.error('Error fetching team member activity:', error.message);
+      logger.error('Error fetching team member activity', { error: error.message });
       return {
         updatedIssues: [],
         createdIssues: [],
@@ -278,7 +462,7 @@ class JiraService {
    */
   async getProjectStats(projectKey) {
     try {
-      console.log(`Fetching project statistics for ${projectKey}`);
+      logger.info(`Fetching project statistics for ${projectKey}`);
       
       if (!this.baseURL || !this.apiToken) {
         return null;
@@ -308,7 +492,7 @@ class JiraService {
       };
 
     } catch (error) {
-      console.error(`Error fetching project stats for ${projectKey}:`, error.message);
+      logger.error(`Error fetching project stats for ${projectKey}`, { error: error.message });
       return null;
     }
   }
@@ -318,7 +502,7 @@ class JiraService {
    */
   async searchIssues(jql, maxResults = 50) {
     try {
-      console.log(`Searching Jira issues with JQL: ${jql}`);
+      logger.info(`Searching Jira issues with JQL: ${jql}`);
       
       if (!this.baseURL || !this.apiToken) {
         return [];
@@ -344,7 +528,7 @@ class JiraService {
       })) || [];
 
     } catch (error) {
-      console.error('Error searching Jira issues:', error.message);
+      logger.error('Error searching Jira issues', { error: error.message });
       return [];
     }
   }
@@ -354,16 +538,17 @@ class JiraService {
    */
   async getTeamWorkload(teamMembers) {
     try {
-      console.log('Calculating team workload distribution');
+      logger.info('Calculating team workload distribution');
       
       if (!this.baseURL || !this.apiToken || !teamMembers || teamMembers.length === 0) {
         return {};
       }
 
       const workload = {};
+      const memberTasks = await mapWithConcurrency(teamMembers, TEAM_WORKLOAD_CONCURRENCY, member => this.getTeamMemberTasks(member));
       
-      for (const member of teamMembers) {
-        const tasks = await this.getTeamMemberTasks(member);
+      teamMembers.forEach((member, index) => {
+        const tasks = memberTasks[index];
         workload[member] = {
           totalTasks: tasks.length,
           inProgress: tasks.filter(task => task.status.category === 'In Progress').length,
@@ -372,17 +557,40 @@ class JiraService {
           highPriority: tasks.filter(task => task.priority.name === 'High' || task.priority.name === 'Highest').length,
           tasks: tasks.slice(0, 5) // Top 5 tasks for summary
         };
-      }
+      });
 
       return workload;
 
     } catch (error) {
-      console.error('Error calculating team workload:', error.message);
+      logger.error('Error calculating team workload', { error: error.message });
       return {};
     }
   }
 }
 
+/**
+ * Escape a value for use inside a double-quoted JQL string
+ */
+function escapeJql(value) {
+  return String(value).replace(/["\\]/g, '\\$&');
+}
+
+/**
+ * Request path with issue and project keys and sprint ids replaced, so spans group by endpoint
+ */
+function jiraOperation(url) {
+  return url.replace(/\/(issue|project|sprint)\/[^/?]+/, '/$1/{key}');
+}
+
+function formatUser(user) {
+  return {
+    accountId: user.accountId,
+    displayName: user.displayName,
+    emailAddress: user.emailAddress,
+    active: user.active !== false
+  };
+}
+
 // Create singleton instance
 const jiraService = new JiraService();
 
@@ -390,9 +598,12 @@ const jiraService = new JiraService();
 module.exports = {
   getTeamMemberTasks: (teamMemberName) => jiraService.getTeamMemberTasks(teamMemberName),
   getTaskDetails: (taskKey) => jiraService.getTaskDetails(taskKey),
+  getSprint: (sprintId) => jiraService.getSprint(sprintId),
   getTeamMemberActivity: (teamMemberName, days) => jiraService.getTeamMemberActivity(teamMemberName, days),
   getProjectStats: (projectKey) => jiraService.getProjectStats(projectKey),
   searchIssues: (jql, maxResults) => jiraService.searchIssues(jql, maxResults),
   getTeamWorkload: (teamMembers) => jiraService.getTeamWorkload(teamMembers),
+  checkJiraConnection: () => jiraService.checkConnection(),
+  checkJiraIdentity: (teamMemberName) => jiraService.checkIdentity(teamMemberName),
   jiraService
 };
@@ -0,0 +1,211 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Lowest level that is written; LOG_LEVEL picks one (default info)
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+// Credentials, and standup text that belongs in storage rather than in CloudWatch
+const DEFAULT_REDACT_FIELDS = [
+  'authorization',
+  'cookie',
+  'x-api-key',
+  'password',
+  'app-password',
+  'api-token',
+  'token',
+  'secret',
+  'yesterday',
+  'today',
+  'blockers'
+];
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+// Per-request fields (requestId, operationId, ...) for every entry logged while handling it
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Structured Logger
+ * Writes one JSON object per entry with a level, message, timestamp, the current request's
+ * correlation fields and any extra fields. Fields named in the redaction list are masked at any
+ * depth. LOG_FORMAT=pretty prints readable lines instead, for local runs.
+ */
+class Logger {
+  constructor(options = {}) {
+    const level = (options.level || process.env.LOG_LEVEL || 'info').toLowerCase();
+
+    this.level = LEVELS[level] ? level : 'info';
+    this.format = options.format || process.env.LOG_FORMAT || 'json';
+    this.redactFields = new Set([...DEFAULT_REDACT_FIELDS, ...parseList(options.redactFields ?? process.env.LOG_REDACT_FIELDS)].map(normalizeField));
+    this.bindings = options.bindings || {};
+  }
+
+  /**
+   * Logger that adds fixed fields to every entry, sharing this logger's settings
+   */
+  child(bindings) {
+    const child = Object.create(Logger.prototype);
+    Object.assign(child, this, { bindings: { ...this.bindings, ...bindings } });
+    return child;
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  write(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const entry = this.redact({
+      level,
+      message,
+      timestamp: new Date().toISOString(),
+      ...this.bindings,
+      ...requestContext.getStore(),
+      ...fields
+    });
+
+    const line = this.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+
+    if (level === 'error') {
+      console.error(line);
+    } else if (level === 'warn') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  /**
+   * Copy of a value with redacted fields masked and errors turned into plain objects
+   */
+  redact(value, depth = 0, seen = new WeakSet()) {
+    if (value instanceof Error) {
+      return this.redact(serializeError(value), depth, seen);
+    }
+
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    if (depth >= MAX_DEPTH) {
+      return '[Truncated]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, depth + 1, seen));
+    }
+
+    const copy = {};
+    Object.entries(value).forEach(([key, child]) => {
+      copy[key] = this.redactFields.has(normalizeField(key)) && child !== undefined && child !== null
+        ? REDACTED
+        : this.redact(child, depth + 1, seen);
+    });
+    return copy;
+  }
+}
+
+/**
+ * Run fn with fields that every log entry made during it (and its async work) carries
+ */
+function runWithContext(fields, fn) {
+  return requestContext.run({ ...requestContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Correlation fields of the request being handled, or {} outside one
+ */
+function getContext() {
+  return requestContext.getStore() || {};
+}
+
+/**
+ * Axios request interceptor that forwards the current request ID, so a Jira or Bitbucket call can
+ * be matched to the API request that made it
+ */
+function addCorrelationHeaders(config) {
+  const { requestId } = getContext();
+
+  if (requestId) {
+    config.headers = config.headers || {};
+    config.headers['X-Request-Id'] = requestId;
+  }
+
+  return config;
+}
+
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message };
+
+  if (error.code) {
+    serialized.code = error.code;
+  }
+  if (error.statusCode) {
+    serialized.statusCode = error.statusCode;
+  }
+  // Axios errors carry the upstream response, which is what explains a Jira or Bitbucket failure
+  if (error.response) {
+    serialized.response = { status: error.response.status, statusText: error.response.statusText, data: error.response.data };
+  }
+  serialized.stack = error.stack;
+
+  return serialized;
+}
+
+function formatPretty(entry) {
+  const { level, message, timestamp, ...fields } = entry;
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${timestamp} ${level.toUpperCase().padEnd(5)} ${message}${extra}`;
+}
+
+function parseList(value) {
+  if (!value) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : String(value).split(',')).map(field => field.trim()).filter(Boolean);
+}
+
+// "X-Api-Key", "x_api_key" and "xApiKey" all name the same field
+function normalizeField(field) {
+  return field.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Create singleton instance
+const logger = new Logger();
+
+module.exports = {
+  LEVELS,
+  Logger,
+  logger,
+  runWithContext,
+  getContext,
+  addCorrelationHeaders
+};
@@ -0,0 +1,213 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { BUILT_IN_TEMPLATES, DEFAULT_TEMPLATES } = require('../prompts/templates');
+const { getTeam, getMemberTeams } = require('./teamRegistry');
+const { logger } = require('./logger');
+
+// What each purpose computes per request, on top of the variables a template declares
+const COMPUTED_VARIABLES = {
+  followUpQuestions: ['context', 'teamMemberName', 'teamName'],
+  standupPatterns: ['currentStandup', 'history', 'teamMemberName', 'teamName'],
+  teamDigest: ['context', 'date', 'metrics', 'missingMembers', 'teamName'],
+  sprintRetrospective: ['context', 'startDate', 'endDate', 'sprintName', 'teamName']
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Raised when a template or a team's prompt settings are invalid
+ */
+class PromptTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptTemplateError';
+    this.statusCode = 500;
+  }
+}
+
+/**
+ * Prompt Library
+ * Holds the versioned prompt templates: the built-in ones plus any from the JSON file at
+ * PROMPT_TEMPLATES_PATH (default config/prompts.json). A team picks a template and overrides
+ * its variables under "prompts" in the team registry; everyone else gets the default.
+ */
+class PromptLibrary {
+  constructor(options = {}) {
+    this.templatesPath = options.templatesPath || process.env.PROMPT_TEMPLATES_PATH || path.join('config', 'prompts.json');
+    this.templates = null;
+  }
+
+  /**
+   * Validate the built-in and custom templates once, caching them by id (versions ascending)
+   */
+  load() {
+    if (this.templates) {
+      return this.templates;
+    }
+
+    const filePath = path.resolve(this.templatesPath);
+    const custom = fs.existsSync(filePath) ? fs.readJsonSync(filePath).templates || [] : [];
+    const templates = new Map();
+
+    [...BUILT_IN_TEMPLATES, ...custom].map(validateTemplate).forEach(template => {
+      const versions = templates.get(template.id) || [];
+      if (versions.some(existing => existing.version === template.version)) {
+        throw new PromptTemplateError(`Prompt template ${template.id}@${template.version} is defined twice; publish changes as a new version`);
+      }
+      if (versions.length > 0 && versions[0].purpose !== template.purpose) {
+        throw new PromptTemplateError(`Prompt template ${template.id}@${template.version} changes purpose from ${versions[0].purpose}`);
+      }
+
+      templates.set(template.id, [...versions, template].sort((a, b) => a.version - b.version));
+    });
+
+    if (custom.length > 0) {
+      logger.info(`Loaded ${custom.length} custom prompt templates from ${filePath}`);
+    }
+
+    this.templates = templates;
+    return this.templates;
+  }
+
+  /**
+   * Every version of every template
+   */
+  listTemplates() {
+    return [...this.load().values()].flat();
+  }
+
+  /**
+   * A template by id: the given version, or the latest one
+   */
+  getTemplate(id, version) {
+    const versions = this.load().get(id);
+    const template = versions && (version ? versions.find(candidate => candidate.version === version) : versions[versions.length - 1]);
+
+    if (!template) {
+      throw new PromptTemplateError(`Unknown prompt template ${version ? `${id}@${version}` : id}`);
+    }
+
+    return template;
+  }
+
+  /**
+   * The template and variables a member's prompt for purpose uses. The first of the member's
+   * teams (in registry order) with settings for that purpose decides; otherwise the default.
+   */
+  selectTemplate(purpose, teamMemberName) {
+    const team = getMemberTeams(teamMemberName)
+      .map(teamId => getTeam(teamId))
+      .find(candidate => candidate?.prompts?.[purpose]);
+
+    return this.resolveSelection(purpose, team);
+  }
+
+  /**
+   * The template and variables for a prompt about a whole team: its own settings for purpose,
+   * otherwise the default, always rendered with the team's name
+   */
+  selectTeamTemplate(purpose, teamId) {
+    const team = getTeam(teamId);
+    const selection = this.resolveSelection(purpose, team?.prompts?.[purpose] ? team : null);
+
+    return { ...selection, teamId: team ? team.id : null, teamName: team ? team.name : null };
+  }
+
+  /**
+   * Check the settings team (or the default when null) gives purpose and merge its variables
+   */
+  resolveSelection(purpose, team) {
+    const settings = team ? team.prompts[purpose] : { template: DEFAULT_TEMPLATES[purpose] };
+
+    const template = this.getTemplate(settings.template, settings.version);
+    if (template.purpose !== purpose) {
+      throw new PromptTemplateError(`Team ${team.id} uses ${template.id} for ${purpose}, but it is a ${template.purpose} template`);
+    }
+
+    const unknown = Object.keys(settings.variables || {}).filter(name => !(name in template.variables));
+    if (unknown.length > 0) {
+      throw new PromptTemplateError(`Team ${team.id} sets ${unknown.join(', ')}, which ${template.id} does not declare`);
+    }
+
+    return {
+      template,
+      teamId: team ? team.id : null,
+      teamName: team ? team.name : null,
+      variables: { ...template.variables, ...settings.variables }
+    };
+  }
+
+  /**
+   * Fill in a selected template with the request's computed values
+   */
+  render(selection, computed) {
+    const values = {
+      teamName: selection.teamName || 'the team',
+      ...selection.variables,
+      ...computed
+    };
+
+    return selection.template.text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+      if (values[name] === undefined || values[name] === null) {
+        throw new PromptTemplateError(`No value for {{${name}}} in ${selection.template.id}@${selection.template.version}`);
+      }
+      return String(values[name]);
+    });
+  }
+
+  /**
+   * Drop the cached templates so the next lookup re-reads the file
+   */
+  reload() {
+    this.templates = null;
+    return this.load();
+  }
+}
+
+/**
+ * Check a template's shape, and that every placeholder is declared or computed; returns it with
+ * its variables defaulted
+ */
+function validateTemplate(template) {
+  const label = `${template?.id}@${template?.version}`;
+
+  if (!template || typeof template.id !== 'string' || !TEMPLATE_ID_PATTERN.test(template.id)) {
+    throw new PromptTemplateError(`Prompt template ${label} needs an id of lowercase letters, digits and dashes`);
+  }
+  if (!Number.isInteger(template.version) || template.version < 1) {
+    throw new PromptTemplateError(`Prompt template ${label} needs a positive integer version`);
+  }
+  if (!COMPUTED_VARIABLES[template.purpose]) {
+    throw new PromptTemplateError(`Prompt template ${label} has unknown purpose "${template.purpose}" (expected ${Object.keys(COMPUTED_VARIABLES).join(', ')})`);
+  }
+  if (typeof template.text !== 'string' || !template.text.trim()) {
+    throw new PromptTemplateError(`Prompt template ${label} has no text`);
+  }
+
+  const variables = template.variables || {};
+  const known = [...COMPUTED_VARIABLES[template.purpose], ...Object.keys(variables)];
+  const undeclared = [...template.text.matchAll(PLACEHOLDER_PATTERN)]
+    .map(match => match[1])
+    .filter(name => !known.includes(name));
+
+  if (undeclared.length > 0) {
+    throw new PromptTemplateError(`Prompt template ${label} uses undeclared variables: ${[...new Set(undeclared)].join(', ')}`);
+  }
+
+  return { ...template, variables };
+}
+
+// Create singleton instance
+const promptLibrary = new PromptLibrary();
+
+module.exports = {
+  PromptLibrary,
+  PromptTemplateError,
+  listPromptTemplates: () => promptLibrary.listTemplates(),
+  getPromptTemplate: (id, version) => promptLibrary.getTemplate(id, version),
+  selectPromptTemplate: (purpose, teamMemberName) => promptLibrary.selectTemplate(purpose, teamMemberName),
+  selectTeamPromptTemplate: (purpose, teamId) => promptLibrary.selectTeamTemplate(purpose, teamId),
+  renderPrompt: (selection, computed) => promptLibrary.render(selection, computed),
+  promptLibrary
+};
@@ -0,0 +1,34 @@
+const SqsQueue = require('./sqsQueue');
+const MemoryQueue = require('./memoryQueue');
+
+/**
+ * Queue driver registry
+ * Drivers expose sendMessage(body), which resolves with { messageId }. Consumers receive
+ * SQS-shaped events ({ Records: [{ messageId, body, attributes }] }) and report failed records
+ * as { batchItemFailures: [{ itemIdentifier }] }. The memory driver also takes
+ * setConsumer(consumer) and drain(), since it delivers in-process.
+ */
+const DRIVERS = {
+  sqs: SqsQueue,
+  memory: MemoryQueue
+};
+
+/**
+ * Create the queue selected by QUEUE_BACKEND; without one, SQS when STANDUP_QUEUE_URL is set and
+ * the in-memory queue otherwise
+ */
+function createQueue(backend = process.env.QUEUE_BACKEND || (process.env.STANDUP_QUEUE_URL ? 'sqs' : 'memory'), options = {}) {
+  const Driver = DRIVERS[backend];
+
+  if (!Driver) {
+    throw new Error(`Unknown queue backend: ${backend}. Supported backends: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+
+  return new Driver(options);
+}
+
+module.exports = {
+  createQueue,
+  SqsQueue,
+  MemoryQueue
+};
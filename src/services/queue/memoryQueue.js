@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { logger } = require('../logger');
+
+/**
+ * In-memory queue driver
+ * Stands in for SQS in tests and local runs. Messages are delivered in this process, after the
+ * sending request has returned, to a consumer that takes the same event as the Lambda worker:
+ * { Records: [{ messageId, body, attributes }] }, one record per event. A message the consumer
+ * reports in batchItemFailures (or throws on) is redelivered until it has been received
+ * maxReceiveCount times, then moved to deadLetters, like an SQS redrive policy.
+ */
+class MemoryQueue {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.maxReceiveCount = options.maxReceiveCount || 3;
+    this.messages = [];
+    this.deadLetters = [];
+    this.consumer = null;
+    this.delivering = null;
+  }
+
+  /**
+   * Queue a message body; resolves with its message id
+   */
+  async sendMessage(body) {
+    const message = {
+      messageId: crypto.randomUUID(),
+      body: JSON.stringify(body),
+      receiveCount: 0,
+      sentAt: Date.now()
+    };
+
+    this.messages.push(message);
+    this.scheduleDelivery();
+
+    return { messageId: message.messageId };
+  }
+
+  /**
+   * Deliver messages to consumer(event), now and as they are sent
+   */
+  setConsumer(consumer) {
+    this.consumer = consumer;
+    this.scheduleDelivery();
+  }
+
+  /**
+   * Resolves once every message sent so far has been delivered or dead-lettered
+   */
+  async drain() {
+    while (this.delivering) {
+      await this.delivering;
+    }
+  }
+
+  scheduleDelivery() {
+    if (!this.consumer || this.delivering) {
+      return;
+    }
+
+    this.delivering = new Promise(resolve => setImmediate(resolve))
+      .then(() => this.deliverAll())
+      .finally(() => { this.delivering = null; });
+  }
+
+  async deliverAll() {
+    while (this.messages.length > 0) {
+      const message = this.messages.shift();
+      message.receiveCount += 1;
+
+      if (await this.deliver(message)) {
+        continue;
+      }
+
+      if (message.receiveCount >= this.maxReceiveCount) {
+        logger.error('Message moved to the dead-letter list', { messageId: message.messageId, receiveCount: message.receiveCount });
+        this.deadLetters.push(message);
+      } else {
+        this.messages.push(message);
+      }
+    }
+  }
+
+  /**
+   * Hand one message to the consumer; true when it was processed
+   */
+  async deliver(message) {
+    const record = {
+      messageId: message.messageId,
+      body: message.body,
+      attributes: {
+        ApproximateReceiveCount: String(message.receiveCount),
+        SentTimestamp: String(message.sentAt)
+      },
+      eventSource: 'memory'
+    };
+
+    try {
+      const result = await this.consumer({ Records: [record] }, {});
+      return !(result?.batchItemFailures || []).some(failure => failure.itemIdentifier === message.messageId);
+    } catch (error) {
+      logger.error('Queue consumer failed', { messageId: message.messageId, error });
+      return false;
+    }
+  }
+}
+
+module.exports = MemoryQueue;
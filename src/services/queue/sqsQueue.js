@@ -0,0 +1,34 @@
+const { SQSClient, SendMessageCommand } = require('@aws-sdk/client-sqs');
+
+/**
+ * SQS queue driver
+ * Sends JSON messages to the queue at STANDUP_QUEUE_URL. Delivery is done by Lambda's SQS event
+ * source, which invokes the worker with batches of records.
+ */
+class SqsQueue {
+  constructor(options = {}) {
+    this.name = 'sqs';
+    this.queueUrl = options.queueUrl || process.env.STANDUP_QUEUE_URL;
+    this.client = new SQSClient({
+      region: options.region || process.env.SQS_REGION || process.env.AWS_REGION || 'us-east-1'
+    });
+  }
+
+  /**
+   * Send a message body (serialized as JSON); resolves with the SQS message id
+   */
+  async sendMessage(body) {
+    if (!this.queueUrl) {
+      throw new Error('STANDUP_QUEUE_URL is not set');
+    }
+
+    const response = await this.client.send(new SendMessageCommand({
+      QueueUrl: this.queueUrl,
+      MessageBody: JSON.stringify(body)
+    }));
+
+    return { messageId: response.MessageId };
+  }
+}
+
+module.exports = SqsQueue;
@@ -0,0 +1,150 @@
+const { openApiDocument } = require('../schemas/openapi');
+const { validateSchema, resolveRef } = require('../schemas/jsonSchema');
+
+/**
+ * Raised when a request does not match its OpenAPI operation; handlers answer with a 400
+ */
+class RequestValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid request: ${errors.join('; ')}`);
+    this.name = 'RequestValidationError';
+    this.statusCode = 400;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Request Validator
+ * Checks API Gateway events against the operations in the OpenAPI document, so every
+ * handler rejects malformed input the same way before doing any work. Query, path and
+ * header values arrive as strings and are converted to the declared type first.
+ */
+class RequestValidator {
+  constructor(document = openApiDocument) {
+    this.document = document;
+    this.operations = {};
+
+    Object.values(document.paths).forEach(pathItem => {
+      Object.values(pathItem).forEach(operation => {
+        this.operations[operation.operationId] = operation;
+      });
+    });
+  }
+
+  getOperation(operationId) {
+    const operation = this.operations[operationId];
+
+    if (!operation) {
+      throw new Error(`Unknown API operation ${operationId}`);
+    }
+
+    return operation;
+  }
+
+  /**
+   * Validate an event against an operation and throw RequestValidationError on failure
+   */
+  validateRequest(event, operationId) {
+    const operation = this.getOperation(operationId);
+    const errors = [];
+
+    (operation.parameters || []).map(parameter => resolveRef(parameter, this.document)).forEach(parameter => {
+      const raw = parameterValue(event, parameter);
+      const label = parameter.in === 'header' ? `header ${parameter.name}` : `${parameter.in === 'path' ? 'path' : 'query'}.${parameter.name}`;
+
+      if (raw === undefined || raw === null || raw === '') {
+        if (parameter.required) {
+          errors.push(`${label} is required`);
+        }
+        return;
+      }
+
+      errors.push(...validateSchema(parameter.schema, coerce(raw, resolveRef(parameter.schema, this.document)), { root: this.document, path: label }));
+    });
+
+    if (operation.requestBody) {
+      errors.push(...this.validateBody(event.body, operation.requestBody));
+    }
+
+    if (errors.length > 0) {
+      throw new RequestValidationError(errors);
+    }
+  }
+
+  validateBody(rawBody, requestBody) {
+    const empty = rawBody === undefined || rawBody === null || rawBody === '';
+
+    if (empty) {
+      return requestBody.required ? ['body is required'] : [];
+    }
+
+    let body = rawBody;
+    if (typeof rawBody === 'string') {
+      try {
+        body = JSON.parse(rawBody);
+      } catch (error) {
+        return ['body must be valid JSON'];
+      }
+    }
+
+    return validateSchema(requestBody.content['application/json'].schema, body, { root: this.document, path: 'body' });
+  }
+
+  /**
+   * Errors in a handler's response body for a status code; an undeclared status is an error
+   */
+  validateResponse(operationId, statusCode, body) {
+    const response = this.getOperation(operationId).responses[statusCode];
+
+    if (!response) {
+      return [`status ${statusCode} is not declared for ${operationId}`];
+    }
+
+    const schema = resolveRef(response, this.document).content['application/json'].schema;
+    return validateSchema(schema, body, { root: this.document, path: 'response' });
+  }
+}
+
+/**
+ * A parameter's raw value from the event; header names are matched case-insensitively
+ */
+function parameterValue(event, parameter) {
+  if (parameter.in === 'path') {
+    return event.pathParameters?.[parameter.name];
+  }
+
+  if (parameter.in === 'query') {
+    return event.queryStringParameters?.[parameter.name];
+  }
+
+  const headers = event.headers || {};
+  const headerName = Object.keys(headers).find(name => name.toLowerCase() === parameter.name.toLowerCase());
+  return headerName ? headers[headerName] : undefined;
+}
+
+/**
+ * Convert a string parameter to its declared type, leaving it as is when it does not parse
+ */
+function coerce(raw, schema) {
+  if (schema.type === 'integer' && /^-?\d+$/.test(raw)) {
+    return Number(raw);
+  }
+  if (schema.type === 'number' && raw.trim() !== '' && !Number.isNaN(Number(raw))) {
+    return Number(raw);
+  }
+  if (schema.type === 'boolean' && (raw === 'true' || raw === 'false')) {
+    return raw === 'true';
+  }
+  return raw;
+}
+
+// Create singleton instance
+const requestValidator = new RequestValidator();
+
+module.exports = {
+  RequestValidationError,
+  RequestValidator,
+  validateRequest: (event, operationId) => requestValidator.validateRequest(event, operationId),
+  validateResponse: (operationId, statusCode, body) => requestValidator.validateResponse(operationId, statusCode, body),
+  requestValidator
+};
@@ -0,0 +1,59 @@
+const { getTeamStandupHistory } = require('./storageService');
+const { generateSprintRetrospective } = require('./aiService');
+const { latestPerDay } = require('./standupPolicy');
+const { logger } = require('./logger');
+
+/**
+ * Sprint Retrospective
+ * Reads every standup a team posted over a sprint and writes the AI retrospective draft of them,
+ * for the team to edit in its retro. The standup worker runs it for drafts queued by
+ * POST /teams/{teamId}/retrospectives; each request stores a new draft, so request one again to
+ * pick up later standups.
+ */
+
+/**
+ * The standups a retrospective of the local days startDate to endDate (YYYY-MM-DD) is written
+ * from: the latest each lead and member posted each day, oldest first and in roster order on a tie
+ */
+async function getRetrospectiveStandups(team, startDate, endDate) {
+  const members = team.members.filter(member => member.role !== 'viewer').map(member => member.name);
+
+  return latestPerDay(await getTeamStandupHistory(members, startDate, endDate))
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp) || members.indexOf(a.teamMemberName) - members.indexOf(b.teamMemberName));
+}
+
+/**
+ * Draft a team's retrospective for the local days startDate to endDate; sprint is the Jira sprint
+ * ({ id, name, state, goal }) the days were taken from, or null for a plain range. Resolves with
+ * the draft's generated fields.
+ */
+async function buildSprintRetrospective(team, { startDate, endDate, sprint = null }) {
+  const standups = await getRetrospectiveStandups(team, startDate, endDate);
+
+  // The request checked there were standups; they have all been deleted since
+  if (standups.length === 0) {
+    throw Object.assign(new Error(`No standups for team ${team.id} between ${startDate} and ${endDate}`), { code: 'NO_STANDUPS' });
+  }
+
+  logger.info(`Building ${team.id} retrospective for ${startDate} to ${endDate}: ${standups.length} standups`);
+
+  const { promptTemplate, ...sections } = await generateSprintRetrospective({
+    team,
+    startDate,
+    endDate,
+    sprint,
+    standups
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    standupIds: standups.map(standup => standup.id),
+    ...sections,
+    promptTemplate
+  };
+}
+
+module.exports = {
+  getRetrospectiveStandups,
+  buildSprintRetrospective
+};
@@ -0,0 +1,137 @@
+/**
+ * Daily Standup Policy
+ * Decides what happens when a member submits more than one standup on the same day, and
+ * collapses same-day entries so analytics count each member-day once.
+ */
+
+const { standupDate } = require('./timezoneService');
+
+const DAILY_POLICIES = {
+  ALLOW_MULTIPLE: 'allow_multiple',
+  REJECT_DUPLICATES: 'reject_duplicates',
+  AMEND: 'amend'
+};
+
+// Text fields an amendment replaces on the day's record
+const AMENDABLE_FIELDS = ['yesterday', 'today', 'blockers'];
+
+/**
+ * Raised under reject_duplicates when the member already has a standup for the day
+ */
+class DuplicateStandupError extends Error {
+  constructor(existing) {
+    super(`${existing.teamMemberName} already submitted a standup on ${standupDate(existing)}`);
+    this.name = 'DuplicateStandupError';
+    this.existingStandupId = existing.id;
+  }
+}
+
+/**
+ * Policy configured by STANDUP_DAILY_POLICY (default allow_multiple)
+ */
+function getDailyPolicy() {
+  const policy = process.env.STANDUP_DAILY_POLICY || DAILY_POLICIES.ALLOW_MULTIPLE;
+
+  if (!Object.values(DAILY_POLICIES).includes(policy)) {
+    throw new Error(`Unknown STANDUP_DAILY_POLICY "${policy}"; expected one of ${Object.values(DAILY_POLICIES).join(', ')}`);
+  }
+
+  return policy;
+}
+
+/**
+ * Latest active standup among a member's records for one day, or null
+ */
+function findDayRecord(sameDayRecords, excludeId = null) {
+  const candidates = sameDayRecords
+    .filter(record => record.id !== excludeId && !record.deletedAt)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  return candidates.length > 0 ? candidates[candidates.length - 1] : null;
+}
+
+/**
+ * Apply the policy to a new record given the member's other standups for the same day.
+ * Returns the record to store: the new record itself, or under amend the day's record with
+ * the submission merged in. Throws DuplicateStandupError under reject_duplicates.
+ */
+function applyDailyPolicy(record, sameDayRecords, policy = getDailyPolicy()) {
+  const existing = findDayRecord(sameDayRecords, record.id);
+
+  if (!existing || policy === DAILY_POLICIES.ALLOW_MULTIPLE) {
+    return record;
+  }
+
+  if (policy === DAILY_POLICIES.REJECT_DUPLICATES) {
+    throw new DuplicateStandupError(existing);
+  }
+
+  return mergeAmendment(existing, record);
+}
+
+/**
+ * Merge a later submission into the day's record.
+ * Only the text fields and the amendment's updatedAt/editHistory change; everything else,
+ * including Jira/PR context and processing status, stays as stored, and the replaced text is
+ * kept in editHistory. The caller refreshes the context for the new text.
+ */
+function mergeAmendment(existing, amendment) {
+  const changes = {};
+  AMENDABLE_FIELDS.forEach(field => {
+    if (amendment[field] !== existing[field]) {
+      changes[field] = { from: existing[field], to: amendment[field] };
+    }
+  });
+
+  const merged = {
+    ...existing,
+    updatedAt: amendment.timestamp,
+    editHistory: [
+      ...(existing.editHistory || []),
+      {
+        action: 'amend',
+        editedAt: amendment.timestamp,
+        editedBy: amendment.teamMemberName,
+        reason: 'Later submission on the same day',
+        changes
+      }
+    ]
+  };
+  AMENDABLE_FIELDS.forEach(field => {
+    merged[field] = amendment[field];
+  });
+
+  return merged;
+}
+
+/**
+ * Keep only the latest standup per member per local day, preserving the input order.
+ * Analytics use this so several submissions on one day count as one standup.
+ */
+function latestPerDay(records) {
+  const latest = new Map();
+
+  records.forEach(record => {
+    if (!record || !record.timestamp) {
+      return;
+    }
+
+    const key = `${record.teamMemberName}|${standupDate(record)}`;
+    const current = latest.get(key);
+    if (!current || record.timestamp > current.timestamp) {
+      latest.set(key, record);
+    }
+  });
+
+  const kept = new Set(latest.values());
+  return records.filter(record => kept.has(record));
+}
+
+module.exports = {
+  DAILY_POLICIES,
+  DuplicateStandupError,
+  getDailyPolicy,
+  findDayRecord,
+  applyDailyPolicy,
+  latestPerDay
+};
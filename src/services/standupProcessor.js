@@ -0,0 +1,218 @@
+const { getTeamMemberTasks } = require('./jiraService');
+const { getPRStatus } = require('./bitbucketService');
+const { getPreviousUpdates } = require('./storageService');
+const { generateFollowUpQuestions } = require('./aiService');
+const { findPreviousStandupDay } = require('./timezoneService');
+const { logger } = require('./logger');
+
+/**
+ * Standup Processor
+ * Enriches a standup with the member's previous updates, Jira tasks, Bitbucket PRs and AI
+ * follow-up questions, and builds the response describing the result. POST /standup runs it
+ * inline; asynchronous submissions run it in the queue worker. The processing status below is
+ * shared with the team digests and retrospectives the worker generates.
+ */
+
+// Where an asynchronous submission's processing stands; inline standups have no status
+const PROCESSING_STATUSES = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Longest a status request waits for processing to finish, well inside API Gateway's 29 seconds
+const MAX_STATUS_WAIT_SECONDS = 20;
+const STATUS_POLL_INTERVAL_MS = 1000;
+
+// Queued or running in the worker; records processed inline have no processing status
+function isProcessing(record) {
+  return [PROCESSING_STATUSES.QUEUED, PROCESSING_STATUSES.PROCESSING].includes(record.processing?.status);
+}
+
+/**
+ * Long poll for a status request: re-read the record until processing finishes, it is deleted or
+ * the wait (in seconds, capped at MAX_STATUS_WAIT_SECONDS) is up, and return what was read last
+ */
+async function waitForProcessing(record, read, waitSeconds) {
+  const deadline = Date.now() + Math.min(waitSeconds || 0, MAX_STATUS_WAIT_SECONDS) * 1000;
+  let current = record;
+
+  while (current && !current.deletedAt && isProcessing(current) && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, Math.min(STATUS_POLL_INTERVAL_MS, deadline - Date.now())));
+    current = await read();
+  }
+
+  return current;
+}
+
+/**
+ * Status fields for a record's processing; a record without one was completed inline
+ */
+function describeProcessingStatus(processing = { status: PROCESSING_STATUSES.COMPLETED }) {
+  return {
+    status: processing.status,
+    queuedAt: processing.queuedAt || null,
+    startedAt: processing.startedAt || null,
+    completedAt: processing.completedAt || null,
+    attempts: processing.attempts || 0,
+    error: processing.error || null
+  };
+}
+
+/**
+ * Fields a stored standup has before enrichment; a queued standup is saved with these
+ */
+function unenrichedFields() {
+  return enrichedFields({ previousUpdates: [], tasks: [], prs: [], followUpQuestions: [], promptTemplate: null });
+}
+
+/**
+ * Gather the context for a standup and generate its follow-up questions.
+ * A Jira or Bitbucket failure leaves that source empty rather than failing the standup.
+ */
+async function enrichStandup(standupData) {
+  const { teamMemberName } = standupData;
+
+  // Earlier standups only; a queued standup is already stored and must not count as its own context
+  const previousUpdates = (await getPreviousUpdates(teamMemberName)).filter(update => update.id !== standupData.id);
+  logger.info(`Found ${previousUpdates.length} previous updates for ${teamMemberName}`);
+
+  // Get Jira tasks and Bitbucket PRs in parallel
+  const [jiraTasks, bitbucketPRs] = await Promise.allSettled([
+    getTeamMemberTasks(teamMemberName),
+    getPRStatus(teamMemberName)
+  ]);
+
+  const tasks = jiraTasks.status === 'fulfilled' ? jiraTasks.value : [];
+  const prs = bitbucketPRs.status === 'fulfilled' ? bitbucketPRs.value : [];
+
+  logger.info(`Retrieved ${tasks.length} Jira tasks and ${prs.length} PRs`);
+
+  // Generate AI-powered follow-up questions with the team's prompt template
+  const { questions: followUpQuestions, promptTemplate } = await generateFollowUpQuestions({
+    standupData,
+    previousUpdates,
+    tasks,
+    prs
+  });
+
+  return { previousUpdates, tasks, prs, followUpQuestions, promptTemplate };
+}
+
+/**
+ * Record fields holding the result of enrichStandup
+ */
+function enrichedFields({ previousUpdates, tasks, prs, followUpQuestions, promptTemplate }) {
+  return {
+    jiraTasks: tasks,
+    bitbucketPRs: prs,
+    followUpQuestions,
+    promptTemplate,
+    previousUpdatesCount: previousUpdates.length,
+    analysisMetadata: {
+      tasksAnalyzed: tasks.length,
+      prsAnalyzed: prs.length,
+      questionsGenerated: followUpQuestions.length,
+      contextFromPreviousUpdates: previousUpdates.length > 0
+    }
+  };
+}
+
+/**
+ * Response data for a processed standup: what the CLI, the extension and chat show after a submit
+ */
+function describeStandup(record, { amended, insights }) {
+  const { yesterday, today, blockers } = record;
+
+  return {
+    standupId: record.id,
+    teamMember: record.teamMemberName,
+    timestamp: record.timestamp,
+    amended,
+    summary: {
+      yesterday: yesterday.substring(0, 100) + (yesterday.length > 100 ? '...' : ''),
+      today: today.substring(0, 100) + (today.length > 100 ? '...' : ''),
+      blockers: blockers.substring(0, 100) + (blockers.length > 100 ? '...' : ''),
+      jiraTasksCount: record.jiraTasks.length,
+      openPRsCount: record.bitbucketPRs.filter(pr => pr.state === 'OPEN').length,
+      followUpQuestionsCount: record.followUpQuestions.length
+    },
+    followUpQuestions: record.followUpQuestions,
+    insights
+  };
+}
+
+// "None" and empty blockers do not count as blockers
+function hasBlocker(blockers) {
+  return Boolean(blockers && blockers.trim() && blockers.trim().toLowerCase() !== 'none');
+}
+
+/**
+ * Insights on a stored standup: recurring blockers, and open PRs piling up or drawing many comments
+ */
+function generateInsights(currentStandup, previousUpdates) {
+  const insights = [];
+
+  // Compare with the standup from the member's previous local day, not earlier ones the same day
+  const previousDay = findPreviousStandupDay(currentStandup, previousUpdates);
+  if (previousDay) {
+    const lastUpdate = previousDay.standup;
+    const since = previousDay.daysAgo === 1 ? "yesterday's standup" : `your standup on ${previousDay.date}`;
+
+    // Check for recurring blockers
+    if (hasBlocker(lastUpdate.blockers) && hasBlocker(currentStandup.blockers)) {
+      const currentBlockersLower = currentStandup.blockers.toLowerCase();
+      const lastBlockersLower = lastUpdate.blockers.toLowerCase();
+
+      if (currentBlockersLower.includes(lastBlockersLower.substring(0, 20)) ||
+          lastBlockersLower.includes(currentBlockersLower.substring(0, 20))) {
+        insights.push({
+          type: 'recurring_blocker',
+          message: `Similar blockers detected from ${since}. Consider escalating or seeking additional help.`,
+          priority: 'high'
+        });
+      }
+    }
+  }
+
+  // Analyze PR status
+  const openPRs = currentStandup.bitbucketPRs.filter(pr => pr.state === 'OPEN');
+  if (openPRs.length > 3) {
+    insights.push({
+      type: 'high_pr_count',
+      message: `You have ${openPRs.length} open PRs. Consider prioritizing reviews and merges.`,
+      priority: 'medium'
+    });
+  }
+
+  // Check for PRs with many comments (indicating potential issues)
+  const prsWithManyComments = openPRs.filter(pr => pr.comment_count && pr.comment_count > 10);
+  if (prsWithManyComments.length > 0) {
+    insights.push({
+      type: 'pr_review_issues',
+      message: `${prsWithManyComments.length} PR(s) have extensive review comments. These may need immediate attention.`,
+      priority: 'high',
+      details: prsWithManyComments.map(pr => ({
+        title: pr.title,
+        comments: pr.comment_count,
+        url: pr.links?.html?.href
+      }))
+    });
+  }
+
+  return insights;
+}
+
+module.exports = {
+  PROCESSING_STATUSES,
+  MAX_STATUS_WAIT_SECONDS,
+  isProcessing,
+  waitForProcessing,
+  describeProcessingStatus,
+  unenrichedFields,
+  enrichStandup,
+  enrichedFields,
+  describeStandup,
+  generateInsights
+};
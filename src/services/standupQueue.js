@@ -0,0 +1,68 @@
+const { createQueue } = require('./queue');
+const { telemetry } = require('./telemetry');
+const { getContext } = require('./logger');
+
+// Backend selected by QUEUE_BACKEND (sqs or memory), with every send timed
+const queue = telemetry.instrumentDriver(createQueue(), 'queue', ['sendMessage']);
+
+// Message types the standup worker handles
+const MESSAGE_TYPES = {
+  PROCESS_STANDUP: 'standup.process',
+  GENERATE_TEAM_DIGEST: 'team.digest',
+  GENERATE_RETROSPECTIVE: 'team.retrospective'
+};
+
+/**
+ * Queue a stored standup for enrichment by the standup worker
+ */
+async function enqueueStandupProcessing(standupId) {
+  return await sendMessage({ type: MESSAGE_TYPES.PROCESS_STANDUP, standupId });
+}
+
+/**
+ * Queue a pending team digest to be written by the standup worker; the worker skips it if a
+ * later request for the same day has replaced it
+ */
+async function enqueueTeamDigest(digest) {
+  return await sendMessage({ type: MESSAGE_TYPES.GENERATE_TEAM_DIGEST, teamId: digest.teamId, date: digest.date, digestId: digest.id });
+}
+
+/**
+ * Queue a pending retrospective draft to be written by the standup worker
+ */
+async function enqueueRetrospective(retrospective) {
+  return await sendMessage({ type: MESSAGE_TYPES.GENERATE_RETROSPECTIVE, teamId: retrospective.teamId, retrospectiveId: retrospective.id });
+}
+
+/**
+ * Send a message to the worker. It carries the sending request's ID so the worker's log entries
+ * can be matched to it.
+ */
+async function sendMessage(message) {
+  // The in-memory queue has no Lambda event source, so it delivers to the worker in this process
+  if (queue.name === 'memory' && !queue.consumer) {
+    const { processStandupQueue } = require('../workers/standupWorker');
+    queue.setConsumer(processStandupQueue);
+  }
+
+  const { requestId } = getContext();
+  return await queue.sendMessage({ ...message, requestId });
+}
+
+/**
+ * Wait until the in-memory queue has delivered everything sent so far; SQS delivers on its own
+ */
+async function drainQueue() {
+  if (queue.drain) {
+    await queue.drain();
+  }
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  enqueueStandupProcessing,
+  enqueueTeamDigest,
+  enqueueRetrospective,
+  drainQueue,
+  queue
+};
@@ -0,0 +1,14 @@
+/**
+ * Raised by a storage driver when a conditional write loses to a concurrent writer
+ */
+class WriteConflictError extends Error {
+  constructor(key) {
+    super(`Write conflict on ${key}: object changed since it was read`);
+    this.name = 'WriteConflictError';
+    this.key = key;
+  }
+}
+
+module.exports = {
+  WriteConflictError
+};
@@ -0,0 +1,65 @@
+const S3StorageDriver = require('./s3Driver');
+const LocalStorageDriver = require('./localDriver');
+const SqliteStorageDriver = require('./sqliteDriver');
+const { WriteConflictError } = require('./errors');
+
+/**
+ * Storage driver registry
+ * Object drivers expose getObject(key), getObjectWithVersion(key), putObject(key, data, { ifVersion }),
+ * deleteObject(key) and listObjects(prefix). Conditional puts throw WriteConflictError when the version is stale.
+ * Query drivers (supportsQueries = true) expose saveStandup(record, prepare), updateStandup(id, update), getPreviousUpdates,
+ * getStandupHistory and getTeamMetrics directly.
+ */
+const DRIVERS = {
+  s3: S3StorageDriver,
+  local: LocalStorageDriver,
+  sqlite: SqliteStorageDriver
+};
+
+// Driver methods that reach the backend; storageService traces each call to them
+const DRIVER_METHODS = [
+  'getObject',
+  'getObjectWithVersion',
+  'putObject',
+  'deleteObject',
+  'listObjects',
+  'saveStandup',
+  'getStandupById',
+  'updateStandup',
+  'getPreviousUpdates',
+  'getStandupHistory',
+  'getTeamMetrics',
+  'getDraft',
+  'saveDraft',
+  'deleteDraft',
+  'getTeamDigest',
+  'saveTeamDigest',
+  'updateTeamDigest',
+  'getRetrospective',
+  'saveRetrospective',
+  'claimIdempotencyKey',
+  'saveIdempotencyRecord',
+  'deleteIdempotencyRecord'
+];
+
+/**
+ * Create the storage driver selected by STORAGE_BACKEND (s3, local or sqlite)
+ */
+function createStorageDriver(backend = process.env.STORAGE_BACKEND || 's3', options = {}) {
+  const Driver = DRIVERS[backend];
+
+  if (!Driver) {
+    throw new Error(`Unknown storage backend: ${backend}. Supported backends: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+
+  return new Driver(options);
+}
+
+module.exports = {
+  DRIVER_METHODS,
+  createStorageDriver,
+  S3StorageDriver,
+  LocalStorageDriver,
+  SqliteStorageDriver,
+  WriteConflictError
+};
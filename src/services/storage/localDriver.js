@@ -0,0 +1,207 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { WriteConflictError } = require('./errors');
+const { logger } = require('../logger');
+
+const LOCK_SUFFIX = '.lock';
+const TEMP_SUFFIX = '.tmp';
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 10000;
+
+/**
+ * Local filesystem storage driver
+ * Mirrors the S3 key layout under a local directory so the service can run without a bucket
+ */
+class LocalStorageDriver {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.rootDir = path.resolve(options.rootDir || process.env.LOCAL_STORAGE_DIR || '.local-storage');
+  }
+
+  /**
+   * Resolve a storage key to a path inside the root directory
+   */
+  resolveKey(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    if (filePath !== this.rootDir && !filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Read an object as a UTF-8 string, or null if it does not exist
+   */
+  async getObject(key) {
+    const { data } = await this.getObjectWithVersion(key);
+    return data;
+  }
+
+  /**
+   * Read an object together with a content hash used as its version; both are null if it does not exist
+   */
+  async getObjectWithVersion(key) {
+    try {
+      const data = await fs.readFile(this.resolveKey(key), 'utf-8');
+      return { data, version: hashContent(data) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { data: null, version: null };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write an object, replacing any existing content.
+   * Pass options.ifVersion (a version from getObjectWithVersion, or null for "must not exist")
+   * for a conditional write that throws WriteConflictError when another writer got there first.
+   */
+  async putObject(key, data, options = {}) {
+    const filePath = this.resolveKey(key);
+    await fs.ensureDir(path.dirname(filePath));
+
+    if (options.ifVersion === undefined) {
+      await writeAtomically(filePath, data);
+      return;
+    }
+
+    // The lock makes the version check and the write a single step across processes
+    await this.withLock(filePath, async () => {
+      const { version } = await this.getObjectWithVersion(key);
+
+      if (version !== options.ifVersion) {
+        throw new WriteConflictError(key);
+      }
+
+      await writeAtomically(filePath, data);
+    });
+  }
+
+  /**
+   * Delete an object; deleting a missing object is not an error
+   */
+  async deleteObject(key) {
+    await fs.remove(this.resolveKey(key));
+  }
+
+  /**
+   * Run fn while holding an exclusive lock file next to filePath
+   */
+  async withLock(filePath, fn) {
+    const lockPath = filePath + LOCK_SUFFIX;
+    const startedAt = Date.now();
+
+    while (true) {
+      try {
+        const handle = await fs.open(lockPath, 'wx');
+        await fs.close(handle);
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+
+        await removeStaleLock(lockPath);
+
+        if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+          throw new Error(`Timed out waiting for lock on ${filePath}`);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 10 + Math.random() * 20));
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await fs.remove(lockPath);
+    }
+  }
+
+  /**
+   * List objects under a prefix as { Key, LastModified, Size } entries
+   */
+  async listObjects(prefix) {
+    try {
+      const files = await this.walk(this.rootDir);
+
+      return files
+        .map(filePath => ({
+          filePath,
+          Key: path.relative(this.rootDir, filePath).split(path.sep).join('/')
+        }))
+        .filter(entry => entry.Key.startsWith(prefix))
+        .filter(entry => !entry.Key.endsWith(LOCK_SUFFIX) && !entry.Key.endsWith(TEMP_SUFFIX))
+        .map(entry => {
+          const stats = fs.statSync(entry.filePath);
+          return {
+            Key: entry.Key,
+            LastModified: stats.mtime,
+            Size: stats.size
+          };
+        });
+    } catch (error) {
+      logger.error('Error listing objects from local storage', { error });
+      return [];
+    }
+  }
+
+  /**
+   * Recursively collect file paths below a directory
+   */
+  async walk(dir) {
+    if (!(await fs.pathExists(dir))) {
+      return [];
+    }
+
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...(await this.walk(entryPath)));
+      } else if (entry.isFile()) {
+        files.push(entryPath);
+      }
+    }
+
+    return files;
+  }
+}
+
+/**
+ * ETag-style version for local files
+ */
+function hashContent(data) {
+  return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+/**
+ * Write through a temp file and rename so readers never see a partial file
+ */
+async function writeAtomically(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}${TEMP_SUFFIX}`;
+  await fs.writeFile(tempPath, data, 'utf-8');
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Remove a lock left behind by a crashed writer
+ */
+async function removeStaleLock(lockPath) {
+  try {
+    const stats = await fs.stat(lockPath);
+    if (Date.now() - stats.mtimeMs > STALE_LOCK_MS) {
+      await fs.remove(lockPath);
+    }
+  } catch (error) {
+    // Lock was released between the failed open and the stat
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,127 @@
+const { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { WriteConflictError } = require('./errors');
+const { logger } = require('../logger');
+
+/**
+ * S3 storage driver
+ * Stores standup objects in an S3 bucket using the standups/{format}/{member}/ key layout
+ */
+class S3StorageDriver {
+  constructor(options = {}) {
+    this.name = 's3';
+    this.bucketName = options.bucketName || process.env.S3_BUCKET_NAME || 'standup-tracker-storage';
+    this.client = new S3Client({
+      region: options.region || process.env.S3_REGION || 'us-east-1'
+    });
+  }
+
+  /**
+   * Read an object as a UTF-8 string, or null if it does not exist
+   */
+  async getObject(key) {
+    const { data } = await this.getObjectWithVersion(key);
+    return data;
+  }
+
+  /**
+   * Read an object together with its ETag; both are null if it does not exist
+   */
+  async getObjectWithVersion(key) {
+    try {
+      const command = new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: key
+      });
+
+      const response = await this.client.send(command);
+      const chunks = [];
+
+      for await (const chunk of response.Body) {
+        chunks.push(chunk);
+      }
+
+      return {
+        data: Buffer.concat(chunks).toString('utf-8'),
+        version: response.ETag
+      };
+    } catch (error) {
+      if (error.name === 'NoSuchKey') {
+        return { data: null, version: null };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write an object, replacing any existing content.
+   * Pass options.ifVersion (an ETag, or null for "must not exist") for a conditional write
+   * that throws WriteConflictError when another writer got there first.
+   */
+  async putObject(key, data, options = {}) {
+    const params = {
+      Bucket: this.bucketName,
+      Key: key,
+      Body: data,
+      ContentType: key.endsWith('.json') ? 'application/json' : 'text/csv'
+    };
+
+    if (options.ifVersion !== undefined) {
+      if (options.ifVersion === null) {
+        params.IfNoneMatch = '*';
+      } else {
+        params.IfMatch = options.ifVersion;
+      }
+    }
+
+    try {
+      return await this.client.send(new PutObjectCommand(params));
+    } catch (error) {
+      const status = error.$metadata?.httpStatusCode;
+      if (error.name === 'PreconditionFailed' || error.name === 'ConditionalRequestConflict' || status === 412 || status === 409) {
+        throw new WriteConflictError(key);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an object; deleting a missing object is not an error
+   */
+  async deleteObject(key) {
+    const command = new DeleteObjectCommand({
+      Bucket: this.bucketName,
+      Key: key
+    });
+
+    return await this.client.send(command);
+  }
+
+  /**
+   * List objects under a prefix as { Key, LastModified, Size } entries, following pagination
+   */
+  async listObjects(prefix) {
+    try {
+      const objects = [];
+      let continuationToken;
+
+      do {
+        const command = new ListObjectsV2Command({
+          Bucket: this.bucketName,
+          Prefix: prefix,
+          ContinuationToken: continuationToken
+        });
+
+        const response = await this.client.send(command);
+        objects.push(...(response.Contents || []));
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return objects;
+    } catch (error) {
+      logger.error('Error listing objects from S3', { error });
+      return [];
+    }
+  }
+}
+
+module.exports = S3StorageDriver;
@@ -0,0 +1,617 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { standupDate } = require('../timezoneService');
+
+// Fields stored in dedicated columns or child tables; everything else goes to the extra JSON column
+const NORMALIZED_FIELDS = [
+  'id',
+  'teamMemberName',
+  'timestamp',
+  'yesterday',
+  'today',
+  'blockers',
+  'jiraTasks',
+  'bitbucketPRs',
+  'followUpQuestions'
+];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS standups (
+    id TEXT PRIMARY KEY,
+    team_member_name TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    standup_date TEXT NOT NULL,
+    yesterday TEXT,
+    today TEXT,
+    blockers TEXT,
+    has_blocker INTEGER NOT NULL DEFAULT 0,
+    extra TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_standups_member_timestamp ON standups (team_member_name, timestamp);
+  CREATE INDEX IF NOT EXISTS idx_standups_member_date ON standups (team_member_name, standup_date);
+  CREATE INDEX IF NOT EXISTS idx_standups_timestamp ON standups (timestamp);
+  CREATE INDEX IF NOT EXISTS idx_standups_blocker ON standups (has_blocker, timestamp);
+
+  CREATE TABLE IF NOT EXISTS jira_task_snapshots (
+    standup_id TEXT NOT NULL REFERENCES standups (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    task_key TEXT,
+    summary TEXT,
+    status_name TEXT,
+    status_category TEXT,
+    priority TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (standup_id, position)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_jira_task_snapshots_key ON jira_task_snapshots (task_key);
+
+  CREATE TABLE IF NOT EXISTS pr_snapshots (
+    standup_id TEXT NOT NULL REFERENCES standups (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    pr_id TEXT,
+    repository TEXT,
+    title TEXT,
+    state TEXT,
+    comment_count INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL,
+    PRIMARY KEY (standup_id, position)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_pr_snapshots_state ON pr_snapshots (state);
+
+  CREATE TABLE IF NOT EXISTS follow_up_questions (
+    standup_id TEXT NOT NULL REFERENCES standups (id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    question TEXT NOT NULL,
+    category TEXT,
+    target_type TEXT,
+    target_ref TEXT,
+    priority TEXT,
+    PRIMARY KEY (standup_id, position)
+  );
+
+  CREATE TABLE IF NOT EXISTS idempotency_keys (
+    idempotency_key TEXT PRIMARY KEY,
+    expires_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys (expires_at);
+
+  CREATE TABLE IF NOT EXISTS drafts (
+    team_member_name TEXT PRIMARY KEY,
+    updated_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS team_digests (
+    team_id TEXT NOT NULL,
+    digest_date TEXT NOT NULL,
+    generated_at TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (team_id, digest_date)
+  );
+
+  CREATE TABLE IF NOT EXISTS team_retrospectives (
+    id TEXT PRIMARY KEY,
+    team_id TEXT NOT NULL,
+    requested_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+`;
+
+/**
+ * SQLite storage driver
+ * Keeps standups, Jira task snapshots, PR snapshots and follow-up questions in normalized tables
+ * so history and metrics run as indexed queries instead of full object scans
+ */
+class SqliteStorageDriver {
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.supportsQueries = true;
+    this.dbPath = options.dbPath || process.env.SQLITE_DB_PATH || path.join('.local-storage', 'standups.db');
+
+    // Loaded lazily so S3 deployments do not need the native module
+    const Database = require('better-sqlite3');
+
+    if (this.dbPath !== ':memory:') {
+      fs.ensureDirSync(path.dirname(path.resolve(this.dbPath)));
+    }
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+    this.ensureColumn('standups', 'deleted_at', 'TEXT');
+    ['category', 'target_type', 'target_ref', 'priority'].forEach(column => this.ensureColumn('follow_up_questions', column, 'TEXT'));
+  }
+
+  /**
+   * Add a column to databases created before it existed
+   */
+  ensureColumn(table, column, definition) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+
+    if (!columns.some(existing => existing.name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
+  /**
+   * Insert or replace a standup record and its snapshots.
+   * Pass prepare(sameDayRecords) to decide what is stored from the member's other standups that
+   * day; the read and the write run in one write transaction, so a concurrent submission cannot
+   * slip in between them. Returns the stored record.
+   */
+  async saveStandup(record, prepare = null) {
+    const save = this.db.transaction(() => {
+      const date = standupDate(record);
+      const standup = prepare ? prepare(this.standupHistorySync(record.teamMemberName, date, date)) : record;
+
+      this.writeStandup(standup);
+      return standup;
+    });
+
+    return save.immediate();
+  }
+
+  /**
+   * Read a standup and store what update(record) returns, in one write transaction so a
+   * concurrent change cannot slip in between. update gets null for an unknown id and returns
+   * null to leave the row as it is.
+   */
+  async updateStandup(standupId, update) {
+    const modify = this.db.transaction(() => {
+      const row = this.db.prepare('SELECT * FROM standups WHERE id = ?').get(standupId);
+      const updated = update(row ? this.hydrate([row])[0] : null);
+
+      if (updated) {
+        this.writeStandup(updated);
+      }
+    });
+
+    modify.immediate();
+  }
+
+  /**
+   * Write a standup row and replace its snapshots; call inside a transaction
+   */
+  writeStandup(standup) {
+    const insertStandup = this.db.prepare(`
+      INSERT OR REPLACE INTO standups
+        (id, team_member_name, timestamp, standup_date, yesterday, today, blockers, has_blocker, deleted_at, extra)
+      VALUES
+        (@id, @teamMemberName, @timestamp, @standupDate, @yesterday, @today, @blockers, @hasBlocker, @deletedAt, @extra)
+    `);
+    const insertTask = this.db.prepare(`
+      INSERT INTO jira_task_snapshots (standup_id, position, task_key, summary, status_name, status_category, priority, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertPR = this.db.prepare(`
+      INSERT INTO pr_snapshots (standup_id, position, pr_id, repository, title, state, comment_count, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertQuestion = this.db.prepare(`
+      INSERT INTO follow_up_questions (standup_id, position, question, category, target_type, target_ref, priority)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    // Clear child rows so a replaced standup does not keep stale snapshots
+    this.deleteChildren(standup.id);
+
+    const extra = {};
+    Object.keys(standup)
+      .filter(key => !NORMALIZED_FIELDS.includes(key))
+      .forEach(key => { extra[key] = standup[key]; });
+
+    insertStandup.run({
+      id: standup.id,
+      teamMemberName: standup.teamMemberName,
+      timestamp: standup.timestamp,
+      standupDate: standupDate(standup),
+      yesterday: standup.yesterday,
+      today: standup.today,
+      blockers: standup.blockers,
+      hasBlocker: hasBlocker(standup.blockers) ? 1 : 0,
+      deletedAt: standup.deletedAt || null,
+      extra: JSON.stringify(extra)
+    });
+
+    (standup.jiraTasks || []).forEach((task, index) => {
+      insertTask.run(
+        standup.id,
+        index,
+        task.key || null,
+        task.summary || task.fields?.summary || null,
+        task.status?.name || task.fields?.status?.name || null,
+        task.status?.category || null,
+        task.priority?.name || null,
+        JSON.stringify(task)
+      );
+    });
+
+    (standup.bitbucketPRs || []).forEach((pr, index) => {
+      insertPR.run(
+        standup.id,
+        index,
+        pr.id !== undefined ? String(pr.id) : null,
+        pr.repository?.name || null,
+        pr.title || null,
+        pr.state || null,
+        pr.commentCount || pr.comment_count || 0,
+        JSON.stringify(pr)
+      );
+    });
+
+    (standup.followUpQuestions || []).forEach((question, index) => {
+      insertQuestion.run(
+        standup.id,
+        index,
+        question.question,
+        question.category,
+        question.target?.type || null,
+        question.target?.ref || null,
+        question.priority
+      );
+    });
+  }
+
+  /**
+   * A single standup by id, including deleted ones, or null
+   */
+  async getStandupById(standupId) {
+    const row = this.db.prepare('SELECT * FROM standups WHERE id = ?').get(standupId);
+    return row ? this.hydrate([row])[0] : null;
+  }
+
+  /**
+   * A member's unsubmitted draft, or null
+   */
+  async getDraft(teamMemberName) {
+    const row = this.db.prepare('SELECT data FROM drafts WHERE team_member_name = ?').get(teamMemberName);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Insert or replace a member's draft
+   */
+  async saveDraft(draft) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO drafts (team_member_name, updated_at, data) VALUES (?, ?, ?)
+    `).run(draft.teamMemberName, draft.updatedAt, JSON.stringify(draft));
+  }
+
+  /**
+   * Remove a member's draft; returns false if there was none
+   */
+  async deleteDraft(teamMemberName) {
+    const result = this.db.prepare('DELETE FROM drafts WHERE team_member_name = ?').run(teamMemberName);
+    return result.changes > 0;
+  }
+
+  /**
+   * A team's digest for a day, or null
+   */
+  async getTeamDigest(teamId, date) {
+    const row = this.db.prepare('SELECT data FROM team_digests WHERE team_id = ? AND digest_date = ?').get(teamId, date);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Insert or replace a team's digest for its day
+   */
+  async saveTeamDigest(digest) {
+    this.writeTeamDigest(digest);
+  }
+
+  /**
+   * Merge fields into a team's digest for its day if it still has digestId; resolves with the
+   * updated digest, or null when another digest replaced it
+   */
+  async updateTeamDigest(teamId, date, digestId, fields) {
+    const update = this.db.transaction(() => {
+      const row = this.db.prepare('SELECT data FROM team_digests WHERE team_id = ? AND digest_date = ?').get(teamId, date);
+      const digest = row ? JSON.parse(row.data) : null;
+
+      if (!digest || digest.id !== digestId) {
+        return null;
+      }
+
+      const updated = { ...digest, ...fields };
+      this.writeTeamDigest(updated);
+      return updated;
+    });
+
+    return update.immediate();
+  }
+
+  /**
+   * A team's retrospective by id, or null
+   */
+  async getRetrospective(teamId, retrospectiveId) {
+    const row = this.db.prepare('SELECT data FROM team_retrospectives WHERE id = ? AND team_id = ?').get(retrospectiveId, teamId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Insert or replace a team's retrospective
+   */
+  async saveRetrospective(retrospective) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO team_retrospectives (id, team_id, requested_at, data) VALUES (?, ?, ?, ?)
+    `).run(retrospective.id, retrospective.teamId, retrospective.processing.queuedAt, JSON.stringify(retrospective));
+  }
+
+  /**
+   * Write a team digest row; a digest still queued counts from when it was requested
+   */
+  writeTeamDigest(digest) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO team_digests (team_id, digest_date, generated_at, data) VALUES (?, ?, ?, ?)
+    `).run(digest.teamId, digest.date, digest.generatedAt || digest.processing.queuedAt, JSON.stringify(digest));
+  }
+
+  /**
+   * Atomically read an idempotency record and store the claim unless resolve() returns an outcome
+   */
+  async claimIdempotencyKey(claim, resolve) {
+    const claimKey = this.db.transaction(() => {
+      // Expired keys are dead weight; clear them while we hold the write lock
+      this.db.prepare('DELETE FROM idempotency_keys WHERE expires_at <= ?').run(claim.createdAt);
+
+      const row = this.db.prepare('SELECT data FROM idempotency_keys WHERE idempotency_key = ?').get(claim.key);
+      const outcome = resolve(row ? JSON.parse(row.data) : null);
+
+      if (outcome) {
+        return outcome;
+      }
+
+      this.saveIdempotencyRecordSync(claim);
+      return { status: 'claimed' };
+    });
+
+    return claimKey.immediate();
+  }
+
+  /**
+   * Insert or replace an idempotency record
+   */
+  async saveIdempotencyRecord(record) {
+    this.saveIdempotencyRecordSync(record);
+  }
+
+  saveIdempotencyRecordSync(record) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO idempotency_keys (idempotency_key, expires_at, data) VALUES (?, ?, ?)
+    `).run(record.key, record.expiresAt, JSON.stringify(record));
+  }
+
+  /**
+   * Remove an idempotency record
+   */
+  async deleteIdempotencyRecord(idempotencyKey) {
+    this.db.prepare('DELETE FROM idempotency_keys WHERE idempotency_key = ?').run(idempotencyKey);
+  }
+
+  /**
+   * Most recent standups for a member, newest first
+   */
+  async getPreviousUpdates(teamMemberName, limit = 10) {
+    const rows = this.db.prepare(`
+      SELECT * FROM standups
+      WHERE team_member_name = ? AND deleted_at IS NULL
+      ORDER BY timestamp DESC
+      LIMIT ?
+    `).all(teamMemberName, limit);
+
+    return this.hydrate(rows);
+  }
+
+  /**
+   * Standups for a member whose standup date falls in the inclusive range, newest first
+   */
+  async getStandupHistory(teamMemberName, startDate, endDate) {
+    return this.standupHistorySync(teamMemberName, startDate, endDate);
+  }
+
+  /**
+   * getStandupHistory for use inside a transaction
+   */
+  standupHistorySync(teamMemberName, startDate, endDate) {
+    const { clause, params } = buildRangeClause('standup_date', startDate, endDate);
+
+    const rows = this.db.prepare(`
+      SELECT * FROM standups
+      WHERE team_member_name = ? AND deleted_at IS NULL${clause}
+      ORDER BY timestamp DESC
+    `).all(teamMemberName, ...params);
+
+    return this.hydrate(rows);
+  }
+
+  /**
+   * Aggregate team metrics with SQL instead of loading every record
+   */
+  async getTeamMetrics(startDate, endDate, members = null) {
+    const range = buildRangeClause('s.standup_date', startDate, endDate);
+    const memberFilter = buildMemberClause('s.team_member_name', members);
+    const clause = range.clause + memberFilter.clause;
+    const params = [...range.params, ...memberFilter.params];
+    const where = `WHERE s.deleted_at IS NULL${clause}`;
+
+    const totals = this.db.prepare(`
+      SELECT
+        COUNT(*) AS totalStandups,
+        COUNT(DISTINCT s.team_member_name || '|' || s.standup_date) AS totalStandupDays
+      FROM standups s ${where}
+    `).get(...params);
+
+    const memberRows = this.db.prepare(`
+      SELECT
+        s.team_member_name AS member,
+        COUNT(*) AS standupCount,
+        COUNT(DISTINCT s.standup_date) AS standupDays,
+        COALESCE(SUM((SELECT COUNT(*) FROM jira_task_snapshots t WHERE t.standup_id = s.id)), 0) AS totalTasks,
+        COALESCE(SUM((SELECT COUNT(*) FROM pr_snapshots p WHERE p.standup_id = s.id)), 0) AS totalPRs
+      FROM standups s
+      ${where}
+      GROUP BY s.team_member_name
+    `).all(...params);
+
+    const blockerRows = this.db.prepare(`
+      SELECT s.team_member_name AS member, s.blockers AS blockers
+      FROM standups s
+      WHERE s.has_blocker = 1 AND s.deleted_at IS NULL${clause}
+      ORDER BY s.timestamp
+    `).all(...params);
+
+    const topBlockers = this.db.prepare(`
+      SELECT LOWER(SUBSTR(s.blockers, 1, 50)) AS blocker, COUNT(*) AS count
+      FROM standups s
+      WHERE s.has_blocker = 1 AND s.deleted_at IS NULL${clause}
+      GROUP BY LOWER(SUBSTR(s.blockers, 1, 50))
+      ORDER BY count DESC
+      LIMIT 5
+    `).all(...params);
+
+    const memberStats = {};
+    memberRows.forEach(row => {
+      memberStats[row.member] = {
+        standupCount: row.standupCount,
+        standupDays: row.standupDays,
+        totalTasks: row.totalTasks,
+        totalPRs: row.totalPRs,
+        blockers: []
+      };
+    });
+    blockerRows.forEach(row => {
+      if (memberStats[row.member]) {
+        memberStats[row.member].blockers.push(row.blockers);
+      }
+    });
+
+    const activeMembers = memberRows.length;
+    const totalTasks = memberRows.reduce((sum, row) => sum + row.totalTasks, 0);
+    const totalPRs = memberRows.reduce((sum, row) => sum + row.totalPRs, 0);
+
+    return {
+      totalStandups: totals.totalStandups,
+      totalStandupDays: totals.totalStandupDays,
+      activeMembers,
+      averageTasksPerMember: activeMembers > 0 ? Math.round(totalTasks / activeMembers * 100) / 100 : 0,
+      averagePRsPerMember: activeMembers > 0 ? Math.round(totalPRs / activeMembers * 100) / 100 : 0,
+      topBlockers,
+      memberStats
+    };
+  }
+
+  /**
+   * Rebuild full standup records from rows and their child tables
+   */
+  hydrate(rows) {
+    if (rows.length === 0) {
+      return [];
+    }
+
+    const ids = rows.map(row => row.id);
+    const placeholders = ids.map(() => '?').join(',');
+
+    const tasks = this.db.prepare(`
+      SELECT standup_id, data FROM jira_task_snapshots WHERE standup_id IN (${placeholders}) ORDER BY position
+    `).all(...ids);
+    const prs = this.db.prepare(`
+      SELECT standup_id, data FROM pr_snapshots WHERE standup_id IN (${placeholders}) ORDER BY position
+    `).all(...ids);
+    const questions = this.db.prepare(`
+      SELECT standup_id, question, category, target_type, target_ref, priority FROM follow_up_questions WHERE standup_id IN (${placeholders}) ORDER BY position
+    `).all(...ids);
+
+    return rows.map(row => ({
+      id: row.id,
+      teamMemberName: row.team_member_name,
+      timestamp: row.timestamp,
+      yesterday: row.yesterday,
+      today: row.today,
+      blockers: row.blockers,
+      jiraTasks: tasks.filter(task => task.standup_id === row.id).map(task => JSON.parse(task.data)),
+      bitbucketPRs: prs.filter(pr => pr.standup_id === row.id).map(pr => JSON.parse(pr.data)),
+      followUpQuestions: questions.filter(q => q.standup_id === row.id).map(toFollowUpQuestion),
+      ...(row.extra ? JSON.parse(row.extra) : {})
+    }));
+  }
+
+  /**
+   * Remove snapshot rows for a standup
+   */
+  deleteChildren(standupId) {
+    this.db.prepare('DELETE FROM jira_task_snapshots WHERE standup_id = ?').run(standupId);
+    this.db.prepare('DELETE FROM pr_snapshots WHERE standup_id = ?').run(standupId);
+    this.db.prepare('DELETE FROM follow_up_questions WHERE standup_id = ?').run(standupId);
+  }
+}
+
+/**
+ * Same blocker rule the object-store metrics use
+ */
+function hasBlocker(blockers) {
+  return Boolean(blockers) && blockers.toLowerCase() !== 'none';
+}
+
+/**
+ * Rebuild a follow-up question row; rows saved before questions had a category stay plain
+ * strings, which the schema upgrade converts
+ */
+function toFollowUpQuestion(row) {
+  if (row.category === null) {
+    return row.question;
+  }
+
+  return {
+    question: row.question,
+    category: row.category,
+    target: row.target_type ? { type: row.target_type, ref: row.target_ref } : null,
+    priority: row.priority
+  };
+}
+
+/**
+ * Build an inclusive range filter for a column
+ */
+function buildRangeClause(column, startDate, endDate) {
+  let clause = '';
+  const params = [];
+
+  if (startDate) {
+    clause += ` AND ${column} >= ?`;
+    params.push(startDate);
+  }
+
+  if (endDate) {
+    clause += ` AND ${column} <= ?`;
+    params.push(endDate);
+  }
+
+  return { clause, params };
+}
+
+/**
+ * Optional "column IN (...)" filter for a list of members
+ */
+function buildMemberClause(column, members) {
+  if (!members) {
+    return { clause: '', params: [] };
+  }
+
+  if (members.length === 0) {
+    return { clause: ' AND 0', params: [] };
+  }
+
+  return {
+    clause: ` AND ${column} IN (${members.map(() => '?').join(', ')})`,
+    params: [...members]
+  };
+}
+
+module.exports = SqliteStorageDriver;
@@ -1,124 +1,328 @@
-const { S3Client, GetObjectCommand, PutObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
 const fs = require('fs-extra');
 const path = require('path');
 const csvWriter = require('csv-writer');
 const csv = require('csv-parser');
+const { Readable } = require('stream');
+const { createStorageDriver, DRIVER_METHODS } = require('./storage');
+const { CURRENT_SCHEMA_VERSION, upgradeStandupRecord, assertValidStandupRecord } = require('../schemas/standupRecord');
+const { DAILY_POLICIES, getDailyPolicy, findDayRecord, applyDailyPolicy } = require('./standupPolicy');
+const { standupDate, shiftDate } = require('./timezoneService');
+const { logger } = require('./logger');
+const { telemetry } = require('./telemetry');
 
-const s3Client = new S3Client({
-  region: process.env.S3_REGION || 'us-east-1'
-});
+// Backend selected by STORAGE_BACKEND (s3, local or sqlite), with every call timed
+const storageDriver = telemetry.instrumentDriver(createStorageDriver(), 'storage', DRIVER_METHODS);
 
-const BUCKET_NAME = process.env.S3_BUCKET_NAME || 'standup-tracker-storage';
 const STORAGE_TYPE = process.env.STORAGE_TYPE || 'both'; // json, csv, or both
+const WRITE_RETRY_LIMIT = parseInt(process.env.STORAGE_WRITE_RETRIES) || 10;
+// The S3 lifecycle rule in serverless.yml expires idempotency records after 2 days, so a
+// longer TTL would only promise replays the bucket no longer holds
+const MAX_IDEMPOTENCY_TTL_HOURS = 48;
+const IDEMPOTENCY_TTL_MS = Math.min(parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24, MAX_IDEMPOTENCY_TTL_HOURS) * 60 * 60 * 1000;
+// An in-progress claim older than this belongs to a request that died (Lambda timeout is 30s)
+const IDEMPOTENCY_PENDING_MS = 2 * 60 * 1000;
 
 /**
- * Save standup data in the configured format(s)
+ * Object layout (dates are the member's local calendar day)
+ *   standups/json/{member}/{YYYY-MM-DD}.json  canonical day file, one entry per standup id
+ *   standups/csv/{member}/{YYYY-MM-DD}.csv    flattened CSV export of the same day
+ *   standups/index/{id}.json                  pointer from a standup id to its day file, with its status
+ *   standups/drafts/{member}.json             unsubmitted draft, at most one per member
+ *   standups/idempotency/{principal}/{key}.json  stored response for a caller's idempotency key
+ *   standups/digests/{teamId}/{YYYY-MM-DD}.json  a team's daily digest, regenerating replaces it
  */
-async function saveStandupData(standupRecord) {
-  console.log(`Saving standup data with storage type: ${STORAGE_TYPE}`);
+const DAY_FILE_PATTERN = /^\d{4}-\d{2}-\d{2}\.(json|csv)$/;
+// Standup id that is never issued, read by checkStorage()
+const HEALTH_CHECK_ID = 'health-check';
+
+/**
+ * Save standup data in the configured format(s).
+ * The daily policy decides whether a second standup on the same day is stored alongside the
+ * first, rejected with DuplicateStandupError, or merged into it; returns the stored record.
+ */
+async function saveStandupData(record) {
+  logger.info(`Saving standup data with storage type: ${STORAGE_TYPE} (backend: ${storageDriver.name})`);
   
-  const promises = [];
+  // Only current-shape records are written
+  let standupRecord = assertValidStandupRecord(upgradeStandupRecord(record));
+  
+  // Query drivers keep a single normalized copy and render CSV on read. The policy is applied
+  // inside the driver's write transaction, so concurrent submissions cannot both pass it.
+  if (storageDriver.supportsQueries) {
+    const storedRecord = await storageDriver.saveStandup(standupRecord, (sameDay) =>
+      assertValidStandupRecord(applyDailyPolicy(standupRecord, sameDay.map(upgradeStandupRecord))));
+    
+    logger.info('Standup data saved successfully');
+    return storedRecord;
+  }
   
+  // The JSON day file is the record of what was submitted that day, so the policy is applied
+  // inside its conditional write and the CSV follows whatever was stored there
   if (STORAGE_TYPE === 'json' || STORAGE_TYPE === 'both') {
-    promises.push(saveAsJSON(standupRecord));
+    standupRecord = await saveAsJSON(standupRecord);
+  } else if (getDailyPolicy() !== DAILY_POLICIES.ALLOW_MULTIPLE) {
+    logger.warn('STANDUP_DAILY_POLICY needs JSON day files; with STORAGE_TYPE=csv every submission is stored');
   }
   
   if (STORAGE_TYPE === 'csv' || STORAGE_TYPE === 'both') {
-    promises.push(saveAsCSV(standupRecord));
+    await saveAsCSV(standupRecord);
   }
   
-  await Promise.all(promises);
-  console.log('Standup data saved successfully');
+  logger.info('Standup data saved successfully');
+  return standupRecord;
 }
 
 /**
- * Save data as JSON format
+ * Save data as JSON format, returning the record as stored after the daily policy
  */
 async function saveAsJSON(standupRecord) {
   try {
-    const fileName = `standups/json/${standupRecord.teamMemberName}/${new Date().toISOString().split('T')[0]}.json`;
+    const fileName = `standups/json/${standupRecord.teamMemberName}/${standupDate(standupRecord)}.json`;
+    let storedRecord = standupRecord;
     
-    // Get existing data for the day
-    let dayData = [];
-    try {
-      const existingData = await getObjectFromS3(fileName);
+    // Append to the day file, retrying if a concurrent submission wrote it first
+    await updateObjectWithRetry(fileName, (existingData) => {
+      let dayData = [];
       if (existingData) {
         dayData = JSON.parse(existingData);
+      } else {
+        logger.info('Creating new JSON file for the day');
       }
-    } catch (error) {
-      // File doesn't exist, start with empty array
-      console.log('Creating new JSON file for the day');
-    }
-    
-    // Add new record
-    dayData.push(standupRecord);
-    
-    // Save to S3
-    await putObjectToS3(fileName, JSON.stringify(dayData, null, 2));
+      
+      const sameDay = currentRecords(dayData).filter(record => standupDate(record) === standupDate(standupRecord));
+      storedRecord = assertValidStandupRecord(applyDailyPolicy(standupRecord, sameDay));
+      
+      // Add new record, replacing any earlier copy with the same id
+      dayData = dayData.filter(record => record.id !== storedRecord.id);
+      dayData.push(storedRecord);
+      
+      return JSON.stringify(dayData, null, 2);
+    });
     
-    // Also save individual record with timestamp
-    const individualFileName = `standups/json/${standupRecord.teamMemberName}/${standupRecord.id}.json`;
-    await putObjectToS3(individualFileName, JSON.stringify(standupRecord, null, 2));
+    // Index the record so it can be found by id without scanning day files
+    await writeIndexEntry(storedRecord, fileName);
     
-    console.log(`JSON data saved: ${fileName}`);
+    logger.info(`JSON data saved: ${fileName}`);
+    return storedRecord;
     
   } catch (error) {
-    console.error('Error saving JSON data:', error);
+    if (error.name !== 'DuplicateStandupError') {
+      logger.error('Error saving JSON data', { error });
+    }
     throw error;
   }
 }
 
 /**
- * Save data as CSV format
+ * Save data as CSV format.
+ * The CSV day file is rebuilt from records rather than edited line by line, since quoted values
+ * can span several lines: from the JSON day file when there is one, otherwise from the parsed
+ * rows of the CSV itself.
  */
 async function saveAsCSV(standupRecord) {
   try {
-    const fileName = `standups/csv/${standupRecord.teamMemberName}/${new Date().toISOString().split('T')[0]}.csv`;
-    
-    // Flatten the record for CSV
-    const flatRecord = flattenStandupRecord(standupRecord);
-    
-    // Check if file exists to determine if we need headers
-    let existingData = '';
-    let needsHeader = true;
+    const date = standupDate(standupRecord);
     
-    try {
-      existingData = await getObjectFromS3(fileName);
-      needsHeader = !existingData || existingData.trim() === '';
-    } catch (error) {
-      // File doesn't exist, we'll need headers
-      needsHeader = true;
+    if (STORAGE_TYPE === 'both') {
+      await rebuildCSVDayFile(`standups/json/${standupRecord.teamMemberName}/${date}.json`);
+    } else {
+      const fileName = `standups/csv/${standupRecord.teamMemberName}/${date}.csv`;
+      
+      // Append to the day file, replacing the row of an amended record so it is not listed twice
+      await updateObjectWithRetry(fileName, async (existingData) => {
+        const rows = (await parseCSVRows(existingData || '')).filter(row => row.id !== standupRecord.id);
+        return renderCSVRows([...rows, flattenStandupRecord(standupRecord)]);
+      });
     }
     
-    // Create CSV content
-    let csvContent = existingData || '';
+    logger.info(`CSV data saved for ${standupRecord.teamMemberName} on ${date}`);
     
-    if (needsHeader) {
-      const headers = Object.keys(flatRecord).join(',');
-      csvContent = headers + '\n';
+  } catch (error) {
+    logger.error('Error saving CSV data', { error });
+    throw error;
+  }
+}
+
+/**
+ * Rewrite the CSV export of a JSON day file from its active records. The JSON is read inside
+ * the conditional write, so a writer that loses the race rebuilds from the newer day file.
+ */
+async function rebuildCSVDayFile(dayFileKey) {
+  const csvKey = dayFileKey.replace('standups/json/', 'standups/csv/').replace(/\.json$/, '.csv');
+  
+  await updateObjectWithRetry(csvKey, async () => {
+    const data = await storageDriver.getObject(dayFileKey);
+    return renderCSVDocument(currentRecords(data ? JSON.parse(data) : []));
+  });
+}
+
+/**
+ * Write the id -> day file pointer for a record. It also carries the owner, processing status
+ * and deletion time, so a status check is one small read.
+ */
+async function writeIndexEntry(standupRecord, dayFileKey) {
+  await storageDriver.putObject(indexObjectKey(standupRecord.id), JSON.stringify({
+    id: standupRecord.id,
+    teamMemberName: standupRecord.teamMemberName,
+    timestamp: standupRecord.timestamp,
+    dayFile: dayFileKey,
+    processing: standupRecord.processing || null,
+    deletedAt: standupRecord.deletedAt || null
+  }, null, 2));
+}
+
+// Whether an index entry no longer matches the status of its record
+function isIndexEntryStale(indexEntry, standupRecord) {
+  return JSON.stringify(indexEntry.processing) !== JSON.stringify(standupRecord.processing || null) ||
+    indexEntry.deletedAt !== (standupRecord.deletedAt || null);
+}
+
+/**
+ * Keep only canonical day files, skipping index entries and legacy per-id copies
+ */
+function filterDayFiles(objects) {
+  return objects.filter(obj => DAY_FILE_PATTERN.test(obj.Key.split('/').pop()));
+}
+
+/**
+ * Whether a record's local day falls inside an optional YYYY-MM-DD range
+ */
+function isWithinDateRange(record, startDate, endDate) {
+  const date = standupDate(record);
+  
+  if (startDate && date < startDate) return false;
+  if (endDate && date > endDate) return false;
+  
+  return true;
+}
+
+/**
+ * Drop repeated standups, keeping the last copy seen for each id
+ */
+function dedupeById(records) {
+  const byId = new Map();
+  const withoutId = [];
+  
+  records.forEach(record => {
+    if (record && record.id) {
+      byId.set(record.id, record);
+    } else {
+      withoutId.push(record);
     }
+  });
+  
+  return [...byId.values(), ...withoutId];
+}
+
+/**
+ * De-duplicated, current-shape records with soft-deleted standups removed
+ */
+function currentRecords(records) {
+  return dedupeById(records)
+    .map(upgradeStandupRecord)
+    .filter(record => !record.deletedAt);
+}
+
+/**
+ * Read-modify-write an object with optimistic concurrency; update may be async, and returns
+ * null to leave the object as it is. The write only succeeds if the object is unchanged since it
+ * was read; on conflict the update is re-applied to the fresh content after a short jittered backoff.
+ */
+async function updateObjectWithRetry(key, update) {
+  for (let attempt = 1; attempt <= WRITE_RETRY_LIMIT; attempt++) {
+    const { data, version } = await storageDriver.getObjectWithVersion(key);
     
-    const values = Object.values(flatRecord).map(value => {
-      // Escape commas and quotes in CSV
-      if (typeof value === 'string' && (value.includes(',') || value.includes('"') || value.includes('\n'))) {
-        return `"${value.replace(/"/g, '""')}"`;
+    try {
+      const updated = await update(data);
+      if (updated !== null) {
+        await storageDriver.putObject(key, updated, { ifVersion: version });
       }
-      return value;
-    }).join(',');
-    
-    csvContent += values + '\n';
-    
-    // Save to S3
-    await putObjectToS3(fileName, csvContent);
-    
-    console.log(`CSV data saved: ${fileName}`);
-    
-  } catch (error) {
-    console.error('Error saving CSV data:', error);
-    throw error;
+      return;
+    } catch (error) {
+      if (error.name !== 'WriteConflictError' || attempt === WRITE_RETRY_LIMIT) {
+        throw error;
+      }
+      
+      logger.warn(`Write conflict on ${key}, retrying (attempt ${attempt}/${WRITE_RETRY_LIMIT})`);
+      await new Promise(resolve => setTimeout(resolve, Math.random() * 25 * attempt));
+    }
   }
 }
 
+/**
+ * Render the values of a flattened record as a CSV row
+ */
+function toCSVRow(flatRecord) {
+  return Object.values(flatRecord).map(value => {
+    // Escape commas and quotes in CSV
+    if (typeof value === 'string' && (value.includes(',') || value.includes('"') || value.includes('\n'))) {
+      return `"${value.replace(/"/g, '""')}"`;
+    }
+    return value;
+  }).join(',');
+}
+
+/**
+ * Group records by the member-local day they were filed under and render each day as a CSV
+ * document, matching the stored CSV day files
+ */
+function renderCSVHistory(records) {
+  const days = {};
+
+  records.forEach(record => {
+    const date = standupDate(record);
+    if (!days[date]) {
+      days[date] = [];
+    }
+    days[date].push(record);
+  });
+
+  return Object.entries(days)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, dayRecords]) => ({
+      date,
+      data: renderCSVDocument(dayRecords)
+    }));
+}
+
+/**
+ * Render records as one CSV document with a header row, oldest first
+ */
+function renderCSVDocument(records) {
+  return renderCSVRows([...records]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .map(flattenStandupRecord));
+}
+
+/**
+ * Render flattened rows under a header of every column any of them has; rows with no Jira
+ * tasks, PRs or questions leave those columns empty
+ */
+function renderCSVRows(rows) {
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const lines = rows.map(row => toCSVRow(Object.fromEntries(headers.map(header => [header, row[header] ?? '']))));
+
+  return headers.join(',') + '\n' + lines.map(line => line + '\n').join('');
+}
+
+/**
+ * Parse a CSV document into row objects keyed by its header
+ */
+function parseCSVRows(data) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from([data])
+      .pipe(csv())
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
 /**
  * Flatten standup record for CSV format
  */
@@ -152,7 +356,7 @@ function flattenStandupRecord(record) {
   
   // Add follow-up questions
   if (record.followUpQuestions && record.followUpQuestions.length > 0) {
-    flattened.followUpQuestions = record.followUpQuestions.join(';');
+    flattened.followUpQuestions = record.followUpQuestions.map(question => question.question ?? question).join(';');
   }
   
   return flattened;
@@ -163,24 +367,28 @@ function flattenStandupRecord(record) {
  */
 async function getPreviousUpdates(teamMemberName, limit = 10) {
   try {
-    console.log(`Retrieving previous updates for ${teamMemberName}`);
+    logger.info(`Retrieving previous updates for ${teamMemberName}`);
+    
+    if (storageDriver.supportsQueries) {
+      return (await storageDriver.getPreviousUpdates(teamMemberName, limit)).map(upgradeStandupRecord);
+    }
     
     const prefix = `standups/json/${teamMemberName}/`;
-    const objects = await listObjectsFromS3(prefix);
+    const objects = filterDayFiles(await storageDriver.listObjects(prefix));
     
-    if (!objects || objects.length === 0) {
+    if (objects.length === 0) {
       return [];
     }
     
-    // Sort by last modified date (most recent first)
-    objects.sort((a, b) => new Date(b.LastModified) - new Date(a.LastModified));
+    // Day files are named by date, so key order is date order (most recent first)
+    objects.sort((a, b) => b.Key.localeCompare(a.Key));
     
     const updates = [];
     
     // Get the most recent files up to the limit
     for (let i = 0; i < Math.min(objects.length, limit); i++) {
       try {
-        const data = await getObjectFromS3(objects[i].Key);
+        const data = await storageDriver.getObject(objects[i].Key);
         if (data) {
           const parsed = JSON.parse(data);
           if (Array.isArray(parsed)) {
@@ -190,44 +398,53 @@ async function getPreviousUpdates(teamMemberName, limit = 10) {
           }
         }
       } catch (parseError) {
-        console.warn(`Error parsing file ${objects[i].Key}:`, parseError);
+        logger.warn(`Error parsing file ${objects[i].Key}`, { error: parseError });
       }
     }
     
     // Sort by timestamp (most recent first) and limit results
-    return updates
+    return currentRecords(updates)
       .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
       .slice(0, limit);
     
   } catch (error) {
-    console.error('Error retrieving previous updates:', error);
+    logger.error('Error retrieving previous updates', { error });
     return [];
   }
 }
 
 /**
- * Get standup history for a team member with date range
+ * Get standup history for a team member with date range. JSON history is newest first on every
+ * backend; CSV history is one document per day, oldest day first.
  */
 async function getStandupHistory(teamMemberName, startDate, endDate, format = 'json') {
   try {
-    console.log(`Retrieving standup history for ${teamMemberName} from ${startDate} to ${endDate}`);
+    logger.info(`Retrieving standup history for ${teamMemberName} from ${startDate} to ${endDate}`);
+    
+    if (storageDriver.supportsQueries) {
+      const records = (await storageDriver.getStandupHistory(teamMemberName, startDate, endDate)).map(upgradeStandupRecord);
+      return format === 'json' ? newestFirst(records) : renderCSVHistory(records);
+    }
     
     const prefix = `standups/${format}/${teamMemberName}/`;
-    const objects = await listObjectsFromS3(prefix);
+    const objects = filterDayFiles(await storageDriver.listObjects(prefix));
     
-    if (!objects || objects.length === 0) {
+    if (objects.length === 0) {
       return [];
     }
     
-    // Filter objects by date range if provided
+    // Filter objects by date range if provided. Day files written before partitioning by local
+    // day are named by UTC date, so JSON files one day either side are read and the records
+    // filtered by their own local day below.
+    const slack = format === 'json' ? 1 : 0;
     let filteredObjects = objects;
     if (startDate || endDate) {
       filteredObjects = objects.filter(obj => {
         const fileName = obj.Key.split('/').pop();
         const fileDate = fileName.replace(/\.(json|csv)$/, '');
         
-        if (startDate && fileDate < startDate) return false;
-        if (endDate && fileDate > endDate) return false;
+        if (startDate && fileDate < shiftDate(startDate, -slack)) return false;
+        if (endDate && fileDate > shiftDate(endDate, slack)) return false;
         
         return true;
       });
@@ -237,7 +454,7 @@ async function getStandupHistory(teamMemberName, startDate, endDate, format = 'j
     
     for (const obj of filteredObjects) {
       try {
-        const data = await getObjectFromS3(obj.Key);
+        const data = await storageDriver.getObject(obj.Key);
         if (data) {
           if (format === 'json') {
             const parsed = JSON.parse(data);
@@ -255,31 +472,57 @@ async function getStandupHistory(teamMemberName, startDate, endDate, format = 'j
           }
         }
       } catch (parseError) {
-        console.warn(`Error parsing file ${obj.Key}:`, parseError);
+        logger.warn(`Error parsing file ${obj.Key}`, { error: parseError });
       }
     }
     
-    return history;
+    if (format !== 'json') {
+      return history;
+    }
+    
+    // Day files are listed oldest first
+    return newestFirst(currentRecords(history).filter(record => isWithinDateRange(record, startDate, endDate)));
     
   } catch (error) {
-    console.error('Error retrieving standup history:', error);
+    logger.error('Error retrieving standup history', { error });
     return [];
   }
 }
 
+function newestFirst(records) {
+  return [...records].sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+/**
+ * Get standup history for a set of members (a team), newest first
+ */
+async function getTeamStandupHistory(members, startDate, endDate) {
+  const histories = await Promise.all(members.map(member => getStandupHistory(member, startDate, endDate, 'json')));
+  
+  return newestFirst(histories.flat());
+}
+
 /**
- * Get team statistics and metrics
+ * Get team statistics and metrics.
+ * Pass members to scope the metrics to one team; otherwise every member in storage counts.
  */
-async function getTeamMetrics(startDate, endDate) {
+async function getTeamMetrics(startDate, endDate, members = null) {
   try {
-    console.log('Calculating team metrics...');
+    logger.info(`Calculating team metrics${members ? ` for ${members.length} members` : ''}...`);
+    
+    if (storageDriver.supportsQueries) {
+      return await storageDriver.getTeamMetrics(startDate, endDate, members);
+    }
     
-    const prefix = 'standups/json/';
-    const objects = await listObjectsFromS3(prefix);
+    // A team only needs its members' prefixes listed, not the whole bucket
+    const prefixes = members ? members.map(member => `standups/json/${member}/`) : ['standups/json/'];
+    const listings = await Promise.all(prefixes.map(prefix => storageDriver.listObjects(prefix)));
+    const objects = filterDayFiles(listings.flat());
     
-    if (!objects || objects.length === 0) {
+    if (objects.length === 0) {
       return {
         totalStandups: 0,
+        totalStandupDays: 0,
         activeMembers: 0,
         averageTasksPerMember: 0,
         averagePRsPerMember: 0,
@@ -287,51 +530,61 @@ async function getTeamMetrics(startDate, endDate) {
       };
     }
     
-    const allStandups = [];
-    const memberStats = {};
-    const blockerFrequency = {};
+    const loadedStandups = [];
     
     for (const obj of objects) {
       try {
-        const data = await getObjectFromS3(obj.Key);
+        const data = await storageDriver.getObject(obj.Key);
         if (data) {
           const parsed = JSON.parse(data);
-          const standups = Array.isArray(parsed) ? parsed : [parsed];
-          
-          for (const standup of standups) {
-            // Filter by date range if provided
-            if (startDate && standup.timestamp < startDate) continue;
-            if (endDate && standup.timestamp > endDate) continue;
-            
-            allStandups.push(standup);
-            
-            // Track member stats
-            if (!memberStats[standup.teamMemberName]) {
-              memberStats[standup.teamMemberName] = {
-                standupCount: 0,
-                totalTasks: 0,
-                totalPRs: 0,
-                blockers: []
-              };
-            }
-            
-            const stats = memberStats[standup.teamMemberName];
-            stats.standupCount++;
-            stats.totalTasks += standup.jiraTasks ? standup.jiraTasks.length : 0;
-            stats.totalPRs += standup.bitbucketPRs ? standup.bitbucketPRs.length : 0;
-            
-            // Track blockers
-            if (standup.blockers && standup.blockers.toLowerCase() !== 'none') {
-              stats.blockers.push(standup.blockers);
-              
-              // Simple blocker frequency tracking
-              const blockerKey = standup.blockers.toLowerCase().substring(0, 50);
-              blockerFrequency[blockerKey] = (blockerFrequency[blockerKey] || 0) + 1;
-            }
-          }
+          loadedStandups.push(...(Array.isArray(parsed) ? parsed : [parsed]));
         }
       } catch (parseError) {
-        console.warn(`Error parsing file ${obj.Key}:`, parseError);
+        logger.warn(`Error parsing file ${obj.Key}`, { error: parseError });
+      }
+    }
+    
+    const allStandups = [];
+    const memberStats = {};
+    const blockerFrequency = {};
+    const standupDays = new Set();
+    
+    for (const standup of currentRecords(loadedStandups)) {
+      // Filter by date range if provided, using each member's local day
+      if (!isWithinDateRange(standup, startDate, endDate)) continue;
+      
+      allStandups.push(standup);
+      
+      // Track member stats
+      if (!memberStats[standup.teamMemberName]) {
+        memberStats[standup.teamMemberName] = {
+          standupCount: 0,
+          standupDays: 0,
+          totalTasks: 0,
+          totalPRs: 0,
+          blockers: []
+        };
+      }
+      
+      const stats = memberStats[standup.teamMemberName];
+      stats.standupCount++;
+      
+      // Several submissions on one day count as one standup day
+      const dayKey = `${standup.teamMemberName}|${standupDate(standup)}`;
+      if (!standupDays.has(dayKey)) {
+        standupDays.add(dayKey);
+        stats.standupDays++;
+      }
+      stats.totalTasks += standup.jiraTasks ? standup.jiraTasks.length : 0;
+      stats.totalPRs += standup.bitbucketPRs ? standup.bitbucketPRs.length : 0;
+      
+      // Track blockers
+      if (standup.blockers && standup.blockers.toLowerCase() !== 'none') {
+        stats.blockers.push(standup.blockers);
+        
+        // Simple blocker frequency tracking
+        const blockerKey = standup.blockers.toLowerCase().substring(0, 50);
+        blockerFrequency[blockerKey] = (blockerFrequency[blockerKey] || 0) + 1;
       }
     }
     
@@ -348,6 +601,7 @@ async function getTeamMetrics(startDate, endDate) {
     
     return {
       totalStandups: allStandups.length,
+      totalStandupDays: standupDays.size,
       activeMembers,
       averageTasksPerMember: activeMembers > 0 ? Math.round(totalTasks / activeMembers * 100) / 100 : 0,
       averagePRsPerMember: activeMembers > 0 ? Math.round(totalPRs / activeMembers * 100) / 100 : 0,
@@ -356,9 +610,10 @@ async function getTeamMetrics(startDate, endDate) {
     };
     
   } catch (error) {
-    console.error('Error calculating team metrics:', error);
+    logger.error('Error calculating team metrics', { error });
     return {
       totalStandups: 0,
+      totalStandupDays: 0,
       activeMembers: 0,
       averageTasksPerMember: 0,
       averagePRsPerMember: 0,
@@ -369,60 +624,664 @@ async function getTeamMetrics(startDate, endDate) {
 }
 
 /**
- * S3 Helper Functions
+ * A member's standup for a day (YYYY-MM-DD), or null if they have not submitted one
  */
-async function getObjectFromS3(key) {
+async function findDailyStandup(teamMemberName, date) {
+  const sameDay = await getStandupHistory(teamMemberName, date, date, 'json');
+  return findDayRecord(sameDay);
+}
+
+// Fields a submitted standup may be edited on
+const EDITABLE_FIELDS = ['yesterday', 'today', 'blockers'];
+
+/**
+ * Get a single standup by id, including soft-deleted ones, or null if it does not exist
+ */
+async function getStandupById(standupId) {
   try {
-    const command = new GetObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: key
+    if (storageDriver.supportsQueries) {
+      const record = await storageDriver.getStandupById(standupId);
+      return record ? upgradeStandupRecord(record) : null;
+    }
+    
+    const indexEntry = await findIndexEntry(standupId);
+    if (!indexEntry) {
+      return null;
+    }
+    
+    const data = await storageDriver.getObject(indexEntry.dayFile);
+    const dayData = data ? JSON.parse(data) : [];
+    const record = dayData.filter(entry => entry.id === standupId).pop();
+    
+    return record ? upgradeStandupRecord(record) : null;
+    
+  } catch (error) {
+    logger.error(`Error retrieving standup ${standupId}`, { error });
+    throw error;
+  }
+}
+
+/**
+ * Owner and processing status of a standup without reading its record:
+ * { id, teamMemberName, processing, deletedAt }, or null if it does not exist
+ */
+async function getStandupProcessing(standupId) {
+  const indexEntry = storageDriver.supportsQueries ? null : await findIndexEntry(standupId);
+  
+  // Query drivers read the row directly, as do entries indexed before they carried the status
+  const source = indexEntry && 'processing' in indexEntry ? indexEntry : await getStandupById(standupId);
+  
+  if (!source) {
+    return null;
+  }
+  
+  return {
+    id: source.id,
+    teamMemberName: source.teamMemberName,
+    processing: source.processing || null,
+    deletedAt: source.deletedAt || null
+  };
+}
+
+/**
+ * Edit the text of a submitted standup, recording the original values in its edit history.
+ * Returns the updated record, or null if the standup does not exist or was deleted.
+ */
+async function updateStandupData(standupId, changes, editedBy, reason = null) {
+  const updated = await modifyStandupRecord(standupId, (existing) => {
+    if (!existing || existing.deletedAt) {
+      return null;
+    }
+    
+    const fieldChanges = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (changes[field] !== undefined && changes[field] !== existing[field]) {
+        fieldChanges[field] = { from: existing[field], to: changes[field] };
+      }
     });
     
-    const response = await s3Client.send(command);
-    const chunks = [];
+    if (Object.keys(fieldChanges).length === 0) {
+      return existing;
+    }
     
-    for await (const chunk of response.Body) {
-      chunks.push(chunk);
+    const editedAt = new Date().toISOString();
+    return {
+      ...existing,
+      ...Object.fromEntries(Object.entries(fieldChanges).map(([field, change]) => [field, change.to])),
+      updatedAt: editedAt,
+      editHistory: [
+        ...(existing.editHistory || []),
+        { action: 'update', editedAt, editedBy, reason, changes: fieldChanges }
+      ]
+    };
+  });
+  
+  if (updated) {
+    logger.info(`Standup ${standupId} updated by ${editedBy}`);
+  }
+  
+  return updated;
+}
+
+/**
+ * Soft-delete a standup so it drops out of history and metrics but stays available for audits.
+ * Returns the deleted record, or null if the standup does not exist or was already deleted.
+ */
+async function deleteStandupData(standupId, deletedBy, reason = null) {
+  const deleted = await modifyStandupRecord(standupId, (existing) => {
+    if (!existing || existing.deletedAt) {
+      return null;
     }
     
-    return Buffer.concat(chunks).toString('utf-8');
-  } catch (error) {
-    if (error.name === 'NoSuchKey') {
+    const deletedAt = new Date().toISOString();
+    return {
+      ...existing,
+      updatedAt: deletedAt,
+      deletedAt,
+      deletedBy,
+      editHistory: [
+        ...(existing.editHistory || []),
+        {
+          action: 'delete',
+          editedAt: deletedAt,
+          editedBy: deletedBy,
+          reason,
+          changes: Object.fromEntries(EDITABLE_FIELDS.map(field => [field, { from: existing[field], to: null }]))
+        }
+      ]
+    };
+  });
+  
+  if (deleted) {
+    logger.info(`Standup ${standupId} deleted by ${deletedBy}`);
+  }
+  
+  return deleted;
+}
+
+/**
+ * Merge the results of background processing (Jira tasks, PRs, follow-up questions and the
+ * processing status) into the stored standup, leaving its text and edit history as they are.
+ * With revision (the standupRevision the results were computed for), they are only stored while
+ * the text is unchanged; otherwise the stored record comes back as it is, and its revision shows
+ * the edit. Returns null if the standup does not exist or was deleted.
+ */
+async function updateStandupEnrichment(standupId, fields, { revision = null } = {}) {
+  return await modifyStandupRecord(standupId, (existing) => {
+    if (!existing || existing.deletedAt) {
       return null;
     }
-    throw error;
+    
+    if (revision && standupRevision(existing) !== revision) {
+      return existing;
+    }
+    
+    return { ...existing, ...fields };
+  });
+}
+
+/**
+ * Which version of a standup's text a record holds; edits and amendments set updatedAt,
+ * enrichment leaves it alone
+ */
+function standupRevision(standup) {
+  return standup.updatedAt || standup.timestamp;
+}
+
+/**
+ * Change a stored standup in one conditional write, so a concurrent edit, delete or enrichment
+ * is never overwritten. modify(current) gets the stored record (null if there is none) and
+ * returns the record to store, current itself to leave it as it is, or null; it runs again on
+ * the fresh record after a write conflict, so it must not have side effects. Resolves with what
+ * modify returned last.
+ */
+async function modifyStandupRecord(standupId, modify) {
+  let result = null;
+  let changed = false;
+  
+  const apply = (stored) => {
+    const current = stored ? upgradeStandupRecord(stored) : null;
+    const next = modify(current);
+    changed = Boolean(next) && next !== current;
+    result = changed ? assertValidStandupRecord(upgradeStandupRecord(next)) : next;
+    return changed ? result : null;
+  };
+  
+  if (storageDriver.supportsQueries) {
+    await storageDriver.updateStandup(standupId, apply);
+    return result;
+  }
+  
+  const indexEntry = await findIndexEntry(standupId);
+  if (!indexEntry) {
+    return modify(null);
+  }
+  
+  await updateObjectWithRetry(indexEntry.dayFile, (existingData) => {
+    const dayRecords = existingData ? JSON.parse(existingData) : [];
+    const updated = apply(dayRecords.filter(entry => entry.id === standupId).pop() || null);
+    
+    return updated ? JSON.stringify(dayRecords.map(entry => entry.id === standupId ? updated : entry), null, 2) : null;
+  });
+  
+  if (!changed) {
+    return result;
+  }
+  
+  if (isIndexEntryStale(indexEntry, result)) {
+    await writeIndexEntry(result, indexEntry.dayFile);
   }
+  
+  // The CSV day file is derived from the JSON day file, so rebuild it from the active records
+  if (STORAGE_TYPE === 'csv' || STORAGE_TYPE === 'both') {
+    await rebuildCSVDayFile(indexEntry.dayFile);
+  }
+  
+  return result;
+}
+
+/**
+ * Read the index entry for a standup id, or null if there is none
+ */
+async function findIndexEntry(standupId) {
+  const data = await storageDriver.getObject(indexObjectKey(standupId));
+  return data ? JSON.parse(data) : null;
 }
 
-async function putObjectToS3(key, data) {
-  const command = new PutObjectCommand({
-    Bucket: BUCKET_NAME,
-    Key: key,
-    Body: data,
-    ContentType: key.endsWith('.json') ? 'application/json' : 'text/csv'
+/**
+ * Index entries are keyed by id alone, so a lookup is one read rather than a listing
+ */
+function indexObjectKey(standupId) {
+  return `standups/index/${standupId}.json`;
+}
+
+/**
+ * Get a member's unsubmitted draft, or null if there is none
+ */
+async function getDraft(teamMemberName) {
+  if (storageDriver.supportsQueries) {
+    return await storageDriver.getDraft(teamMemberName);
+  }
+  
+  const data = await storageDriver.getObject(draftKey(teamMemberName));
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Merge partial standup fields into a member's draft, creating it if needed
+ */
+async function saveDraft(teamMemberName, fields) {
+  const now = new Date().toISOString();
+  const buildDraft = (existing) => ({
+    teamMemberName,
+    createdAt: now,
+    ...(existing || {}),
+    ...fields,
+    updatedAt: now
   });
   
-  return await s3Client.send(command);
+  if (storageDriver.supportsQueries) {
+    const draft = buildDraft(await storageDriver.getDraft(teamMemberName));
+    await storageDriver.saveDraft(draft);
+    return draft;
+  }
+  
+  let draft;
+  await updateObjectWithRetry(draftKey(teamMemberName), (existingData) => {
+    draft = buildDraft(existingData ? JSON.parse(existingData) : null);
+    return JSON.stringify(draft, null, 2);
+  });
+  
+  logger.info(`Draft saved for ${teamMemberName}`);
+  return draft;
 }
 
-async function listObjectsFromS3(prefix) {
-  try {
-    const command = new ListObjectsV2Command({
-      Bucket: BUCKET_NAME,
-      Prefix: prefix
-    });
+/**
+ * Remove a member's draft; returns false if there was none
+ */
+async function deleteDraft(teamMemberName) {
+  if (storageDriver.supportsQueries) {
+    return await storageDriver.deleteDraft(teamMemberName);
+  }
+  
+  const key = draftKey(teamMemberName);
+  if (!(await storageDriver.getObject(key))) {
+    return false;
+  }
+  
+  await storageDriver.deleteObject(key);
+  return true;
+}
+
+function draftKey(teamMemberName) {
+  return `standups/drafts/${teamMemberName}.json`;
+}
+
+/**
+ * Get a team's digest for a day (YYYY-MM-DD), or null if none was generated
+ */
+async function getTeamDigest(teamId, date) {
+  if (storageDriver.supportsQueries) {
+    return await storageDriver.getTeamDigest(teamId, date);
+  }
+  
+  const data = await storageDriver.getObject(teamDigestKey(teamId, date));
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Store a team's digest, replacing any earlier one for the same day
+ */
+async function saveTeamDigest(digest) {
+  if (storageDriver.supportsQueries) {
+    await storageDriver.saveTeamDigest(digest);
+  } else {
+    await storageDriver.putObject(teamDigestKey(digest.teamId, digest.date), JSON.stringify(digest, null, 2));
+  }
+  
+  logger.info(`Digest saved for team ${digest.teamId} on ${digest.date}`);
+  return digest;
+}
+
+/**
+ * Store fields on a team's digest for a day, unless a later request has replaced it with a digest
+ * of another id. Resolves with the updated digest, or null when it was replaced.
+ */
+async function updateTeamDigest(teamId, date, digestId, fields) {
+  if (storageDriver.supportsQueries) {
+    return await storageDriver.updateTeamDigest(teamId, date, digestId, fields);
+  }
+  
+  let updated = null;
+  await updateObjectWithRetry(teamDigestKey(teamId, date), async (data) => {
+    // A missing digest, or one replaced by a newer request, is left as it is
+    const digest = data ? JSON.parse(data) : null;
+    updated = digest?.id === digestId ? { ...digest, ...fields } : null;
+    return updated && JSON.stringify(updated, null, 2);
+  });
+  
+  return updated;
+}
+
+function teamDigestKey(teamId, date) {
+  return `standups/digests/${teamId}/${date}.json`;
+}
+
+/**
+ * Get a team's retrospective draft by id, or null if there is none
+ */
+async function getRetrospective(teamId, retrospectiveId) {
+  if (storageDriver.supportsQueries) {
+    return await storageDriver.getRetrospective(teamId, retrospectiveId);
+  }
+  
+  const data = await storageDriver.getObject(retrospectiveKey(teamId, retrospectiveId));
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Store a team's retrospective draft, replacing any earlier copy of it
+ */
+async function saveRetrospective(retrospective) {
+  if (storageDriver.supportsQueries) {
+    await storageDriver.saveRetrospective(retrospective);
+  } else {
+    await storageDriver.putObject(retrospectiveKey(retrospective.teamId, retrospective.id), JSON.stringify(retrospective, null, 2));
+  }
+  
+  logger.info(`Retrospective ${retrospective.id} saved for team ${retrospective.teamId}`);
+  return retrospective;
+}
+
+/**
+ * Store fields on a team's retrospective draft; resolves with the updated draft, or null if there
+ * is none. Only the standup worker writes a draft once it is queued.
+ */
+async function updateRetrospective(teamId, retrospectiveId, fields) {
+  const retrospective = await getRetrospective(teamId, retrospectiveId);
+  
+  return retrospective ? await saveRetrospective({ ...retrospective, ...fields }) : null;
+}
+
+function retrospectiveKey(teamId, retrospectiveId) {
+  return `standups/retrospectives/${teamId}/${retrospectiveId}.json`;
+}
+
+/**
+ * Claim an idempotency key before processing a request.
+ * Resolves to { status } where status is:
+ *   'claimed'     the caller owns the key and must complete or release it
+ *   'completed'   the key was already processed; response holds the stored response
+ *   'in_progress' another request with the key is still running
+ *   'mismatch'    the key was used for a different request within the window
+ */
+async function claimIdempotencyKey(idempotencyKey, fingerprint) {
+  const now = Date.now();
+  const claim = {
+    key: idempotencyKey,
+    fingerprint,
+    status: 'in_progress',
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + IDEMPOTENCY_TTL_MS).toISOString()
+  };
+  
+  if (storageDriver.supportsQueries) {
+    return await storageDriver.claimIdempotencyKey(claim, existing => resolveIdempotencyClaim(existing, fingerprint, now));
+  }
+  
+  const key = idempotencyObjectKey(idempotencyKey);
+  
+  for (let attempt = 1; attempt <= WRITE_RETRY_LIMIT; attempt++) {
+    const { data, version } = await storageDriver.getObjectWithVersion(key);
+    const outcome = resolveIdempotencyClaim(data ? JSON.parse(data) : null, fingerprint, now);
     
-    const response = await s3Client.send(command);
-    return response.Contents || [];
-  } catch (error) {
-    console.error('Error listing objects from S3:', error);
-    return [];
+    if (outcome) {
+      return outcome;
+    }
+    
+    try {
+      await storageDriver.putObject(key, JSON.stringify(claim, null, 2), { ifVersion: version });
+      return { status: 'claimed' };
+    } catch (error) {
+      // Another request claimed or completed the key first; re-read to see which
+      if (error.name !== 'WriteConflictError') {
+        throw error;
+      }
+    }
+  }
+  
+  return { status: 'in_progress' };
+}
+
+/**
+ * Store the response for a claimed idempotency key so repeats can replay it
+ */
+async function completeIdempotencyKey(idempotencyKey, fingerprint, response) {
+  const now = Date.now();
+  const record = {
+    key: idempotencyKey,
+    fingerprint,
+    status: 'completed',
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + IDEMPOTENCY_TTL_MS).toISOString(),
+    response
+  };
+  
+  if (storageDriver.supportsQueries) {
+    await storageDriver.saveIdempotencyRecord(record);
+    return;
+  }
+  
+  await storageDriver.putObject(idempotencyObjectKey(idempotencyKey), JSON.stringify(record, null, 2));
+}
+
+/**
+ * Give up a claimed idempotency key after a failed request so a retry can run
+ */
+async function releaseIdempotencyKey(idempotencyKey) {
+  if (storageDriver.supportsQueries) {
+    await storageDriver.deleteIdempotencyRecord(idempotencyKey);
+    return;
+  }
+  
+  await storageDriver.deleteObject(idempotencyObjectKey(idempotencyKey));
+}
+
+/**
+ * Decide what an existing idempotency record means for a new request; null means the key is free
+ */
+function resolveIdempotencyClaim(existing, fingerprint, now) {
+  if (!existing || Date.parse(existing.expiresAt) <= now) {
+    return null;
+  }
+  
+  if (existing.fingerprint !== fingerprint) {
+    return { status: 'mismatch' };
+  }
+  
+  if (existing.status === 'completed') {
+    return { status: 'completed', response: existing.response };
+  }
+  
+  if (now - Date.parse(existing.createdAt) > IDEMPOTENCY_PENDING_MS) {
+    return null;
   }
+  
+  return { status: 'in_progress' };
+}
+
+function idempotencyObjectKey(idempotencyKey) {
+  return `standups/idempotency/${idempotencyKey}.json`;
+}
+
+/**
+ * Rewrite an object store into the canonical layout.
+ * Legacy per-id copies under standups/json/ are folded into their day file, duplicate ids
+ * inside day files are collapsed, records are upgraded to the current schema version,
+ * index entries are written and the legacy copies removed, as are index entries from when
+ * they were filed per member (standups/index/{member}/{id}.json).
+ */
+async function migrateStorageLayout({ dryRun = false } = {}) {
+  const summary = {
+    dryRun,
+    membersProcessed: 0,
+    dayFilesRewritten: 0,
+    duplicatesRemoved: 0,
+    legacyFilesRemoved: 0,
+    indexEntriesWritten: 0,
+    legacyIndexEntriesRemoved: 0
+  };
+  
+  if (storageDriver.supportsQueries) {
+    logger.info(`Storage backend ${storageDriver.name} keeps one row per standup, nothing to migrate`);
+    return summary;
+  }
+  
+  const objects = await storageDriver.listObjects('standups/json/');
+  const members = {};
+  
+  objects.forEach(obj => {
+    const parts = obj.Key.split('/');
+    if (parts.length !== 4) return;
+    
+    const member = parts[2];
+    if (!members[member]) {
+      members[member] = [];
+    }
+    members[member].push(obj.Key);
+  });
+  
+  for (const [member, keys] of Object.entries(members)) {
+    logger.info(`Migrating storage layout for ${member} (${keys.length} objects)`);
+    summary.membersProcessed++;
+    
+    const days = {};
+    const changedDays = new Set();
+    const legacyKeys = [];
+    const addToDay = (date, record) => {
+      if (!days[date]) {
+        days[date] = new Map();
+      }
+      days[date].set(record.id, record);
+    };
+    
+    // Day files first so their copy is the base for each id
+    const dayKeys = keys.filter(key => DAY_FILE_PATTERN.test(key.split('/').pop()));
+    for (const key of dayKeys) {
+      const date = key.split('/').pop().replace('.json', '');
+      const data = await storageDriver.getObject(key);
+      const records = data ? JSON.parse(data) : [];
+      
+      records.forEach(record => addToDay(date, upgradeStandupRecord(record)));
+      
+      // Persist records saved under an older schema version in the current shape
+      if (records.some(record => record.schemaVersion !== CURRENT_SCHEMA_VERSION)) {
+        changedDays.add(date);
+      }
+      
+      if (days[date] && days[date].size < records.length) {
+        summary.duplicatesRemoved += records.length - days[date].size;
+        changedDays.add(date);
+      }
+    }
+    
+    // Legacy per-id copies only contribute records missing from their day file
+    for (const key of keys.filter(key => !dayKeys.includes(key))) {
+      legacyKeys.push(key);
+      
+      const data = await storageDriver.getObject(key);
+      if (!data) continue;
+      
+      const record = upgradeStandupRecord(JSON.parse(data));
+      const date = standupDate(record);
+      if (!days[date] || !days[date].has(record.id)) {
+        addToDay(date, record);
+        changedDays.add(date);
+      }
+    }
+    
+    for (const [date, recordsById] of Object.entries(days)) {
+      const dayFileKey = `standups/json/${member}/${date}.json`;
+      const records = [...recordsById.values()]
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      
+      if (changedDays.has(date)) {
+        summary.dayFilesRewritten++;
+        if (!dryRun) {
+          await storageDriver.putObject(dayFileKey, JSON.stringify(records, null, 2));
+        }
+      }
+      
+      for (const record of records) {
+        summary.indexEntriesWritten++;
+        if (!dryRun) {
+          await writeIndexEntry(record, dayFileKey);
+        }
+      }
+    }
+    
+    for (const key of legacyKeys) {
+      summary.legacyFilesRemoved++;
+      if (!dryRun) {
+        await storageDriver.deleteObject(key);
+      }
+    }
+  }
+  
+  // Every record now has a standups/index/{id}.json entry, so the per-member ones can go
+  const legacyIndexKeys = (await storageDriver.listObjects('standups/index/'))
+    .map(obj => obj.Key)
+    .filter(key => key.split('/').length === 4);
+  for (const key of legacyIndexKeys) {
+    summary.legacyIndexEntriesRemoved++;
+    if (!dryRun) {
+      await storageDriver.deleteObject(key);
+    }
+  }
+  
+  logger.info('Storage layout migration complete', { summary });
+  return summary;
+}
+
+/**
+ * Look up an id that never exists, which proves the backend is reachable with the configured
+ * credentials without reading or writing any standup
+ */
+async function checkStorage() {
+  if (storageDriver.supportsQueries) {
+    await storageDriver.getStandupById(HEALTH_CHECK_ID);
+  } else {
+    await storageDriver.getObject(indexObjectKey(HEALTH_CHECK_ID));
+  }
+
+  return { backend: storageDriver.name };
 }
 
 module.exports = {
   saveStandupData,
   getPreviousUpdates,
   getStandupHistory,
-  getTeamMetrics
+  getTeamMetrics,
+  getTeamStandupHistory,
+  findDailyStandup,
+  getStandupById,
+  getStandupProcessing,
+  updateStandupData,
+  updateStandupEnrichment,
+  standupRevision,
+  deleteStandupData,
+  getDraft,
+  saveDraft,
+  deleteDraft,
+  getTeamDigest,
+  saveTeamDigest,
+  updateTeamDigest,
+  getRetrospective,
+  saveRetrospective,
+  updateRetrospective,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+  migrateStorageLayout,
+  checkStorage
 };
@@ -0,0 +1,60 @@
+const { getTeamMetrics, getTeamStandupHistory } = require('./storageService');
+const { generateTeamDigest } = require('./aiService');
+const { latestPerDay } = require('./standupPolicy');
+const { logger } = require('./logger');
+
+/**
+ * Team Digest
+ * Reads every standup a team posted on a day, with the day's team metrics, and writes the AI
+ * digest of them for the team's leads. The standup worker runs it for digests queued by
+ * POST /teams/{teamId}/digest. Viewers do not post standups, so only leads and members are
+ * expected to report.
+ */
+
+/**
+ * Write a team's digest for a day (YYYY-MM-DD); resolves with the digest's generated fields
+ */
+async function buildTeamDigest(team, date) {
+  const members = team.members.filter(member => member.role !== 'viewer').map(member => member.name);
+
+  const [metrics, history] = await Promise.all([
+    getTeamMetrics(date, date, members),
+    getTeamStandupHistory(members, date, date)
+  ]);
+
+  // The latest standup each member posted that day, in roster order
+  const standups = latestPerDay(history)
+    .sort((a, b) => members.indexOf(a.teamMemberName) - members.indexOf(b.teamMemberName));
+  const membersReported = standups.map(standup => standup.teamMemberName);
+  const membersMissing = members.filter(member => !membersReported.includes(member));
+
+  logger.info(`Building ${team.id} digest for ${date}: ${standups.length} standups, ${membersMissing.length} members missing`);
+
+  const { promptTemplate, ...sections } = await generateTeamDigest({
+    team,
+    date,
+    standups,
+    metrics,
+    missingMembers: membersMissing
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    standupIds: standups.map(standup => standup.id),
+    membersReported,
+    membersMissing,
+    metrics: {
+      totalStandups: metrics.totalStandups,
+      activeMembers: metrics.activeMembers,
+      averageTasksPerMember: metrics.averageTasksPerMember,
+      averagePRsPerMember: metrics.averagePRsPerMember,
+      topBlockers: metrics.topBlockers
+    },
+    ...sections,
+    promptTemplate
+  };
+}
+
+module.exports = {
+  buildTeamDigest
+};
@@ -0,0 +1,217 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Roles a member can hold within a team
+const TEAM_ROLES = ['lead', 'member', 'viewer'];
+
+/**
+ * Raised when the registry file is malformed (500) or a lookup names an unknown team (404)
+ */
+class TeamRegistryError extends Error {
+  constructor(message, statusCode = 500) {
+    super(message);
+    this.name = 'TeamRegistryError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Team Registry
+ * Loads teams, their members and roles, and each member's Jira and Bitbucket identifiers from
+ * the JSON file at TEAM_REGISTRY_PATH (default config/teams.json). Without a registry file
+ * every standup in storage is treated as one team, as before.
+ */
+class TeamRegistry {
+  constructor(options = {}) {
+    this.registryPath = options.registryPath || process.env.TEAM_REGISTRY_PATH || path.join('config', 'teams.json');
+    this.registry = null;
+  }
+
+  /**
+   * Parse and validate the registry file once, caching the result
+   */
+  load() {
+    if (this.registry) {
+      return this.registry;
+    }
+
+    const filePath = path.resolve(this.registryPath);
+
+    if (!fs.existsSync(filePath)) {
+      logger.warn(`No team registry at ${filePath}; metrics and history cover every member`);
+      this.registry = { configured: false, members: {}, teams: {} };
+      return this.registry;
+    }
+
+    this.registry = { configured: true, ...parseRegistry(fs.readJsonSync(filePath)) };
+    return this.registry;
+  }
+
+  /**
+   * Whether a registry file was found
+   */
+  isConfigured() {
+    return this.load().configured;
+  }
+
+  /**
+   * All teams with their members and roles
+   */
+  getTeams() {
+    return Object.values(this.load().teams);
+  }
+
+  /**
+   * A team by id, or null
+   */
+  getTeam(teamId) {
+    return this.load().teams[teamId] || null;
+  }
+
+  /**
+   * Member names of a team; throws TeamRegistryError for an unknown team
+   */
+  getTeamMembers(teamId) {
+    const team = this.getTeam(teamId);
+
+    if (!team) {
+      throw new TeamRegistryError(`Unknown team "${teamId}"`, 404);
+    }
+
+    return team.members.map(member => member.name);
+  }
+
+  /**
+   * A member's profile with the teams and roles they hold, or null if unregistered
+   */
+  getMember(teamMemberName) {
+    const profile = this.load().members[teamMemberName];
+
+    if (!profile) {
+      return null;
+    }
+
+    const teams = this.getTeams()
+      .map(team => {
+        const membership = team.members.find(member => member.name === teamMemberName);
+        return membership ? { teamId: team.id, teamName: team.name, role: membership.role } : null;
+      })
+      .filter(Boolean);
+
+    return { ...profile, teams };
+  }
+
+  /**
+   * Names of every registered member
+   */
+  getMemberNames() {
+    return Object.keys(this.load().members);
+  }
+
+  /**
+   * Ids of the teams a member belongs to
+   */
+  getMemberTeams(teamMemberName) {
+    const member = this.getMember(teamMemberName);
+    return member ? member.teams.map(team => team.teamId) : [];
+  }
+
+  /**
+   * Drop the cached registry so the next lookup re-reads the file
+   */
+  reload() {
+    this.registry = null;
+    return this.load();
+  }
+}
+
+/**
+ * Validate the registry document and normalize it into lookup maps
+ *
+ * {
+ *   "members": { "Jane Doe": { "email", "timezone", "jiraAccountId", "bitbucketUuid", "bitbucketUsername" } },
+ *   "teams": { "payments": { "name": "Payments Squad", "members": { "Jane Doe": "lead" },
+ *     "prompts": { "followUpQuestions": { "template": "follow-up-customer-impact", "version": 2, "variables": {} } } } }
+ * }
+ */
+function parseRegistry(document) {
+  const errors = [];
+  const members = {};
+  const teams = {};
+
+  if (!document || typeof document !== 'object') {
+    throw new TeamRegistryError('Team registry must be a JSON object');
+  }
+
+  Object.entries(document.members || {}).forEach(([name, profile]) => {
+    members[name] = {
+      name,
+      email: profile.email || null,
+      timezone: profile.timezone || null,
+      jiraAccountId: profile.jiraAccountId || null,
+      bitbucketUuid: normalizeBitbucketUuid(profile.bitbucketUuid),
+      bitbucketUsername: profile.bitbucketUsername || null
+    };
+  });
+
+  Object.entries(document.teams || {}).forEach(([teamId, team]) => {
+    const teamMembers = Object.entries(team.members || {}).map(([name, role]) => {
+      if (!TEAM_ROLES.includes(role)) {
+        errors.push(`${teamId}: ${name} has unknown role "${role}" (expected ${TEAM_ROLES.join(', ')})`);
+      }
+      if (!members[name]) {
+        errors.push(`${teamId}: ${name} is not listed under members`);
+      }
+      return { name, role };
+    });
+
+    Object.entries(team.prompts || {}).forEach(([purpose, settings]) => {
+      if (!settings || typeof settings.template !== 'string') {
+        errors.push(`${teamId}: prompts.${purpose} needs a template id`);
+      }
+    });
+
+    teams[teamId] = {
+      id: teamId,
+      name: team.name || teamId,
+      members: teamMembers,
+      prompts: team.prompts || {}
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new TeamRegistryError(`Invalid team registry: ${errors.join('; ')}`);
+  }
+
+  return { members, teams };
+}
+
+/**
+ * Bitbucket shows account UUIDs wrapped in braces; accept them with or without
+ */
+function normalizeBitbucketUuid(uuid) {
+  if (!uuid) {
+    return null;
+  }
+
+  const bare = String(uuid).trim().replace(/^\{|\}$/g, '');
+  return `{${bare}}`;
+}
+
+// Create singleton instance
+const teamRegistry = new TeamRegistry();
+
+module.exports = {
+  TEAM_ROLES,
+  TeamRegistry,
+  TeamRegistryError,
+  isRegistryConfigured: () => teamRegistry.isConfigured(),
+  getTeams: () => teamRegistry.getTeams(),
+  getTeam: (teamId) => teamRegistry.getTeam(teamId),
+  getTeamMembers: (teamId) => teamRegistry.getTeamMembers(teamId),
+  getMember: (teamMemberName) => teamRegistry.getMember(teamMemberName),
+  getMemberNames: () => teamRegistry.getMemberNames(),
+  getMemberTeams: (teamMemberName) => teamRegistry.getMemberTeams(teamMemberName),
+  teamRegistry
+};
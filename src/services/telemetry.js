@@ -0,0 +1,257 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { logger, getContext } = require('./logger');
+
+// CloudWatch keeps at most 100 values per metric in one EMF document
+const MAX_EMF_VALUES = 100;
+
+// Spans of the request being handled: finished calls and the ones still waiting on a dependency
+const requestSpans = new AsyncLocalStorage();
+
+/**
+ * Telemetry
+ * Times every call to an external dependency (Jira, Bitbucket, Bedrock, storage) as a span and
+ * writes it as a CloudWatch Embedded Metric Format (EMF) log line, which CloudWatch turns into
+ * the ExternalCallDuration, ExternalCalls and ExternalCallErrors metrics by Dependency and
+ * Operation without a collector or SDK. Spans made while handling a request are also summed
+ * per dependency for the request's completion log. METRICS_ENABLED=false stops the EMF lines.
+ */
+class Telemetry {
+  constructor(options = {}) {
+    this.namespace = options.namespace || process.env.METRICS_NAMESPACE || 'StandupTracker';
+    this.service = options.service || process.env.METRICS_SERVICE || 'standup-tracker';
+    this.enabled = String(options.enabled ?? process.env.METRICS_ENABLED ?? 'true') !== 'false';
+    // Outcome of the latest call to each dependency in this process, for /health
+    this.lastCalls = {};
+  }
+
+  /**
+   * Run fn as one request; spans recorded during it (and its async work) are kept for summarize()
+   */
+  runRequest(fn) {
+    return requestSpans.run({ startedAt: Date.now(), spans: [], inFlight: new Set() }, fn);
+  }
+
+  /**
+   * Time fn as a call to a dependency; the span records whether it threw
+   */
+  async trace(dependency, operation, fn) {
+    const span = this.startSpan(dependency, operation);
+
+    try {
+      const result = await fn();
+      span.end();
+      return result;
+    } catch (error) {
+      span.end(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a span by hand, for calls whose start and end are seen in different places (such as
+   * axios interceptors); end(error) finishes it once
+   */
+  startSpan(dependency, operation) {
+    const request = requestSpans.getStore();
+    const span = { dependency, operation, startedAt: Date.now() };
+    let ended = false;
+
+    request?.inFlight.add(span);
+
+    return {
+      end: (error = null) => {
+        if (ended) {
+          return;
+        }
+        ended = true;
+        request?.inFlight.delete(span);
+
+        const finished = {
+          dependency,
+          operation,
+          durationMs: Date.now() - span.startedAt,
+          outcome: error ? 'error' : 'ok',
+          ...(error ? { error: describeError(error) } : {})
+        };
+
+        request?.spans.push(finished);
+        this.lastCalls[dependency] = { ...finished, at: new Date().toISOString() };
+        this.recordCall(finished);
+      }
+    };
+  }
+
+  recordCall(span) {
+    logger.debug('External call', span);
+
+    this.putMetrics({
+      dimensionSets: [['Service', 'Dependency', 'Operation'], ['Service', 'Dependency']],
+      dimensions: { Dependency: span.dependency, Operation: span.operation },
+      metrics: {
+        ExternalCallDuration: { unit: 'Milliseconds', value: span.durationMs },
+        ExternalCalls: { unit: 'Count', value: 1 },
+        ExternalCallErrors: { unit: 'Count', value: span.outcome === 'error' ? 1 : 0 }
+      },
+      properties: { outcome: span.outcome, error: span.error }
+    });
+  }
+
+  /**
+   * Record a finished API request as the RequestDuration, Requests and ServerErrors metrics
+   */
+  recordRequest({ operationId, statusCode, durationMs }) {
+    this.putMetrics({
+      dimensionSets: [['Service', 'OperationId'], ['Service']],
+      dimensions: { OperationId: operationId },
+      metrics: {
+        RequestDuration: { unit: 'Milliseconds', value: durationMs },
+        Requests: { unit: 'Count', value: 1 },
+        ServerErrors: { unit: 'Count', value: statusCode >= 500 ? 1 : 0 }
+      },
+      properties: { statusCode }
+    });
+  }
+
+  /**
+   * Time spent in each dependency so far in the current request, with the calls still waiting
+   * on one; null outside a request
+   */
+  summarize() {
+    const request = requestSpans.getStore();
+
+    if (!request) {
+      return null;
+    }
+
+    const dependencies = {};
+    request.spans.forEach(span => {
+      const totals = dependencies[span.dependency] || (dependencies[span.dependency] = { calls: 0, errors: 0, durationMs: 0, slowestMs: 0 });
+      totals.calls += 1;
+      totals.errors += span.outcome === 'error' ? 1 : 0;
+      totals.durationMs += span.durationMs;
+      totals.slowestMs = Math.max(totals.slowestMs, span.durationMs);
+    });
+
+    const now = Date.now();
+    const inFlight = [...request.inFlight].map(span => ({
+      dependency: span.dependency,
+      operation: span.operation,
+      elapsedMs: now - span.startedAt
+    }));
+
+    return { elapsedMs: now - request.startedAt, dependencies, inFlight };
+  }
+
+  /**
+   * Latest call to a dependency made by this process, or null if there has been none
+   */
+  getLastCall(dependency) {
+    return this.lastCalls[dependency] || null;
+  }
+
+  /**
+   * Write one EMF document. Values may be numbers or arrays of numbers.
+   */
+  putMetrics({ dimensionSets, dimensions, metrics, properties = {} }) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const values = {};
+    Object.entries(metrics).forEach(([name, { value }]) => {
+      values[name] = Array.isArray(value) ? value.slice(0, MAX_EMF_VALUES) : value;
+    });
+
+    const { requestId } = getContext();
+    const document = {
+      _aws: {
+        Timestamp: Date.now(),
+        CloudWatchMetrics: [{
+          Namespace: this.namespace,
+          Dimensions: dimensionSets,
+          Metrics: Object.entries(metrics).map(([name, { unit }]) => ({ Name: name, Unit: unit }))
+        }]
+      },
+      Service: this.service,
+      ...dimensions,
+      ...values,
+      ...withoutUndefined(properties),
+      ...(requestId ? { requestId } : {})
+    };
+
+    console.log(JSON.stringify(document));
+  }
+
+  /**
+   * Add axios interceptors that trace every request a client makes. operationFor turns a
+   * request path into a low-cardinality operation name (ids and keys replaced by placeholders).
+   */
+  instrumentHttpClient(client, dependency, operationFor) {
+    client.interceptors.request.use(config => {
+      const operation = `${(config.method || 'get').toUpperCase()} ${operationFor(config.url || '')}`;
+      config.telemetrySpan = this.startSpan(dependency, operation);
+      return config;
+    });
+
+    client.interceptors.response.use(
+      response => {
+        response.config?.telemetrySpan?.end();
+        return response;
+      },
+      error => {
+        error.config?.telemetrySpan?.end(error);
+        return Promise.reject(error);
+      }
+    );
+
+    return client;
+  }
+
+  /**
+   * Wrap a storage driver so each of the named methods is traced, keyed by method name. Calls a
+   * driver makes to its own methods are not traced again.
+   */
+  instrumentDriver(driver, dependency, methods) {
+    const traced = new Map();
+
+    return new Proxy(driver, {
+      get: (target, property) => {
+        const value = target[property];
+
+        if (typeof value !== 'function' || !methods.includes(property)) {
+          return value;
+        }
+
+        if (!traced.has(property)) {
+          traced.set(property, (...args) => this.trace(dependency, property, () => value.apply(target, args)));
+        }
+        return traced.get(property);
+      }
+    });
+  }
+}
+
+/**
+ * Short reason for a failed call: the upstream HTTP status, a network error code (ECONNRESET,
+ * ECONNABORTED for a timeout) or the AWS SDK error name (ThrottlingException, ...)
+ */
+function describeError(error) {
+  if (error.response?.status) {
+    return `HTTP ${error.response.status}`;
+  }
+  return error.code || error.name || 'Error';
+}
+
+function withoutUndefined(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+// Create singleton instance
+const telemetry = new Telemetry();
+
+module.exports = {
+  Telemetry,
+  telemetry,
+  describeError,
+  trace: (dependency, operation, fn) => telemetry.trace(dependency, operation, fn)
+};
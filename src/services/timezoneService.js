@@ -0,0 +1,131 @@
+/**
+ * Timezone Service
+ * Resolves each team member's IANA timezone and converts timestamps to their local calendar
+ * day, which is what storage partitioning, history date filters and "yesterday" comparisons use.
+ */
+
+const { getMember } = require('./teamRegistry');
+const { logger } = require('./logger');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+let memberTimezones = null;
+
+/**
+ * Check that a string is an IANA timezone this runtime knows
+ */
+function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Member -> timezone map from MEMBER_TIMEZONES, e.g. {"Jane Doe": "Australia/Sydney"}
+ */
+function loadMemberTimezones() {
+  if (memberTimezones) {
+    return memberTimezones;
+  }
+
+  memberTimezones = {};
+
+  if (process.env.MEMBER_TIMEZONES) {
+    try {
+      Object.entries(JSON.parse(process.env.MEMBER_TIMEZONES)).forEach(([member, timeZone]) => {
+        if (isValidTimezone(timeZone)) {
+          memberTimezones[member] = timeZone;
+        } else {
+          logger.warn(`Ignoring invalid timezone "${timeZone}" for ${member}`);
+        }
+      });
+    } catch (error) {
+      logger.warn('MEMBER_TIMEZONES is not valid JSON, using the default timezone for everyone', { error: error.message });
+    }
+  }
+
+  return memberTimezones;
+}
+
+/**
+ * A member's timezone from the team registry, then MEMBER_TIMEZONES, then DEFAULT_TIMEZONE
+ */
+function getMemberTimezone(teamMemberName) {
+  const registered = getMember(teamMemberName)?.timezone;
+
+  if (registered) {
+    if (isValidTimezone(registered)) {
+      return registered;
+    }
+    logger.warn(`Ignoring invalid registry timezone "${registered}" for ${teamMemberName}`);
+  }
+
+  return loadMemberTimezones()[teamMemberName] || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Calendar day (YYYY-MM-DD) of a timestamp in the given timezone
+ */
+function localDate(timestamp, timeZone = DEFAULT_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(new Date(timestamp));
+
+  const part = (type) => parts.find(entry => entry.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+/**
+ * Add a number of days to a YYYY-MM-DD date
+ */
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00.000Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().split('T')[0];
+}
+
+/**
+ * The member-local day a standup belongs to.
+ * Records store the day they were filed under; older records fall back to the member's
+ * current timezone.
+ */
+function standupDate(record) {
+  return record.standupDate || localDate(record.timestamp, getMemberTimezone(record.teamMemberName));
+}
+
+/**
+ * Most recent standup from a calendar day before the given one, with how many days back it was
+ */
+function findPreviousStandupDay(record, updates) {
+  const currentDate = standupDate(record);
+  const previous = updates
+    .filter(update => update && update.timestamp && standupDate(update) < currentDate)
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp))[0];
+
+  if (!previous) {
+    return null;
+  }
+
+  const daysAgo = Math.round((Date.parse(currentDate) - Date.parse(standupDate(previous))) / (24 * 60 * 60 * 1000));
+  return { standup: previous, date: standupDate(previous), daysAgo };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getMemberTimezone,
+  localDate,
+  shiftDate,
+  standupDate,
+  findPreviousStandupDay
+};
@@ -0,0 +1,241 @@
+const {
+  getStandupById,
+  updateStandupEnrichment,
+  standupRevision,
+  getTeamDigest,
+  updateTeamDigest,
+  getRetrospective,
+  updateRetrospective
+} = require('../services/storageService');
+const { PROCESSING_STATUSES, isProcessing, enrichStandup, enrichedFields, generateInsights } = require('../services/standupProcessor');
+const { buildTeamDigest } = require('../services/teamDigestService');
+const { buildSprintRetrospective } = require('../services/retrospectiveService');
+const { getTeam } = require('../services/teamRegistry');
+const { MESSAGE_TYPES, enqueueStandupProcessing } = require('../services/standupQueue');
+const { logger, runWithContext } = require('../services/logger');
+const { telemetry, describeError } = require('../services/telemetry');
+
+/**
+ * Standup Worker
+ * Consumes the standup queue (SQS in AWS, the in-memory queue locally). Most messages name a
+ * standup that was stored as submitted; the worker adds its Jira tasks, PRs, follow-up questions
+ * and insights, and records progress in the standup's processing status, which
+ * GET /standup/{id}/status reports. Team digest and retrospective messages name a pending
+ * digest or draft, which the worker writes in the same way for their GET endpoints. Failed
+ * messages are returned as batchItemFailures so only they are retried.
+ */
+
+// Receives after which a failing standup is marked failed rather than retried; keep in line
+// with maxReceiveCount on the queue's redrive policy in serverless.yml
+const MAX_ATTEMPTS = parseInt(process.env.STANDUP_PROCESSING_ATTEMPTS) || 3;
+
+// What the worker does for each message type
+const PROCESSORS = {
+  [MESSAGE_TYPES.PROCESS_STANDUP]: (message, attempt) => processStandup(message.standupId, attempt),
+  [MESSAGE_TYPES.GENERATE_TEAM_DIGEST]: processTeamDigest,
+  [MESSAGE_TYPES.GENERATE_RETROSPECTIVE]: processRetrospective
+};
+
+exports.processStandupQueue = async (event) => {
+  const batchItemFailures = [];
+
+  for (const record of event.Records || []) {
+    try {
+      await processRecord(record);
+    } catch (error) {
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+    }
+  }
+
+  return { batchItemFailures };
+};
+
+/**
+ * Handle one queue record under the submitting request's ID; throws to have it redelivered
+ */
+async function processRecord(record) {
+  let message;
+  try {
+    message = JSON.parse(record.body);
+  } catch (error) {
+    // Redelivering cannot fix a malformed body
+    logger.error('Discarding unreadable queue message', { messageId: record.messageId });
+    return;
+  }
+
+  const attempt = Number(record.attributes?.ApproximateReceiveCount) || 1;
+  const context = { requestId: message.requestId || record.messageId, operationId: 'processStandupQueue', messageId: record.messageId, attempt };
+
+  await runWithContext(context, () => telemetry.runRequest(async () => {
+    const startedAt = Date.now();
+
+    const processor = PROCESSORS[message.type];
+    if (!processor) {
+      logger.warn('Discarding queue message of unknown type', { type: message.type });
+      return;
+    }
+
+    // What the message is about, e.g. { type, standupId }
+    const { requestId, ...subject } = message;
+
+    try {
+      await processor(message, attempt);
+      logger.info('Queue message processed', { ...subject, durationMs: Date.now() - startedAt, dependencies: telemetry.summarize().dependencies });
+    } catch (error) {
+      logger.error('Queue message failed', { ...subject, durationMs: Date.now() - startedAt, error });
+      throw error;
+    }
+  }));
+}
+
+/**
+ * Enrich a queued standup and store the result. Standups that were deleted or already
+ * processed (SQS may deliver a message more than once) are skipped, and a standup whose text
+ * changed while it was being enriched is queued again rather than given results for the old text.
+ */
+async function processStandup(standupId, attempt) {
+  const standup = await getStandupById(standupId);
+
+  if (!standup || standup.deletedAt) {
+    logger.warn(`Standup ${standupId} no longer exists; nothing to process`);
+    return;
+  }
+
+  if (!standup.processing || standup.processing.status === PROCESSING_STATUSES.COMPLETED) {
+    logger.info(`Standup ${standupId} is already processed`);
+    return;
+  }
+
+  const processing = {
+    queuedAt: standup.processing.queuedAt,
+    startedAt: new Date().toISOString(),
+    attempts: attempt
+  };
+  await updateStandupEnrichment(standupId, { processing: { ...processing, status: PROCESSING_STATUSES.PROCESSING } });
+
+  try {
+    const context = await enrichStandup(standup);
+    const fields = enrichedFields(context);
+    const insights = generateInsights({ ...standup, ...fields }, context.previousUpdates);
+
+    // Stored only if the text is still the one enriched; the revision is checked in the same write
+    const current = await updateStandupEnrichment(standupId, {
+      ...fields,
+      processing: { ...processing, status: PROCESSING_STATUSES.COMPLETED, completedAt: new Date().toISOString(), insights }
+    }, { revision: standupRevision(standup) });
+
+    if (!current) {
+      logger.warn(`Standup ${standupId} was deleted while it was processed`);
+      return;
+    }
+    if (standupRevision(current) !== standupRevision(standup)) {
+      logger.info(`Standup ${standupId} was edited while it was processed; queueing it again`);
+      await updateStandupEnrichment(standupId, { processing: { ...processing, status: PROCESSING_STATUSES.QUEUED } });
+      await enqueueStandupProcessing(standupId);
+    }
+  } catch (error) {
+    // Out of retries: report the failure through the status endpoint instead of leaving it queued
+    const failed = attempt >= MAX_ATTEMPTS;
+
+    await updateStandupEnrichment(standupId, {
+      processing: { ...processing, status: failed ? PROCESSING_STATUSES.FAILED : PROCESSING_STATUSES.QUEUED, error: describeError(error) }
+    });
+
+    if (!failed) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Write a queued team digest. A digest that a later request for the same day replaced, or that
+ * is no longer queued (SQS may deliver a message more than once), is skipped.
+ */
+async function processTeamDigest({ teamId, date, digestId }, attempt) {
+  const digest = await getTeamDigest(teamId, date);
+
+  if (!digest || digest.id !== digestId) {
+    logger.info(`Digest ${digestId} for team ${teamId} on ${date} was replaced; nothing to generate`);
+    return;
+  }
+
+  if (!isProcessing(digest)) {
+    logger.info(`Digest ${digestId} is already ${digest.processing?.status || PROCESSING_STATUSES.COMPLETED}`);
+    return;
+  }
+
+  await generateReport(digest, attempt, {
+    update: (fields) => updateTeamDigest(teamId, date, digestId, fields),
+    build: () => buildTeamDigest(findTeam(teamId), date)
+  });
+}
+
+/**
+ * Write a queued retrospective draft, unless it was already written (SQS may deliver a message
+ * more than once)
+ */
+async function processRetrospective({ teamId, retrospectiveId }, attempt) {
+  const retrospective = await getRetrospective(teamId, retrospectiveId);
+
+  if (!retrospective) {
+    logger.warn(`Retrospective ${retrospectiveId} no longer exists; nothing to generate`);
+    return;
+  }
+
+  if (!isProcessing(retrospective)) {
+    logger.info(`Retrospective ${retrospectiveId} is already ${retrospective.processing.status}`);
+    return;
+  }
+
+  const { startDate, endDate, sprint } = retrospective;
+
+  await generateReport(retrospective, attempt, {
+    update: (fields) => updateRetrospective(teamId, retrospectiveId, fields),
+    build: () => buildSprintRetrospective(findTeam(teamId), { startDate, endDate, sprint })
+  });
+}
+
+// A queued report's team, which may have been removed from the registry since
+function findTeam(teamId) {
+  const team = getTeam(teamId);
+
+  if (!team) {
+    throw Object.assign(new Error(`Team ${teamId} not found`), { code: 'TEAM_NOT_FOUND' });
+  }
+
+  return team;
+}
+
+/**
+ * Build a queued team report and store its fields on it, recording progress in its processing
+ * status as processStandup does. update(fields) resolves with null once the report has been
+ * replaced by a later request or removed, which then stops the work.
+ */
+async function generateReport(report, attempt, { update, build }) {
+  const processing = {
+    queuedAt: report.processing.queuedAt,
+    startedAt: new Date().toISOString(),
+    attempts: attempt
+  };
+
+  if (!await update({ processing: { ...processing, status: PROCESSING_STATUSES.PROCESSING } })) {
+    logger.info(`Report ${report.id} was replaced or removed before it was generated`);
+    return;
+  }
+
+  try {
+    const fields = await build();
+    await update({ ...fields, processing: { ...processing, status: PROCESSING_STATUSES.COMPLETED, completedAt: new Date().toISOString() } });
+  } catch (error) {
+    // Out of retries: report the failure through the status endpoint instead of leaving it queued
+    const failed = attempt >= MAX_ATTEMPTS;
+
+    await update({
+      processing: { ...processing, status: failed ? PROCESSING_STATUSES.FAILED : PROCESSING_STATUSES.QUEUED, error: describeError(error) }
+    });
+
+    if (!failed) {
+      throw error;
+    }
+  }
+}
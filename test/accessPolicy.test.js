@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const path = require('path');
+
+process.env.TEAM_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'teams.example.json');
+process.env.AUTH_SECRET = 'test-secret';
+
+const { authenticate, issueToken } = require('../src/services/authService');
+const { authorize, resolveTeamScope, redactBlockers } = require('../src/services/accessPolicy');
+
+const principalFor = (name, options) => authenticate({ headers: { authorization: `Bearer ${issueToken(name, options)}` } });
+
+describe('accessPolicy', () => {
+  // John leads payments; Jane is a member there and leads platform; Sam is a payments viewer
+  let john, jane, sam, admin;
+
+  beforeAll(() => {
+    john = principalFor('John Doe');
+    jane = principalFor('Jane Smith');
+    sam = principalFor('Sam Lee');
+    admin = principalFor('Ops Bot', { admin: true });
+  });
+
+  it('lets members act for themselves and leads see everyone on their team', () => {
+    expect(authorize(jane, 'standup.write', { teamMember: 'Jane Smith' })).toEqual({ redactBlockers: false });
+    expect(() => authorize(john, 'standup.write', { teamMember: 'Jane Smith' })).toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(authorize(admin, 'standup.write', { teamMember: 'John Doe' })).toEqual({ redactBlockers: false });
+
+    expect(authorize(john, 'member.productivity', { teamMember: 'Sam Lee' })).toEqual({ redactBlockers: false });
+    expect(authorize(jane, 'member.productivity', { teamMember: 'Jane Smith' })).toEqual({ redactBlockers: false });
+    expect(() => authorize(jane, 'member.productivity', { teamMember: 'John Doe' })).toThrow(expect.objectContaining({ statusCode: 403 }));
+
+    expect(authorize(john, 'team.blockers', { team: 'payments' })).toEqual({ redactBlockers: false });
+    expect(() => authorize(jane, 'team.blockers', { team: 'payments' })).toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(() => authorize(john, 'admin')).toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  it('gives viewers read-only summaries with blockers hidden', () => {
+    expect(authorize(sam, 'member.summary', { teamMember: 'John Doe' })).toEqual({ redactBlockers: true });
+    expect(authorize(sam, 'team.metrics', { team: 'payments' })).toEqual({ redactBlockers: true });
+    expect(authorize(sam, 'member.integrations', { teamMember: 'Jane Smith' })).toEqual({ redactBlockers: false });
+    expect(() => authorize(sam, 'member.history', { teamMember: 'John Doe' })).toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(() => authorize(sam, 'member.productivity', { teamMember: 'John Doe' })).toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(() => authorize(sam, 'standup.write', { teamMember: 'John Doe' })).toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  it('defaults team-wide requests to the one team the role covers', () => {
+    expect(resolveTeamScope(john, 'team.metrics')).toEqual({ team: 'payments', redactBlockers: false });
+    expect(resolveTeamScope(jane, 'team.metrics')).toEqual({ team: 'platform', redactBlockers: false });
+    expect(resolveTeamScope(sam, 'team.blockers')).toEqual({ team: 'payments', redactBlockers: true });
+    expect(resolveTeamScope(admin, 'team.metrics')).toEqual({ team: null, redactBlockers: false });
+
+    expect(() => resolveTeamScope(jane, 'team.roster')).toThrow('pass team as one of payments, platform');
+    expect(() => resolveTeamScope(sam, 'team.history')).toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  it('replaces blocker text with stable labels and drops derived questions', () => {
+    const redacted = redactBlockers({
+      recentUpdates: [
+        { today: 'Ship it', blockers: 'Waiting on the vendor contract', followUpQuestions: ['Who owns the contract?'] },
+        { today: 'Ship it again', blockers: 'waiting on the vendor contract ' },
+        { today: 'Done', blockers: 'None' }
+      ],
+      topBlockers: [{ blocker: 'Waiting on the vendor contract', count: 2 }]
+    });
+
+    const [first, second, third] = redacted.recentUpdates;
+    expect(first.blockers).toMatch(/^\[hidden blocker [0-9a-f]{8}\]$/);
+    expect(second.blockers).toBe(first.blockers);
+    expect(third.blockers).toBe('None');
+
+    // Hashing a guess without the server secret does not reproduce the label
+    const guess = crypto.createHash('sha256').update('waiting on the vendor contract').digest('hex').substring(0, 8);
+    expect(first.blockers).not.toContain(guess);
+    expect(first.followUpQuestions).toEqual([]);
+    expect(first.today).toBe('Ship it');
+    expect(redacted.topBlockers[0]).toEqual({ blocker: first.blockers, count: 2 });
+  });
+});
@@ -0,0 +1,168 @@
+const http = require('http');
+
+process.env.AI_PROVIDER = 'stub';
+
+const { getAiProvider, generateFollowUpQuestions, analyzeStandupPatterns } = require('../src/services/aiService');
+const { createAiProvider, OpenAiProvider } = require('../src/services/ai');
+const { telemetry } = require('../src/services/telemetry');
+
+const standupData = {
+  teamMemberName: 'John Doe',
+  yesterday: 'Finished the ledger export',
+  today: 'Reconcile refunds',
+  blockers: 'Waiting on finance sign-off',
+  timestamp: '2026-10-19T09:00:00.000Z'
+};
+
+function rejections() {
+  return console.warn.mock.calls
+    .map(([line]) => JSON.parse(line))
+    .filter(entry => entry.message === 'AI output rejected');
+}
+
+/**
+ * Local server speaking the chat completions API; resolves with it and the requests it received
+ */
+async function startChatServer(reply) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: reply } }] }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, baseURL: `http://127.0.0.1:${server.address().port}/v1` };
+}
+
+describe('AI providers', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs follow-up questions and pattern analysis through the stub', async () => {
+    const provider = getAiProvider();
+    expect(provider.name).toBe('stub');
+
+    const { questions, promptTemplate } = await generateFollowUpQuestions({ standupData, previousUpdates: [], tasks: [], prs: [] });
+    expect(questions.map(question => question.question)).toEqual([
+      'What would help you finish today\'s work sooner?',
+      'Is anyone else waiting on the work you finished yesterday?',
+      'Who could help unblock you if your blocker is still open tomorrow?'
+    ]);
+    expect(questions[2]).toEqual(expect.objectContaining({ category: 'blocker', target: null, priority: 'high' }));
+    expect(promptTemplate).toEqual({ id: 'follow-up-default', version: 2, teamId: null });
+
+    const analysis = await analyzeStandupPatterns('John Doe', standupData, []);
+    expect(analysis.recommendations).toEqual(['Keep blockers specific so they can be escalated']);
+
+    expect(provider.calls.map(call => call.purpose)).toEqual(['followUpQuestions', 'standupPatterns']);
+    expect(provider.calls[0]).toMatchObject({ maxTokens: 1000, temperature: 0.7, topP: 0.9 });
+    expect(provider.calls[0].prompt).toContain('Blockers: Waiting on finance sign-off');
+    expect(provider.calls[0].prompt).toContain('Reply with only a JSON object');
+    expect(telemetry.getLastCall('stub')).toMatchObject({ outcome: 'ok' });
+  });
+
+  it('falls back to rule-based questions when the provider fails', async () => {
+    const provider = getAiProvider();
+    jest.spyOn(provider, 'complete').mockRejectedValue(new Error('Model unavailable'));
+
+    const { questions, promptTemplate } = await generateFollowUpQuestions({ standupData, previousUpdates: [], tasks: [], prs: [] });
+    expect(questions[0]).toEqual({
+      question: 'What specific help do you need to resolve the blocker: "Waiting on finance sign-off..."?',
+      category: 'blocker',
+      target: { type: 'blocker', ref: 'Waiting on finance sign-off' },
+      priority: 'high'
+    });
+    expect(promptTemplate).toBeNull();
+
+    expect(await analyzeStandupPatterns('John Doe', standupData, [])).toBeNull();
+  });
+
+  it('asks the model to fix a reply that fails validation and logs the rejected one', async () => {
+    const provider = getAiProvider();
+    const valid = { question: 'Has finance confirmed a sign-off date for PAY-12?', category: 'task', target: { type: 'task', ref: 'PAY-12' }, priority: 'high' };
+    jest.replaceProperty(provider, 'responses', {
+      followUpQuestions: ['1. Who signs off for finance?', JSON.stringify({ questions: [valid] })]
+    });
+    provider.calls.length = 0;
+
+    const tasks = [{ key: 'PAY-12', summary: 'Refund reconciliation', status: { name: 'In Progress' } }];
+    const { questions, promptTemplate } = await generateFollowUpQuestions({ standupData, previousUpdates: [], tasks, prs: [] });
+
+    expect(questions).toEqual([valid]);
+    expect(promptTemplate).toMatchObject({ id: 'follow-up-default', version: 2 });
+    expect(provider.calls[0].prompt).toContain('1. PAY-12: Refund reconciliation - Status: In Progress');
+    expect(provider.calls[1].prompt).toContain('Your previous reply was:\n1. Who signs off for finance?');
+    expect(provider.calls[1].prompt).toContain('- reply is not valid JSON');
+
+    expect(rejections()).toEqual([expect.objectContaining({
+      provider: 'stub',
+      purpose: 'followUpQuestions',
+      attempt: 1,
+      output: '1. Who signs off for finance?'
+    })]);
+  });
+
+  it('falls back once every attempt is rejected, including questions about unknown tasks', async () => {
+    const provider = getAiProvider();
+    const invented = { question: 'Is PAY-99 still on track?', category: 'task', target: { type: 'task', ref: 'PAY-99' }, priority: 'medium' };
+    jest.replaceProperty(provider, 'responses', {
+      followUpQuestions: JSON.stringify({ questions: [invented] }),
+      standupPatterns: JSON.stringify({ trends: 'steady', concerns: [] })
+    });
+    provider.calls.length = 0;
+
+    const { questions, promptTemplate } = await generateFollowUpQuestions({ standupData, previousUpdates: [], tasks: [{ key: 'PAY-12' }], prs: [] });
+    expect(promptTemplate).toBeNull();
+    expect(questions[0].category).toBe('blocker');
+    expect(provider.calls).toHaveLength(2);
+
+    expect(await analyzeStandupPatterns('John Doe', standupData, [])).toBeNull();
+
+    expect(rejections().map(entry => [entry.purpose, entry.attempt, entry.errors])).toEqual([
+      ['followUpQuestions', 1, ['reply.questions[0].target.ref PAY-99 is not a Jira key from the context']],
+      ['followUpQuestions', 2, ['reply.questions[0].target.ref PAY-99 is not a Jira key from the context']],
+      ['standupPatterns', 1, expect.arrayContaining([expect.stringContaining('reply.trends')])],
+      ['standupPatterns', 2, expect.arrayContaining([expect.stringContaining('reply.trends')])]
+    ]);
+  });
+
+  it('calls an OpenAI-compatible chat completions endpoint', async () => {
+    const { server, requests, baseURL } = await startChatServer('1. Who signs off for finance?\n2. Is the refunds job scheduled?');
+
+    try {
+      const provider = createAiProvider('openai', { baseURL, model: 'llama3.1', apiKey: 'local-key' });
+      expect(provider).toBeInstanceOf(OpenAiProvider);
+
+      const reply = await provider.complete({ prompt: 'Ask about this standup', maxTokens: 200, temperature: 0.7, topP: 0.9, purpose: 'followUpQuestions' });
+      expect(reply).toBe('1. Who signs off for finance?\n2. Is the refunds job scheduled?');
+
+      expect(requests).toHaveLength(1);
+      expect(requests[0]).toMatchObject({
+        method: 'POST',
+        url: '/v1/chat/completions',
+        headers: { authorization: 'Bearer local-key' },
+        body: { model: 'llama3.1', messages: [{ role: 'user', content: 'Ask about this standup' }], max_tokens: 200, temperature: 0.7, top_p: 0.9 }
+      });
+      expect(telemetry.getLastCall('openai')).toMatchObject({ outcome: 'ok' });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('rejects unknown providers and an OpenAI provider without a model', async () => {
+    expect(() => createAiProvider('llama')).toThrow('Unknown AI provider: llama. Supported providers: bedrock, openai, stub');
+    await expect(createAiProvider('openai', { baseURL: 'http://127.0.0.1:1/v1' }).complete({ prompt: 'Hi' })).rejects.toThrow('OPENAI_MODEL is not set');
+  });
+});
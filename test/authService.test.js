@@ -0,0 +1,59 @@
+const path = require('path');
+
+process.env.TEAM_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'teams.example.json');
+process.env.AUTH_SECRET = 'test-secret';
+
+const {
+  AuthService,
+  authenticate,
+  issueToken
+} = require('../src/services/authService');
+const { processStandup } = require('../src/handlers/standupHandler');
+const { getTeamMetrics } = require('../src/handlers/dataHandler');
+
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+describe('authService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('verifies its own tokens and rejects tampered, foreign and expired ones', () => {
+    const token = issueToken('Jane Smith');
+    const principal = authenticate(bearer(token));
+
+    expect(principal.name).toBe('Jane Smith');
+    expect(principal.admin).toBe(false);
+    expect(principal.teams.map(team => team.teamId)).toEqual(['payments', 'platform']);
+
+    const [header, , signature] = token.split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ iss: 'standup-tracker', sub: 'John Doe', admin: true, exp: 9999999999 })).toString('base64url');
+    expect(() => authenticate(bearer(`${header}.${forgedPayload}.${signature}`))).toThrow('Invalid token signature');
+
+    const foreign = new AuthService({ secret: 'other-secret' }).issueToken('Jane Smith');
+    expect(() => authenticate(bearer(foreign))).toThrow('Invalid token signature');
+
+    const expired = issueToken('Jane Smith', { expiresInDays: -1 });
+    expect(() => authenticate(bearer(expired))).toThrow('Token has expired');
+
+    expect(() => authenticate({ headers: {} })).toThrow(expect.objectContaining({ statusCode: 401 }));
+  });
+
+  it('guards handlers before any work is done', async () => {
+    const standup = { teamMemberName: 'John Doe', yesterday: 'a', today: 'b', blockers: 'None' };
+
+    const unauthenticated = await processStandup({ body: JSON.stringify(standup) });
+    expect(unauthenticated.statusCode).toBe(401);
+
+    const impersonation = await processStandup({ ...bearer(issueToken('Jane Smith')), body: JSON.stringify(standup) });
+    expect(impersonation.statusCode).toBe(403);
+
+    const memberMetrics = await getTeamMetrics({ ...bearer(issueToken('Jane Smith')), queryStringParameters: { team: 'payments' } });
+    expect(memberMetrics.statusCode).toBe(403);
+  });
+});
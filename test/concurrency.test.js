@@ -0,0 +1,20 @@
+const { mapWithConcurrency } = require('../src/services/concurrency');
+
+describe('mapWithConcurrency', () => {
+  it('keeps the input order with at most limit calls in flight', async () => {
+    let inFlight = 0;
+    let peak = 0;
+
+    const results = await mapWithConcurrency([30, 10, 20, 0, 5], 2, async (delay, index) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      inFlight--;
+      return `${index}:${delay}`;
+    });
+
+    expect(results).toEqual(['0:30', '1:10', '2:20', '3:0', '4:5']);
+    expect(peak).toBe(2);
+    expect(await mapWithConcurrency([], 5, async () => 'unused')).toEqual([]);
+  });
+});
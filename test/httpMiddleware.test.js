@@ -0,0 +1,114 @@
+const path = require('path');
+
+process.env.TEAM_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'teams.example.json');
+process.env.AUTH_SECRET = 'test-secret';
+
+const { httpHandler, HttpError, respond } = require('../src/middleware/http');
+const { AuthError } = require('../src/services/authService');
+const { DuplicateStandupError } = require('../src/services/standupPolicy');
+const { TeamRegistryError } = require('../src/services/teamRegistry');
+
+const listTeams = (handler) => httpHandler({ operationId: 'listTeams', failureMessage: 'Failed to list teams' }, handler);
+const parse = (response) => JSON.parse(response.body);
+
+describe('httpHandler', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends data as JSON with CORS headers and a request ID', async () => {
+    const handler = listTeams(async () => ({ success: true, data: { teams: [] } }));
+
+    const fromGateway = await handler({ headers: {}, requestContext: { requestId: 'gw-123' } }, {});
+    expect(fromGateway.statusCode).toBe(200);
+    expect(fromGateway.headers).toMatchObject({
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'X-Request-Id': 'gw-123'
+    });
+    expect(parse(fromGateway)).toEqual({ success: true, data: { teams: [] } });
+
+    const fromCaller = await handler({ headers: { 'x-request-id': 'cli-42' }, requestContext: { requestId: 'gw-123' } }, {});
+    expect(fromCaller.headers['X-Request-Id']).toBe('cli-42');
+
+    const unsafe = await handler({ headers: { 'X-Request-Id': 'bad id\nforged' } }, { awsRequestId: 'lambda-7' });
+    expect(unsafe.headers['X-Request-Id']).toBe('lambda-7');
+
+    const replay = await listTeams(async () => respond(200, { success: true }, { 'Idempotent-Replayed': 'true' }))({ headers: {} }, {});
+    expect(replay.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  it('classifies thrown errors into status codes and stable error codes', async () => {
+    const cases = [
+      [new HttpError(404, 'Team x not found'), 404, 'NOT_FOUND', null],
+      [new HttpError(422, 'Key reused', { code: 'IDEMPOTENCY_KEY_REUSED' }), 422, 'IDEMPOTENCY_KEY_REUSED', null],
+      [new AuthError(401, 'Missing bearer token'), 401, 'UNAUTHORIZED', null],
+      [new AuthError(403, 'Not allowed'), 403, 'FORBIDDEN', null],
+      [new DuplicateStandupError({ id: 's-1', teamMemberName: 'John Doe', timestamp: '2024-01-15T09:00:00.000Z' }), 409, 'DUPLICATE_STANDUP', { existingStandupId: 's-1' }],
+      [new TeamRegistryError('Unknown team "x"', 404), 404, 'TEAM_NOT_FOUND', null]
+    ];
+
+    for (const [error, statusCode, code, details] of cases) {
+      const response = await listTeams(async () => { throw error; })({ headers: { 'X-Request-Id': 'req-1' } }, {});
+      expect(response.statusCode).toBe(statusCode);
+      expect(parse(response)).toMatchObject({ success: false, error: error.message, code, details, requestId: 'req-1' });
+    }
+
+    const invalid = await httpHandler({ operationId: 'searchIssues' }, async () => ({}))({ headers: {}, body: '{}' }, {});
+    expect(invalid.statusCode).toBe(400);
+    expect(parse(invalid)).toMatchObject({ code: 'VALIDATION_FAILED', details: { errors: ['body.jql is required'] } });
+  });
+
+  it('hides unexpected errors behind the handler failure message', async () => {
+    const failures = [
+      new Error('connect ECONNREFUSED 10.0.0.5:5432'),
+      new TeamRegistryError('Invalid team registry: teams.payments.members[0].role is invalid')
+    ];
+
+    for (const error of failures) {
+      const response = await listTeams(async () => { throw error; })({ headers: {} }, { awsRequestId: 'lambda-9' });
+      expect(response.statusCode).toBe(500);
+      expect(parse(response)).toMatchObject({ error: 'Failed to list teams', code: 'INTERNAL_ERROR', details: null, requestId: 'lambda-9' });
+      expect(response.body).not.toContain(error.message);
+    }
+    const logged = JSON.parse(console.error.mock.calls[0][0]);
+    expect(logged).toMatchObject({ level: 'error', message: 'Failed to list teams', requestId: 'lambda-9', operationId: 'listTeams' });
+    expect(logged.error).toMatchObject({ name: 'Error', message: failures[0].message });
+  });
+
+  it('logs each request without credentials or standup text', async () => {
+    const { logger } = require('../src/services/logger');
+    jest.replaceProperty(logger, 'level', 'debug');
+
+    const handler = httpHandler({ operationId: 'saveDraft' }, async () => ({ success: true }));
+    await handler({
+      httpMethod: 'PUT',
+      path: '/standup/draft/John%20Doe',
+      headers: { Authorization: 'Bearer abc.def.ghi' },
+      pathParameters: { teamMember: 'John Doe' },
+      body: JSON.stringify({ yesterday: 'Rewrote the ledger export' })
+    }, { awsRequestId: 'lambda-3' });
+
+    const lines = console.log.mock.calls.map(([line]) => line);
+    const entries = lines.map(line => JSON.parse(line)).filter(entry => !entry._aws);
+    expect(entries.map(entry => entry.message)).toEqual(['Request received', 'Request event', 'Request completed']);
+    lines.forEach(line => {
+      expect(JSON.parse(line).requestId).toBe('lambda-3');
+      expect(line).not.toContain('abc.def.ghi');
+      expect(line).not.toContain('ledger export');
+    });
+  });
+
+  it('passes the parsed body to the handler', async () => {
+    const handler = httpHandler({ operationId: 'searchIssues' }, async (event, context, { body, requestId }) => ({ body, requestId }));
+
+    const response = await handler({ headers: {}, body: '{"jql":"project = PAY","maxResults":5}' }, { awsRequestId: 'lambda-1' });
+    expect(parse(response)).toEqual({ body: { jql: 'project = PAY', maxResults: 5 }, requestId: 'lambda-1' });
+  });
+});
@@ -0,0 +1,102 @@
+const path = require('path');
+
+process.env.TEAM_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'teams.example.json');
+process.env.JIRA_BASE_URL = 'https://example.atlassian.net';
+process.env.JIRA_EMAIL = 'bot@example.com';
+process.env.JIRA_API_TOKEN = 'token';
+process.env.BITBUCKET_WORKSPACE = 'example';
+process.env.BITBUCKET_USERNAME = 'bot';
+process.env.BITBUCKET_APP_PASSWORD = 'password';
+
+const { getIdentity, isBitbucketUser } = require('../src/services/identityService');
+const { jiraService } = require('../src/services/jiraService');
+const { bitbucketService } = require('../src/services/bitbucketService');
+
+describe('identityService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jiraService.accountIdCache.clear();
+    bitbucketService.workspaceMembersCache = null;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('builds identity profiles from the registry and falls back to the name', () => {
+    expect(getIdentity('John Doe')).toMatchObject({
+      registered: true,
+      jiraAccountId: '5b10ac8d82e05b22cc7d4ef5',
+      bitbucketUuid: '{d301aafa-d676-4ee0-88be-962be7417567}'
+    });
+    expect(getIdentity('Someone Else')).toMatchObject({ registered: false, jiraAccountId: null, bitbucketUuid: null });
+
+    const john = getIdentity('John Doe');
+    expect(isBitbucketUser({ uuid: '{d301aafa-d676-4ee0-88be-962be7417567}', username: 'other' }, john)).toBe(true);
+    expect(isBitbucketUser({ uuid: '{other}', username: 'jdoe' }, john)).toBe(false);
+    expect(isBitbucketUser({ nickname: 'jsmith' }, getIdentity('Jane Smith'))).toBe(true);
+  });
+
+  it('matches Jira users by accountId, then by email, then by display name', async () => {
+    jiraService.client = {
+      get: jest.fn().mockResolvedValue({
+        data: [{ accountId: 'sam-account', displayName: 'Sam Lee', emailAddress: 'sam.lee@example.com' }]
+      })
+    };
+
+    expect(await jiraService.userClause('assignee', 'John Doe')).toBe('assignee = "5b10ac8d82e05b22cc7d4ef5"');
+    expect(await jiraService.userClause('reporter', 'Sam Lee')).toBe('reporter = "sam-account"');
+    expect(await jiraService.userClause('assignee', 'Sam Lee')).toBe('assignee = "sam-account"');
+    expect(jiraService.client.get).toHaveBeenCalledTimes(1);
+    expect(await jiraService.userClause('assignee', 'Pat "Quotes" Unknown')).toBe('assignee = "Pat \\"Quotes\\" Unknown"');
+  });
+
+  it('looks a Jira email up again after a miss', async () => {
+    jiraService.client = {
+      get: jest.fn()
+        .mockResolvedValueOnce({ data: [] })
+        .mockResolvedValue({ data: [{ accountId: 'sam-account', displayName: 'Sam Lee', emailAddress: 'sam.lee@example.com' }] })
+    };
+
+    expect(await jiraService.resolveAccountId('Sam Lee')).toBeFalsy();
+    expect(await jiraService.resolveAccountId('Sam Lee')).toBe('sam-account');
+    expect(await jiraService.resolveAccountId('Sam Lee')).toBe('sam-account');
+    expect(jiraService.client.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('flags Jira accountIds that do not exist', async () => {
+    jiraService.client = { get: jest.fn().mockRejectedValue({ message: 'Not Found', response: { status: 404 } }) };
+
+    expect(await jiraService.checkIdentity('John Doe')).toMatchObject({ status: 'unresolved', accountId: '5b10ac8d82e05b22cc7d4ef5' });
+    expect(await jiraService.checkIdentity('Someone Else')).toMatchObject({ status: 'unmapped' });
+  });
+
+  it('resolves Bitbucket usernames to workspace UUIDs and flags unknown users', async () => {
+    bitbucketService.client = {
+      get: jest.fn().mockResolvedValue({
+        data: { values: [{ user: { uuid: '{jane-uuid}', nickname: 'jsmith', display_name: 'Jane Smith' } }] }
+      })
+    };
+
+    expect(await bitbucketService.authorQuery('Jane Smith')).toBe('author.uuid="{jane-uuid}"');
+    expect(await bitbucketService.authorQuery('Someone Else')).toBe('author.username="Someone Else"');
+    expect(await bitbucketService.authorQuery('Pat" OR author.username!="x')).toBe('author.username="Pat\\" OR author.username!=\\"x"');
+    expect(await bitbucketService.checkIdentity('Jane Smith')).toMatchObject({ status: 'resolved', matchedBy: 'username', uuid: '{jane-uuid}' });
+    expect(await bitbucketService.checkIdentity('John Doe')).toMatchObject({ status: 'unresolved' });
+    expect(await bitbucketService.checkIdentity('Sam Lee')).toMatchObject({ status: 'unmapped' });
+    expect(bitbucketService.client.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports identity fallbacks through the structured logger', async () => {
+    jiraService.client = { get: jest.fn().mockRejectedValue({ message: 'Service Unavailable', response: { status: 503 } }) };
+
+    await jiraService.userClause('assignee', 'Sam Lee');
+
+    const warnings = console.warn.mock.calls.map(([line]) => JSON.parse(line));
+    expect(warnings).toEqual([
+      expect.objectContaining({ level: 'warn', message: 'Jira user lookup by email failed for Sam Lee', error: 'Service Unavailable' }),
+      expect.objectContaining({ level: 'warn', message: 'No Jira accountId for Sam Lee; matching assignee by display name' })
+    ]);
+  });
+});
@@ -0,0 +1,76 @@
+const { Logger, runWithContext, getContext, addCorrelationHeaders } = require('../src/services/logger');
+
+const entries = (spy) => spy.mock.calls.map(([line]) => JSON.parse(line));
+
+describe('logger', () => {
+  let log;
+
+  beforeEach(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('writes JSON entries at or above its level, masking redacted fields at any depth', () => {
+    const logger = new Logger({ level: 'info', format: 'json', redactFields: 'employeeId' });
+
+    logger.debug('Not written');
+    logger.info('Request received', {
+      headers: { Authorization: 'Bearer abc.def.ghi', 'X-Api-Key': 'key-1', Accept: 'application/json' },
+      body: { teamMemberName: 'John Doe', yesterday: 'Fixed the refund bug', today: 'Ship it', blockers: 'None', employee_id: 'E-17' },
+      records: [{ blockers: 'Waiting on legal' }]
+    });
+
+    const [entry] = entries(log);
+    expect(log).toHaveBeenCalledTimes(1);
+    expect(entry).toMatchObject({
+      level: 'info',
+      message: 'Request received',
+      headers: { Authorization: '[REDACTED]', 'X-Api-Key': '[REDACTED]', Accept: 'application/json' },
+      body: { teamMemberName: 'John Doe', yesterday: '[REDACTED]', today: '[REDACTED]', blockers: '[REDACTED]', employee_id: '[REDACTED]' },
+      records: [{ blockers: '[REDACTED]' }]
+    });
+    expect(JSON.stringify(entry)).not.toContain('abc.def.ghi');
+  });
+
+  it('adds the request context to entries made in it, including after awaits', async () => {
+    const logger = new Logger({ format: 'json' });
+
+    await runWithContext({ requestId: 'req-1', operationId: 'getTeam' }, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      logger.info('Fetching team');
+      expect(addCorrelationHeaders({ headers: {} }).headers['X-Request-Id']).toBe('req-1');
+    });
+    logger.info('Outside a request');
+
+    expect(entries(log).map(entry => entry.requestId)).toEqual(['req-1', undefined]);
+    expect(getContext()).toEqual({});
+    expect(addCorrelationHeaders({ headers: {} }).headers).toEqual({});
+  });
+
+  it('serializes errors without the axios request config that holds credentials', () => {
+    const logger = new Logger({ format: 'json' });
+    const error = Object.assign(new Error('Request failed with status code 401'), {
+      config: { auth: { username: 'bot@example.com', password: 'jira-token' } },
+      response: { status: 401, statusText: 'Unauthorized', data: { errorMessages: ['Bad credentials'] } }
+    });
+
+    logger.error('Jira request failed', { error });
+
+    const [line] = console.error.mock.calls[0];
+    expect(JSON.parse(line).error).toMatchObject({
+      message: 'Request failed with status code 401',
+      response: { status: 401, data: { errorMessages: ['Bad credentials'] } }
+    });
+    expect(line).not.toContain('jira-token');
+  });
+
+  it('prints readable lines in pretty format for local runs', () => {
+    new Logger({ level: 'debug', format: 'pretty' }).debug('Request event', { path: '/teams' });
+
+    expect(log.mock.calls[0][0]).toMatch(/^\d{4}-\d{2}-\d{2}T\S+ DEBUG Request event \{"path":"\/teams"\}$/);
+  });
+});
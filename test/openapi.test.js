@@ -0,0 +1,170 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'standup-openapi-'));
+
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.STORAGE_TYPE = 'json';
+process.env.TEAM_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'teams.example.json');
+process.env.AUTH_SECRET = 'test-secret';
+process.env.AI_PROVIDER = 'stub';
+delete process.env.JIRA_BASE_URL;
+delete process.env.BITBUCKET_WORKSPACE;
+
+const { ROUTES, resolveHandler } = require('../src/routes');
+const { openApiDocument, buildOpenApiDocument } = require('../src/schemas/openapi');
+const { resolveRef } = require('../src/schemas/jsonSchema');
+const { validateResponse } = require('../src/services/requestValidator');
+const { issueToken } = require('../src/services/authService');
+
+const handler = (name) => resolveHandler(ROUTES.find(route => route.handler.endsWith(`.${name}`)));
+
+function call(name, { token = issueToken('John Doe'), pathParameters = null, queryStringParameters = null, body = null, headers = {} } = {}) {
+  return handler(name)({
+    headers: { ...headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    pathParameters,
+    queryStringParameters,
+    body: body === null || typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+/**
+ * Parsed response body, after asserting it matches the operation's declared response
+ */
+function expectDeclared(operationId, response) {
+  const body = JSON.parse(response.body);
+  expect({ operationId, statusCode: response.statusCode, errors: validateResponse(operationId, response.statusCode, body) })
+    .toEqual({ operationId, statusCode: response.statusCode, errors: [] });
+  return body;
+}
+
+function collectRefs(node, refs = []) {
+  if (node && typeof node === 'object') {
+    if (typeof node.$ref === 'string') {
+      refs.push(node.$ref);
+    }
+    Object.values(node).forEach(child => collectRefs(child, refs));
+  }
+  return refs;
+}
+
+describe('OpenAPI document', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.removeSync(storageDir);
+  });
+
+  it('describes every route with resolvable references and is served without a token', async () => {
+    ROUTES.forEach(route => {
+      expect(openApiDocument.paths[route.path]?.[route.method.toLowerCase()]).toBeDefined();
+    });
+    collectRefs(openApiDocument).forEach(ref => expect(() => resolveRef({ $ref: ref }, openApiDocument)).not.toThrow());
+    expect(() => buildOpenApiDocument([...ROUTES, { method: 'GET', path: '/unknown', handler: 'x.y' }])).toThrow('No OpenAPI operation for GET /unknown');
+
+    const served = await call('getOpenApiSpec', { token: null });
+    expect(served.statusCode).toBe(200);
+    expect(JSON.parse(served.body).paths['/standup'].post.operationId).toBe('processStandup');
+
+    const health = expectDeclared('getHealth', await call('getHealth', { token: null }));
+    expect(health).toMatchObject({ status: 'ok', dependencies: { storage: { status: 'ok', backend: 'local' }, jira: { status: 'not_configured' } } });
+  });
+
+  it('rejects malformed requests with a 400 listing every problem', async () => {
+    const emptyToday = await call('processStandup', { body: { yesterday: 'Reviewed PRs', today: '', blockers: 'None' } });
+    expect(emptyToday.statusCode).toBe(400);
+    expect(expectDeclared('processStandup', emptyToday).details.errors).toEqual([
+      'body.today must not be empty'
+    ]);
+
+    const badJson = await call('processStandup', { body: '{"yesterday":' });
+    expect(expectDeclared('processStandup', badJson).details.errors).toEqual(['body must be valid JSON']);
+
+    const badKey = await call('processStandup', {
+      headers: { 'idempotency-key': 'short' },
+      body: { yesterday: 'a', today: 'b', blockers: 'None' }
+    });
+    expect(expectDeclared('processStandup', badKey).details.errors).toEqual(['header Idempotency-Key must match ^[A-Za-z0-9_-]{8,128}$']);
+
+    const missingJql = await call('searchIssues', { body: { maxResults: 10 } });
+    expect(missingJql.statusCode).toBe(400);
+    expect(expectDeclared('searchIssues', missingJql).details.errors).toEqual(['body.jql is required']);
+
+    const badDays = await call('getTeamMemberSummary', { pathParameters: { teamMember: 'John Doe' }, queryStringParameters: { days: 'week' } });
+    expect(expectDeclared('getTeamMemberSummary', badDays).details.errors).toEqual(['query.days must be an integer']);
+
+    const badDate = await call('getTeamMetrics', { queryStringParameters: { team: 'payments', startDate: '2024-13-40' } });
+    expect(badDate.statusCode).toBe(400);
+    expect(JSON.parse(badDate.body).details.errors).toEqual(['query.startDate must be a valid date']);
+
+    const emptyTeam = await call('getTeamWorkload', { body: { teamMembers: [] } });
+    expect(expectDeclared('getTeamWorkload', emptyTeam).details.errors).toEqual(['body.teamMembers must have at least 1 item']);
+  });
+
+  it('returns the declared shapes from real handlers', async () => {
+    const lead = issueToken('John Doe');
+    const viewer = issueToken('Sam Lee');
+    const john = { teamMember: 'John Doe' };
+
+    const submitted = expectDeclared('processStandup', await call('processStandup', {
+      body: { yesterday: 'Finished the ledger export', today: 'Reconcile refunds', blockers: 'Waiting on finance sign-off' }
+    }));
+    const standupId = submitted.data.standupId;
+
+    expectDeclared('getStandupStatus', await call('getStandupStatus', { pathParameters: { id: standupId } }));
+
+    const queued = expectDeclared('processStandup', await call('processStandup', {
+      headers: { Prefer: 'respond-async' },
+      body: { yesterday: 'Reconciled refunds', today: 'Close the sprint', blockers: 'None' }
+    }));
+    expectDeclared('getStandupStatus', await call('getStandupStatus', { pathParameters: { id: queued.data.standupId } }));
+    const processed = expectDeclared('getStandupStatus', await call('getStandupStatus', { pathParameters: { id: queued.data.standupId }, queryStringParameters: { wait: '5' } }));
+    expect(processed.data.status).toBe('completed');
+
+    expectDeclared('updateStandup', await call('updateStandup', {
+      pathParameters: { id: standupId },
+      body: { blockers: 'Waiting on finance and legal', reason: 'More detail' }
+    }));
+
+    expectDeclared('saveDraft', await call('saveDraft', { pathParameters: john, body: { yesterday: 'Paired on refunds' } }));
+    expectDeclared('getDraft', await call('getDraft', { pathParameters: john }));
+    expectDeclared('submitDraft', await call('submitDraft', { pathParameters: john, body: { today: 'Ship refunds', blockers: 'None' } }));
+    expectDeclared('getDraft', await call('getDraft', { pathParameters: john }));
+
+    expectDeclared('getStandupHistory', await call('getStandupHistory', { pathParameters: john }));
+    expectDeclared('getTeamMemberSummary', await call('getTeamMemberSummary', { pathParameters: john, queryStringParameters: { days: '7' } }));
+    expectDeclared('getTeamMetrics', await call('getTeamMetrics', { queryStringParameters: { team: 'payments' } }));
+    expectDeclared('getTeamMetrics', await call('getTeamMetrics', { token: viewer, queryStringParameters: { team: 'payments' } }));
+    expectDeclared('getTeamBlockerAnalysis', await call('getBlockerAnalysis', { token: viewer, queryStringParameters: { team: 'payments' } }));
+    expectDeclared('getBlockerAnalysis', await call('getBlockerAnalysis', { pathParameters: john }));
+    expectDeclared('getProductivityMetrics', await call('getProductivityMetrics', { queryStringParameters: { team: 'payments' } }));
+
+    expectDeclared('listTeams', await call('listTeams'));
+    expectDeclared('getTeam', await call('getTeam', { pathParameters: { teamId: 'payments' } }));
+    expectDeclared('getTeam', await call('getTeam', { pathParameters: { teamId: 'nobody' } }));
+    expectDeclared('getTeamHistory', await call('getTeamHistory', { token: lead, pathParameters: { teamId: 'payments' } }));
+
+    expectDeclared('handleChatInteraction', await call('handleChatInteraction', { body: { message: 'What did I do last week?', intent: 'history_query' } }));
+    expectDeclared('handleChatInteraction', await call('handleChatInteraction', { body: { message: 'Show team metrics', teamId: 'payments' } }));
+
+    expectDeclared('getTeamMemberTasks', await call('getTeamMemberTasks', { pathParameters: john }));
+    expectDeclared('getTeamWorkload', await call('getTeamWorkload', { body: { teamMembers: ['John Doe', 'Jane Smith'] } }));
+    expectDeclared('getPRStatus', await call('getPRStatus', { pathParameters: john }));
+    expectDeclared('getTeamMemberPRActivity', await call('getTeamMemberPRActivity', { pathParameters: john, queryStringParameters: { days: '14' } }));
+    expectDeclared('getTeamPRWorkload', await call('getTeamPRWorkload', { body: { teamMembers: ['John Doe'] } }));
+
+    expectDeclared('deleteStandup', await call('deleteStandup', { pathParameters: { id: standupId }, queryStringParameters: { reason: 'Duplicate' } }));
+    expectDeclared('deleteStandup', await call('deleteStandup', { pathParameters: { id: standupId } }));
+    expectDeclared('discardDraft', await call('discardDraft', { pathParameters: john }));
+  });
+});
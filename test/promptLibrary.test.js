@@ -0,0 +1,125 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'standup-prompts-'));
+const templatesPath = path.join(configDir, 'prompts.json');
+
+process.env.TEAM_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'teams.example.json');
+process.env.PROMPT_TEMPLATES_PATH = templatesPath;
+process.env.AI_PROVIDER = 'stub';
+
+const { PromptLibrary, PromptTemplateError, promptLibrary, selectPromptTemplate } = require('../src/services/promptLibrary');
+const { teamRegistry } = require('../src/services/teamRegistry');
+const { getAiProvider, generateFollowUpQuestions } = require('../src/services/aiService');
+
+const customImpactV2 = {
+  id: 'follow-up-customer-impact',
+  version: 3,
+  purpose: 'followUpQuestions',
+  variables: { questionCount: '2-3', historyWindow: 1, product: 'the checkout' },
+  text: 'Ask {{questionCount}} questions for {{teamName}} about how {{product}} customers are affected.\n\n{{context}}'
+};
+
+function standupData(teamMemberName) {
+  return { teamMemberName, yesterday: 'Migrated the queue', today: 'Cut over traffic', blockers: 'None', timestamp: '2026-10-19T09:00:00.000Z' };
+}
+
+describe('Prompt templates', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    fs.writeJsonSync(templatesPath, { templates: [customImpactV2] });
+    promptLibrary.reload();
+    getAiProvider().calls.length = 0;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.removeSync(configDir);
+  });
+
+  it('renders the template a member\'s team chose and records its version', async () => {
+    // Jane Smith leads platform, which asks for dependency-focused questions
+    const { questions, promptTemplate } = await generateFollowUpQuestions({ standupData: standupData('Jane Smith'), previousUpdates: [], tasks: [], prs: [] });
+    expect(questions).toHaveLength(3);
+    expect(promptTemplate).toEqual({ id: 'follow-up-dependencies', version: 2, teamId: 'platform' });
+
+    const prompt = getAiProvider().calls[0].prompt;
+    expect(prompt).toContain('helping Platform Team run its daily standup');
+    expect(prompt).toContain('generate 4 follow-up questions');
+    expect(prompt).toContain('Blockers: None');
+
+    // John Doe's team keeps the default
+    expect((await generateFollowUpQuestions({ standupData: standupData('John Doe'), previousUpdates: [], tasks: [], prs: [] })).promptTemplate)
+      .toEqual({ id: 'follow-up-default', version: 2, teamId: null });
+  });
+
+  it('lists earlier standups up to the history window', async () => {
+    const previousUpdates = ['2026-10-14', '2026-10-15', '2026-10-16', '2026-10-17'].map(date => ({
+      ...standupData('John Doe'),
+      timestamp: `${date}T09:00:00.000Z`,
+      standupDate: date,
+      blockers: `Blocker from ${date}`
+    }));
+
+    await generateFollowUpQuestions({ standupData: standupData('John Doe'), previousUpdates, tasks: [], prs: [] });
+
+    const prompt = getAiProvider().calls[0].prompt;
+    expect(prompt).toContain('- 2026-10-17: blockers: Blocker from 2026-10-17');
+    expect(prompt).toContain('- 2026-10-15: blockers: Blocker from 2026-10-15');
+    expect(prompt).not.toContain('- 2026-10-14');
+  });
+
+  it('uses the latest version of a template unless a team pins one', () => {
+    const library = new PromptLibrary({ templatesPath });
+    expect(library.getTemplate('follow-up-customer-impact').version).toBe(3);
+    expect(library.getTemplate('follow-up-customer-impact', 1).text).toContain('how this work affects customers');
+    expect(() => library.getTemplate('follow-up-customer-impact', 4)).toThrow('Unknown prompt template follow-up-customer-impact@4');
+
+    jest.spyOn(teamRegistry, 'getTeam').mockImplementation(teamId => ({
+      id: teamId,
+      name: 'Payments Squad',
+      members: [],
+      prompts: { followUpQuestions: { template: 'follow-up-customer-impact', variables: { product: 'payouts' } } }
+    }));
+
+    const selection = selectPromptTemplate('followUpQuestions', 'John Doe');
+    expect(selection).toMatchObject({ teamId: 'payments', variables: { questionCount: '2-3', historyWindow: 1, product: 'payouts' } });
+    expect(promptLibrary.render(selection, { context: 'CONTEXT' }))
+      .toBe('Ask 2-3 questions for Payments Squad about how payouts customers are affected.\n\nCONTEXT');
+
+    teamRegistry.getTeam.mockImplementation(teamId => ({
+      id: teamId,
+      name: 'Payments Squad',
+      members: [],
+      prompts: { followUpQuestions: { template: 'follow-up-customer-impact', version: 1 } }
+    }));
+    expect(selectPromptTemplate('followUpQuestions', 'John Doe').template.version).toBe(1);
+  });
+
+  it('rejects invalid templates and team settings', () => {
+    fs.writeJsonSync(templatesPath, { templates: [{ ...customImpactV2, version: 1 }] });
+    expect(() => promptLibrary.reload()).toThrow('Prompt template follow-up-customer-impact@1 is defined twice; publish changes as a new version');
+
+    fs.writeJsonSync(templatesPath, { templates: [{ ...customImpactV2, id: 'focus', text: '{{context}} {{focus}}' }] });
+    expect(() => promptLibrary.reload()).toThrow('Prompt template focus@3 uses undeclared variables: focus');
+
+    fs.writeJsonSync(templatesPath, { templates: [{ ...customImpactV2, id: 'retro', purpose: 'retro' }] });
+    expect(() => promptLibrary.reload()).toThrow(PromptTemplateError);
+
+    fs.writeJsonSync(templatesPath, { templates: [] });
+    promptLibrary.reload();
+    jest.spyOn(teamRegistry, 'getTeam').mockImplementation(teamId => ({
+      id: teamId,
+      name: teamId,
+      members: [],
+      prompts: { followUpQuestions: { template: 'follow-up-default', variables: { tone: 'blunt' } } }
+    }));
+    expect(() => selectPromptTemplate('followUpQuestions', 'John Doe')).toThrow('Team payments sets tone, which follow-up-default does not declare');
+  });
+});
@@ -0,0 +1,209 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'standup-retro-'));
+
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.STORAGE_TYPE = 'json';
+process.env.TEAM_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'teams.example.json');
+process.env.AUTH_SECRET = 'test-secret';
+process.env.AI_PROVIDER = 'stub';
+process.env.JIRA_BASE_URL = 'https://example.atlassian.net';
+process.env.JIRA_EMAIL = 'bot@example.com';
+process.env.JIRA_API_TOKEN = 'token';
+process.env.QUEUE_BACKEND = 'memory';
+
+const { createRetrospective, getRetrospective } = require('../src/handlers/teamHandler');
+const { saveStandupData } = require('../src/services/storageService');
+const { drainQueue } = require('../src/services/standupQueue');
+const { getAiProvider } = require('../src/services/aiService');
+const { jiraService } = require('../src/services/jiraService');
+const { validateResponse } = require('../src/services/requestValidator');
+const { CURRENT_SCHEMA_VERSION } = require('../src/schemas/standupRecord');
+const { issueToken } = require('../src/services/authService');
+
+const BLOCKER = 'Waiting on staging database access';
+const jiraClient = jiraService.client;
+
+function standup(id, teamMemberName, date, { blockers = 'None', jiraTasks = [] } = {}) {
+  return {
+    id,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    teamMemberName,
+    timestamp: `${date}T13:00:00.000Z`,
+    yesterday: `${teamMemberName} worked on the refund flow`,
+    today: `${teamMemberName} continues the refund flow`,
+    blockers,
+    jiraTasks,
+    bitbucketPRs: [],
+    followUpQuestions: [],
+    previousUpdatesCount: 0,
+    analysisMetadata: { tasksAnalyzed: jiraTasks.length, prsAnalyzed: 0, questionsGenerated: 0, contextFromPreviousUpdates: false }
+  };
+}
+
+async function call(body, { token = issueToken('John Doe'), teamId = 'payments' } = {}) {
+  const response = await createRetrospective({
+    headers: { Authorization: `Bearer ${token}` },
+    pathParameters: { teamId },
+    queryStringParameters: null,
+    body: JSON.stringify(body)
+  });
+  const parsed = JSON.parse(response.body);
+  expect(validateResponse('createRetrospective', response.statusCode, parsed)).toEqual([]);
+  return { statusCode: response.statusCode, body: parsed };
+}
+
+async function fetchDraft(retrospectiveId, { token = issueToken('John Doe'), teamId = 'payments', query = null } = {}) {
+  const response = await getRetrospective({
+    headers: { Authorization: `Bearer ${token}` },
+    pathParameters: { teamId, retrospectiveId },
+    queryStringParameters: query,
+    body: null
+  });
+  const parsed = JSON.parse(response.body);
+  expect(validateResponse('getRetrospective', response.statusCode, parsed)).toEqual([]);
+  return { statusCode: response.statusCode, body: parsed };
+}
+
+// Queue a draft, let the worker write it and read it back
+async function draft(body) {
+  const accepted = await call(body);
+  expect(accepted.statusCode).toBe(202);
+  await drainQueue();
+  return await fetchDraft(accepted.body.data.retrospectiveId);
+}
+
+describe('Sprint retrospectives', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await saveStandupData(standup('retro-john-1', 'John Doe', '2026-10-06', {
+      jiraTasks: [{ key: 'PAY-12', summary: 'Refund reconciliation', status: { name: 'In Progress' } }]
+    }));
+    await saveStandupData(standup('retro-john-2', 'John Doe', '2026-10-07', { blockers: BLOCKER }));
+    await saveStandupData(standup('retro-jane-1', 'Jane Smith', '2026-10-07', { blockers: BLOCKER }));
+    // Outside the sprint
+    await saveStandupData(standup('retro-jane-2', 'Jane Smith', '2026-10-20'));
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    getAiProvider().calls.length = 0;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jiraService.client = jiraClient;
+  });
+
+  afterAll(() => {
+    fs.removeSync(storageDir);
+  });
+
+  it('drafts a retrospective for a Jira sprint citing the standups it came from', async () => {
+    const provider = getAiProvider();
+    const reply = {
+      wentWell: [{ point: 'Refund reconciliation moved every day', standupIds: ['retro-john-1', 'retro-john-2'] }],
+      didntGoWell: [{ point: 'Staging access held up two members', standupIds: ['retro-john-2', 'retro-jane-1'] }],
+      recurringBlockers: [{ blocker: 'Staging database access', members: ['John Doe', 'Jane Smith'], standupIds: ['retro-john-2', 'retro-jane-1'] }],
+      actionItems: [{ action: 'Request staging access at sprint planning', owner: 'John Doe', standupIds: ['retro-jane-1'] }]
+    };
+    jest.replaceProperty(provider, 'responses', { sprintRetrospective: JSON.stringify(reply) });
+    jiraService.client = {
+      get: jest.fn().mockResolvedValue({
+        data: {
+          id: 37,
+          name: 'Payments Sprint 14',
+          state: 'closed',
+          goal: 'Ship refunds',
+          startDate: '2026-10-05T14:00:00.000Z',
+          endDate: '2026-10-19T14:00:00.000Z',
+          completeDate: '2026-10-16T21:00:00.000Z'
+        }
+      })
+    };
+
+    const accepted = await call({ sprintId: 37 });
+    expect(accepted.statusCode).toBe(202);
+    expect(jiraService.client.get).toHaveBeenCalledWith('/rest/agile/1.0/sprint/37');
+    const { retrospectiveId, statusUrl } = accepted.body.data;
+    expect(statusUrl).toBe(`/teams/payments/retrospectives/${retrospectiveId}`);
+
+    // The worker runs after the response, so a wait sees the draft written
+    const { statusCode, body } = await fetchDraft(retrospectiveId, { query: { wait: '5' } });
+    expect(statusCode).toBe(200);
+    expect(body.data).toMatchObject({
+      id: retrospectiveId,
+      teamId: 'payments',
+      status: 'completed',
+      attempts: 1,
+      sprint: { id: 37, name: 'Payments Sprint 14', state: 'closed', goal: 'Ship refunds' },
+      // John Doe is in New York; the sprint was completed early, on the 16th
+      startDate: '2026-10-05',
+      endDate: '2026-10-16',
+      generatedBy: 'John Doe',
+      standupIds: ['retro-john-1', 'retro-john-2', 'retro-jane-1'],
+      ...reply,
+      promptTemplate: { id: 'sprint-retrospective-default', version: 1, teamId: 'payments' }
+    });
+
+    const prompt = provider.calls[0].prompt;
+    expect(prompt).toContain('retrospective of Payments Squad for Payments Sprint 14, which ran from 2026-10-05 to 2026-10-16');
+    expect(prompt).toContain('Standup retro-john-1: John Doe, 2026-10-06');
+    expect(prompt).toContain('Jira tasks: PAY-12 (In Progress)');
+    expect(prompt).not.toContain('retro-jane-2');
+  });
+
+  it('lists recurring blockers when the AI cites standups that are not in the sprint', async () => {
+    const provider = getAiProvider();
+    jest.replaceProperty(provider, 'responses', {
+      sprintRetrospective: JSON.stringify({
+        wentWell: [{ point: 'Everything shipped', standupIds: ['retro-made-up'] }],
+        didntGoWell: [],
+        recurringBlockers: [],
+        actionItems: [{ action: 'Celebrate', owner: 'Alex Kim', standupIds: ['retro-john-1'] }]
+      })
+    });
+
+    const { body } = await draft({ startDate: '2026-10-05', endDate: '2026-10-16' });
+    expect(provider.calls).toHaveLength(2);
+    expect(provider.calls[1].prompt).toContain('- reply.wentWell[0].standupIds retro-made-up is not a standup from the context');
+    expect(provider.calls[1].prompt).toContain('- reply.actionItems[0] names Alex Kim, who is not a member of the team');
+
+    expect(body.data).toMatchObject({
+      status: 'completed',
+      sprint: null,
+      wentWell: [],
+      didntGoWell: [],
+      recurringBlockers: [{ blocker: BLOCKER, members: ['John Doe', 'Jane Smith'], standupIds: ['retro-john-2', 'retro-jane-1'] }],
+      actionItems: [{ owner: null, standupIds: ['retro-john-2', 'retro-jane-1'] }],
+      promptTemplate: null
+    });
+  });
+
+  it('rejects callers who do not lead the team, and ranges it cannot draft from', async () => {
+    const { body } = await draft({ startDate: '2026-10-05', endDate: '2026-10-16' });
+    expect((await fetchDraft(body.data.id, { token: issueToken('Jane Smith') })).statusCode).toBe(403);
+    expect((await fetchDraft(body.data.id, { token: issueToken('Jane Smith'), teamId: 'platform' })).statusCode).toBe(404);
+
+    expect((await call({ startDate: '2026-10-05', endDate: '2026-10-16' }, { token: issueToken('Jane Smith') })).statusCode).toBe(403);
+    expect((await call({ sprintId: 37, startDate: '2026-10-05', endDate: '2026-10-16' })).statusCode).toBe(400);
+    expect((await call({ startDate: '2026-10-16', endDate: '2026-10-05' })).statusCode).toBe(400);
+    expect((await call({ startDate: '2026-09-01', endDate: '2026-10-16' })).body.error).toBe('A retrospective covers at most 31 days');
+
+    const empty = await call({ startDate: '2026-09-01', endDate: '2026-09-14' });
+    expect(empty.statusCode).toBe(404);
+    expect(empty.body.error).toBe('No standups for team payments between 2026-09-01 and 2026-09-14');
+
+    jiraService.client = { get: jest.fn().mockRejectedValue({ message: 'Not Found', response: { status: 404 } }) };
+    const unknown = await call({ sprintId: 99 });
+    expect(unknown.statusCode).toBe(404);
+    expect(unknown.body.error).toBe('Sprint 99 not found');
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+process.env.TEAM_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'teams.example.json');
+process.env.AUTH_SECRET = 'test-secret';
+
+const { ROUTES, resolveHandler } = require('../src/routes');
+const { createApp } = require('../index');
+const { issueToken } = require('../src/services/authService');
+
+const HANDLER_DIR = path.join(__dirname, '..', 'src', 'handlers');
+
+/**
+ * (method, path, handler) for every http event in serverless.yml
+ */
+function serverlessRoutes() {
+  const routes = [];
+  let handler;
+  let routePath;
+
+  fs.readFileSync(path.join(__dirname, '..', 'serverless.yml'), 'utf8').split('\n').forEach(line => {
+    const handlerMatch = /^\s+handler: src\/handlers\/(\S+)$/.exec(line);
+    const pathMatch = /^\s+path: (\S+)$/.exec(line);
+    const methodMatch = /^\s+method: (\w+)$/.exec(line);
+
+    if (handlerMatch) {
+      handler = handlerMatch[1];
+    } else if (pathMatch) {
+      routePath = pathMatch[1];
+    } else if (methodMatch) {
+      routes.push(`${methodMatch[1].toUpperCase()} ${routePath} ${handler}`);
+    }
+  });
+
+  return routes.sort();
+}
+
+/**
+ * handler -> timeout for every serverless.yml function with an http event
+ */
+function httpFunctionTimeouts() {
+  const timeouts = {};
+  let handler;
+  let timeout;
+
+  fs.readFileSync(path.join(__dirname, '..', 'serverless.yml'), 'utf8').split('\n').forEach(line => {
+    const handlerMatch = /^\s+handler: src\/handlers\/(\S+)$/.exec(line);
+    const timeoutMatch = /^\s+timeout: (\d+)$/.exec(line);
+
+    if (handlerMatch) {
+      handler = handlerMatch[1];
+      timeout = undefined;
+    } else if (timeoutMatch) {
+      timeout = Number(timeoutMatch[1]);
+    } else if (/^\s+- http:$/.test(line)) {
+      timeouts[handler] = timeout;
+    }
+  });
+
+  return timeouts;
+}
+
+function request(server, method, urlPath, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path: urlPath, headers }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: body ? JSON.parse(body) : null }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+describe('routes', () => {
+  it('routes every exported handler, and serverless.yml declares the same routes', () => {
+    const exported = fs.readdirSync(HANDLER_DIR)
+      .filter(file => file.endsWith('.js'))
+      .flatMap(file => Object.keys(require(path.join(HANDLER_DIR, file))).map(name => `${path.basename(file, '.js')}.${name}`));
+    const routed = new Set(ROUTES.map(route => route.handler));
+
+    expect(exported.filter(handler => !routed.has(handler))).toEqual([]);
+    ROUTES.forEach(route => expect(typeof resolveHandler(route)).toBe('function'));
+
+    expect(serverlessRoutes()).toEqual(ROUTES.map(route => `${route.method} ${route.path} ${route.handler}`).sort());
+  });
+
+  it('gives every HTTP function a timeout within API Gateway\'s 29 seconds', () => {
+    const timeouts = httpFunctionTimeouts();
+
+    expect(Object.keys(timeouts)).toHaveLength(new Set(ROUTES.map(route => route.handler)).size);
+    expect(Object.entries(timeouts).filter(([, timeout]) => !(timeout <= 29))).toEqual([]);
+  });
+
+  describe('local server', () => {
+    let server;
+
+    beforeAll(done => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      server = createApp().listen(0, '127.0.0.1', done);
+    });
+
+    afterAll(done => {
+      jest.restoreAllMocks();
+      server.close(done);
+    });
+
+    it('passes path parameters and headers through to the handler', async () => {
+      const token = issueToken('John Doe');
+
+      const team = await request(server, 'GET', '/teams/payments', { Authorization: `Bearer ${token}` });
+      expect(team.statusCode).toBe(200);
+      expect(team.body.data.id).toBe('payments');
+
+      const unauthenticated = await request(server, 'GET', '/teams/payments');
+      expect(unauthenticated.statusCode).toBe(401);
+
+      const unknown = await request(server, 'GET', '/data/history/metrics/extra');
+      expect(unknown.statusCode).toBe(404);
+    });
+  });
+});
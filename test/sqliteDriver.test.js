@@ -0,0 +1,182 @@
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.SQLITE_DB_PATH = ':memory:';
+process.env.STANDUP_DAILY_POLICY = 'reject_duplicates';
+
+const { SqliteStorageDriver } = require('../src/services/storage');
+const { saveStandupData, getStandupHistory, getStandupById, updateStandupData, updateStandupEnrichment } = require('../src/services/storageService');
+const { CURRENT_SCHEMA_VERSION } = require('../src/schemas/standupRecord');
+
+function standup(id, teamMemberName, timestamp, { blockers = 'None', jiraTasks = [], bitbucketPRs = [] } = {}) {
+  return {
+    id,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    teamMemberName,
+    timestamp,
+    standupDate: timestamp.split('T')[0],
+    timeZone: 'UTC',
+    yesterday: `${id} yesterday`,
+    today: `${id} today`,
+    blockers,
+    jiraTasks,
+    bitbucketPRs,
+    followUpQuestions: [{ question: `What is left on ${id}?`, category: 'progress', target: null, priority: 'low' }],
+    previousUpdatesCount: 0,
+    analysisMetadata: { tasksAnalyzed: jiraTasks.length, prsAnalyzed: bitbucketPRs.length, questionsGenerated: 1, contextFromPreviousUpdates: false }
+  };
+}
+
+describe('SqliteStorageDriver', () => {
+  let driver;
+
+  beforeEach(async () => {
+    driver = new SqliteStorageDriver({ dbPath: ':memory:' });
+
+    await driver.saveStandup(standup('ann-1', 'Ann', '2026-10-05T09:00:00.000Z', {
+      jiraTasks: [{ key: 'PAY-1', summary: 'Ledger', status: { name: 'In Progress' } }, { key: 'PAY-2', summary: 'Refunds', status: { name: 'Done' } }],
+      bitbucketPRs: [{ id: 7, title: 'Ledger export', state: 'OPEN', repository: { name: 'payments-api' }, comment_count: 3 }]
+    }));
+    await driver.saveStandup(standup('ann-2', 'Ann', '2026-10-06T09:00:00.000Z', { blockers: 'Waiting on staging access' }));
+    await driver.saveStandup(standup('ann-3', 'Ann', '2026-10-08T09:00:00.000Z', { blockers: 'WAITING ON STAGING ACCESS' }));
+    await driver.saveStandup(standup('ben-1', 'Ben', '2026-10-06T10:00:00.000Z', {
+      jiraTasks: [{ key: 'PAY-3', summary: 'Limits', status: { name: 'To Do' } }]
+    }));
+  });
+
+  afterEach(() => {
+    driver.db.close();
+  });
+
+  it('reads back a saved standup with its snapshots, questions and extra fields', async () => {
+    const saved = await driver.getStandupById('ann-1');
+
+    expect(saved).toEqual(standup('ann-1', 'Ann', '2026-10-05T09:00:00.000Z', {
+      jiraTasks: [{ key: 'PAY-1', summary: 'Ledger', status: { name: 'In Progress' } }, { key: 'PAY-2', summary: 'Refunds', status: { name: 'Done' } }],
+      bitbucketPRs: [{ id: 7, title: 'Ledger export', state: 'OPEN', repository: { name: 'payments-api' }, comment_count: 3 }]
+    }));
+    expect(await driver.getStandupById('missing')).toBeNull();
+
+    // Saving again replaces the record and its child rows
+    await driver.saveStandup({ ...saved, today: 'Rewritten', jiraTasks: [] });
+    expect(await driver.getStandupById('ann-1')).toMatchObject({ today: 'Rewritten', jiraTasks: [] });
+    expect(driver.db.prepare('SELECT COUNT(*) AS count FROM jira_task_snapshots WHERE standup_id = ?').get('ann-1').count).toBe(0);
+  });
+
+  it('returns a member\'s history for an inclusive date range, newest first', async () => {
+    const ids = async (startDate, endDate) => (await driver.getStandupHistory('Ann', startDate, endDate)).map(record => record.id);
+
+    expect(await ids('2026-10-05', '2026-10-06')).toEqual(['ann-2', 'ann-1']);
+    expect(await ids('2026-10-06', null)).toEqual(['ann-3', 'ann-2']);
+    expect(await ids(null, null)).toEqual(['ann-3', 'ann-2', 'ann-1']);
+    expect(await ids('2026-10-09', '2026-10-31')).toEqual([]);
+
+    await driver.saveStandup({ ...(await driver.getStandupById('ann-2')), deletedAt: '2026-10-07T00:00:00.000Z' });
+    expect(await ids('2026-10-05', '2026-10-08')).toEqual(['ann-3', 'ann-1']);
+  });
+
+  it('aggregates team metrics per member, blocker and range', async () => {
+    const metrics = await driver.getTeamMetrics('2026-10-01', '2026-10-31');
+
+    expect(metrics).toMatchObject({
+      totalStandups: 4,
+      totalStandupDays: 4,
+      activeMembers: 2,
+      averageTasksPerMember: 1.5,
+      averagePRsPerMember: 0.5,
+      topBlockers: [{ blocker: 'waiting on staging access', count: 2 }]
+    });
+    expect(metrics.memberStats).toEqual({
+      Ann: { standupCount: 3, standupDays: 3, totalTasks: 2, totalPRs: 1, blockers: ['Waiting on staging access', 'WAITING ON STAGING ACCESS'] },
+      Ben: { standupCount: 1, standupDays: 1, totalTasks: 1, totalPRs: 0, blockers: [] }
+    });
+
+    const scoped = await driver.getTeamMetrics('2026-10-06', '2026-10-06', ['Ben']);
+    expect(scoped).toMatchObject({ totalStandups: 1, activeMembers: 1, averageTasksPerMember: 1, topBlockers: [] });
+    expect((await driver.getTeamMetrics(null, null, [])).totalStandups).toBe(0);
+  });
+
+  it('only updates a team digest that exists and has not been replaced', async () => {
+    const pending = (id) => ({ id, teamId: 'payments', date: '2026-10-19', processing: { status: 'queued', queuedAt: '2026-10-19T09:00:00.000Z' } });
+
+    expect(await driver.updateTeamDigest('payments', '2026-10-19', 'digest-1', { narrative: 'Early' })).toBeNull();
+
+    await driver.saveTeamDigest(pending('digest-1'));
+    expect(await driver.updateTeamDigest('payments', '2026-10-19', 'digest-1', { narrative: 'First' })).toMatchObject({ id: 'digest-1', narrative: 'First' });
+
+    await driver.saveTeamDigest(pending('digest-2'));
+    expect(await driver.updateTeamDigest('payments', '2026-10-19', 'digest-1', { narrative: 'Stale' })).toBeNull();
+    expect(await driver.getTeamDigest('payments', '2026-10-19')).toEqual(pending('digest-2'));
+  });
+
+  it('reads back a team\'s retrospective draft by id', async () => {
+    const draft = { id: 'retro-1', teamId: 'payments', startDate: '2026-10-05', endDate: '2026-10-16', processing: { status: 'queued', queuedAt: '2026-10-19T09:00:00.000Z' } };
+
+    await driver.saveRetrospective(draft);
+    expect(await driver.getRetrospective('payments', 'retro-1')).toEqual(draft);
+    expect(await driver.getRetrospective('platform', 'retro-1')).toBeNull();
+  });
+});
+
+describe('storageService on SQLite', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets only one of two concurrent same-day submissions through reject_duplicates', async () => {
+    const results = await Promise.allSettled([
+      saveStandupData(standup('race-1', 'Racer', '2026-10-19T09:00:00.000Z')),
+      saveStandupData(standup('race-2', 'Racer', '2026-10-19T09:00:01.000Z'))
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.name).toBe('DuplicateStandupError');
+    expect(await getStandupHistory('Racer', '2026-10-19', '2026-10-19')).toHaveLength(1);
+  });
+
+  it('keeps both of two concurrent edits to a standup', async () => {
+    await saveStandupData(standup('edit-1', 'Editor', '2026-10-18T09:00:00.000Z'));
+
+    await Promise.all([
+      updateStandupData('edit-1', { blockers: 'Waiting on legal' }, 'Ann'),
+      updateStandupData('edit-1', { today: 'Draft the contract' }, 'Ben')
+    ]);
+
+    const stored = await getStandupById('edit-1');
+    expect(stored).toMatchObject({ blockers: 'Waiting on legal', today: 'Draft the contract' });
+    expect(stored.editHistory.map(entry => entry.editedBy).sort()).toEqual(['Ann', 'Ben']);
+  });
+
+  it('keeps an edit made while enrichment results are stored', async () => {
+    await saveStandupData(standup('edit-2', 'Editor', '2026-10-17T09:00:00.000Z'));
+
+    await Promise.all([
+      updateStandupData('edit-2', { blockers: 'Waiting on legal' }, 'Ann'),
+      updateStandupEnrichment('edit-2', { previousUpdatesCount: 7 })
+    ]);
+
+    const stored = await getStandupById('edit-2');
+    expect(stored).toMatchObject({ blockers: 'Waiting on legal', previousUpdatesCount: 7 });
+    expect(stored.editHistory).toHaveLength(1);
+  });
+
+  it('returns a member\'s history newest first', async () => {
+    for (const day of ['01', '03', '02']) {
+      await saveStandupData(standup(`order-${day}`, 'Order Tester', `2026-10-${day}T09:00:00.000Z`));
+    }
+
+    const history = await getStandupHistory('Order Tester', '2026-10-01', '2026-10-03');
+    expect(history.map(record => record.id)).toEqual(['order-03', 'order-02', 'order-01']);
+  });
+
+  it('groups CSV history by the member-local day, not the UTC day', async () => {
+    // Posted on the evening of the 19th in New York, already the 20th in UTC
+    await saveStandupData({ ...standup('evening-1', 'Evening', '2026-10-20T01:30:00.000Z'), standupDate: '2026-10-19', timeZone: 'America/New_York' });
+
+    const days = await getStandupHistory('Evening', '2026-10-19', '2026-10-20', 'csv');
+    expect(days.map(day => day.date)).toEqual(['2026-10-19']);
+    expect(days[0].data).toContain('evening-1,Evening,2026-10-20T01:30:00.000Z');
+  });
+});
@@ -0,0 +1,265 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'standup-pipeline-'));
+
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.STORAGE_TYPE = 'json';
+process.env.TEAM_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'teams.example.json');
+process.env.AUTH_SECRET = 'test-secret';
+process.env.QUEUE_BACKEND = 'memory';
+process.env.STANDUP_PROCESSING_ATTEMPTS = '3';
+delete process.env.JIRA_BASE_URL;
+delete process.env.BITBUCKET_WORKSPACE;
+
+jest.mock('../src/services/aiService', () => ({
+  generateFollowUpQuestions: jest.fn(),
+  analyzeStandupPatterns: jest.fn()
+}));
+
+jest.mock('../src/services/standupQueue', () => {
+  const standupQueue = jest.requireActual('../src/services/standupQueue');
+  return { ...standupQueue, enqueueStandupProcessing: jest.fn(standupQueue.enqueueStandupProcessing) };
+});
+
+const { generateFollowUpQuestions } = require('../src/services/aiService');
+const { processStandup, submitDraft, saveDraft, getStandupStatus } = require('../src/handlers/standupHandler');
+const { processStandupQueue } = require('../src/workers/standupWorker');
+const { drainQueue, enqueueStandupProcessing, queue } = require('../src/services/standupQueue');
+const { getStandupById, updateStandupData, deleteStandupData } = require('../src/services/storageService');
+const { issueToken } = require('../src/services/authService');
+
+const ASYNC = { Prefer: 'respond-async' };
+
+function event({ token = issueToken('John Doe'), headers = {}, pathParameters = null, queryStringParameters = null, body = null } = {}) {
+  return {
+    headers: { ...headers, Authorization: `Bearer ${token}` },
+    pathParameters,
+    queryStringParameters,
+    body: body && JSON.stringify(body)
+  };
+}
+
+function question(text) {
+  return { question: text, category: 'general', target: null, priority: 'medium' };
+}
+
+function standup(text) {
+  return { yesterday: `Worked on ${text}`, today: `Finish ${text}`, blockers: 'None' };
+}
+
+async function status(standupId, options = {}) {
+  const response = await getStandupStatus(event({ pathParameters: { id: standupId }, ...options }));
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+describe('Asynchronous standup processing', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    generateFollowUpQuestions.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.removeSync(storageDir);
+  });
+
+  it('stores the raw standup, answers 202 and completes it in the worker', async () => {
+    generateFollowUpQuestions.mockResolvedValue({ questions: [question('When will the refunds API be ready?')], promptTemplate: null });
+
+    const response = await processStandup(event({ headers: ASYNC, body: standup('refunds') }));
+    const { data } = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(202);
+    expect(data).toMatchObject({ teamMember: 'John Doe', status: 'queued', statusUrl: `/standup/${data.standupId}/status` });
+
+    const stored = await getStandupById(data.standupId);
+    expect(stored).toMatchObject({ yesterday: 'Worked on refunds', followUpQuestions: [], processing: { status: 'queued' } });
+
+    await drainQueue();
+
+    const { statusCode, body } = await status(data.standupId);
+    expect(statusCode).toBe(200);
+    expect(body.data).toMatchObject({
+      status: 'completed',
+      attempts: 1,
+      error: null,
+      followUpQuestions: [question('When will the refunds API be ready?')],
+      summary: { yesterday: 'Worked on refunds', followUpQuestionsCount: 1 }
+    });
+    expect(generateFollowUpQuestions).toHaveBeenCalledTimes(1);
+  });
+
+  it('long-polls until processing finishes', async () => {
+    generateFollowUpQuestions.mockResolvedValue({ questions: [question('Who reviews the ledger change?')], promptTemplate: null });
+
+    const response = await processStandup(event({ headers: ASYNC, body: standup('the ledger') }));
+    const { standupId } = JSON.parse(response.body).data;
+
+    // Processing runs after the response, so a wait sees it finish
+    const { body } = await status(standupId, { queryStringParameters: { wait: '5' } });
+    expect(body.data.status).toBe('completed');
+    expect(body.data.followUpQuestions).toEqual([question('Who reviews the ledger change?')]);
+  });
+
+  it('retries failed enrichment and reports failure once out of attempts', async () => {
+    generateFollowUpQuestions
+      .mockRejectedValueOnce(Object.assign(new Error('Throttled'), { name: 'ThrottlingException' }))
+      .mockResolvedValueOnce({ questions: [question('Is the export unblocked?')], promptTemplate: null });
+
+    const retried = JSON.parse((await processStandup(event({ headers: ASYNC, body: standup('exports') }))).body).data;
+    await drainQueue();
+
+    expect((await status(retried.standupId)).body.data).toMatchObject({ status: 'completed', attempts: 2, followUpQuestions: [question('Is the export unblocked?')] });
+
+    generateFollowUpQuestions.mockRejectedValue(Object.assign(new Error('Throttled'), { name: 'ThrottlingException' }));
+
+    const failing = JSON.parse((await processStandup(event({ headers: ASYNC, body: standup('billing') }))).body).data;
+    await drainQueue();
+
+    expect((await status(failing.standupId)).body.data).toMatchObject({ status: 'failed', attempts: 3, error: 'ThrottlingException' });
+    expect(generateFollowUpQuestions).toHaveBeenCalledTimes(5);
+    expect(queue.deadLetters).toHaveLength(0);
+
+    // The standup text survives the failure
+    expect(await getStandupById(failing.standupId)).toMatchObject({ yesterday: 'Worked on billing' });
+  });
+
+  it('replays an idempotent asynchronous submit with the same 202', async () => {
+    generateFollowUpQuestions.mockResolvedValue({ questions: [], promptTemplate: null });
+    const headers = { ...ASYNC, 'Idempotency-Key': 'async-submit-0001' };
+
+    const first = await processStandup(event({ headers, body: standup('payouts') }));
+    const repeat = await processStandup(event({ headers, body: standup('payouts') }));
+    await drainQueue();
+
+    expect(repeat.statusCode).toBe(202);
+    expect(repeat.headers['Idempotent-Replayed']).toBe('true');
+    expect(JSON.parse(repeat.body).data.standupId).toBe(JSON.parse(first.body).data.standupId);
+    expect(generateFollowUpQuestions).toHaveBeenCalledTimes(1);
+  });
+
+  it('requeues a saved standup when an idempotent submit is retried after the queue failed', async () => {
+    generateFollowUpQuestions.mockResolvedValue({ questions: [question('Is the payments queue drained?')], promptTemplate: null });
+    enqueueStandupProcessing.mockRejectedValueOnce(new Error('Queue unavailable'));
+    const headers = { ...ASYNC, 'Idempotency-Key': 'queue-outage-0001' };
+
+    const failed = await processStandup(event({ headers, body: standup('the payments queue') }));
+    const { standupId } = JSON.parse(failed.body).details;
+
+    expect(failed.statusCode).toBe(503);
+    expect((await status(standupId)).body.data).toMatchObject({ status: 'failed', error: 'QUEUE_UNAVAILABLE' });
+
+    const retried = await processStandup(event({ headers, body: standup('the payments queue') }));
+    await drainQueue();
+
+    expect(retried.statusCode).toBe(202);
+    expect(retried.headers['Idempotent-Replayed']).toBe('true');
+    expect(JSON.parse(retried.body).data.standupId).toBe(standupId);
+    expect((await status(standupId)).body.data).toMatchObject({ status: 'completed', followUpQuestions: [question('Is the payments queue drained?')] });
+    expect(generateFollowUpQuestions).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps idempotency keys apart per caller', async () => {
+    generateFollowUpQuestions.mockResolvedValue({ questions: [], promptTemplate: null });
+    const headers = { ...ASYNC, 'Idempotency-Key': 'shared-key-0001' };
+
+    const john = await processStandup(event({ headers, body: standup('payouts') }));
+    const jane = await processStandup(event({ token: issueToken('Jane Smith'), headers, body: standup('payouts') }));
+    await drainQueue();
+
+    expect(jane.statusCode).toBe(202);
+    expect(jane.headers['Idempotent-Replayed']).toBeUndefined();
+    expect(JSON.parse(jane.body).data.standupId).not.toBe(JSON.parse(john.body).data.standupId);
+    expect((await getStandupById(JSON.parse(jane.body).data.standupId)).teamMemberName).toBe('Jane Smith');
+  });
+
+  it('queues submitted drafts and keeps synchronous submits completed', async () => {
+    generateFollowUpQuestions.mockResolvedValue({ questions: [question('What is blocking the rollout?')], promptTemplate: null });
+    const jane = issueToken('Jane Smith');
+
+    await saveDraft(event({ token: jane, pathParameters: { teamMember: 'Jane Smith' }, body: standup('the rollout') }));
+    const drafted = await submitDraft(event({ token: jane, headers: ASYNC, pathParameters: { teamMember: 'Jane Smith' } }));
+    expect(drafted.statusCode).toBe(202);
+    await drainQueue();
+
+    const { standupId } = JSON.parse(drafted.body).data;
+    expect((await status(standupId, { token: jane })).body.data.status).toBe('completed');
+
+    // Other members cannot tell someone else's standup from one that does not exist
+    const hidden = await status(standupId, { token: issueToken('Sam Lee') });
+    expect(hidden.statusCode).toBe(404);
+    expect(hidden.body.error).toBe(`Standup ${standupId} not found`);
+
+    const inline = JSON.parse((await processStandup(event({ body: standup('alerts') }))).body).data;
+    expect((await status(inline.standupId)).body.data).toMatchObject({ status: 'completed', queuedAt: null, followUpQuestions: [question('What is blocking the rollout?')] });
+  });
+
+  it('re-enriches the day record for the amended text', async () => {
+    generateFollowUpQuestions.mockResolvedValue({ questions: [question('Is the amended plan on track?')], promptTemplate: null });
+
+    process.env.STANDUP_DAILY_POLICY = 'amend';
+    const response = await processStandup(event({ headers: ASYNC, body: standup('the amended plan') }));
+    delete process.env.STANDUP_DAILY_POLICY;
+    const { data } = JSON.parse(response.body);
+    expect(data).toMatchObject({ amended: true, status: 'queued' });
+    expect((await getStandupById(data.standupId)).processing.status).toBe('queued');
+
+    await drainQueue();
+
+    expect((await status(data.standupId)).body.data).toMatchObject({
+      status: 'completed',
+      followUpQuestions: [question('Is the amended plan on track?')],
+      summary: { yesterday: 'Worked on the amended plan' }
+    });
+  });
+
+  it('enriches the edited text when a standup changes while it is processed', async () => {
+    generateFollowUpQuestions
+      .mockImplementationOnce(async ({ standupData }) => {
+        await updateStandupData(standupData.id, { today: 'Pair on the payout retries' }, 'John Doe');
+        return { questions: [question('Question about the old text')], promptTemplate: null };
+      })
+      .mockResolvedValueOnce({ questions: [question('Who are you pairing with?')], promptTemplate: null });
+
+    const { standupId } = JSON.parse((await processStandup(event({ headers: ASYNC, body: standup('payout retries') }))).body).data;
+    await drainQueue();
+
+    expect(generateFollowUpQuestions).toHaveBeenCalledTimes(2);
+    expect(generateFollowUpQuestions.mock.calls[1][0].standupData.today).toBe('Pair on the payout retries');
+    expect((await status(standupId)).body.data).toMatchObject({
+      status: 'completed',
+      followUpQuestions: [question('Who are you pairing with?')]
+    });
+  });
+
+  it('reports a deleted standup only to callers who may read it', async () => {
+    generateFollowUpQuestions.mockResolvedValue({ questions: [], promptTemplate: null });
+    const { standupId } = JSON.parse((await processStandup(event({ headers: ASYNC, body: standup('cleanup') }))).body).data;
+    await drainQueue();
+    await deleteStandupData(standupId, 'John Doe');
+
+    expect((await status(standupId)).statusCode).toBe(410);
+    expect((await status(standupId, { token: issueToken('Sam Lee') })).statusCode).toBe(404);
+    expect((await status('no-such-standup')).statusCode).toBe(404);
+  });
+
+  it('acknowledges poison messages and reports failed records to SQS', async () => {
+    const result = await processStandupQueue({
+      Records: [
+        { messageId: 'bad-json', body: '{not json', attributes: { ApproximateReceiveCount: '1' } },
+        { messageId: 'unknown', body: JSON.stringify({ type: 'other' }), attributes: { ApproximateReceiveCount: '1' } },
+        { messageId: 'missing', body: JSON.stringify({ type: 'standup.process', standupId: 'no-such-standup' }), attributes: { ApproximateReceiveCount: '1' } }
+      ]
+    });
+
+    expect(result).toEqual({ batchItemFailures: [] });
+  });
+});
@@ -0,0 +1,85 @@
+const {
+  DAILY_POLICIES,
+  DuplicateStandupError,
+  applyDailyPolicy,
+  latestPerDay
+} = require('../src/services/standupPolicy');
+
+function buildRecord(id, timestamp, overrides = {}) {
+  return {
+    id,
+    teamMemberName: 'Policy Tester',
+    timestamp,
+    yesterday: `Yesterday for ${id}`,
+    today: `Today for ${id}`,
+    blockers: 'None',
+    ...overrides
+  };
+}
+
+describe('applyDailyPolicy', () => {
+  const morning = buildRecord('morning', '2024-03-04T08:00:00.000Z');
+  const noon = buildRecord('noon', '2024-03-04T12:00:00.000Z', { blockers: 'Waiting on review' });
+
+  it('stores every submission under allow_multiple', () => {
+    expect(applyDailyPolicy(noon, [morning], DAILY_POLICIES.ALLOW_MULTIPLE)).toBe(noon);
+  });
+
+  it('rejects a second submission under reject_duplicates', () => {
+    expect(() => applyDailyPolicy(noon, [morning], DAILY_POLICIES.REJECT_DUPLICATES))
+      .toThrow(DuplicateStandupError);
+  });
+
+  it('ignores deleted standups and the record itself', () => {
+    const deleted = { ...morning, deletedAt: '2024-03-04T09:00:00.000Z' };
+
+    expect(applyDailyPolicy(noon, [deleted, noon], DAILY_POLICIES.REJECT_DUPLICATES)).toBe(noon);
+  });
+
+  it('merges a later submission into the day record under amend', () => {
+    const amended = applyDailyPolicy(noon, [morning], DAILY_POLICIES.AMEND);
+
+    expect(amended).toMatchObject({
+      id: 'morning',
+      timestamp: morning.timestamp,
+      today: noon.today,
+      blockers: 'Waiting on review',
+      updatedAt: noon.timestamp
+    });
+    expect(amended.editHistory).toHaveLength(1);
+    expect(amended.editHistory[0]).toMatchObject({
+      action: 'amend',
+      editedBy: 'Policy Tester',
+      changes: { blockers: { from: 'None', to: 'Waiting on review' } }
+    });
+  });
+
+  it('keeps the day record\'s other fields when amending', () => {
+    const processed = { ...morning, jiraTasks: [{ key: 'PAY-1' }], processing: { status: 'completed' } };
+    const submission = { ...noon, jiraTasks: [], processing: { status: 'queued' }, timeZone: 'Europe/Berlin' };
+
+    const amended = applyDailyPolicy(submission, [processed], DAILY_POLICIES.AMEND);
+
+    expect(amended).toEqual({
+      ...processed,
+      yesterday: noon.yesterday,
+      today: noon.today,
+      blockers: noon.blockers,
+      updatedAt: noon.timestamp,
+      editHistory: [expect.objectContaining({ action: 'amend' })]
+    });
+  });
+});
+
+describe('latestPerDay', () => {
+  it('keeps the latest standup per member and day in the original order', () => {
+    const records = [
+      buildRecord('tue-late', '2024-03-05T15:00:00.000Z'),
+      buildRecord('tue-early', '2024-03-05T08:00:00.000Z'),
+      buildRecord('mon', '2024-03-04T08:00:00.000Z'),
+      buildRecord('mon-other', '2024-03-04T09:00:00.000Z', { teamMemberName: 'Someone Else' })
+    ];
+
+    expect(latestPerDay(records).map(record => record.id)).toEqual(['tue-late', 'mon', 'mon-other']);
+  });
+});
@@ -0,0 +1,55 @@
+const {
+  CURRENT_SCHEMA_VERSION,
+  upgradeStandupRecord,
+  validateStandupRecord
+} = require('../src/schemas/standupRecord');
+
+describe('standup record schema', () => {
+  const legacyRecord = {
+    id: 'legacy-1',
+    teamMemberName: 'Test User',
+    timestamp: '2024-01-15T10:30:00.000Z',
+    yesterday: 'Worked on authentication',
+    today: 'Will work on password reset',
+    blockers: 'None',
+    jiraTasks: [{ key: 'AUTH-1' }],
+    followUpQuestions: ['Is the reset flow on track?']
+  };
+
+  it('upgrades records saved before schemaVersion existed to the current shape', () => {
+    const upgraded = upgradeStandupRecord(legacyRecord);
+
+    expect(upgraded.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(upgraded.bitbucketPRs).toEqual([]);
+    expect(upgraded.previousUpdatesCount).toBe(0);
+    expect(upgraded.analysisMetadata).toEqual({
+      tasksAnalyzed: 1,
+      prsAnalyzed: 0,
+      questionsGenerated: 1,
+      contextFromPreviousUpdates: false
+    });
+    expect(upgraded.followUpQuestions).toEqual([
+      { question: 'Is the reset flow on track?', category: 'general', target: null, priority: 'medium' }
+    ]);
+    expect(validateStandupRecord(upgraded)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('rejects records with missing or mistyped fields', () => {
+    const invalid = {
+      ...upgradeStandupRecord(legacyRecord),
+      timestamp: 'yesterday',
+      jiraTasks: 'AUTH-1',
+      analysisMetadata: { tasksAnalyzed: '1' }
+    };
+
+    const { valid, errors } = validateStandupRecord(invalid);
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      'timestamp must be an ISO date-time string',
+      'jiraTasks must be an array',
+      'analysisMetadata.tasksAnalyzed must be a number',
+      'analysisMetadata.prsAnalyzed is required'
+    ]));
+  });
+});
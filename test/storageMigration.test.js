@@ -0,0 +1,101 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'standup-migration-'));
+
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.STORAGE_TYPE = 'json';
+
+const { migrateStorageLayout, getStandupById, getTeamMetrics } = require('../src/services/storageService');
+const { CURRENT_SCHEMA_VERSION } = require('../src/schemas/standupRecord');
+
+// A record as saved before schemaVersion existed
+function legacyRecord(id, timestamp, blockers = 'None') {
+  return {
+    id,
+    teamMemberName: 'Legacy Member',
+    timestamp,
+    yesterday: `${id} yesterday`,
+    today: `${id} today`,
+    blockers
+  };
+}
+
+async function writeObject(key, value) {
+  await fs.outputFile(path.join(storageDir, key), JSON.stringify(value, null, 2));
+}
+
+async function readObject(key) {
+  return JSON.parse(await fs.readFile(path.join(storageDir, key), 'utf-8'));
+}
+
+describe('migrateStorageLayout', () => {
+  const dayFile = 'standups/json/Legacy Member/2026-10-05.json';
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // A day file holding one standup twice, a per-id copy of it, a per-id copy of a standup
+    // missing from its day file, and a per-member index entry
+    await writeObject(dayFile, [
+      legacyRecord('legacy-1', '2026-10-05T09:00:00.000Z'),
+      legacyRecord('legacy-1', '2026-10-05T09:00:00.000Z')
+    ]);
+    await writeObject('standups/json/Legacy Member/legacy-1.json', legacyRecord('legacy-1', '2026-10-05T09:00:00.000Z'));
+    await writeObject('standups/json/Legacy Member/legacy-2.json', legacyRecord('legacy-2', '2026-10-06T09:00:00.000Z', 'Waiting on QA'));
+    await writeObject('standups/index/Legacy Member/legacy-1.json', { id: 'legacy-1', dayFile });
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(storageDir);
+  });
+
+  it('reports what it would change without writing on a dry run', async () => {
+    const before = await fs.readdir(path.join(storageDir, 'standups', 'json', 'Legacy Member'));
+
+    expect(await migrateStorageLayout({ dryRun: true })).toEqual({
+      dryRun: true,
+      membersProcessed: 1,
+      dayFilesRewritten: 2,
+      duplicatesRemoved: 1,
+      legacyFilesRemoved: 2,
+      indexEntriesWritten: 2,
+      legacyIndexEntriesRemoved: 1
+    });
+
+    expect(await fs.readdir(path.join(storageDir, 'standups', 'json', 'Legacy Member'))).toEqual(before);
+    expect(await fs.pathExists(path.join(storageDir, 'standups', 'index', 'legacy-1.json'))).toBe(false);
+  });
+
+  it('stores each standup once in its day file, upgraded and indexed by id', async () => {
+    const summary = await migrateStorageLayout();
+    expect(summary).toMatchObject({ dryRun: false, dayFilesRewritten: 2, legacyFilesRemoved: 2, legacyIndexEntriesRemoved: 1 });
+
+    expect((await fs.readdir(path.join(storageDir, 'standups', 'json', 'Legacy Member'))).sort())
+      .toEqual(['2026-10-05.json', '2026-10-06.json']);
+    expect(await fs.readdir(path.join(storageDir, 'standups', 'index'))).toEqual(expect.arrayContaining(['legacy-1.json', 'legacy-2.json']));
+    expect(await fs.pathExists(path.join(storageDir, 'standups', 'index', 'Legacy Member', 'legacy-1.json'))).toBe(false);
+
+    const firstDay = await readObject(dayFile);
+    expect(firstDay).toHaveLength(1);
+    expect(firstDay[0]).toMatchObject({ id: 'legacy-1', schemaVersion: CURRENT_SCHEMA_VERSION, jiraTasks: [], followUpQuestions: [] });
+    expect(await readObject('standups/index/legacy-2.json')).toMatchObject({ id: 'legacy-2', dayFile: 'standups/json/Legacy Member/2026-10-06.json' });
+
+    expect(await getStandupById('legacy-2')).toMatchObject({ blockers: 'Waiting on QA', schemaVersion: CURRENT_SCHEMA_VERSION });
+    expect((await getTeamMetrics()).memberStats['Legacy Member'].standupCount).toBe(2);
+  });
+
+  it('has nothing left to rewrite when run again', async () => {
+    expect(await migrateStorageLayout()).toMatchObject({
+      dayFilesRewritten: 0,
+      duplicatesRemoved: 0,
+      legacyFilesRemoved: 0,
+      indexEntriesWritten: 2,
+      legacyIndexEntriesRemoved: 0
+    });
+  });
+});
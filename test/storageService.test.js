@@ -0,0 +1,280 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'standup-storage-'));
+
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.STORAGE_TYPE = 'both';
+
+const {
+  saveStandupData,
+  getStandupHistory,
+  getTeamMetrics,
+  updateStandupData,
+  deleteStandupData,
+  updateStandupEnrichment,
+  standupRevision,
+  getStandupById,
+  getDraft,
+  saveDraft,
+  deleteDraft,
+  saveTeamDigest,
+  getTeamDigest,
+  updateTeamDigest,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+} = require('../src/services/storageService');
+
+function buildRecord(index) {
+  return {
+    id: `standup-${index}`,
+    teamMemberName: 'Parallel Tester',
+    timestamp: new Date().toISOString(),
+    yesterday: `Worked on item ${index}`,
+    today: `Will work on item ${index + 1}`,
+    blockers: 'None',
+    jiraTasks: [],
+    bitbucketPRs: [],
+    followUpQuestions: []
+  };
+}
+
+describe('storageService concurrent saves', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(storageDir);
+  });
+
+  it('keeps every record when saveStandupData runs in parallel for the same member and day', async () => {
+    const records = Array.from({ length: 8 }, (_, index) => buildRecord(index));
+
+    await Promise.all(records.map(record => saveStandupData(record)));
+
+    const date = new Date().toISOString().split('T')[0];
+    const dayFile = path.join(storageDir, 'standups', 'json', 'Parallel Tester', `${date}.json`);
+    const dayRecords = JSON.parse(await fs.readFile(dayFile, 'utf-8'));
+    expect(dayRecords.map(record => record.id).sort()).toEqual(records.map(record => record.id).sort());
+
+    const csvHistory = await getStandupHistory('Parallel Tester', date, date, 'csv');
+    const csvLines = csvHistory[0].data.trim().split('\n');
+    expect(csvLines).toHaveLength(records.length + 1);
+    records.forEach(record => {
+      expect(csvLines.some(line => line.startsWith(`${record.id},`))).toBe(true);
+    });
+  });
+
+  it('counts each saved standup once in team metrics', async () => {
+    const metrics = await getTeamMetrics();
+
+    expect(metrics.totalStandups).toBe(8);
+    expect(metrics.memberStats['Parallel Tester'].standupCount).toBe(8);
+  });
+});
+
+describe('storageService edits and deletes', () => {
+  const date = new Date().toISOString().split('T')[0];
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await saveStandupData({ ...buildRecord(100), teamMemberName: 'Edit Tester' });
+    await saveStandupData({ ...buildRecord(101), teamMemberName: 'Edit Tester' });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records the original text and editor in editHistory and rewrites the CSV', async () => {
+    const updated = await updateStandupData('standup-100', { blockers: 'Waiting on API keys' }, 'Team Lead', 'Forgot blocker');
+
+    expect(updated.blockers).toBe('Waiting on API keys');
+    expect(updated.editHistory).toHaveLength(1);
+    expect(updated.editHistory[0]).toMatchObject({
+      action: 'update',
+      editedBy: 'Team Lead',
+      reason: 'Forgot blocker',
+      changes: { blockers: { from: 'None', to: 'Waiting on API keys' } }
+    });
+
+    const [csvDay] = await getStandupHistory('Edit Tester', date, date, 'csv');
+    const editedLine = csvDay.data.split('\n').find(line => line.startsWith('standup-100,'));
+    expect(editedLine).toContain('Waiting on API keys');
+  });
+
+  it('hides soft-deleted standups from history and CSV but keeps the audit trail', async () => {
+    const deleted = await deleteStandupData('standup-101', 'Team Lead', 'Duplicate');
+
+    expect(deleted.deletedBy).toBe('Team Lead');
+    expect(deleted.editHistory[deleted.editHistory.length - 1].action).toBe('delete');
+
+    const history = await getStandupHistory('Edit Tester', date, date, 'json');
+    expect(history.map(record => record.id)).toEqual(['standup-100']);
+
+    const [csvDay] = await getStandupHistory('Edit Tester', date, date, 'csv');
+    expect(csvDay.data).not.toContain('standup-101,');
+
+    expect(await deleteStandupData('standup-101', 'Team Lead')).toBeNull();
+    expect(await updateStandupData('missing-id', { today: 'x' }, 'Team Lead')).toBeNull();
+  });
+
+  it('keeps both of two concurrent edits to a standup', async () => {
+    await saveStandupData({ ...buildRecord(102), teamMemberName: 'Edit Tester' });
+
+    await Promise.all([
+      updateStandupData('standup-102', { blockers: 'Waiting on legal' }, 'Ann'),
+      updateStandupData('standup-102', { today: 'Draft the contract' }, 'Ben')
+    ]);
+
+    const [stored] = (await getStandupHistory('Edit Tester', date, date, 'json')).filter(record => record.id === 'standup-102');
+    expect(stored).toMatchObject({ blockers: 'Waiting on legal', today: 'Draft the contract' });
+    expect(stored.editHistory.map(entry => entry.editedBy).sort()).toEqual(['Ann', 'Ben']);
+  });
+
+  it('keeps an edit made while enrichment results are stored, and holds results back for edited text', async () => {
+    const saved = await saveStandupData({ ...buildRecord(103), teamMemberName: 'Edit Tester' });
+
+    await Promise.all([
+      updateStandupData('standup-103', { blockers: 'Waiting on legal' }, 'Ann'),
+      updateStandupEnrichment('standup-103', { previousUpdatesCount: 7 })
+    ]);
+
+    const stored = await getStandupById('standup-103');
+    expect(stored).toMatchObject({ blockers: 'Waiting on legal', previousUpdatesCount: 7 });
+    expect(stored.editHistory).toHaveLength(1);
+
+    // Results computed for the text before the edit are not stored
+    const current = await updateStandupEnrichment('standup-103', { previousUpdatesCount: 9 }, { revision: standupRevision(saved) });
+    expect(standupRevision(current)).not.toBe(standupRevision(saved));
+    expect((await getStandupById('standup-103')).previousUpdatesCount).toBe(7);
+  });
+});
+
+describe('storageService history order', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns a member\'s history newest first', async () => {
+    for (const day of ['01', '03', '02']) {
+      await saveStandupData({ ...buildRecord(0), id: `order-${day}`, teamMemberName: 'Order Tester', timestamp: `2026-10-${day}T09:00:00.000Z` });
+    }
+
+    const history = await getStandupHistory('Order Tester', '2026-10-01', '2026-10-03');
+    expect(history.map(record => record.id)).toEqual(['order-03', 'order-02', 'order-01']);
+  });
+});
+
+describe('storageService CSV day files', () => {
+  const dayCsv = path.join(storageDir, 'standups', 'csv', 'Csv Tester', '2026-10-19.csv');
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    delete process.env.STANDUP_DAILY_POLICY;
+  });
+
+  it('replaces an amended row whose quoted values span several lines', async () => {
+    const record = (id, timestamp, blockers) => ({ ...buildRecord(0), id, teamMemberName: 'Csv Tester', timestamp, blockers });
+
+    await saveStandupData(record('csv-1', '2026-10-19T09:00:00.000Z', 'Waiting on:\n- legal, "final" sign-off\n- budget'));
+    process.env.STANDUP_DAILY_POLICY = 'amend';
+    await saveStandupData(record('csv-2', '2026-10-19T11:00:00.000Z', 'Only the budget'));
+
+    const lines = (await fs.readFile(dayCsv, 'utf-8')).trim().split('\n');
+    expect(lines).toHaveLength(2);
+    expect(lines[0].startsWith('id,teamMemberName,timestamp,')).toBe(true);
+    expect(lines[1].startsWith('csv-1,Csv Tester,2026-10-19T09:00:00.000Z,')).toBe(true);
+    expect(lines[1]).toContain('Only the budget');
+  });
+});
+
+describe('storageService drafts', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('merges partial saves into one draft per member and removes it on delete', async () => {
+    await saveDraft('Draft Tester', { yesterday: 'Started the migration' });
+    const draft = await saveDraft('Draft Tester', { today: 'Finish the migration' });
+
+    expect(draft).toMatchObject({
+      teamMemberName: 'Draft Tester',
+      yesterday: 'Started the migration',
+      today: 'Finish the migration'
+    });
+    expect(await getDraft('Draft Tester')).toEqual(draft);
+
+    expect(await deleteDraft('Draft Tester')).toBe(true);
+    expect(await getDraft('Draft Tester')).toBeNull();
+    expect(await deleteDraft('Draft Tester')).toBe(false);
+  });
+});
+
+describe('storageService team digests', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only updates a team digest that exists and has not been replaced', async () => {
+    const pending = (id) => ({ id, teamId: 'payments', date: '2026-10-19', processing: { status: 'queued', queuedAt: '2026-10-19T09:00:00.000Z' } });
+
+    expect(await updateTeamDigest('payments', '2026-10-19', 'digest-1', { narrative: 'Early' })).toBeNull();
+    expect(await getTeamDigest('payments', '2026-10-19')).toBeNull();
+
+    await saveTeamDigest(pending('digest-1'));
+    expect(await updateTeamDigest('payments', '2026-10-19', 'digest-1', { narrative: 'First' })).toMatchObject({ id: 'digest-1', narrative: 'First' });
+
+    await saveTeamDigest(pending('digest-2'));
+    expect(await updateTeamDigest('payments', '2026-10-19', 'digest-1', { narrative: 'Stale' })).toBeNull();
+    expect(await getTeamDigest('payments', '2026-10-19')).toEqual(pending('digest-2'));
+  });
+});
+
+describe('storageService idempotency keys', () => {
+  it('lets one request claim a key and replays its stored response afterwards', async () => {
+    const [first, second] = await Promise.all([
+      claimIdempotencyKey('retry-key-1', 'fingerprint-a'),
+      claimIdempotencyKey('retry-key-1', 'fingerprint-a')
+    ]);
+    expect([first.status, second.status].sort()).toEqual(['claimed', 'in_progress']);
+
+    await completeIdempotencyKey('retry-key-1', 'fingerprint-a', { success: true, data: { standupId: 'abc' } });
+
+    expect(await claimIdempotencyKey('retry-key-1', 'fingerprint-a')).toEqual({
+      status: 'completed',
+      response: { success: true, data: { standupId: 'abc' } }
+    });
+    expect(await claimIdempotencyKey('retry-key-1', 'fingerprint-b')).toEqual({ status: 'mismatch' });
+  });
+
+  it('frees a released key for the next attempt', async () => {
+    expect((await claimIdempotencyKey('retry-key-2', 'fingerprint-a')).status).toBe('claimed');
+    await releaseIdempotencyKey('retry-key-2');
+    expect((await claimIdempotencyKey('retry-key-2', 'fingerprint-a')).status).toBe('claimed');
+  });
+});
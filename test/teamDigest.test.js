@@ -0,0 +1,184 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'standup-digest-'));
+
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.STORAGE_TYPE = 'json';
+process.env.TEAM_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'teams.example.json');
+process.env.AUTH_SECRET = 'test-secret';
+process.env.AI_PROVIDER = 'stub';
+process.env.QUEUE_BACKEND = 'memory';
+
+const { createTeamDigest, getTeamDigest } = require('../src/handlers/teamHandler');
+const { saveStandupData } = require('../src/services/storageService');
+const { drainQueue } = require('../src/services/standupQueue');
+const { getAiProvider } = require('../src/services/aiService');
+const { validateResponse } = require('../src/services/requestValidator');
+const { CURRENT_SCHEMA_VERSION } = require('../src/schemas/standupRecord');
+const { issueToken } = require('../src/services/authService');
+
+const DATE = '2026-10-19';
+
+function standup(id, teamMemberName, { blockers = 'None', jiraTasks = [], bitbucketPRs = [] } = {}) {
+  return {
+    id,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    teamMemberName,
+    timestamp: `${DATE}T13:00:00.000Z`,
+    yesterday: `${teamMemberName} finished the ledger export`,
+    today: `${teamMemberName} reconciles refunds`,
+    blockers,
+    jiraTasks,
+    bitbucketPRs,
+    followUpQuestions: [],
+    previousUpdatesCount: 0,
+    analysisMetadata: { tasksAnalyzed: jiraTasks.length, prsAnalyzed: bitbucketPRs.length, questionsGenerated: 0, contextFromPreviousUpdates: false }
+  };
+}
+
+async function call(handler, operationId, { token = issueToken('John Doe'), teamId = 'payments', date = DATE, query = {} } = {}) {
+  const response = await handler({
+    headers: { Authorization: `Bearer ${token}` },
+    pathParameters: { teamId },
+    queryStringParameters: date ? { date, ...query } : null,
+    body: null
+  });
+  const body = JSON.parse(response.body);
+  expect(validateResponse(operationId, response.statusCode, body)).toEqual([]);
+  return { statusCode: response.statusCode, body };
+}
+
+describe('Team digests', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await saveStandupData(standup('digest-john', 'John Doe', {
+      jiraTasks: [{ key: 'PAY-12', summary: 'Refund reconciliation', status: { name: 'In Progress' } }]
+    }));
+    await saveStandupData(standup('digest-jane', 'Jane Smith', {
+      blockers: 'Waiting on finance to approve the refund limits',
+      bitbucketPRs: [{ id: 42, title: 'Refund limits', state: 'OPEN', repository: { name: 'payments-api' } }]
+    }));
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    getAiProvider().calls.length = 0;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.removeSync(storageDir);
+  });
+
+  it('queues a lead\'s digest and writes it from every standup the team posted', async () => {
+    const provider = getAiProvider();
+    const reply = {
+      narrative: 'Refund work is moving, but the new limits wait on finance.',
+      shipped: [{ member: 'John Doe', summary: 'Ledger export finished', refs: [] }],
+      atRisk: [{ member: 'Jane Smith', summary: 'Refund limits PR cannot merge without approval', refs: ['42'] }],
+      dependencies: [{ member: 'Jane Smith', dependsOn: 'Finance', summary: 'Approval of refund limits', refs: ['42'] }],
+      decisionsNeeded: [{ member: 'Jane Smith', blocker: 'Finance approval', decision: 'Ship with the current limits or wait', refs: ['PAY-12'] }]
+    };
+    jest.replaceProperty(provider, 'responses', { teamDigest: JSON.stringify(reply) });
+
+    const accepted = await call(createTeamDigest, 'createTeamDigest');
+    expect(accepted.statusCode).toBe(202);
+    expect(accepted.body.data).toMatchObject({ teamId: 'payments', date: DATE, status: 'queued', statusUrl: `/teams/payments/digest?date=${DATE}` });
+
+    await drainQueue();
+
+    const { statusCode, body } = await call(getTeamDigest, 'getTeamDigest');
+    expect(statusCode).toBe(200);
+    expect(body.data).toMatchObject({
+      id: accepted.body.data.digestId,
+      teamId: 'payments',
+      date: DATE,
+      status: 'completed',
+      attempts: 1,
+      error: null,
+      generatedBy: 'John Doe',
+      standupIds: ['digest-john', 'digest-jane'],
+      membersReported: ['John Doe', 'Jane Smith'],
+      membersMissing: [],
+      metrics: { totalStandups: 2, activeMembers: 2 },
+      ...reply,
+      promptTemplate: { id: 'team-digest-default', version: 1, teamId: 'payments' }
+    });
+
+    const prompt = provider.calls[0].prompt;
+    expect(prompt).toContain(`morning standup digest of Payments Squad for its leads, covering ${DATE}`);
+    expect(prompt).toContain('1. PAY-12: Refund reconciliation - Status: In Progress');
+    expect(prompt).toContain('1. PR id 42: Refund limits (payments-api) - State: OPEN');
+    expect(prompt).toContain('Blockers: Waiting on finance to approve the refund limits');
+  });
+
+  it('long-polls until the digest is written, and only writes the latest request for a day', async () => {
+    const first = await call(createTeamDigest, 'createTeamDigest');
+    const second = await call(createTeamDigest, 'createTeamDigest');
+
+    // The worker runs after the responses, so a wait sees the second request finish
+    const { body } = await call(getTeamDigest, 'getTeamDigest', { query: { wait: '5' } });
+    expect(body.data).toMatchObject({ id: second.body.data.digestId, status: 'completed' });
+    expect(body.data.id).not.toBe(first.body.data.digestId);
+
+    // The replaced request is skipped rather than written as well
+    await drainQueue();
+    expect(getAiProvider().calls).toHaveLength(1);
+  });
+
+  it('only lets the team\'s leads read or generate its digest', async () => {
+    // Jane Smith is a member of payments and Sam Lee a viewer
+    expect((await call(createTeamDigest, 'createTeamDigest', { token: issueToken('Jane Smith') })).statusCode).toBe(403);
+    expect((await call(getTeamDigest, 'getTeamDigest', { token: issueToken('Sam Lee') })).statusCode).toBe(403);
+
+    // Whether an unknown team exists is only revealed to callers allowed to see it
+    expect((await call(getTeamDigest, 'getTeamDigest', { token: 'not-a-token', teamId: 'support' })).statusCode).toBe(401);
+    expect((await call(getTeamDigest, 'getTeamDigest', { teamId: 'support' })).statusCode).toBe(403);
+    expect((await call(getTeamDigest, 'getTeamDigest', { token: issueToken('Admin', { admin: true }), teamId: 'support' })).statusCode).toBe(404);
+
+    // Jane leads platform, which has no digest for the day yet
+    const missing = await call(getTeamDigest, 'getTeamDigest', { token: issueToken('Jane Smith'), teamId: 'platform' });
+    expect(missing.statusCode).toBe(404);
+    expect(missing.body.error).toBe(`No digest for team platform on ${DATE}`);
+  });
+
+  it('lists the reported blockers when the AI reply never passes validation', async () => {
+    const provider = getAiProvider();
+    jest.replaceProperty(provider, 'responses', {
+      teamDigest: JSON.stringify({
+        narrative: 'Quiet day.',
+        shipped: [{ member: 'Alex Kim', summary: 'Shipped the app', refs: ['PAY-99'] }],
+        atRisk: [],
+        dependencies: [],
+        decisionsNeeded: []
+      })
+    });
+
+    const accepted = await call(createTeamDigest, 'createTeamDigest', { token: issueToken('John Doe') });
+    await drainQueue();
+
+    const { body } = await call(getTeamDigest, 'getTeamDigest');
+    expect(provider.calls).toHaveLength(2);
+    expect(provider.calls[1].prompt).toContain('- reply.shipped[0].member Alex Kim is not a member of the team');
+    expect(provider.calls[1].prompt).toContain('- reply.shipped[0].refs PAY-99 is not a Jira key or PR id from the context');
+
+    expect(body.data).toMatchObject({
+      id: accepted.body.data.digestId,
+      status: 'completed',
+      narrative: expect.stringContaining('2 members posted a standup and 1 reported blockers.'),
+      shipped: [],
+      decisionsNeeded: [{ member: 'Jane Smith', blocker: 'Waiting on finance to approve the refund limits', decision: 'Decide who helps resolve this blocker', refs: [] }],
+      promptTemplate: null
+    });
+  });
+});
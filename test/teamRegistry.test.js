@@ -0,0 +1,60 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const { TeamRegistry, TeamRegistryError } = require('../src/services/teamRegistry');
+
+describe('teamRegistry', () => {
+  let dir;
+
+  const registryWith = async (document) => {
+    const registryPath = path.join(dir, 'teams.json');
+    await fs.writeJson(registryPath, document);
+    return new TeamRegistry({ registryPath });
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'team-registry-'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  it('loads teams and resolves a member across teams with their roles', async () => {
+    const registry = await registryWith(await fs.readJson(path.join(__dirname, '..', 'config', 'teams.example.json')));
+
+    expect(registry.isConfigured()).toBe(true);
+    expect(registry.getTeams().map(team => team.id)).toEqual(['payments', 'platform']);
+    expect(registry.getTeamMembers('payments')).toEqual(['John Doe', 'Jane Smith', 'Sam Lee']);
+
+    const jane = registry.getMember('Jane Smith');
+    expect(jane.bitbucketUsername).toBe('jsmith');
+    expect(jane.teams).toEqual([
+      { teamId: 'payments', teamName: 'Payments Squad', role: 'member' },
+      { teamId: 'platform', teamName: 'Platform Team', role: 'lead' }
+    ]);
+    expect(registry.getMemberTeams('Jane Smith')).toEqual(['payments', 'platform']);
+    expect(registry.getMember('Nobody')).toBeNull();
+    expect(() => registry.getTeamMembers('unknown')).toThrow(TeamRegistryError);
+  });
+
+  it('rejects unknown roles and team members missing from the member list', async () => {
+    const registry = await registryWith({
+      members: { 'John Doe': {} },
+      teams: { payments: { members: { 'John Doe': 'owner', 'Ghost': 'member' } } }
+    });
+
+    expect(() => registry.load()).toThrow(/unknown role "owner".*Ghost is not listed under members/);
+  });
+
+  it('treats a missing registry file as unconfigured', () => {
+    const registry = new TeamRegistry({ registryPath: path.join(dir, 'missing.json') });
+
+    expect(registry.isConfigured()).toBe(false);
+    expect(registry.getTeams()).toEqual([]);
+    expect(registry.getMemberTeams('John Doe')).toEqual([]);
+  });
+});
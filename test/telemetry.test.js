@@ -0,0 +1,137 @@
+const path = require('path');
+const axios = require('axios');
+
+process.env.TEAM_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'teams.example.json');
+delete process.env.JIRA_BASE_URL;
+delete process.env.BITBUCKET_WORKSPACE;
+
+jest.mock('../src/services/storageService', () => ({
+  checkStorage: jest.fn(async () => ({ backend: 's3' }))
+}));
+
+const { Telemetry, telemetry } = require('../src/services/telemetry');
+const { httpHandler } = require('../src/middleware/http');
+const { runWithContext } = require('../src/services/logger');
+const { checkStorage } = require('../src/services/storageService');
+const { getHealth } = require('../src/handlers/healthHandler');
+
+const emitted = () => console.log.mock.calls.map(([line]) => JSON.parse(line)).filter(entry => entry._aws);
+const logged = (method, message) => console[method].mock.calls.map(([line]) => JSON.parse(line)).find(entry => entry.message === message);
+
+describe('telemetry', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('writes each traced call as an EMF document and rethrows failures', async () => {
+    const metrics = new Telemetry({ namespace: 'Test' });
+
+    await runWithContext({ requestId: 'req-1' }, () => metrics.trace('jira', 'GET /rest/api/3/search', async () => 'issues'));
+    await expect(metrics.trace('bedrock', 'InvokeModel followUpQuestions', async () => {
+      throw Object.assign(new Error('Rate exceeded'), { name: 'ThrottlingException' });
+    })).rejects.toThrow('Rate exceeded');
+
+    const [ok, failed] = emitted();
+    expect(ok._aws.CloudWatchMetrics).toEqual([{
+      Namespace: 'Test',
+      Dimensions: [['Service', 'Dependency', 'Operation'], ['Service', 'Dependency']],
+      Metrics: [
+        { Name: 'ExternalCallDuration', Unit: 'Milliseconds' },
+        { Name: 'ExternalCalls', Unit: 'Count' },
+        { Name: 'ExternalCallErrors', Unit: 'Count' }
+      ]
+    }]);
+    expect(ok).toMatchObject({ Service: 'standup-tracker', Dependency: 'jira', Operation: 'GET /rest/api/3/search', ExternalCalls: 1, ExternalCallErrors: 0, outcome: 'ok', requestId: 'req-1' });
+    expect(failed).toMatchObject({ Dependency: 'bedrock', ExternalCallErrors: 1, outcome: 'error', error: 'ThrottlingException' });
+    expect(metrics.getLastCall('bedrock')).toMatchObject({ outcome: 'error', error: 'ThrottlingException' });
+
+    await new Telemetry({ enabled: false }).trace('jira', 'GET /x', async () => null);
+    expect(emitted()).toHaveLength(2);
+  });
+
+  it('traces axios clients by endpoint and storage drivers by method', async () => {
+    const metrics = new Telemetry();
+    const client = axios.create({
+      adapter: async (config) => {
+        if (config.url.endsWith('/missing')) {
+          throw new axios.AxiosError('Not found', 'ERR_BAD_REQUEST', config, null, { status: 404, statusText: 'Not Found', data: {}, headers: {}, config });
+        }
+        return { data: {}, status: 200, statusText: 'OK', headers: {}, config };
+      }
+    });
+    metrics.instrumentHttpClient(client, 'bitbucket', url => url.replace(/\/pullrequests\/\d+/, '/pullrequests/{id}'));
+
+    await client.get('/pullrequests/42');
+    await expect(client.get('/pullrequests/7/missing')).rejects.toThrow('Not found');
+
+    const driver = {
+      name: 'local',
+      async getObject(key) { return this.read(key); },
+      async read(key) { return `data for ${key}`; }
+    };
+    const traced = metrics.instrumentDriver(driver, 'storage', ['getObject']);
+    await expect(traced.getObject('a.json')).resolves.toBe('data for a.json');
+    expect(traced.name).toBe('local');
+
+    expect(emitted().map(entry => [entry.Dependency, entry.Operation, entry.outcome, entry.error])).toEqual([
+      ['bitbucket', 'GET /pullrequests/{id}', 'ok', undefined],
+      ['bitbucket', 'GET /pullrequests/{id}/missing', 'error', 'HTTP 404'],
+      ['storage', 'getObject', 'ok', undefined]
+    ]);
+  });
+
+  it('summarizes dependency time per request and warns before the Lambda timeout', async () => {
+    let finishJira;
+    const handler = httpHandler({ operationId: 'listTeams' }, async () => {
+      await telemetry.trace('storage', 'getObject', async () => null);
+      await telemetry.trace('jira', 'GET /rest/api/3/search', () => new Promise(resolve => { finishJira = resolve; }));
+      return { success: true };
+    });
+
+    // The warning is due 2000ms before the deadline, so 100ms into this request
+    const pending = handler({ headers: { 'X-Request-Id': 'req-slow' } }, { getRemainingTimeInMillis: () => 2100 });
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    expect(logged('warn', 'Request close to timeout')).toMatchObject({
+      requestId: 'req-slow',
+      dependencies: { storage: { calls: 1, errors: 0 } },
+      inFlight: [{ dependency: 'jira', operation: 'GET /rest/api/3/search' }]
+    });
+
+    finishJira([]);
+    await pending;
+
+    expect(logged('log', 'Request completed').dependencies).toMatchObject({
+      storage: { calls: 1, errors: 0 },
+      jira: { calls: 1, errors: 0 }
+    });
+    expect(emitted().find(entry => entry.OperationId)).toMatchObject({ OperationId: 'listTeams', Requests: 1, ServerErrors: 0, statusCode: 200 });
+  });
+
+  it('reports dependency health and is down when storage fails', async () => {
+    const healthy = await getHealth({ headers: {} }, {});
+    expect(healthy.statusCode).toBe(200);
+    expect(JSON.parse(healthy.body)).toMatchObject({
+      success: true,
+      status: 'ok',
+      dependencies: {
+        storage: { status: 'ok', backend: 's3' },
+        teamRegistry: { status: 'ok', teams: 2 },
+        jira: { status: 'not_configured' },
+        bitbucket: { status: 'not_configured' }
+      }
+    });
+
+    checkStorage.mockRejectedValueOnce(Object.assign(new Error('connect ECONNREFUSED 10.0.0.5:443'), { code: 'ECONNREFUSED' }));
+    const down = await getHealth({ headers: {} }, {});
+    expect(down.statusCode).toBe(503);
+    expect(JSON.parse(down.body)).toMatchObject({ success: false, status: 'down', dependencies: { storage: { status: 'error', error: 'ECONNREFUSED' } } });
+    expect(down.body).not.toContain('10.0.0.5');
+  });
+});
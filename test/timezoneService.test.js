@@ -0,0 +1,61 @@
+process.env.MEMBER_TIMEZONES = JSON.stringify({
+  'Sydney Dev': 'Australia/Sydney',
+  'Broken Zone': 'Not/AZone'
+});
+
+const {
+  isValidTimezone,
+  getMemberTimezone,
+  localDate,
+  shiftDate,
+  standupDate,
+  findPreviousStandupDay
+} = require('../src/services/timezoneService');
+
+describe('timezoneService', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('resolves configured member timezones and falls back to UTC', () => {
+    expect(getMemberTimezone('Sydney Dev')).toBe('Australia/Sydney');
+    expect(getMemberTimezone('Broken Zone')).toBe('UTC');
+    expect(getMemberTimezone('Unknown Member')).toBe('UTC');
+    expect(isValidTimezone('Asia/Kolkata')).toBe(true);
+    expect(isValidTimezone('Not/AZone')).toBe(false);
+  });
+
+  it('files a morning standup in Sydney under the local day, not the UTC day', () => {
+    // 09:00 in Sydney on 5 March is still 4 March in UTC
+    const record = { teamMemberName: 'Sydney Dev', timestamp: '2024-03-04T22:00:00.000Z' };
+
+    expect(localDate(record.timestamp, 'UTC')).toBe('2024-03-04');
+    expect(standupDate(record)).toBe('2024-03-05');
+    expect(standupDate({ ...record, standupDate: '2024-03-04' })).toBe('2024-03-04');
+  });
+
+  it('shifts dates across month boundaries', () => {
+    expect(shiftDate('2024-03-01', -1)).toBe('2024-02-29');
+    expect(shiftDate('2024-12-31', 1)).toBe('2025-01-01');
+  });
+
+  it('finds the standup from the previous local day', () => {
+    const current = { teamMemberName: 'Sydney Dev', timestamp: '2024-03-05T22:00:00.000Z' };
+    const updates = [
+      { id: 'same-day', teamMemberName: 'Sydney Dev', timestamp: '2024-03-05T21:00:00.000Z' },
+      { id: 'yesterday', teamMemberName: 'Sydney Dev', timestamp: '2024-03-04T22:30:00.000Z' },
+      { id: 'older', teamMemberName: 'Sydney Dev', timestamp: '2024-03-01T22:30:00.000Z' }
+    ];
+
+    expect(findPreviousStandupDay(current, updates)).toMatchObject({
+      standup: { id: 'yesterday' },
+      date: '2024-03-05',
+      daysAgo: 1
+    });
+    expect(findPreviousStandupDay(current, [updates[0]])).toBeNull();
+  });
+});
@@ -1,5 +1,17 @@
 import * as vscode from 'vscode';
-import axios from 'axios';
+import axios, { AxiosResponse } from 'axios';
+import { randomUUID } from 'crypto';
+
+// Attempts per submission; retries reuse the idempotency key so the API never saves twice
+const SUBMIT_ATTEMPTS = 3;
+
+// Long-polls of the status endpoint (up to 20s each) before giving up on a queued standup
+const STATUS_POLLS = 6;
+
+// Key of the API token in VS Code's secret storage
+const API_TOKEN_SECRET = 'standupTracker.apiToken';
+
+let secretStorage: vscode.SecretStorage | undefined;
 
 interface StandupData {
     teamMemberName: string;
@@ -8,6 +20,22 @@ interface StandupData {
     blockers: string;
 }
 
+interface StandupDraft {
+    teamMemberName: string;
+    yesterday?: string;
+    today?: string;
+    blockers?: string;
+    createdAt: string;
+    updatedAt: string;
+}
+
+interface FollowUpQuestion {
+    question: string;
+    category: string;
+    target: { type: 'task' | 'pull_request' | 'blocker'; ref: string } | null;
+    priority: 'high' | 'medium' | 'low';
+}
+
 interface StandupResponse {
     success: boolean;
     data: {
@@ -15,7 +43,7 @@ interface StandupResponse {
         teamMember: string;
         timestamp: string;
         summary: any;
-        followUpQuestions: string[];
+        followUpQuestions: FollowUpQuestion[];
         insights: any[];
     };
 }
@@ -23,11 +51,14 @@ interface StandupResponse {
 export function activate(context: vscode.ExtensionContext) {
     console.log('Standup Tracker extension is now active!');
 
+    secretStorage = context.secrets;
+
     // Register commands
     const submitStandupCommand = vscode.commands.registerCommand('standupTracker.submitStandup', submitStandup);
     const viewStatusCommand = vscode.commands.registerCommand('standupTracker.viewStatus', viewTeamStatus);
     const chatInterfaceCommand = vscode.commands.registerCommand('standupTracker.chatInterface', openChatInterface);
     const viewMetricsCommand = vscode.commands.registerCommand('standupTracker.viewMetrics', viewTeamMetrics);
+    const setApiTokenCommand = vscode.commands.registerCommand('standupTracker.setApiToken', setApiToken);
 
     // Register tree data provider for the sidebar
     const treeDataProvider = new StandupTreeDataProvider();
@@ -42,6 +73,7 @@ export function activate(context: vscode.ExtensionContext) {
         viewStatusCommand,
         chatInterfaceCommand,
         viewMetricsCommand,
+        setApiTokenCommand,
         chatParticipant
     );
 
@@ -168,8 +200,8 @@ async function handleStandupSubmission(message: string, teamMemberName: string |
     }
 
     try {
-        const response = await axios.post(`${apiEndpoint}/standup`, standupData);
-        const result: StandupResponse = response.data;
+        const response = await postSubmission(`${apiEndpoint}/standup`, standupData);
+        const result = await waitForProcessing(apiEndpoint, response);
 
         let content = `✅ **Standup submitted successfully!**\n\n`;
         content += `**Team Member:** ${result.data.teamMember}\n`;
@@ -178,7 +210,7 @@ async function handleStandupSubmission(message: string, teamMemberName: string |
         if (result.data.followUpQuestions && result.data.followUpQuestions.length > 0) {
             content += `**Follow-up Questions:**\n`;
             result.data.followUpQuestions.forEach((question, index) => {
-                content += `${index + 1}. ${question}\n`;
+                content += `${index + 1}. ${question.priority === 'high' ? '**(high)** ' : ''}${question.question}\n`;
             });
         }
 
@@ -212,7 +244,7 @@ async function handleStatusQuery(teamMemberName: string | undefined, apiEndpoint
             message: `What's the status for ${teamMemberName || 'the team'}?`,
             teamMember: teamMemberName,
             intent: 'standup_status'
-        });
+        }, { headers: await authHeaders() });
 
         const result = chatResponse.data;
         
@@ -252,7 +284,7 @@ async function handleStatusQuery(teamMemberName: string | undefined, apiEndpoint
  */
 async function handleMetricsQuery(apiEndpoint: string) {
     try {
-        const response = await axios.get(`${apiEndpoint}/data/metrics`);
+        const response = await axios.get(`${apiEndpoint}/data/metrics`, { headers: await authHeaders() });
         const metrics = response.data.data.metrics;
 
         let content = `📈 **Team Metrics**\n\n`;
@@ -291,7 +323,7 @@ async function handleGeneralQuery(message: string, teamMemberName: string | unde
             message,
             teamMember: teamMemberName,
             intent: 'general_query'
-        });
+        }, { headers: await authHeaders() });
 
         const result = chatResponse.data;
         
@@ -384,25 +416,40 @@ async function submitStandup() {
         return;
     }
 
-    // Create input form
+    const apiEndpoint = config.get<string>('apiEndpoint');
+    if (!apiEndpoint) {
+        vscode.window.showErrorMessage('API endpoint not configured.');
+        return;
+    }
+
+    const draftUrl = `${apiEndpoint}/standup/draft/${encodeURIComponent(teamMemberName)}`;
+    const draft = await offerDraft(draftUrl);
+    const current: Partial<StandupDraft> = draft || {};
+
+    // Create input form, pre-filled from the draft when resuming
     const yesterday = await vscode.window.showInputBox({
         prompt: 'What did you work on yesterday?',
-        placeHolder: 'Describe your work from yesterday...'
+        placeHolder: 'Describe your work from yesterday...',
+        value: current.yesterday
     });
 
     if (!yesterday) return;
 
     const today = await vscode.window.showInputBox({
         prompt: 'What will you work on today?',
-        placeHolder: 'Describe your planned work for today...'
+        placeHolder: 'Describe your planned work for today...',
+        value: current.today
     });
 
-    if (!today) return;
+    if (!today) {
+        await offerToSaveDraft(draftUrl, { yesterday, blockers: current.blockers });
+        return;
+    }
 
     const blockers = await vscode.window.showInputBox({
         prompt: 'Any blockers?',
         placeHolder: 'Describe any blockers or type "None"...',
-        value: 'None'
+        value: current.blockers || 'None'
     });
 
     const standupData: StandupData = {
@@ -413,18 +460,15 @@ async function submitStandup() {
     };
 
     try {
-        const apiEndpoint = config.get<string>('apiEndpoint');
-        if (!apiEndpoint) {
-            vscode.window.showErrorMessage('API endpoint not configured.');
-            return;
-        }
-
-        const response = await axios.post(`${apiEndpoint}/standup`, standupData);
-        const result: StandupResponse = response.data;
+        // A resumed draft is submitted through the draft endpoint so it is cleared afterwards
+        const response = draft
+            ? await postSubmission(`${draftUrl}/submit`, standupData)
+            : await postSubmission(`${apiEndpoint}/standup`, standupData);
+        const result = await waitForProcessing(apiEndpoint, response);
 
         let message = `Standup submitted successfully!\n\n`;
         if (result.data.followUpQuestions.length > 0) {
-            message += `Follow-up questions:\n${result.data.followUpQuestions.join('\n')}`;
+            message += `Follow-up questions:\n${result.data.followUpQuestions.map(question => question.question).join('\n')}`;
         }
 
         vscode.window.showInformationMessage(message);
@@ -434,6 +478,128 @@ async function submitStandup() {
     }
 }
 
+/**
+ * Store the personal API token issued for this team member
+ */
+async function setApiToken() {
+    const token = await vscode.window.showInputBox({
+        prompt: 'Paste your Standup Tracker API token',
+        password: true,
+        ignoreFocusOut: true
+    });
+
+    if (token === undefined) return;
+
+    if (token.trim()) {
+        await secretStorage?.store(API_TOKEN_SECRET, token.trim());
+        vscode.window.showInformationMessage('Standup Tracker API token saved.');
+    } else {
+        await secretStorage?.delete(API_TOKEN_SECRET);
+        vscode.window.showInformationMessage('Standup Tracker API token removed.');
+    }
+}
+
+/**
+ * Authorization header for API calls, from the token in secret storage
+ */
+async function authHeaders(): Promise<Record<string, string>> {
+    const token = await secretStorage?.get(API_TOKEN_SECRET);
+    return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * POST a submission with an idempotency key, retrying dropped connections and server errors
+ */
+async function postSubmission(url: string, data: StandupData) {
+    const idempotencyKey = randomUUID();
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await axios.post(url, data, {
+                headers: { ...(await authHeaders()), 'Idempotency-Key': idempotencyKey, Prefer: 'respond-async' }
+            });
+        } catch (error) {
+            // IDEMPOTENCY_KEY_IN_USE means the first attempt is still running; the retry will get its
+            // response. Other 409s, such as DUPLICATE_STANDUP, are final
+            const response = axios.isAxiosError(error) ? error.response : undefined;
+            const retryable = response === undefined || response.status >= 500 ||
+                response.data?.code === 'IDEMPOTENCY_KEY_IN_USE';
+            if (!retryable || attempt >= SUBMIT_ATTEMPTS) {
+                throw error;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
+        }
+    }
+}
+
+/**
+ * Body of a submission's response; a queued standup (202) is polled until its follow-up
+ * questions are ready
+ */
+async function waitForProcessing(apiEndpoint: string, response: AxiosResponse): Promise<StandupResponse> {
+    if (response.status !== 202) {
+        return response.data;
+    }
+
+    const { standupId, statusUrl } = response.data.data;
+
+    for (let poll = 1; poll <= STATUS_POLLS; poll++) {
+        const status = await axios.get(`${apiEndpoint}${statusUrl}`, { headers: await authHeaders(), params: { wait: 20 } });
+        const result = status.data;
+
+        if (result.data.status === 'completed') {
+            return result;
+        }
+        if (result.data.status === 'failed') {
+            throw new Error(`Standup saved, but follow-up questions could not be generated (${result.data.error})`);
+        }
+    }
+
+    throw new Error(`Standup ${standupId} saved; its follow-up questions are still being generated`);
+}
+
+/**
+ * Fetch a saved draft and ask whether to resume it
+ */
+async function offerDraft(draftUrl: string): Promise<StandupDraft | null> {
+    let draft: StandupDraft;
+
+    try {
+        const response = await axios.get(draftUrl, { headers: await authHeaders() });
+        draft = response.data.data.draft;
+    } catch (error) {
+        // 404 means there is no draft; anything else should not block a fresh submission
+        return null;
+    }
+
+    const choice = await vscode.window.showInformationMessage(
+        `You have a standup draft saved ${new Date(draft.updatedAt).toLocaleString()}. Resume it?`,
+        'Resume Draft',
+        'Start Fresh'
+    );
+
+    return choice === 'Resume Draft' ? draft : null;
+}
+
+/**
+ * Offer to keep a partially filled standup as a draft
+ */
+async function offerToSaveDraft(draftUrl: string, fields: Partial<StandupDraft>) {
+    const draftFields = Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
+    if (Object.keys(draftFields).length === 0) return;
+
+    const choice = await vscode.window.showInformationMessage('Save your answers as a draft to finish later?', 'Save Draft');
+    if (choice !== 'Save Draft') return;
+
+    try {
+        await axios.put(draftUrl, draftFields, { headers: await authHeaders() });
+        vscode.window.showInformationMessage('Standup draft saved.');
+    } catch (error) {
+        vscode.window.showErrorMessage(`Failed to save draft: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+}
+
 /**
  * View team status command handler
  */
@@ -447,7 +613,7 @@ async function viewTeamStatus() {
     }
 
     try {
-        const response = await axios.get(`${apiEndpoint}/data/metrics`);
+        const response = await axios.get(`${apiEndpoint}/data/metrics`, { headers: await authHeaders() });
         const metrics = response.data.data.metrics;
 
         const panel = vscode.window.createWebviewPanel(
@@ -490,7 +656,7 @@ async function viewTeamMetrics() {
     }
 
     try {
-        const response = await axios.get(`${apiEndpoint}/data/metrics`);
+        const response = await axios.get(`${apiEndpoint}/data/metrics`, { headers: await authHeaders() });
         const metrics = response.data.data.metrics;
 
         const panel = vscode.window.createWebviewPanel(